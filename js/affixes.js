@@ -0,0 +1,181 @@
+// Elite affixes - extra abilities rolled onto spawned enemies
+//
+// Elite tiers (scaling.js) only make an enemy bigger. Affixes change how it fights. Once difficulty
+// rises above 1, each spawn rolls for affixes; an enemy that gets one can roll further, different ones:
+//   chance = min(maxChance, chancePerDifficulty * (difficulty - 1)) * chanceMultiplier
+// Each affix raises the enemy's XP by its `xp` bonus and draws its own marking (render).
+// Enemy handles the shield and slow immunity itself; the World carries out the rest
+// (vampiric heals, explosive deaths, haste auras).
+
+import { requireRng } from './random.js';
+
+export const AFFIX_CONFIG = {
+    chancePerDifficulty: 0.006, // Affix chance per point of difficulty above 1...
+    maxChance: 0.2,             // ...up to this
+    extraAffixChance: 0.25,     // Chance of each further affix on an enemy that has one
+    maxAffixes: 3
+};
+
+export const ENEMY_AFFIXES = {
+    // Soaks up `shield` x max health of damage before health is touched
+    shielded: {
+        name: 'Shielded',
+        xp: 0.6,
+        shield: 0.75,
+        // Cyan bubble; its rim shows what is left of the shield
+        render(ctx, enemy, screen, r, scale) {
+            if (enemy.shield <= 0) return;
+            const remaining = enemy.shield / enemy.maxShield;
+            ctx.strokeStyle = 'rgba(128, 222, 234, 0.9)';
+            ctx.lineWidth = 3 * scale;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r + 6 * scale, -Math.PI / 2, -Math.PI / 2 + remaining * Math.PI * 2);
+            ctx.stroke();
+
+            ctx.fillStyle = 'rgba(128, 222, 234, 0.15)';
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r + 6 * scale, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+
+    // Heals `heal` x max health whenever its contact damage lands on the player
+    vampiric: {
+        name: 'Vampiric',
+        xp: 0.4,
+        heal: 0.25,
+        // Blood-red ring inside the body
+        render(ctx, enemy, screen, r, scale) {
+            ctx.strokeStyle = '#6a0000';
+            ctx.lineWidth = 3 * scale;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r * 0.65, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    },
+
+    // Leaves a blast behind when killed; it goes off after `fuse` seconds and hurts the player
+    explosive: {
+        name: 'Explosive',
+        xp: 0.5,
+        radius: 90,
+        damage: 2.5, // x the enemy's contact damage
+        fuse: 0.6,
+        color: '#ff9100',
+        // Glowing core with sparks
+        render(ctx, enemy, screen, r, scale) {
+            ctx.fillStyle = '#ff9100';
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r * 0.25, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.strokeStyle = '#ffd180';
+            ctx.lineWidth = 2 * scale;
+            for (let i = 0; i < 4; i++) {
+                const a = Math.PI / 4 + i * Math.PI / 2;
+                ctx.beginPath();
+                ctx.moveTo(screen.x + Math.cos(a) * r * 0.3, screen.y + Math.sin(a) * r * 0.3);
+                ctx.lineTo(screen.x + Math.cos(a) * r * 0.55, screen.y + Math.sin(a) * r * 0.55);
+                ctx.stroke();
+            }
+        }
+    },
+
+    // Every `pulseInterval`, hastes every enemy within `radius` (itself included)
+    hasted: {
+        name: 'Hasted',
+        xp: 0.5,
+        radius: 160,
+        amount: 0.3,
+        duration: 1.0,
+        pulseInterval: 0.5,
+        // Faint ring showing the aura's reach
+        render(ctx, enemy, screen, r, scale) {
+            ctx.strokeStyle = 'rgba(255, 238, 88, 0.35)';
+            ctx.lineWidth = 2 * scale;
+            ctx.setLineDash([8 * scale, 8 * scale]);
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, ENEMY_AFFIXES.hasted.radius * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    },
+
+    // Slows have no effect (freezes and stuns still do)
+    unstoppable: {
+        name: 'Unstoppable',
+        xp: 0.3,
+        // Iron spikes around the body
+        render(ctx, enemy, screen, r, scale) {
+            ctx.fillStyle = '#90a4ae';
+            for (let i = 0; i < 6; i++) {
+                const a = i * Math.PI / 3;
+                const side = 0.25;
+                ctx.beginPath();
+                ctx.moveTo(screen.x + Math.cos(a) * (r + 7 * scale), screen.y + Math.sin(a) * (r + 7 * scale));
+                ctx.lineTo(screen.x + Math.cos(a - side) * r, screen.y + Math.sin(a - side) * r);
+                ctx.lineTo(screen.x + Math.cos(a + side) * r, screen.y + Math.sin(a + side) * r);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+    }
+};
+
+export const AFFIX_IDS = Object.keys(ENEMY_AFFIXES);
+
+// Shared by every enemy without affixes
+export const NO_AFFIXES = Object.freeze([]);
+
+/**
+ * Chance that a new spawn has affixes
+ * @param {number} difficulty - EnemySpawner.difficulty (1 at the start of a run)
+ * @returns {number}
+ */
+export function getAffixChance(difficulty) {
+    return Math.min(AFFIX_CONFIG.maxChance, AFFIX_CONFIG.chancePerDifficulty * Math.max(0, difficulty - 1));
+}
+
+/**
+ * Roll the affixes of a new spawn
+ * @param {number} difficulty - EnemySpawner.difficulty
+ * @param {Object} rng - Random source (Math or a SeededRandom); not used while the chance is 0
+ * @param {number} chanceMultiplier - Scales the chance (the AI director's eliteChance)
+ * @returns {string[]} Distinct AFFIX_IDS, or NO_AFFIXES
+ */
+export function rollAffixes(difficulty, rng, chanceMultiplier = 1) {
+    requireRng(rng, 'rollAffixes');
+    const chance = getAffixChance(difficulty) * chanceMultiplier;
+    if (chance <= 0 || rng.random() >= chance) return NO_AFFIXES;
+
+    const available = [...AFFIX_IDS];
+    const affixes = [];
+    do {
+        const index = Math.floor(rng.random() * available.length);
+        affixes.push(available.splice(index, 1)[0]);
+    } while (affixes.length < AFFIX_CONFIG.maxAffixes && rng.random() < AFFIX_CONFIG.extraAffixChance);
+    return affixes;
+}
+
+/**
+ * XP multiplier for a set of affixes
+ * @param {string[]} affixes
+ * @returns {number} 1 plus every affix's xp bonus
+ */
+export function getAffixXpMultiplier(affixes) {
+    return affixes.reduce((multiplier, id) => multiplier + ENEMY_AFFIXES[id].xp, 1);
+}
+
+/**
+ * Draw the markings of an enemy's affixes
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Enemy} enemy
+ * @param {Object} screen - Enemy position on screen
+ * @param {number} r - Radius on screen
+ * @param {number} scale - Camera zoom
+ */
+export function renderAffixes(ctx, enemy, screen, r, scale) {
+    for (const id of enemy.affixes) {
+        ENEMY_AFFIXES[id].render(ctx, enemy, screen, r, scale);
+    }
+}
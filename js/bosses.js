@@ -0,0 +1,280 @@
+// Timed bosses - scripted encounters at survival milestones
+//
+// A boss is a Champion with its own stats, look and attacks. BOSS_SCHEDULE says when each one
+// arrives; the World announces it BOSS_WARNING_TIME seconds early and spawns it on time.
+// Each boss works through phases keyed to its remaining health. A phase is a list of attack
+// patterns used in turn, each followed by its own cooldown. Patterns are actions for
+// World.handleChampionAbility, built from enemy projectiles and hostile AreaEffects:
+//   { type: 'projectileRing', count, speed, damage, color }            - evenly around the boss
+//   { type: 'projectileFan', count, spread, speed, damage, color }     - aimed at the player
+//   { type: 'hazardZones', count, spread, radius, armTime, duration, damage, color }
+//                                                                       - zones around the player that
+//                                                                         hurt after armTime
+// Patterns may add hitEffect/hitEffectAmount/hitEffectDuration or knockback (projectiles) and
+// slowAmount/slowDuration (zones). On death the boss drops its reward: crystals and a heal.
+
+import { Champion } from './enemy.js';
+
+// Seconds between the warning banner and the boss arriving
+export const BOSS_WARNING_TIME = 5;
+
+// When each boss arrives, in seconds of game time
+export const BOSS_SCHEDULE = [
+    { time: 300, boss: 'cinderColossus' },
+    { time: 600, boss: 'glacialWarden' },
+    { time: 900, boss: 'voidTyrant' }
+];
+
+export const BOSS_DEFINITIONS = {
+    cinderColossus: {
+        name: 'Cinder Colossus',
+        element: 'heat',
+        color: '#d84315',
+        glowColor: 'rgba(255, 87, 34, 0.6)',
+        eyeColor: '#ffeb3b',
+        radius: 80,
+        speed: 90,
+        health: 3000,
+        damage: 35,
+        xp: 1000,
+        reward: { crystals: { heat: 3, cold: 1, force: 1 }, heal: 0.5 },
+        phases: [
+            {
+                healthThreshold: 1.0,
+                patterns: [
+                    { type: 'projectileFan', cooldown: 2.0, count: 5, spread: Math.PI / 3, speed: 320, damage: 12, color: '#ff7043' },
+                    { type: 'projectileRing', cooldown: 2.5, count: 12, speed: 260, damage: 10, color: '#ff7043' }
+                ]
+            },
+            {
+                healthThreshold: 0.6,
+                speedMultiplier: 1.15,
+                transitionTime: 1.0,
+                patterns: [
+                    { type: 'hazardZones', cooldown: 2.0, count: 3, spread: 160, radius: 70, armTime: 1.0, duration: 3.0, damage: 15, color: '#ff5722' },
+                    { type: 'projectileFan', cooldown: 1.5, count: 7, spread: Math.PI / 2, speed: 340, damage: 12, color: '#ff7043',
+                        hitEffect: 'burn', hitEffectAmount: 6, hitEffectDuration: 2.0 }
+                ]
+            },
+            {
+                healthThreshold: 0.3,
+                speedMultiplier: 1.3,
+                transitionTime: 1.0,
+                patterns: [
+                    { type: 'projectileRing', cooldown: 1.0, count: 16, speed: 300, damage: 12, color: '#ffab91',
+                        hitEffect: 'burn', hitEffectAmount: 6, hitEffectDuration: 2.0 },
+                    { type: 'hazardZones', cooldown: 1.5, count: 5, spread: 220, radius: 70, armTime: 0.8, duration: 3.0, damage: 18, color: '#ff5722' }
+                ]
+            }
+        ]
+    },
+
+    glacialWarden: {
+        name: 'Glacial Warden',
+        element: 'cold',
+        color: '#0288d1',
+        glowColor: 'rgba(3, 169, 244, 0.6)',
+        eyeColor: '#e1f5fe',
+        radius: 85,
+        speed: 100,
+        health: 6000,
+        damage: 45,
+        xp: 2000,
+        reward: { crystals: { heat: 1, cold: 3, force: 1 }, heal: 0.5 },
+        phases: [
+            {
+                healthThreshold: 1.0,
+                patterns: [
+                    { type: 'hazardZones', cooldown: 2.0, count: 4, spread: 180, radius: 80, armTime: 1.0, duration: 4.0, damage: 12, color: '#4fc3f7',
+                        slowAmount: 0.4, slowDuration: 1.5 },
+                    { type: 'projectileRing', cooldown: 2.0, count: 14, speed: 240, damage: 12, color: '#81d4fa' }
+                ]
+            },
+            {
+                healthThreshold: 0.6,
+                speedMultiplier: 1.2,
+                transitionTime: 1.0,
+                patterns: [
+                    { type: 'projectileFan', cooldown: 1.2, count: 5, spread: Math.PI / 4, speed: 420, damage: 14, color: '#81d4fa' },
+                    { type: 'hazardZones', cooldown: 1.8, count: 6, spread: 240, radius: 80, armTime: 0.9, duration: 4.0, damage: 14, color: '#4fc3f7',
+                        slowAmount: 0.5, slowDuration: 1.5 }
+                ]
+            },
+            {
+                healthThreshold: 0.25,
+                speedMultiplier: 1.4,
+                transitionTime: 1.2,
+                patterns: [
+                    { type: 'projectileRing', cooldown: 0.8, count: 20, speed: 280, damage: 14, color: '#e1f5fe' },
+                    { type: 'projectileFan', cooldown: 1.0, count: 9, spread: Math.PI / 2, speed: 420, damage: 14, color: '#81d4fa' }
+                ]
+            }
+        ]
+    },
+
+    voidTyrant: {
+        name: 'Void Tyrant',
+        element: 'force',
+        color: '#6a1b9a',
+        glowColor: 'rgba(156, 39, 176, 0.6)',
+        eyeColor: '#f3e5f5',
+        radius: 95,
+        speed: 110,
+        health: 10000,
+        damage: 55,
+        xp: 3000,
+        reward: { crystals: { heat: 1, cold: 1, force: 3 }, heal: 1.0 },
+        phases: [
+            {
+                healthThreshold: 1.0,
+                patterns: [
+                    { type: 'projectileFan', cooldown: 1.8, count: 3, spread: Math.PI / 8, speed: 650, damage: 20, color: '#ce93d8', knockback: 150 },
+                    { type: 'projectileRing', cooldown: 2.0, count: 16, speed: 280, damage: 14, color: '#ba68c8' }
+                ]
+            },
+            {
+                healthThreshold: 0.66,
+                speedMultiplier: 1.15,
+                transitionTime: 1.0,
+                patterns: [
+                    { type: 'hazardZones', cooldown: 1.6, count: 5, spread: 200, radius: 75, armTime: 0.9, duration: 3.0, damage: 20, color: '#9c27b0' },
+                    { type: 'projectileFan', cooldown: 1.2, count: 5, spread: Math.PI / 4, speed: 650, damage: 20, color: '#ce93d8', knockback: 150 },
+                    { type: 'projectileRing', cooldown: 1.6, count: 20, speed: 300, damage: 14, color: '#ba68c8' }
+                ]
+            },
+            {
+                healthThreshold: 0.33,
+                speedMultiplier: 1.3,
+                transitionTime: 1.5,
+                patterns: [
+                    { type: 'projectileRing', cooldown: 0.7, count: 24, speed: 320, damage: 16, color: '#e1bee7' },
+                    { type: 'hazardZones', cooldown: 1.2, count: 7, spread: 260, radius: 75, armTime: 0.7, duration: 3.0, damage: 22, color: '#9c27b0' },
+                    { type: 'projectileFan', cooldown: 1.0, count: 7, spread: Math.PI / 3, speed: 650, damage: 20, color: '#ce93d8', knockback: 200 }
+                ]
+            }
+        ]
+    }
+};
+
+/**
+ * Phase a boss is in at a given health fraction
+ * @param {Object} definition - BOSS_DEFINITIONS entry
+ * @param {number} healthFraction - health / maxHealth
+ * @returns {number} Index of the last phase whose healthThreshold the boss has dropped to
+ */
+export function phaseForHealth(definition, healthFraction) {
+    let phase = 0;
+    for (let i = 1; i < definition.phases.length; i++) {
+        if (healthFraction <= definition.phases[i].healthThreshold) {
+            phase = i;
+        }
+    }
+    return phase;
+}
+
+export class Boss extends Champion {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} bossId - Key in BOSS_DEFINITIONS
+     */
+    constructor(x, y, bossId) {
+        const definition = BOSS_DEFINITIONS[bossId];
+        if (!definition) {
+            throw new Error(`Unknown boss: ${bossId}`);
+        }
+
+        super(x, y, definition.element);
+        this.isBoss = true;
+        this.bossId = bossId;
+        this.name = definition.name;
+
+        this.radius = definition.radius;
+        this.baseSpeed = definition.speed;
+        this.speed = definition.speed;
+        this.maxHealth = definition.health;
+        this.health = definition.health;
+        this.damage = definition.damage;
+        this.xp = definition.xp;
+
+        this.color = definition.color;
+        this.glowColor = definition.glowColor;
+        this.eyeColor = definition.eyeColor;
+
+        // Attack rotation within the current phase; abilityCooldown counts down to the next attack
+        this.phaseIndex = 0;
+        this.patternIndex = 0;
+        this.abilityCooldown = 1.5; // Grace period after arriving
+    }
+
+    get definition() {
+        return BOSS_DEFINITIONS[this.bossId];
+    }
+
+    get phase() {
+        return this.definition.phases[this.phaseIndex];
+    }
+
+    /**
+     * Move on to the phase the boss's health calls for (phases never go back)
+     * @returns {boolean} True if the phase changed
+     */
+    updatePhase() {
+        const phaseIndex = phaseForHealth(this.definition, this.health / this.maxHealth);
+        if (phaseIndex <= this.phaseIndex) return false;
+
+        this.phaseIndex = phaseIndex;
+        this.patternIndex = 0;
+        this.abilityCooldown = this.phase.transitionTime ?? 0;
+        this.baseSpeed = this.definition.speed * (this.phase.speedMultiplier ?? 1);
+        return true;
+    }
+
+    // Bosses keep walking while they attack: no windup, and no enrage (phases take its place)
+    updateAI(dt) {
+        this.moveTowardTarget(dt);
+        return this.checkAbility();
+    }
+
+    // Next pattern of the phase, as an action for World.handleChampionAbility
+    checkAbility() {
+        if (this.abilityCooldown > 0) {
+            return null;
+        }
+
+        const patterns = this.phase.patterns;
+        const pattern = patterns[this.patternIndex % patterns.length];
+        this.patternIndex = (this.patternIndex + 1) % patterns.length;
+        this.abilityCooldown = pattern.cooldown;
+
+        return {
+            ...pattern,
+            x: this.x,
+            y: this.y,
+            targetX: this.targetX,
+            targetY: this.targetY,
+            rotation: this.crownRotation // Turns rings a little from one volley to the next
+        };
+    }
+
+    // Health shows on the HUD boss bar instead
+    renderHealthBar() {}
+
+    render(ctx, camera) {
+        super.render(ctx, camera);
+
+        // One ring per phase reached, so players can read how far along the fight is
+        const screen = camera.worldToScreen(this.x, this.y);
+        const scale = camera.zoom;
+        ctx.save();
+        ctx.strokeStyle = this.eyeColor;
+        ctx.lineWidth = 2 * scale;
+        for (let i = 0; i <= this.phaseIndex; i++) {
+            ctx.globalAlpha = 0.6 - i * 0.15;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, (this.radius * 1.7 + i * 12) * scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
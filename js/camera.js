@@ -1,5 +1,7 @@
 // Camera system for infinite world viewport
 
+import { frameLerp } from './utils.js';
+
 export class Camera {
     constructor(canvas) {
         this.canvas = canvas;
@@ -7,7 +9,9 @@ export class Camera {
         this.y = 0;
         this.targetX = 0;
         this.targetY = 0;
-        this.smoothing = 0.1;
+        this.prevX = 0; // Position before the last simulation step (for interpolated rendering)
+        this.prevY = 0;
+        this.smoothing = 0.1; // Fraction of the distance to the target covered per 1/60 s
         this.zoom = 0.40; // Values < 1 zoom out, showing more of the world
     }
 
@@ -19,10 +23,11 @@ export class Camera {
         this.targetY = target.y - visibleHeight / 2;
     }
 
-    update() {
+    update(dt = 1 / 60) {
         // Smooth camera follow
-        this.x += (this.targetX - this.x) * this.smoothing;
-        this.y += (this.targetY - this.y) * this.smoothing;
+        const t = frameLerp(this.smoothing, dt);
+        this.x += (this.targetX - this.x) * t;
+        this.y += (this.targetY - this.y) * t;
     }
 
     // Convert world coordinates to screen coordinates
@@ -1,6 +1,7 @@
 // Crystal class and spawning system
 
 import { randomPositionInRing, randomChoice, distance } from './utils.js';
+import { requireRng } from './random.js';
 
 export const CRYSTAL_TYPES = {
     heat: {
@@ -21,7 +22,7 @@ export const CRYSTAL_TYPES = {
 };
 
 export class Crystal {
-    constructor(x, y, type) {
+    constructor(x, y, type, rng = Math) {
         this.x = x;
         this.y = y;
         this.type = type;
@@ -33,10 +34,15 @@ export class Crystal {
         this.color = config.color;
         this.glowColor = config.glowColor;
         
-        // Animation
-        this.bobOffset = Math.random() * Math.PI * 2;
+        // Animation (the only use of rng here, so it may default to Math)
+        this.bobOffset = rng.random() * Math.PI * 2;
         this.rotationAngle = 0;
-        this.pulsePhase = Math.random() * Math.PI * 2;
+        this.pulsePhase = rng.random() * Math.PI * 2;
+        
+        // Champion fusion ritual (see World.checkChampionFusion)
+        this.ritualActive = false;
+        this.ritualProgress = 0;  // 0-1; draws the orbiters in and grows the glyph
+        this.ritualCooldown = 0;  // Seconds before another ritual can start after one was broken
     }
 
     update(dt) {
@@ -72,6 +78,11 @@ export class Crystal {
         ctx.stroke();
         ctx.setLineDash([]);
         
+        // Fusion glyph, growing while a ritual runs and fading as a broken one unwinds
+        if (this.ritualProgress > 0) {
+            this.renderRitualGlyph(ctx, scale);
+        }
+        
         // Diamond shape
         ctx.rotate(this.rotationAngle);
         ctx.fillStyle = this.color;
@@ -100,13 +111,56 @@ export class Crystal {
         
         ctx.restore();
     }
+
+    // Drawn around the crystal's centre (the caller has translated there)
+    renderRitualGlyph(ctx, scale) {
+        const progress = this.ritualProgress;
+        const radius = (30 + 70 * progress) * scale;
+        
+        ctx.save();
+        ctx.strokeStyle = this.color;
+        ctx.globalAlpha = this.ritualActive ? 0.4 + progress * 0.5 : progress * 0.5;
+        
+        // Outer circle and a progress arc just outside it
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        ctx.lineWidth = 4 * scale;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius + 6 * scale, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        ctx.stroke();
+        
+        // Two counter-rotating triangles
+        ctx.lineWidth = 2 * scale;
+        for (const direction of [1, -1]) {
+            const rotation = direction * this.rotationAngle * (1 + progress);
+            ctx.beginPath();
+            for (let i = 0; i < 3; i++) {
+                const a = rotation + i * Math.PI * 2 / 3 + (direction < 0 ? Math.PI : 0);
+                const x = Math.cos(a) * radius * 0.85;
+                const y = Math.sin(a) * radius * 0.85;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.closePath();
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
 }
 
 export class CrystalSpawner {
-    constructor() {
+    constructor(rng) {
+        this.rng = requireRng(rng, 'CrystalSpawner');
         this.spawnTimer = 0;
         this.spawnInterval = 5.0;
         this.maxCrystals = 15;
+        this.supply = 1; // Set by the AI director: crystals spawn this much more often
     }
 
     // Calculate spawn and despawn distances based on visible screen
@@ -129,18 +183,19 @@ export class CrystalSpawner {
         const dist = this.getDistances(camera);
         
         // Spawn new crystals
-        if (this.spawnTimer >= this.spawnInterval && crystals.length < this.maxCrystals) {
+        if (this.spawnTimer >= this.spawnInterval / this.supply && crystals.length < this.maxCrystals) {
             this.spawnTimer = 0;
             
             const pos = randomPositionInRing(
                 playerX, 
                 playerY, 
                 dist.minSpawn, 
-                dist.maxSpawn
+                dist.maxSpawn,
+                this.rng
             );
             
-            const type = randomChoice(['heat', 'cold', 'force']);
-            crystals.push(new Crystal(pos.x, pos.y, type));
+            const type = randomChoice(['heat', 'cold', 'force'], this.rng);
+            crystals.push(new Crystal(pos.x, pos.y, type, this.rng));
         }
         
         // Despawn crystals that are too far
@@ -0,0 +1,215 @@
+// AI director - tunes pressure to how the player is doing
+//
+// Difficulty alone only climbs with time. The director keeps an eye on the player (health,
+// recent damage taken, kill rate and build strength) and, every decisionInterval seconds,
+// turns that into a performance score from -1 (struggling) to 1 (cruising). It cycles through
+// build-up, peak and relief phases, each with its own pressure; the player's performance pushes
+// the pressure further up or down. Pressure then sets three multipliers, each kept within
+// designer-set bounds, that the World hands to the spawners:
+//   spawnIntensity - EnemySpawner spawns groups this much more often
+//   eliteChance    - EnemySpawner's elite tier and affix chances (see scaling.js, affixes.js)
+//   crystalSupply  - CrystalSpawner spawns crystals this much more often (more when struggling)
+// Every decision is a plain object (inputs and outputs) published as DIRECTOR_DECISION, so it can
+// be logged for tuning; formatDecision() makes a one-line summary.
+
+import { clamp, lerp } from './utils.js';
+
+export const DIRECTOR_CONFIG = {
+    decisionInterval: 2,        // Seconds between decisions
+    sampleWindow: 20,           // Seconds of history the damage and kill rates average over
+    warmupTime: 30,             // Seconds before performance counts (the phase cycle still runs)
+    responseTime: 6,            // Seconds for pressure to cover most of the way to its target
+    adaptation: 0.6,            // How far performance moves pressure on top of the phase's
+    reliefHealth: 0.3,          // A peak ends early when the player drops below this health fraction
+
+    // A player holding their own: performance 0
+    expected: {
+        health: 0.6,            // Fraction of max health
+        damageRate: 0.01,       // Fraction of max health lost per second
+        killRate: 0.5,          // Kills per second at the start...
+        killRatePerMinute: 0.1, // ...growing by this much per minute...
+        killRateMax: 3,         // ...up to this
+        buildPerMinute: 1.5     // Power levels + passive stacks gained per minute
+    },
+
+    // How much each signal counts toward performance
+    weights: { health: 0.35, damage: 0.25, kills: 0.2, build: 0.2 },
+
+    // Phase cycle; pressure moves from start to end over the phase
+    phases: {
+        buildUp: { duration: 40, startPressure: -0.2, endPressure: 0.3, next: 'peak' },
+        peak: { duration: 15, startPressure: 0.5, endPressure: 0.5, next: 'relief' },
+        relief: { duration: 15, startPressure: -0.6, endPressure: -0.6, next: 'buildUp' }
+    },
+
+    // Multiplier range per output: pressure -1 gives min, 0 gives 1, 1 gives max
+    // (crystal supply runs the other way: generous when pressure is low)
+    bounds: {
+        spawnIntensity: { min: 0.6, max: 1.6 },
+        eliteChance: { min: 0.5, max: 2.0 },
+        crystalSupply: { min: 0.7, max: 1.5 }
+    }
+};
+
+/**
+ * Power levels plus passive upgrade stacks
+ * @param {Player} player
+ * @returns {number}
+ */
+export function buildStrength(player) {
+    const levels = player.powers.reduce((sum, power) => sum + power.level, 0);
+    const stacks = player.passiveUpgrades.reduce((sum, upgrade) => sum + (upgrade.stacks || 1), 0);
+    return levels + stacks;
+}
+
+/**
+ * One-line summary of a decision for logs
+ * @param {Object} decision - As published with DIRECTOR_DECISION
+ * @returns {string}
+ */
+export function formatDecision(decision) {
+    const minutes = Math.floor(decision.time / 60);
+    const seconds = Math.floor(decision.time % 60).toString().padStart(2, '0');
+    const signed = (value) => (value >= 0 ? '+' : '') + value.toFixed(2);
+    const { health, damageRate, killRate, build, expectedBuild } = decision.inputs;
+    return `[director ${minutes}:${seconds}] ${decision.phase} pressure ${signed(decision.pressure)} ` +
+        `(performance ${signed(decision.performance)}) -> spawns x${decision.spawnIntensity.toFixed(2)}, ` +
+        `elites x${decision.eliteChance.toFixed(2)}, crystals x${decision.crystalSupply.toFixed(2)} | ` +
+        `health ${Math.round(health * 100)}%, damage ${(damageRate * 100).toFixed(1)}%/s, ` +
+        `kills ${killRate.toFixed(2)}/s, build ${build}/${expectedBuild.toFixed(1)}`;
+}
+
+// Position of a multiplier within its bounds for a pressure from -1 to 1
+function boundedMultiplier(bounds, pressure) {
+    return pressure >= 0 ? lerp(1, bounds.max, pressure) : lerp(1, bounds.min, -pressure);
+}
+
+export class Director {
+    /**
+     * @param {Object} config - Overrides for DIRECTOR_CONFIG (bounds are merged per output)
+     */
+    constructor(config = {}) {
+        this.config = {
+            ...DIRECTOR_CONFIG,
+            ...config,
+            bounds: { ...DIRECTOR_CONFIG.bounds, ...config.bounds }
+        };
+        for (const [output, { min, max }] of Object.entries(this.config.bounds)) {
+            if (!(min > 0 && min <= 1 && max >= 1)) {
+                throw new Error(`Director bounds for ${output} must satisfy 0 < min <= 1 <= max`);
+            }
+        }
+
+        // Phase cycle
+        this.phase = 'buildUp';
+        this.phaseTimer = 0;
+
+        // What happened since the last decision, and the running rates it feeds
+        this.decisionTimer = 0;
+        this.damageTaken = 0;
+        this.kills = 0;
+        this.damageRate = 0;    // Fraction of max health per second
+        this.killRate = 0;      // Kills per second
+
+        // Latest decision
+        this.pressure = 0;
+        this.performance = 0;
+        this.spawnIntensity = 1;
+        this.eliteChance = 1;
+        this.crystalSupply = 1;
+
+        // Recent decisions, newest last (for tuning; not saved)
+        this.log = [];
+        this.logLimit = 100;
+    }
+
+    recordDamage(amount) {
+        this.damageTaken += amount;
+    }
+
+    recordKill() {
+        this.kills++;
+    }
+
+    /**
+     * Advance the director
+     * @param {number} dt
+     * @param {number} gameTime - Seconds survived
+     * @param {Player} player
+     * @returns {Object|null} A decision when one was made this step
+     */
+    update(dt, gameTime, player) {
+        const config = this.config;
+
+        this.phaseTimer += dt;
+        const phase = config.phases[this.phase];
+        const healthFraction = player.health / player.maxHealth;
+        if (this.phaseTimer >= phase.duration || (this.phase === 'peak' && healthFraction < config.reliefHealth)) {
+            this.phase = phase.next;
+            this.phaseTimer = 0;
+        }
+
+        this.decisionTimer += dt;
+        if (this.decisionTimer < config.decisionInterval) return null;
+
+        const interval = this.decisionTimer;
+        this.decisionTimer = 0;
+        return this.decide(interval, gameTime, player);
+    }
+
+    // Turn the last interval's observations into new multipliers
+    decide(interval, gameTime, player) {
+        const config = this.config;
+        const { expected, weights } = config;
+
+        // Running rates (exponential moving averages over roughly sampleWindow seconds)
+        const blend = Math.min(1, interval / config.sampleWindow);
+        this.damageRate += (this.damageTaken / player.maxHealth / interval - this.damageRate) * blend;
+        this.killRate += (this.kills / interval - this.killRate) * blend;
+        this.damageTaken = 0;
+        this.kills = 0;
+
+        const minutes = gameTime / 60;
+        const health = player.health / player.maxHealth;
+        const build = buildStrength(player);
+        const expectedBuild = 1 + expected.buildPerMinute * minutes;
+        const expectedKillRate = Math.min(expected.killRateMax, expected.killRate + expected.killRatePerMinute * minutes);
+
+        // Each signal from -1 (struggling) to 1 (cruising)
+        const signals = {
+            health: clamp((health - expected.health) / (1 - expected.health), -1, 1),
+            damage: clamp(1 - this.damageRate / expected.damageRate, -1, 1),
+            kills: clamp(this.killRate / expectedKillRate - 1, -1, 1),
+            build: clamp(build / expectedBuild - 1, -1, 1)
+        };
+        let performance = 0;
+        for (const [signal, weight] of Object.entries(weights)) {
+            performance += signals[signal] * weight;
+        }
+        this.performance = gameTime < config.warmupTime ? 0 : clamp(performance, -1, 1);
+
+        // Phase pressure, pushed by performance, approached smoothly
+        const phase = config.phases[this.phase];
+        const phasePressure = lerp(phase.startPressure, phase.endPressure, Math.min(1, this.phaseTimer / phase.duration));
+        const target = clamp(phasePressure + this.performance * config.adaptation, -1, 1);
+        this.pressure += (target - this.pressure) * Math.min(1, interval / config.responseTime);
+
+        this.spawnIntensity = boundedMultiplier(config.bounds.spawnIntensity, this.pressure);
+        this.eliteChance = boundedMultiplier(config.bounds.eliteChance, this.pressure);
+        this.crystalSupply = boundedMultiplier(config.bounds.crystalSupply, -this.pressure);
+
+        const decision = {
+            time: gameTime,
+            phase: this.phase,
+            performance: this.performance,
+            pressure: this.pressure,
+            inputs: { health, damageRate: this.damageRate, killRate: this.killRate, build, expectedBuild, signals },
+            spawnIntensity: this.spawnIntensity,
+            eliteChance: this.eliteChance,
+            crystalSupply: this.crystalSupply
+        };
+        this.log.push(decision);
+        if (this.log.length > this.logLimit) this.log.shift();
+        return decision;
+    }
+}
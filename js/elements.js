@@ -0,0 +1,150 @@
+// Elemental marks and reactions
+// Hits from heat, cold and force effects mark their target with that element for a few seconds.
+// Hitting a marked target with the element that reacts with its mark consumes the mark and
+// triggers a reaction, which the World resolves when the hit's damage is dealt.
+
+export const ELEMENTS = ['heat', 'cold', 'force'];
+
+export const ELEMENT_CONFIG = {
+    markDuration: 3.0   // seconds a mark stays on its target
+};
+
+// Marker colours, matching the crystal categories
+const MARK_COLORS = {
+    heat: '#ff6b35',
+    cold: '#4fc3f7',
+    force: '#ba68c8'
+};
+
+// Reaction table. Each reaction fires when a `trigger` hit lands on a target marked `consumes`:
+//   damageMultiplier - extra damage for the triggering hit
+//   burst            - damage to everything else within radius (damageRatio of the hit, at least minDamage)
+//   spread           - damage up to maxTargets others within radius, mark them with `element`
+//                      and apply `effect` to them
+//   effect           - status effect applied to the target ({ type, amount, duration })
+export const ELEMENT_REACTIONS = {
+    shatter: {
+        id: 'shatter',
+        name: 'Shatter',
+        trigger: 'heat',
+        consumes: 'cold',
+        damageMultiplier: 1.5,
+        burst: { radius: 90, damageRatio: 1.0, minDamage: 15 },
+        effect: { type: 'vulnerable', amount: 0.25, duration: 3.0 },
+        color: '#e1f5fe'
+    },
+    wildfire: {
+        id: 'wildfire',
+        name: 'Wildfire',
+        trigger: 'force',
+        consumes: 'heat',
+        spread: {
+            radius: 140,
+            damage: 12,
+            maxTargets: 4,
+            element: 'heat',
+            effect: { type: 'burn', amount: 8, duration: 3.0 }
+        },
+        color: '#ff6b35'
+    },
+    crush: {
+        id: 'crush',
+        name: 'Crush',
+        trigger: 'cold',
+        consumes: 'force',
+        damageMultiplier: 2.0,
+        effect: { type: 'freeze', amount: 0, duration: 1.0 },
+        color: '#ba68c8'
+    }
+};
+
+/**
+ * Fresh, unmarked element state for an enemy or champion
+ * @returns {Object} Remaining mark time per element
+ */
+export function createElementMarks() {
+    return { heat: 0, cold: 0, force: 0 };
+}
+
+/**
+ * Mark a target without checking for reactions (e.g. a reaction spreading its element)
+ * @param {Object} target - Enemy or champion
+ * @param {string} element
+ */
+export function markElement(target, element) {
+    target.elementMarks[element] = ELEMENT_CONFIG.markDuration;
+}
+
+/**
+ * Record an elemental hit on a target. If the target carries the mark this element reacts with,
+ * the mark is consumed and the reaction is left in target.pendingReaction for the damage step.
+ * Targets without marks (the player) and non-elemental hits are ignored.
+ * @param {Object} target - Enemy or champion
+ * @param {string} element - Damage type of the hit
+ * @returns {Object|null} The triggered reaction, if any
+ */
+export function applyElement(target, element) {
+    if (!target.elementMarks || !ELEMENTS.includes(element)) return null;
+
+    let triggered = null;
+    for (const reaction of Object.values(ELEMENT_REACTIONS)) {
+        if (reaction.trigger === element && target.elementMarks[reaction.consumes] > 0) {
+            target.elementMarks[reaction.consumes] = 0;
+            target.pendingReaction = reaction.id;
+            triggered = reaction;
+            break;
+        }
+    }
+
+    markElement(target, element);
+    return triggered;
+}
+
+/**
+ * Take the reaction waiting on a target, clearing it
+ * @param {Object} target - Enemy or champion
+ * @returns {Object|null} Reaction definition
+ */
+export function takePendingReaction(target) {
+    const id = target.pendingReaction;
+    if (!id) return null;
+    target.pendingReaction = null;
+    return ELEMENT_REACTIONS[id];
+}
+
+/**
+ * Count down a target's marks
+ * @param {Object} target - Enemy or champion
+ * @param {number} dt - Delta time in seconds
+ */
+export function updateElementMarks(target, dt) {
+    const marks = target.elementMarks;
+    for (const element of ELEMENTS) {
+        if (marks[element] > 0) {
+            marks[element] = Math.max(0, marks[element] - dt);
+        }
+    }
+}
+
+/**
+ * Draw a small pip above the target for each active mark
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} target - Enemy or champion
+ * @param {{x: number, y: number}} screen - Target centre on screen
+ * @param {number} r - Target radius on screen
+ * @param {number} scale - Camera zoom
+ */
+export function renderElementMarks(ctx, target, screen, r, scale) {
+    const active = ELEMENTS.filter(element => target.elementMarks[element] > 0);
+    if (active.length === 0) return;
+
+    const spacing = 8 * scale;
+    const startX = screen.x - (active.length - 1) * spacing / 2;
+    const y = screen.y - r - 14 * scale;
+    active.forEach((element, i) => {
+        ctx.fillStyle = MARK_COLORS[element];
+        ctx.beginPath();
+        ctx.arc(startX + i * spacing, y, 3 * scale, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
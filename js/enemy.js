@@ -1,10 +1,41 @@
 // Enemy class and spawning system
 
-import { randomRange, randomPositionInRing, distance, normalize, angle } from './utils.js';
+import { randomRange, randomInt, weightedRandomChoice, normalize, angle, distance, frameDecay } from './utils.js';
+import { ObjectPool } from './pool.js';
+import { requireRng } from './random.js';
+import { createElementMarks, updateElementMarks, renderElementMarks } from './elements.js';
+import { StatusEffectManager, createEnemyEffect } from './statusEffects.js';
+import { ENEMY_BEHAVIORS } from './enemyBehaviors.js';
+import { BASE_SCALING, getStatScaling, getEliteTier, rollEliteTier } from './scaling.js';
+import { ENEMY_AFFIXES, NO_AFFIXES, rollAffixes, getAffixXpMultiplier, renderAffixes } from './affixes.js';
+import { FORMATIONS, validateWaveTimeline, getWaveWindow } from './waves.js';
 
 // Configurable fusion threshold - how many enemies need to orbit a crystal to create a Champion
 export const CHAMPION_FUSION_THRESHOLD = 5;
 
+// Fusion ritual (run by World.checkChampionFusion): once the threshold is reached the orbiters spiral
+// inward while a glyph grows around the crystal, and only fuse if the ritual runs its course.
+// Killing an orbiter or collecting the crystal breaks it.
+export const CHAMPION_FUSION_CONFIG = {
+    ritualDuration: 4,          // Seconds from the start of the ritual to the champion
+    innerOrbit: 0.25,           // Orbit radius at the end, as a fraction of the orbiter's normal one
+    spinUp: 2,                  // Orbit speed grows by this much of itself over the ritual
+    unwindTime: 1,              // Seconds for a broken ritual's orbiters to drift back out
+    cancelCooldown: 3,          // Seconds before a crystal can host another ritual after one is broken
+    strengthPerExtra: 0.15,     // Champion health, damage and XP per participant beyond the threshold...
+    maxStrength: 2              // ...up to this multiplier
+};
+
+/**
+ * How much stronger a champion is for the enemies that fused into it
+ * @param {number} participants - Orbiters when the ritual completed
+ * @returns {number} Multiplier for health, damage and XP (1 at the threshold)
+ */
+export function getFusionStrength(participants) {
+    const extra = Math.max(0, participants - CHAMPION_FUSION_THRESHOLD);
+    return Math.min(CHAMPION_FUSION_CONFIG.maxStrength, 1 + extra * CHAMPION_FUSION_CONFIG.strengthPerExtra);
+}
+
 // Champion configuration based on crystal type
 export const CHAMPION_CONFIG = {
     // Base stats (shared across all types)
@@ -14,6 +45,16 @@ export const CHAMPION_CONFIG = {
     damage: 30,
     xp: 200,
     
+    // Attack cycle: approach -> windup (telegraphed) -> attack -> recover -> approach
+    attackRange: 650,          // Starts a windup once the player is this close
+    attackTime: 0.25,          // Stands still after firing
+    recoverTime: 0.6,          // Then stands still, open to punishment
+    stunImmunityTime: 1.0,     // Stuns are ignored this long after one ends, so rapid hits can't lock a champion down
+    
+    // Below this fraction of health, champions enrage: faster, and a second ability in turn with the first
+    enrageThreshold: 0.5,
+    enragedSpeedMultiplier: 1.25,
+    
     // Type-specific configurations
     types: {
         heat: {
@@ -22,22 +63,53 @@ export const CHAMPION_CONFIG = {
             eyeColor: '#ffcc00',
             abilityName: 'Flame Burst',
             abilityCooldown: 1.5,
+            windupTime: 0.6,
             abilityDamage: 15,
             projectileSpeed: 350,
-            projectileCount: 3
+            projectileCount: 3,
+            spreadAngle: Math.PI / 6, // Between fireballs
+            burnDamage: 6,       // Burn on the player, damage per second
+            burnDuration: 2.0,
+            enraged: {
+                abilityName: 'Meteor Strike',
+                type: 'hazardZones',
+                abilityCooldown: 2.0,
+                windupTime: 0.9,
+                count: 1,
+                spread: 0,
+                radius: 110,
+                armTime: 0.3,    // The windup already marked the spot
+                duration: 2.5,
+                damage: 14,
+                color: '#ff6b35'
+            }
         },
         cold: {
             color: '#4fc3f7',
             glowColor: 'rgba(79, 195, 247, 0.6)',
             eyeColor: '#aef4ff',
             abilityName: 'Frost Trail',
+            passive: true,       // Drops trail while walking instead of winding up
             abilityCooldown: 0.3, // Creates trail segments frequently
             abilityDamage: 5,
             trailRadius: 40,
             trailDuration: 30.0, // 10x longer trail persistence
-            slowAmount: 0.4,
+            slowAmount: 0.4,     // Slow on the player while standing in the trail
             slowDuration: 1.5,
-            speedMultiplier: 1.5 // Cold champions move faster
+            speedMultiplier: 1.5, // Cold champions move faster
+            enraged: {
+                abilityName: 'Ice Nova',
+                type: 'projectileRing',
+                abilityCooldown: 2.5,
+                windupTime: 0.8,
+                count: 12,
+                speed: 300,
+                damage: 10,
+                color: '#aef4ff',
+                hitEffect: 'slow',
+                hitEffectAmount: 0.5,
+                hitEffectDuration: 2.0
+            }
         },
         force: {
             color: '#ba68c8',
@@ -45,14 +117,30 @@ export const CHAMPION_CONFIG = {
             eyeColor: '#e1bee7',
             abilityName: 'Force Beam',
             abilityCooldown: 2.0,
+            windupTime: 0.7,
             abilityDamage: 25,
             beamSpeed: 700,
             beamPiercing: true,
-            knockback: 200
+            knockback: 200,      // Pushes the player along the beam
+            enraged: {
+                abilityName: 'Force Barrage',
+                type: 'projectileFan',
+                abilityCooldown: 2.5,
+                windupTime: 0.8,
+                count: 5,
+                spread: Math.PI / 3,
+                speed: 650,
+                damage: 15,
+                color: '#e1bee7',
+                knockback: 120
+            }
         }
     }
 };
 
+// Enemy types. `behavior` picks the movement/ability module from ENEMY_BEHAVIORS (default 'chase')
+// and the remaining fields are that behaviour's tuning. When and how often each type spawns is up
+// to the wave timeline (see waves.js).
 export const ENEMY_TYPES = {
     small: {
         radius: 12,
@@ -77,55 +165,245 @@ export const ENEMY_TYPES = {
         damage: 20,
         color: '#dc143c',
         xp: 50
+    },
+    spitter: {
+        radius: 18,
+        speed: 100,
+        health: 35,
+        damage: 6,
+        color: '#558b2f',
+        xp: 30,
+        behavior: 'ranged',
+        preferredRange: 350,     // Distance it tries to keep from the player
+        fireRange: 550,
+        abilityCooldown: 2.5,
+        projectileSpeed: 280,
+        projectileDamage: 8
+    },
+    charger: {
+        radius: 24,
+        speed: 90,
+        health: 70,
+        damage: 15,
+        color: '#ef6c00',
+        xp: 35,
+        behavior: 'charger',
+        chargeRange: 380,        // Starts a windup when the player is this close
+        windupTime: 0.7,         // Telegraph before the dash
+        dashSpeed: 650,
+        dashDuration: 0.5,
+        abilityCooldown: 3.0
+    },
+    splitter: {
+        radius: 30,
+        speed: 80,
+        health: 90,
+        damage: 12,
+        color: '#6a1b9a',
+        xp: 40,
+        behavior: 'splitter',
+        splitInto: 'small',      // Spawned where it dies
+        splitCount: 3
+    },
+    shaman: {
+        radius: 20,
+        speed: 90,
+        health: 45,
+        damage: 5,
+        color: '#00897b',
+        xp: 45,
+        behavior: 'support',
+        supportRange: 450,
+        auraRadius: 220,         // Enemies this close are healed and hasted
+        abilityCooldown: 3.0,
+        healAmount: 15,
+        hasteAmount: 0.3,
+        hasteDuration: 2.5
     }
 };
 
+/**
+ * Draw indicators for an enemy's or champion's status effects on top of its body
+ * (burn flames, frozen shell, stun stars, vulnerable outline, haste streaks, weaken chevron)
+ */
+function renderStatusIndicators(ctx, statusEffects, screen, r, scale) {
+    if (statusEffects.effects.length === 0) return;
+    
+    ctx.save();
+    
+    const [burn] = statusEffects.getEffectsByType('burn');
+    if (burn) {
+        // Flickering ring of flame
+        ctx.strokeStyle = `rgba(255, ${120 + Math.floor(Math.sin(burn.remaining * 20) * 60)}, 0, 0.8)`;
+        ctx.lineWidth = 3 * scale;
+        ctx.setLineDash([6 * scale, 4 * scale]);
+        ctx.lineDashOffset = burn.remaining * 30 * scale;
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, r + 3 * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    if (statusEffects.hasEffect('freeze')) {
+        // Ice shell over the body
+        ctx.fillStyle = 'rgba(200, 240, 255, 0.55)';
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const a = i * Math.PI / 3;
+            const px = screen.x + Math.cos(a) * (r + 4 * scale);
+            const py = screen.y + Math.sin(a) * (r + 4 * scale);
+            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    const [stun] = statusEffects.getEffectsByType('stun');
+    if (stun) {
+        // Stars circling overhead
+        ctx.fillStyle = '#ffeb3b';
+        for (let i = 0; i < 3; i++) {
+            const a = stun.remaining * 6 + i * Math.PI * 2 / 3;
+            ctx.beginPath();
+            ctx.arc(
+                screen.x + Math.cos(a) * r * 0.6,
+                screen.y - r - 4 * scale + Math.sin(a) * 3 * scale,
+                2.5 * scale, 0, Math.PI * 2
+            );
+            ctx.fill();
+        }
+    }
+    
+    if (statusEffects.hasEffect('vulnerable')) {
+        // Broken red outline
+        ctx.strokeStyle = 'rgba(229, 57, 53, 0.9)';
+        ctx.lineWidth = 2 * scale;
+        ctx.setLineDash([3 * scale, 3 * scale]);
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, r + 7 * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    if (statusEffects.hasEffect('haste')) {
+        // Green speed streaks trailing the body
+        ctx.strokeStyle = 'rgba(105, 240, 174, 0.8)';
+        ctx.lineWidth = 2 * scale;
+        for (let i = -1; i <= 1; i++) {
+            ctx.beginPath();
+            ctx.moveTo(screen.x - r - 4 * scale, screen.y + i * r * 0.4);
+            ctx.lineTo(screen.x - r - 12 * scale, screen.y + i * r * 0.4);
+            ctx.stroke();
+        }
+    }
+    
+    if (statusEffects.hasEffect('weaken')) {
+        // Downward chevron under the body
+        const y = screen.y + r + 6 * scale;
+        ctx.strokeStyle = 'rgba(176, 190, 197, 0.9)';
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        ctx.moveTo(screen.x - 5 * scale, y);
+        ctx.lineTo(screen.x, y + 5 * scale);
+        ctx.lineTo(screen.x + 5 * scale, y);
+        ctx.stroke();
+    }
+    
+    ctx.restore();
+}
+
 export class Enemy {
-    constructor(x, y, type = 'medium') {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} type - Key in ENEMY_TYPES
+     * @param {Object} rng - Random source (Math or a SeededRandom)
+     * @param {Object} scaling - Stat multipliers from getStatScaling (see scaling.js)
+     * @param {string[]} affixes - Elite affixes from rollAffixes (see affixes.js)
+     */
+    constructor(x, y, type, rng, scaling = BASE_SCALING, affixes = NO_AFFIXES) {
+        this.reset(x, y, type, rng, scaling, affixes);
+    }
+
+    // Reinitialise for reuse from an ObjectPool (same arguments as the constructor)
+    reset(x, y, type, rng, scaling = BASE_SCALING, affixes = NO_AFFIXES) {
         const config = ENEMY_TYPES[type];
         
+        this.rng = requireRng(rng, 'Enemy');
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position before the last simulation step (for interpolated rendering)
+        this.prevY = y;
         this.type = type;
-        this.radius = config.radius;
-        this.baseSpeed = config.speed;
-        this.speed = config.speed;
-        this.maxHealth = config.health;
-        this.health = config.health;
-        this.damage = config.damage;
+        this.radius = config.radius * scaling.radius;
+        this.baseSpeed = config.speed * scaling.speed;
+        this.speed = this.baseSpeed;
+        this.maxHealth = config.health * scaling.health;
+        this.health = this.maxHealth;
+        this.damage = config.damage * scaling.damage;
         this.color = config.color;
-        this.xp = config.xp;
+        this.xp = config.xp * scaling.xp * getAffixXpMultiplier(affixes);
+        
+        // Time scaling also applies to behaviour numbers (spit damage, shaman heals)
+        this.healthScale = scaling.health;
+        this.damageScale = scaling.damage;
+        this.eliteTier = scaling.eliteTier;
+        
+        // Elite affixes; the shield soaks up damage before health, the haste aura pulses on auraTimer
+        this.affixes = affixes;
+        this.maxShield = affixes.includes('shielded') ? this.maxHealth * ENEMY_AFFIXES.shielded.shield : 0;
+        this.shield = this.maxShield;
+        this.slowImmune = affixes.includes('unstoppable');
+        this.auraTimer = 0;
+        
+        // Behaviour (see enemyBehaviors.js) and the state it keeps between steps
+        this.behavior = config.behavior || 'chase';
+        this.abilityTimer = config.abilityCooldown ? config.abilityCooldown * (0.5 + rng.random() * 0.5) : 0;
+        this.behaviorState = 'idle';
+        this.stateTimer = 0;
+        this.dashX = 0;
+        this.dashY = 0;
         
         // Target tracking
         this.targetX = x;
         this.targetY = y;
         
-        // Slow effect
-        this.slowAmount = 0;
-        this.slowTime = 0;
+        // Status effects (slow, haste, burn, freeze, stun, vulnerable, weaken)
+        if (this.statusEffects) {
+            this.statusEffects.clearAll();
+        } else {
+            this.statusEffects = new StatusEffectManager();
+        }
         
         // Knockback
         this.knockbackX = 0;
         this.knockbackY = 0;
         
+        // Elemental marks from hits, and a reaction waiting for the hit's damage (see elements.js)
+        this.elementMarks = createElementMarks();
+        this.pendingReaction = null;
+        
         // Visual
         this.hurtTime = 0;
         
         // Crystal orbit state
         this.orbitTarget = null; // Reference to crystal being orbited
-        this.orbitAngle = Math.random() * Math.PI * 2; // Current angle around crystal
-        this.orbitSpeed = 1.5 + Math.random() * 1.0; // Radians per second
-        this.orbitRadius = 60 + Math.random() * 40; // Distance from crystal center
+        this.orbitAngle = rng.random() * Math.PI * 2; // Current angle around crystal
+        this.orbitSpeed = 1.5 + rng.random() * 1.0; // Radians per second
+        this.orbitRadius = 60 + rng.random() * 40; // Distance from crystal center
         
         // Wandering AI state (enemies wander randomly until player is close)
         // Create two behavior types: aggressive (60% chance) and passive (40% chance)
-        const isAggressive = Math.random() < 0.6;
+        const isAggressive = rng.random() < 0.6;
         this.awarenessRadius = isAggressive ? 600 : 250; // Aggressive: far sight, Passive: short sight
         this.isAggressive = isAggressive;
         this.isAwareOfPlayer = false;
-        this.wanderAngle = Math.random() * Math.PI * 2;
+        this.wanderAngle = rng.random() * Math.PI * 2;
         this.wanderTimer = 0;
-        this.wanderChangeInterval = 2.0 + Math.random() * 2.0; // Change direction every 2-4 seconds
+        this.wanderChangeInterval = 2.0 + rng.random() * 2.0; // Change direction every 2-4 seconds
     }
 
     setTarget(x, y) {
@@ -141,9 +419,43 @@ export class Enemy {
         this.orbitTarget = null;
     }
 
+    // Slows keep the strongest amount and the longest duration
     applySlow(amount, duration) {
-        this.slowAmount = Math.max(this.slowAmount, amount);
-        this.slowTime = Math.max(this.slowTime, duration);
+        if (this.slowImmune) return;
+        this.statusEffects.addEffect(createEnemyEffect('slow', Math.max(this.slowAmount, amount), duration));
+    }
+
+    /**
+     * Apply an enemy effect (refresh rules follow StatusEffectManager.addEffect)
+     * @param {string} type - One of ENEMY_EFFECT_TYPES
+     * @param {number} amount
+     * @param {number} duration
+     */
+    applyStatusEffect(type, amount, duration) {
+        if (type === 'slow') {
+            this.applySlow(amount, duration);
+        } else {
+            this.statusEffects.addEffect(createEnemyEffect(type, amount, duration));
+        }
+    }
+
+    get slowAmount() {
+        return this.statusEffects.getStrongest('slow');
+    }
+
+    get slowTime() {
+        const [slow] = this.statusEffects.getEffectsByType('slow');
+        return slow ? slow.remaining : 0;
+    }
+
+    isStunned() {
+        return this.statusEffects.hasEffect('stun');
+    }
+
+    // Damage dealt to the player on contact (weaken lowers it, stunned enemies deal none)
+    getContactDamage() {
+        if (this.isStunned()) return 0;
+        return this.damage * this.statusEffects.getDamageDealtMultiplier();
     }
 
     applyKnockback(dirX, dirY, force) {
@@ -151,38 +463,56 @@ export class Enemy {
         this.knockbackY += dirY * force;
     }
 
+    hasAffix(id) {
+        return this.affixes.includes(id);
+    }
+
     takeDamage(amount) {
-        this.health -= amount;
+        // A shield has to break before health goes down
+        const absorbed = Math.min(this.shield, amount);
+        this.shield -= absorbed;
+        this.health -= amount - absorbed;
         this.hurtTime = 0.1;
         return this.health <= 0;
     }
 
-    update(dt, playerX, playerY, playerAggroModifier = 1.0) {
-        // Update slow
-        if (this.slowTime > 0) {
-            this.slowTime -= dt;
-            this.speed = this.baseSpeed * (1 - this.slowAmount);
-        } else {
-            this.slowAmount = 0;
-            this.speed = this.baseSpeed;
+    /**
+     * @param {FlowField|null} flowField - Shared route to the player for chasing (see flowField.js)
+     * @returns {Object|null} Action for the World to carry out (see enemyBehaviors.js)
+     */
+    update(dt, playerX, playerY, playerAggroModifier = 1.0, flowField = null) {
+        updateElementMarks(this, dt);
+        let action = null;
+        
+        if (this.abilityTimer > 0) {
+            this.abilityTimer -= dt;
         }
         
+        // Speed follows the effects active at the start of the step (freeze and stun root)
+        this.speed = this.baseSpeed * this.statusEffects.getSpeedMultiplier();
+        this.statusEffects.update(dt);
+        
         // Apply knockback
         if (Math.abs(this.knockbackX) > 0.1 || Math.abs(this.knockbackY) > 0.1) {
             this.x += this.knockbackX * dt * 10;
             this.y += this.knockbackY * dt * 10;
-            this.knockbackX *= 0.9;
-            this.knockbackY *= 0.9;
+            const decay = frameDecay(0.9, dt);
+            this.knockbackX *= decay;
+            this.knockbackY *= decay;
         }
         
         // Check if orbiting a crystal
         if (this.orbitTarget) {
+            // A fusion ritual draws the orbit in and spins it faster as it progresses
+            const ritual = this.orbitTarget.ritualProgress || 0;
+            const orbitRadius = this.orbitRadius * (1 - ritual * (1 - CHAMPION_FUSION_CONFIG.innerOrbit));
+            
             // Update orbit angle
-            this.orbitAngle += this.orbitSpeed * dt;
+            this.orbitAngle += this.orbitSpeed * (1 + ritual * CHAMPION_FUSION_CONFIG.spinUp) * dt;
             
             // Calculate target orbit position
-            const orbitX = this.orbitTarget.x + Math.cos(this.orbitAngle) * this.orbitRadius;
-            const orbitY = this.orbitTarget.y + Math.sin(this.orbitAngle) * this.orbitRadius;
+            const orbitX = this.orbitTarget.x + Math.cos(this.orbitAngle) * orbitRadius;
+            const orbitY = this.orbitTarget.y + Math.sin(this.orbitAngle) * orbitRadius;
             
             // Move toward orbit position
             const dx = orbitX - this.x;
@@ -191,59 +521,28 @@ export class Enemy {
             
             if (dist > 5) {
                 const dir = normalize(dx, dy);
-                // Move faster to catch up to orbit position
-                const catchUpSpeed = this.speed * 1.5;
-                this.x += dir.x * catchUpSpeed * dt;
-                this.y += dir.y * catchUpSpeed * dt;
+                // Move faster to catch up to orbit position, without overshooting it on long steps
+                const catchUpStep = Math.min(this.speed * 1.5 * dt, dist);
+                this.x += dir.x * catchUpStep;
+                this.y += dir.y * catchUpStep;
             }
             
             // Update target for eye tracking (look at crystal center)
             this.targetX = this.orbitTarget.x;
             this.targetY = this.orbitTarget.y;
-        } else {
-            // Check distance to player to determine awareness
-            const distToPlayer = distance(this.x, this.y, playerX, playerY);
-            const effectiveAwarenessRadius = this.awarenessRadius * playerAggroModifier;
-            
-            if (distToPlayer <= effectiveAwarenessRadius) {
-                // Player is close - chase them!
-                this.isAwareOfPlayer = true;
-                this.targetX = playerX;
-                this.targetY = playerY;
-                
-                const dx = this.targetX - this.x;
-                const dy = this.targetY - this.y;
-                const dir = normalize(dx, dy);
-                
-                this.x += dir.x * this.speed * dt;
-                this.y += dir.y * this.speed * dt;
-            } else {
-                // Player is far - wander randomly
-                this.isAwareOfPlayer = false;
-                
-                // Update wander timer and change direction periodically
-                this.wanderTimer += dt;
-                if (this.wanderTimer >= this.wanderChangeInterval) {
-                    this.wanderTimer = 0;
-                    this.wanderAngle = Math.random() * Math.PI * 2;
-                    this.wanderChangeInterval = 2.0 + Math.random() * 2.0;
-                }
-                
-                // Move in wander direction at reduced speed
-                const wanderSpeed = this.speed * 0.5;
-                this.x += Math.cos(this.wanderAngle) * wanderSpeed * dt;
-                this.y += Math.sin(this.wanderAngle) * wanderSpeed * dt;
-                
-                // Update target for eye tracking (look in movement direction)
-                this.targetX = this.x + Math.cos(this.wanderAngle) * 100;
-                this.targetY = this.y + Math.sin(this.wanderAngle) * 100;
-            }
+        } else if (!this.isStunned()) {
+            // Movement and abilities come from the type's behaviour
+            action = ENEMY_BEHAVIORS[this.behavior].update(
+                this, dt, playerX, playerY, playerAggroModifier, ENEMY_TYPES[this.type], flowField
+            );
         }
         
         // Update hurt visual
         if (this.hurtTime > 0) {
             this.hurtTime -= dt;
         }
+        
+        return action;
     }
 
     render(ctx, camera) {
@@ -253,6 +552,19 @@ export class Enemy {
         
         ctx.save();
         
+        // Tether to the crystal whose fusion ritual this enemy is part of
+        if (this.orbitTarget && this.orbitTarget.ritualActive) {
+            const crystal = camera.worldToScreen(this.orbitTarget.x, this.orbitTarget.y);
+            ctx.strokeStyle = this.orbitTarget.color;
+            ctx.globalAlpha = 0.3 + this.orbitTarget.ritualProgress * 0.5;
+            ctx.lineWidth = 2 * scale;
+            ctx.beginPath();
+            ctx.moveTo(screen.x, screen.y);
+            ctx.lineTo(crystal.x, crystal.y);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+        
         // Outer glow based on enemy type and aggression
         // Aggressive enemies have brighter, larger glow
         const glowMultiplier = this.isAggressive ? 1.6 : 1.2;
@@ -284,9 +596,10 @@ export class Enemy {
         ctx.arc(screen.x, screen.y, r, 0, Math.PI * 2);
         ctx.fill();
         
-        // Dark outline
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.lineWidth = 2 * scale;
+        // Dark outline, or the elite tier's color
+        const eliteTier = getEliteTier(this.eliteTier);
+        ctx.strokeStyle = eliteTier ? eliteTier.color : 'rgba(0, 0, 0, 0.5)';
+        ctx.lineWidth = (eliteTier ? 2 + this.eliteTier : 2) * scale;
         ctx.stroke();
         
         // Inner shading
@@ -301,6 +614,14 @@ export class Enemy {
         ctx.arc(screen.x, screen.y, r, 0, Math.PI * 2);
         ctx.fill();
         
+        // Behaviour details (telegraphs, pulses, markings)
+        const behavior = ENEMY_BEHAVIORS[this.behavior];
+        if (behavior.render) {
+            behavior.render(ctx, this, screen, r, scale, ENEMY_TYPES[this.type]);
+        }
+        
+        renderAffixes(ctx, this, screen, r, scale);
+        
         // Angry eyes - calculate direction to target
         const dx = this.targetX - this.x;
         const dy = this.targetY - this.y;
@@ -340,6 +661,9 @@ export class Enemy {
         if (this.health < this.maxHealth) {
             this.renderHealthBar(ctx, screen, scale);
         }
+        
+        renderStatusIndicators(ctx, this.statusEffects, screen, r, scale);
+        renderElementMarks(ctx, this, screen, r, scale);
     }
 
     renderHealthBar(ctx, screen, scale) {
@@ -357,12 +681,26 @@ export class Enemy {
 }
 
 export class EnemySpawner {
-    constructor() {
+    /**
+     * @param {Object} rng - Random source (Math or a SeededRandom)
+     * @param {Object} timeline - Wave timeline (see waves.js); validated here
+     * @param {ObjectPool} enemyPool - Where spawned enemies come from (the World releases them back)
+     */
+    constructor(rng, timeline, enemyPool = new ObjectPool(Enemy)) {
+        this.rng = requireRng(rng, 'EnemySpawner');
+        this.timeline = validateWaveTimeline(timeline, Object.keys(ENEMY_TYPES));
+        this.enemyPool = enemyPool;
         this.spawnTimer = 0;
-        this.spawnInterval = 1.5; // Faster spawning (was 2.0)
+        this.spawnInterval = getWaveWindow(this.timeline, 0).spawnInterval;
         this.maxEnemies = 150; // More enemies (was 100)
         this.difficulty = 1;
         this.gameTime = 0;
+        this.nextEventIndex = 0; // Next entry of timeline.events
+        this.lullTime = 0;       // Seconds left of a lull event
+        
+        // Set by the AI director (see director.js)
+        this.intensity = 1;      // Groups spawn this much more often than the window says
+        this.eliteChance = 1;    // Multiplies elite tier and affix chances
     }
 
     // Calculate spawn distance based on visible screen diagonal
@@ -378,72 +716,129 @@ export class EnemySpawner {
         };
     }
 
+    /**
+     * Stat multipliers for what spawns now (see scaling.js)
+     * @param {number} eliteTier - 0 for a normal enemy
+     * @returns {Object}
+     */
+    getScaling(eliteTier = 0) {
+        return getStatScaling(this.gameTime, this.difficulty, eliteTier);
+    }
+
+    // Timeline window in effect now
+    getWindow() {
+        return getWaveWindow(this.timeline, this.gameTime);
+    }
+
+    /**
+     * Pick an enemy type
+     * @param {Object} weights - { type: weight }, the current window's by default
+     * @returns {string} Enemy type
+     */
+    chooseType(weights = this.getWindow().weights) {
+        return weightedRandomChoice(Object.keys(weights), Object.values(weights), this.rng);
+    }
+
     update(dt, playerX, playerY, enemies, crystals, camera) {
         this.gameTime += dt;
         
-        // Increase difficulty over time
+        // Difficulty still ramps with time; it feeds stat scaling
         this.difficulty = 1 + Math.floor(this.gameTime / 30) * 0.5;
-        this.spawnInterval = Math.max(0.3, 1.5 - this.difficulty * 0.15); // Faster ramp-up
+        
+        const spawnDist = this.getSpawnDistances(camera);
+        this.runEvents(playerX, playerY, enemies, spawnDist);
+        
+        const wave = this.getWindow();
+        this.spawnInterval = wave.spawnInterval / this.intensity;
+        
+        if (this.lullTime > 0) {
+            this.lullTime -= dt;
+            return;
+        }
         
         this.spawnTimer += dt;
         
         if (this.spawnTimer >= this.spawnInterval && enemies.length < this.maxEnemies) {
             this.spawnTimer = 0;
             
-            // Determine spawn target (player or crystal)
+            // Determine spawn target (player or crystal); crystals draw groups in to fuse champions
             let spawnTarget = { x: playerX, y: playerY };
-            
-            // 60% chance to spawn near a crystal if any exist (increased for faster champion fusion)
-            if (crystals.length > 0 && Math.random() < 0.6) {
-                const crystal = crystals[Math.floor(Math.random() * crystals.length)];
+            if (crystals.length > 0 && this.rng.random() < (wave.crystalChance ?? 0)) {
+                const crystal = crystals[Math.floor(this.rng.random() * crystals.length)];
                 spawnTarget = { x: crystal.x, y: crystal.y };
             }
             
-            // Get dynamic spawn distances based on camera zoom
-            const spawnDist = this.getSpawnDistances(camera);
-            
-            // Spawn 2-5 enemies based on difficulty (increased from 1-3)
-            const spawnCount = Math.min(5, Math.ceil(this.difficulty) + 1);
-            
-            for (let i = 0; i < spawnCount; i++) {
-                const pos = randomPositionInRing(
-                    spawnTarget.x, 
-                    spawnTarget.y, 
-                    spawnDist.min, 
-                    spawnDist.max
-                );
-                
-                // Choose enemy type based on difficulty
-                let type = 'small';
-                const roll = Math.random();
-                if (this.difficulty >= 3 && roll < 0.2) {
-                    type = 'large';
-                } else if (this.difficulty >= 2 && roll < 0.4) {
-                    type = 'medium';
-                }
-                
-                enemies.push(new Enemy(pos.x, pos.y, type));
+            const count = randomInt(wave.groupSize[0], wave.groupSize[1], this.rng);
+            const formations = wave.formations;
+            const formation = weightedRandomChoice(Object.keys(formations), Object.values(formations), this.rng);
+            this.spawnGroup(spawnTarget.x, spawnTarget.y, count, formation, wave.weights, spawnDist, enemies);
+        }
+    }
+
+    // Fire the timeline events that are due
+    runEvents(playerX, playerY, enemies, spawnDist) {
+        const events = this.timeline.events ?? [];
+        while (this.nextEventIndex < events.length && events[this.nextEventIndex].time <= this.gameTime) {
+            const event = events[this.nextEventIndex++];
+            switch (event.type) {
+                case 'horde':
+                    this.spawnGroup(playerX, playerY, event.count, event.formation, event.weights, spawnDist, enemies);
+                    break;
+                case 'lull':
+                    this.lullTime = event.duration;
+                    break;
             }
         }
     }
+
+    /**
+     * Spawn a group of enemies in a formation around a point (cut short at maxEnemies)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} count
+     * @param {string} formation - Key in FORMATIONS
+     * @param {Object} weights - { type: weight }
+     * @param {Object} spawnDist - { min, max } from getSpawnDistances
+     * @param {Enemy[]} enemies - Where the new enemies go
+     */
+    spawnGroup(x, y, count, formation, weights, spawnDist, enemies) {
+        count = Math.min(count, this.maxEnemies - enemies.length);
+        if (count <= 0) return;
+        
+        for (const pos of FORMATIONS[formation](count, x, y, spawnDist, this.rng)) {
+            const type = this.chooseType(weights);
+            const scaling = this.getScaling(rollEliteTier(this.gameTime, this.rng, this.eliteChance));
+            const affixes = rollAffixes(this.difficulty, this.rng, this.eliteChance);
+            enemies.push(this.enemyPool.acquire(pos.x, pos.y, type, this.rng, scaling, affixes));
+        }
+    }
 }
 
 // Champion class - powerful enemy created from enemy fusion around crystals
 export class Champion {
-    constructor(x, y, crystalType) {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} crystalType - 'heat', 'cold' or 'force'
+     * @param {Object} scaling - Stat multipliers from getStatScaling (see scaling.js)
+     */
+    constructor(x, y, crystalType, scaling = BASE_SCALING) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position before the last simulation step (for interpolated rendering)
+        this.prevY = y;
         this.crystalType = crystalType;
         this.isChampion = true; // Flag to identify champions
         
-        // Base stats
-        this.radius = CHAMPION_CONFIG.radius;
-        this.baseSpeed = CHAMPION_CONFIG.speed;
-        this.speed = CHAMPION_CONFIG.speed;
-        this.maxHealth = CHAMPION_CONFIG.health;
-        this.health = CHAMPION_CONFIG.health;
-        this.damage = CHAMPION_CONFIG.damage;
-        this.xp = CHAMPION_CONFIG.xp;
+        // Base stats, scaled by how far into the run the champion formed
+        this.radius = CHAMPION_CONFIG.radius * scaling.radius;
+        this.baseSpeed = CHAMPION_CONFIG.speed * scaling.speed;
+        this.speed = this.baseSpeed;
+        this.maxHealth = CHAMPION_CONFIG.health * scaling.health;
+        this.health = this.maxHealth;
+        this.damage = CHAMPION_CONFIG.damage * scaling.damage;
+        this.xp = CHAMPION_CONFIG.xp * scaling.xp;
+        this.damageScale = scaling.damage;
         
         // Type-specific configuration
         const typeConfig = CHAMPION_CONFIG.types[crystalType];
@@ -462,21 +857,37 @@ export class Champion {
         this.targetX = x;
         this.targetY = y;
         
-        // Slow effect
-        this.slowAmount = 0;
-        this.slowTime = 0;
+        // Status effects (slow, burn, freeze, stun, vulnerable, weaken)
+        this.statusEffects = new StatusEffectManager();
+        this.stunImmuneTime = 0; // Counts down through a stun and CHAMPION_CONFIG.stunImmunityTime after it
         
         // Knockback
         this.knockbackX = 0;
         this.knockbackY = 0;
         
+        // Elemental marks from hits, and a reaction waiting for the hit's damage (see elements.js)
+        this.elementMarks = createElementMarks();
+        this.pendingReaction = null;
+        
         // Visual
         this.hurtTime = 0;
         this.pulsePhase = 0;
         this.crownRotation = 0;
         
-        // Ability cooldown
+        // Attack cycle (see CHAMPION_CONFIG): 'approach', 'windup', 'attack' or 'recover'
+        this.aiState = 'approach';
+        this.stateTimer = 0;
+        this.currentAbility = null; // 'primary' or 'enraged', from windup until the cycle ends
+        this.aimX = x;              // Where the telegraphed attack goes, locked when the windup starts
+        this.aimY = y;
+        
+        // Enraged below CHAMPION_CONFIG.enrageThreshold; then the two abilities take turns
+        this.enraged = false;
+        this.enragedTurn = false;
+        
+        // Ability cooldowns
         this.abilityCooldown = 0;
+        this.trailCooldown = 0;
         
         // Track last position for frost trail
         this.lastX = x;
@@ -489,9 +900,47 @@ export class Champion {
         this.targetY = y;
     }
 
+    // Slows keep the strongest amount and the longest duration
     applySlow(amount, duration) {
-        this.slowAmount = Math.max(this.slowAmount, amount);
-        this.slowTime = Math.max(this.slowTime, duration);
+        this.statusEffects.addEffect(createEnemyEffect('slow', Math.max(this.slowAmount, amount), duration));
+    }
+
+    /**
+     * Apply an enemy effect (refresh rules follow StatusEffectManager.addEffect)
+     * Stuns are ignored while stunned and for CHAMPION_CONFIG.stunImmunityTime afterwards
+     * @param {string} type - One of ENEMY_EFFECT_TYPES
+     * @param {number} amount
+     * @param {number} duration
+     */
+    applyStatusEffect(type, amount, duration) {
+        if (type === 'slow') {
+            this.applySlow(amount, duration);
+        } else if (type === 'stun') {
+            if (this.stunImmuneTime > 0) return;
+            this.stunImmuneTime = duration + CHAMPION_CONFIG.stunImmunityTime;
+            this.statusEffects.addEffect(createEnemyEffect(type, amount, duration));
+        } else {
+            this.statusEffects.addEffect(createEnemyEffect(type, amount, duration));
+        }
+    }
+
+    get slowAmount() {
+        return this.statusEffects.getStrongest('slow');
+    }
+
+    get slowTime() {
+        const [slow] = this.statusEffects.getEffectsByType('slow');
+        return slow ? slow.remaining : 0;
+    }
+
+    isStunned() {
+        return this.statusEffects.hasEffect('stun');
+    }
+
+    // Damage dealt to the player on contact (weaken lowers it, stunned enemies deal none)
+    getContactDamage() {
+        if (this.isStunned()) return 0;
+        return this.damage * this.statusEffects.getDamageDealtMultiplier();
     }
 
     applyKnockback(dirX, dirY, force) {
@@ -509,22 +958,19 @@ export class Champion {
         // Update visual effects
         this.pulsePhase += dt * 3;
         this.crownRotation += dt * 0.5;
+        updateElementMarks(this, dt);
         
-        // Update slow
-        if (this.slowTime > 0) {
-            this.slowTime -= dt;
-            this.speed = this.baseSpeed * (1 - this.slowAmount);
-        } else {
-            this.slowAmount = 0;
-            this.speed = this.baseSpeed;
-        }
+        // Speed follows the effects active at the start of the step (freeze and stun root)
+        this.speed = this.baseSpeed * this.statusEffects.getSpeedMultiplier();
+        this.statusEffects.update(dt);
         
         // Apply knockback
         if (Math.abs(this.knockbackX) > 0.1 || Math.abs(this.knockbackY) > 0.1) {
             this.x += this.knockbackX * dt * 10;
             this.y += this.knockbackY * dt * 10;
-            this.knockbackX *= 0.9;
-            this.knockbackY *= 0.9;
+            const decay = frameDecay(0.9, dt);
+            this.knockbackX *= decay;
+            this.knockbackY *= decay;
         }
         
         // Track movement for frost trail
@@ -534,78 +980,191 @@ export class Champion {
         this.lastX = this.x;
         this.lastY = this.y;
         
-        // Move toward target
-        const tdx = this.targetX - this.x;
-        const tdy = this.targetY - this.y;
-        const dir = normalize(tdx, tdy);
-        
-        this.x += dir.x * this.speed * dt;
-        this.y += dir.y * this.speed * dt;
-        
         // Update hurt visual
         if (this.hurtTime > 0) {
             this.hurtTime -= dt;
         }
         
-        // Update ability cooldown
+        // Update ability cooldowns
         if (this.abilityCooldown > 0) {
             this.abilityCooldown -= dt;
         }
+        if (this.trailCooldown > 0) {
+            this.trailCooldown -= dt;
+        }
+        if (this.stunImmuneTime > 0) {
+            this.stunImmuneTime -= dt;
+        }
         
-        // Return ability info if ready to use
-        return this.checkAbility();
+        // Stunned champions are rooted and can't act; a stun during the windup cancels the attack
+        if (this.isStunned()) {
+            if (this.aiState === 'windup') {
+                this.setAIState('recover', CHAMPION_CONFIG.recoverTime);
+            }
+            return null;
+        }
+        
+        return this.updateAI(dt);
     }
 
-    checkAbility() {
-        if (this.abilityCooldown > 0) {
+    moveTowardTarget(dt) {
+        const dir = normalize(this.targetX - this.x, this.targetY - this.y);
+        this.x += dir.x * this.speed * dt;
+        this.y += dir.y * this.speed * dt;
+    }
+
+    setAIState(state, duration = 0) {
+        this.aiState = state;
+        this.stateTimer = duration;
+    }
+
+    enrage() {
+        this.enraged = true;
+        this.enragedTurn = true; // Show off the new ability first
+        this.baseSpeed *= CHAMPION_CONFIG.enragedSpeedMultiplier;
+    }
+
+    getAbilityConfig(ability) {
+        return ability === 'enraged' ? this.abilityConfig.enraged : this.abilityConfig;
+    }
+
+    // Telegraphed ability due next: 'primary', 'enraged', or null (cold champions only trail until enraged)
+    nextAbility() {
+        const config = this.abilityConfig;
+        if (this.enraged && (this.enragedTurn || config.passive)) {
+            return 'enraged';
+        }
+        return config.passive ? null : 'primary';
+    }
+
+    /**
+     * Run one step of the attack cycle: approach the target, wind up (telegraphed) once in range,
+     * fire at the spot locked at the start of the windup, then stand still to recover
+     * @param {number} dt
+     * @returns {Object|null} Ability for World.handleChampionAbility
+     */
+    updateAI(dt) {
+        if (!this.enraged && this.health <= this.maxHealth * CHAMPION_CONFIG.enrageThreshold) {
+            this.enrage();
+        }
+        
+        switch (this.aiState) {
+            case 'windup': {
+                this.stateTimer -= dt;
+                if (this.stateTimer > 0) return null;
+                
+                const ability = this.createAbility(this.currentAbility);
+                this.abilityCooldown = this.getAbilityConfig(this.currentAbility).abilityCooldown;
+                if (this.enraged) {
+                    this.enragedTurn = !this.enragedTurn;
+                }
+                this.setAIState('attack', CHAMPION_CONFIG.attackTime);
+                return ability;
+            }
+                
+            case 'attack':
+                this.stateTimer -= dt;
+                if (this.stateTimer <= 0) {
+                    this.setAIState('recover', CHAMPION_CONFIG.recoverTime);
+                }
+                return null;
+                
+            case 'recover':
+                this.stateTimer -= dt;
+                if (this.stateTimer <= 0) {
+                    this.setAIState('approach');
+                    this.currentAbility = null;
+                }
+                return null;
+        }
+        
+        // Approach
+        this.moveTowardTarget(dt);
+        
+        const next = this.nextAbility();
+        if (next && this.abilityCooldown <= 0 &&
+            distance(this.x, this.y, this.targetX, this.targetY) <= CHAMPION_CONFIG.attackRange) {
+            this.currentAbility = next;
+            this.aimX = this.targetX;
+            this.aimY = this.targetY;
+            this.setAIState('windup', this.getAbilityConfig(next).windupTime);
             return null;
         }
         
+        return this.checkTrail();
+    }
+
+    // Frost Trail - cold champions leave a slowing zone every 30 units they walk
+    checkTrail() {
+        if (this.crystalType !== 'cold' || this.trailCooldown > 0 || this.distanceMoved < 30) {
+            return null;
+        }
+        
+        this.distanceMoved = 0;
+        this.trailCooldown = this.abilityConfig.abilityCooldown;
+        return this.createAbility('primary');
+    }
+
+    /**
+     * Build an ability action, aimed at the locked aim point
+     * @param {string} ability - 'primary' (the crystal type's ability) or 'enraged'
+     * @returns {Object} Action for World.handleChampionAbility
+     */
+    createAbility(ability) {
         const config = this.abilityConfig;
         
+        if (ability === 'enraged') {
+            // Enraged abilities are pattern actions, like boss attacks (see bosses.js)
+            return {
+                ...config.enraged,
+                damage: config.enraged.damage * this.damageScale,
+                x: this.x,
+                y: this.y,
+                targetX: this.aimX,
+                targetY: this.aimY,
+                rotation: this.crownRotation
+            };
+        }
+        
         switch (this.crystalType) {
             case 'heat':
                 // Flame Burst - shoot fireballs at player
-                this.abilityCooldown = config.abilityCooldown;
                 return {
                     type: 'flameBurst',
                     x: this.x,
                     y: this.y,
-                    targetX: this.targetX,
-                    targetY: this.targetY,
-                    damage: config.abilityDamage,
+                    targetX: this.aimX,
+                    targetY: this.aimY,
+                    damage: config.abilityDamage * this.damageScale,
                     speed: config.projectileSpeed,
-                    count: config.projectileCount
+                    count: config.projectileCount,
+                    spreadAngle: config.spreadAngle,
+                    burnDamage: config.burnDamage,
+                    burnDuration: config.burnDuration
                 };
                 
             case 'cold':
                 // Frost Trail - leave freezing zones behind
-                if (this.distanceMoved >= 30) {
-                    this.distanceMoved = 0;
-                    this.abilityCooldown = config.abilityCooldown;
-                    return {
-                        type: 'frostTrail',
-                        x: this.x,
-                        y: this.y,
-                        radius: config.trailRadius,
-                        duration: config.trailDuration,
-                        damage: config.abilityDamage,
-                        slowAmount: config.slowAmount,
-                        slowDuration: config.slowDuration
-                    };
-                }
-                return null;
+                return {
+                    type: 'frostTrail',
+                    x: this.x,
+                    y: this.y,
+                    radius: config.trailRadius,
+                    duration: config.trailDuration,
+                    damage: config.abilityDamage * this.damageScale,
+                    slowAmount: config.slowAmount,
+                    slowDuration: config.slowDuration
+                };
                 
             case 'force':
                 // Force Beam - piercing beam toward player
-                this.abilityCooldown = config.abilityCooldown;
                 return {
                     type: 'forceBeam',
                     x: this.x,
                     y: this.y,
-                    targetX: this.targetX,
-                    targetY: this.targetY,
-                    damage: config.abilityDamage,
+                    targetX: this.aimX,
+                    targetY: this.aimY,
+                    damage: config.abilityDamage * this.damageScale,
                     speed: config.beamSpeed,
                     piercing: config.beamPiercing,
                     knockback: config.knockback
@@ -645,6 +1204,11 @@ export class Champion {
             ctx.fill();
         }
         
+        // Where the attack being wound up will land
+        if (this.aiState === 'windup') {
+            this.renderTelegraph(ctx, camera, screen, scale);
+        }
+        
         // Crown spikes (behind body)
         this.renderCrown(ctx, screen, r, scale);
         
@@ -655,9 +1219,9 @@ export class Champion {
         ctx.arc(screen.x, screen.y, r * pulse, 0, Math.PI * 2);
         ctx.fill();
         
-        // Dark outline (thicker for champions)
-        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.lineWidth = 3 * scale;
+        // Dark outline (thicker for champions), angry red once enraged
+        ctx.strokeStyle = this.enraged ? '#ff1744' : 'rgba(0, 0, 0, 0.7)';
+        ctx.lineWidth = (this.enraged ? 5 : 3) * scale;
         ctx.stroke();
         
         // Inner shading with crystal core
@@ -683,6 +1247,65 @@ export class Champion {
         
         // Health bar (always show for champions)
         this.renderHealthBar(ctx, screen, scale);
+        
+        renderStatusIndicators(ctx, this.statusEffects, screen, r, scale);
+        
+        // Marks sit above the health bar
+        renderElementMarks(ctx, this, screen, r + 10 * scale, scale);
+    }
+
+    // Wind-up warning, brightening as the attack nears: aim lines for shots, the target area
+    // for zones, and a ring closing in on the champion for novas
+    renderTelegraph(ctx, camera, screen, scale) {
+        const action = this.createAbility(this.currentAbility);
+        const progress = 1 - this.stateTimer / this.getAbilityConfig(this.currentAbility).windupTime;
+        const aim = camera.worldToScreen(this.aimX, this.aimY);
+        
+        ctx.save();
+        ctx.globalAlpha = 0.25 + progress * 0.6;
+        ctx.strokeStyle = this.eyeColor;
+        ctx.fillStyle = this.eyeColor;
+        ctx.lineWidth = 2 * scale;
+        
+        switch (action.type) {
+            case 'hazardZones': {
+                const r = action.radius * scale;
+                ctx.beginPath();
+                ctx.arc(aim.x, aim.y, r, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.globalAlpha *= 0.4;
+                ctx.beginPath();
+                ctx.arc(aim.x, aim.y, r * progress, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            }
+                
+            case 'projectileRing':
+                ctx.lineWidth = (2 + progress * 4) * scale;
+                ctx.beginPath();
+                ctx.arc(screen.x, screen.y, this.radius * scale * (1.2 + 2 * (1 - progress)), 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+                
+            default: {
+                // Aimed shots: one line per projectile
+                const count = action.count || 1;
+                const spread = action.type === 'flameBurst' ? action.spreadAngle * (count - 1) : (action.spread || 0);
+                const baseAngle = angle(screen.x, screen.y, aim.x, aim.y);
+                const length = Math.max(distance(screen.x, screen.y, aim.x, aim.y), this.radius * 3 * scale);
+                ctx.lineWidth = (2 + progress * 4) * scale;
+                ctx.lineCap = 'round';
+                for (let i = 0; i < count; i++) {
+                    const lineAngle = baseAngle + (count > 1 ? (i / (count - 1) - 0.5) * spread : 0);
+                    ctx.beginPath();
+                    ctx.moveTo(screen.x, screen.y);
+                    ctx.lineTo(screen.x + Math.cos(lineAngle) * length, screen.y + Math.sin(lineAngle) * length);
+                    ctx.stroke();
+                }
+            }
+        }
+        
+        ctx.restore();
     }
 
     renderCrown(ctx, screen, r, scale) {
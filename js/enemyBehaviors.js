@@ -0,0 +1,238 @@
+// Enemy behaviours
+// Each ENEMY_TYPES entry names a behaviour. Enemy.update handles what every enemy shares (status
+// effects, knockback, orbiting crystals) and hands movement to the behaviour otherwise. Behaviours keep
+// their state in the enemy's generic fields (abilityTimer, behaviorState, stateTimer, dashX/dashY)
+// and may return an action for the World to carry out, like Champion.updateAI():
+//   { type: 'spit', x, y, targetX, targetY, damage, speed }
+//   { type: 'shamanPulse', x, y, radius, heal, hasteAmount, hasteDuration }
+// Closing in on the player follows the World's flow field when there is one (see flowField.js).
+
+import { distance, normalize } from './utils.js';
+
+/**
+ * Chase the player when aware of them, otherwise wander
+ * @returns {boolean} Whether the enemy is aware of the player
+ */
+function updateAwareness(enemy, playerX, playerY, playerAggroModifier) {
+    const distToPlayer = distance(enemy.x, enemy.y, playerX, playerY);
+    enemy.isAwareOfPlayer = distToPlayer <= enemy.awarenessRadius * playerAggroModifier;
+    return enemy.isAwareOfPlayer;
+}
+
+function moveToward(enemy, x, y, speed, dt) {
+    const dir = normalize(x - enemy.x, y - enemy.y);
+    enemy.x += dir.x * speed * dt;
+    enemy.y += dir.y * speed * dt;
+}
+
+// Head for the player along the flow field, or straight at them outside it
+function approach(enemy, playerX, playerY, speed, dt, flowField) {
+    const dir = flowField && flowField.sample(enemy.x, enemy.y, playerX, playerY);
+    if (!dir) {
+        moveToward(enemy, playerX, playerY, speed, dt);
+        return;
+    }
+    enemy.x += dir.x * speed * dt;
+    enemy.y += dir.y * speed * dt;
+}
+
+// Drift in a random direction at half speed, picking a new one every 2-4 seconds
+function wander(enemy, dt) {
+    enemy.wanderTimer += dt;
+    if (enemy.wanderTimer >= enemy.wanderChangeInterval) {
+        enemy.wanderTimer = 0;
+        enemy.wanderAngle = enemy.rng.random() * Math.PI * 2;
+        enemy.wanderChangeInterval = 2.0 + enemy.rng.random() * 2.0;
+    }
+
+    const wanderSpeed = enemy.speed * 0.5;
+    enemy.x += Math.cos(enemy.wanderAngle) * wanderSpeed * dt;
+    enemy.y += Math.sin(enemy.wanderAngle) * wanderSpeed * dt;
+
+    // Look in movement direction
+    enemy.targetX = enemy.x + Math.cos(enemy.wanderAngle) * 100;
+    enemy.targetY = enemy.y + Math.sin(enemy.wanderAngle) * 100;
+}
+
+// Approach beyond the far edge of the range, back off inside the near edge, hold in between
+function keepDistance(enemy, playerX, playerY, range, dt, flowField) {
+    const dist = distance(enemy.x, enemy.y, playerX, playerY);
+    if (dist > range * 1.15) {
+        approach(enemy, playerX, playerY, enemy.speed, dt, flowField);
+    } else if (dist < range * 0.85) {
+        moveToward(enemy, playerX, playerY, -enemy.speed, dt);
+    }
+    return dist;
+}
+
+const chase = {
+    update(enemy, dt, playerX, playerY, playerAggroModifier, config, flowField) {
+        if (updateAwareness(enemy, playerX, playerY, playerAggroModifier)) {
+            enemy.targetX = playerX;
+            enemy.targetY = playerY;
+            approach(enemy, playerX, playerY, enemy.speed, dt, flowField);
+        } else {
+            wander(enemy, dt);
+        }
+        return null;
+    }
+};
+
+export const ENEMY_BEHAVIORS = {
+    // Default: chase when aware, wander otherwise
+    chase,
+
+    // Spitter: hold at preferredRange and lob projectiles every abilityCooldown
+    ranged: {
+        update(enemy, dt, playerX, playerY, playerAggroModifier, config, flowField) {
+            if (!updateAwareness(enemy, playerX, playerY, playerAggroModifier)) {
+                wander(enemy, dt);
+                return null;
+            }
+
+            enemy.targetX = playerX;
+            enemy.targetY = playerY;
+            const dist = keepDistance(enemy, playerX, playerY, config.preferredRange, dt, flowField);
+
+            if (enemy.abilityTimer <= 0 && dist <= config.fireRange) {
+                enemy.abilityTimer = config.abilityCooldown;
+                return {
+                    type: 'spit',
+                    x: enemy.x,
+                    y: enemy.y,
+                    targetX: playerX,
+                    targetY: playerY,
+                    damage: config.projectileDamage * enemy.damageScale,
+                    speed: config.projectileSpeed
+                };
+            }
+            return null;
+        },
+
+        // Glowing venom sac
+        render(ctx, enemy, screen, r, scale) {
+            const ready = enemy.abilityTimer <= 0.5;
+            ctx.fillStyle = ready ? '#d4e157' : '#9ccc65';
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r * (ready ? 0.45 : 0.3), 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+
+    // Charger: chase, then stop and telegraph (windup) before dashing along a locked direction
+    charger: {
+        update(enemy, dt, playerX, playerY, playerAggroModifier, config, flowField) {
+            // Slows and freezes scale the dash like any other movement
+            const speedScale = enemy.baseSpeed > 0 ? enemy.speed / enemy.baseSpeed : 0;
+
+            switch (enemy.behaviorState) {
+                case 'windup':
+                    enemy.stateTimer -= dt;
+                    if (enemy.stateTimer <= 0) {
+                        enemy.behaviorState = 'dash';
+                        enemy.stateTimer = config.dashDuration;
+                    }
+                    return null;
+
+                case 'dash':
+                    enemy.x += enemy.dashX * config.dashSpeed * speedScale * dt;
+                    enemy.y += enemy.dashY * config.dashSpeed * speedScale * dt;
+                    enemy.stateTimer -= dt;
+                    if (enemy.stateTimer <= 0) {
+                        enemy.behaviorState = 'idle';
+                        enemy.abilityTimer = config.abilityCooldown;
+                    }
+                    return null;
+            }
+
+            chase.update(enemy, dt, playerX, playerY, playerAggroModifier, config, flowField);
+            if (enemy.isAwareOfPlayer && enemy.abilityTimer <= 0 &&
+                distance(enemy.x, enemy.y, playerX, playerY) <= config.chargeRange) {
+                const dir = normalize(playerX - enemy.x, playerY - enemy.y);
+                enemy.dashX = dir.x;
+                enemy.dashY = dir.y;
+                enemy.behaviorState = 'windup';
+                enemy.stateTimer = config.windupTime;
+            }
+            return null;
+        },
+
+        // Windup: a line showing where the dash will go, brightening as it nears
+        render(ctx, enemy, screen, r, scale, config) {
+            if (enemy.behaviorState !== 'windup') return;
+
+            const progress = 1 - enemy.stateTimer / config.windupTime;
+            const length = config.dashSpeed * config.dashDuration * scale;
+            ctx.strokeStyle = `rgba(255, 152, 0, ${0.25 + progress * 0.6})`;
+            ctx.lineWidth = r * 0.8;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(screen.x, screen.y);
+            ctx.lineTo(screen.x + enemy.dashX * length, screen.y + enemy.dashY * length);
+            ctx.stroke();
+        }
+    },
+
+    // Splitter: chases like the default; the World breaks it into config.splitInto when it dies
+    splitter: {
+        update: chase.update,
+
+        // Seams where it will break apart
+        render(ctx, enemy, screen, r, scale, config) {
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.lineWidth = 2 * scale;
+            for (let i = 0; i < config.splitCount; i++) {
+                const a = i * Math.PI * 2 / config.splitCount;
+                ctx.beginPath();
+                ctx.moveTo(screen.x, screen.y);
+                ctx.lineTo(screen.x + Math.cos(a) * r, screen.y + Math.sin(a) * r);
+                ctx.stroke();
+            }
+        }
+    },
+
+    // Shaman: hangs back at supportRange and periodically heals and hastes enemies around it
+    support: {
+        update(enemy, dt, playerX, playerY, playerAggroModifier, config, flowField) {
+            if (updateAwareness(enemy, playerX, playerY, playerAggroModifier)) {
+                enemy.targetX = playerX;
+                enemy.targetY = playerY;
+                keepDistance(enemy, playerX, playerY, config.supportRange, dt, flowField);
+            } else {
+                wander(enemy, dt);
+            }
+
+            // stateTimer drives the pulse visual
+            if (enemy.stateTimer > 0) {
+                enemy.stateTimer -= dt;
+            }
+
+            if (enemy.abilityTimer <= 0) {
+                enemy.abilityTimer = config.abilityCooldown;
+                enemy.stateTimer = 0.5;
+                return {
+                    type: 'shamanPulse',
+                    x: enemy.x,
+                    y: enemy.y,
+                    radius: config.auraRadius,
+                    heal: config.healAmount * enemy.healthScale,
+                    hasteAmount: config.hasteAmount,
+                    hasteDuration: config.hasteDuration
+                };
+            }
+            return null;
+        },
+
+        // Expanding pulse right after a cast
+        render(ctx, enemy, screen, r, scale, config) {
+            if (enemy.stateTimer <= 0) return;
+
+            const progress = 1 - enemy.stateTimer / 0.5;
+            ctx.strokeStyle = `rgba(105, 240, 174, ${1 - progress})`;
+            ctx.lineWidth = 3 * scale;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, config.auraRadius * scale * progress, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+};
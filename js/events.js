@@ -0,0 +1,97 @@
+// Game event bus - lets subsystems react to what happens in a run without calling each other
+//
+// Publishers emit one of GAME_EVENTS with a payload object; subscribers are called synchronously,
+// in subscription order, so a seeded run behaves the same whoever is listening.
+
+export const GAME_EVENTS = Object.freeze({
+    ENEMY_KILLED: 'enemyKilled',                    // { target, source, sourceId, damageType, overkill, isChampion }
+    CRYSTAL_COLLECTED: 'crystalCollected',          // { crystal, type, totalCrystals }
+    FUSION_STARTED: 'fusionStarted',                // { crystal, participants }
+    FUSION_CANCELLED: 'fusionCancelled',            // { crystal, reason: 'orbiterKilled', 'crystalCollected' or 'scattered' }
+    CHAMPION_FUSED: 'championFused',                // { champion, crystal, participants, strength }
+    POWER_CAST: 'powerCast',                        // { powerId, level, category }
+    PLAYER_DAMAGED: 'playerDamaged',                // { amount, source, health }
+    LEVEL_UP: 'levelUp',                            // { level }
+    STATUS_EFFECT_APPLIED: 'statusEffectApplied',   // { owner, effect }
+    STATUS_EFFECT_EXPIRED: 'statusEffectExpired',   // { owner, effect }
+    ELEMENT_REACTION: 'elementReaction',            // { reactionId, target, source, x, y }
+    BOSS_WARNING: 'bossWarning',                    // { bossId, name, arrivesIn }
+    BOSS_SPAWNED: 'bossSpawned',                    // { boss }
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',         // { boss, phase }
+    BOSS_DEFEATED: 'bossDefeated',                  // { boss, reward }
+    DIRECTOR_DECISION: 'directorDecision'           // { decision } (see director.js)
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+function checkType(type) {
+    if (!KNOWN_EVENTS.has(type)) {
+        throw new Error(`Unknown game event: ${type}`);
+    }
+}
+
+export class EventBus {
+    constructor() {
+        this.handlers = new Map(); // event type -> handlers in subscription order
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, handler) {
+        checkType(type);
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe for a single emit
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} Call to unsubscribe before it fires
+     */
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        const idx = handlers.indexOf(handler);
+        if (idx !== -1) {
+            handlers.splice(idx, 1);
+        }
+    }
+
+    /**
+     * Publish an event to every current subscriber
+     * @param {string} type - One of GAME_EVENTS
+     * @param {Object} payload
+     */
+    emit(type, payload = {}) {
+        checkType(type);
+        const handlers = this.handlers.get(type);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers can unsubscribe (or subscribe) while the event is dispatched
+        for (const handler of [...handlers]) {
+            handler(payload);
+        }
+    }
+
+    // Drop every subscription
+    clear() {
+        this.handlers.clear();
+    }
+}
@@ -0,0 +1,259 @@
+// Flow field - one shared route to the player for the whole horde
+//
+// A square grid of cells centred on the player. compute() runs Dijkstra outward from the player's
+// cell once (8 neighbours, no corner cutting past blocked cells) and leaves every reachable cell with
+// a waypoint: the player's cell if it can see it, otherwise the cell it routes through. Chasing
+// enemies then look up their cell instead of each working out a path. With no blocked cells every
+// cell sees the player, so enemies head straight for them, exactly as before the field existed.
+//
+// Blocked cells come from the isBlocked hook, asked in world cell coordinates so terrain stays put
+// while the grid follows the player.
+
+import { normalize } from './utils.js';
+
+export const FLOW_FIELD_CONFIG = {
+    cellSize: 80,               // World units per cell
+    halfSize: 32,               // Cells from the centre to each edge (65 x 65 grid, +-2600 units)
+    recomputeInterval: 0.25     // Seconds between recomputes
+};
+
+const DIAGONAL_COST = Math.SQRT2;
+const NO_WAYPOINT = -1;
+
+// Neighbour offsets: orthogonal first, then diagonal
+const NEIGHBOURS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+export class FlowField {
+    /**
+     * @param {Object} config - Overrides for FLOW_FIELD_CONFIG (cellSize, halfSize)
+     */
+    constructor(config = {}) {
+        this.cellSize = config.cellSize ?? FLOW_FIELD_CONFIG.cellSize;
+        this.halfSize = config.halfSize ?? FLOW_FIELD_CONFIG.halfSize;
+        this.size = this.halfSize * 2 + 1;
+
+        const cellCount = this.size * this.size;
+        this.cost = new Float32Array(cellCount);        // Path length to the target cell, in cells
+        this.waypoint = new Int32Array(cellCount);      // Cell index to head for, NO_WAYPOINT if unreachable
+        this.settled = new Uint8Array(cellCount);
+        this.walls = new Uint8Array(cellCount);         // Blocked cells in the current window
+        this.heap = new MinHeap(cellCount);
+
+        // World cell of grid cell (0, 0), and the target the field was last computed for
+        this.originX = 0;
+        this.originY = 0;
+        this.targetX = 0;
+        this.targetY = 0;
+        this.built = false;
+
+        // Terrain hook: (cellX, cellY) => boolean, in world cell coordinates
+        this.isBlocked = null;
+    }
+
+    cellIndex(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Grid index of the cell containing a world position
+     * @returns {number} Index, or -1 outside the grid
+     */
+    indexAt(x, y) {
+        const gx = this.cellIndex(x) - this.originX;
+        const gy = this.cellIndex(y) - this.originY;
+        if (gx < 0 || gy < 0 || gx >= this.size || gy >= this.size) return -1;
+        return gy * this.size + gx;
+    }
+
+    blocked(gx, gy) {
+        return this.isBlocked !== null && this.isBlocked(gx + this.originX, gy + this.originY);
+    }
+
+    /**
+     * Recompute the field around a target position
+     * @param {number} targetX
+     * @param {number} targetY
+     */
+    compute(targetX, targetY) {
+        const size = this.size;
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.originX = this.cellIndex(targetX) - this.halfSize;
+        this.originY = this.cellIndex(targetY) - this.halfSize;
+        this.built = true;
+
+        this.cost.fill(Infinity);
+        this.waypoint.fill(NO_WAYPOINT);
+        this.settled.fill(0);
+
+        // Terrain for this window; without any, every cell can see the target
+        const walls = this.walls;
+        walls.fill(0);
+        let wallCount = 0;
+        if (this.isBlocked !== null) {
+            for (let gy = 0; gy < size; gy++) {
+                for (let gx = 0; gx < size; gx++) {
+                    if (this.blocked(gx, gy)) {
+                        walls[gy * size + gx] = 1;
+                        wallCount++;
+                    }
+                }
+            }
+        }
+
+        const target = this.halfSize * size + this.halfSize;
+        if (walls[target]) return;
+
+        const heap = this.heap;
+        heap.clear();
+        this.cost[target] = 0;
+        this.waypoint[target] = target;
+        heap.push(target, 0);
+
+        while (heap.length > 0) {
+            const index = heap.pop();
+            if (this.settled[index]) continue;
+            this.settled[index] = 1;
+
+            const gx = index % size;
+            const gy = (index - gx) / size;
+
+            // Keep the parent's waypoint while it is still in sight, otherwise head for the parent
+            if (index !== target && wallCount > 0) {
+                const parent = this.waypoint[index];
+                const inherited = this.waypoint[parent];
+                this.waypoint[index] = this.lineOfSight(walls, index, inherited) ? inherited : parent;
+            } else if (index !== target) {
+                this.waypoint[index] = target;
+            }
+
+            for (let n = 0; n < NEIGHBOURS.length; n++) {
+                const [ox, oy] = NEIGHBOURS[n];
+                const nx = gx + ox;
+                const ny = gy + oy;
+                if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
+
+                const next = ny * size + nx;
+                if (walls[next] || this.settled[next]) continue;
+
+                // Diagonals may not squeeze between two blocked cells' corners
+                const diagonal = n >= 4;
+                if (diagonal && (walls[gy * size + nx] || walls[ny * size + gx])) continue;
+
+                const cost = this.cost[index] + (diagonal ? DIAGONAL_COST : 1);
+                if (cost < this.cost[next]) {
+                    this.cost[next] = cost;
+                    this.waypoint[next] = index; // Parent until settled
+                    heap.push(next, cost);
+                }
+            }
+        }
+    }
+
+    // Whether the straight line between two cell centres stays clear of walls (sampled every half cell)
+    lineOfSight(walls, from, to) {
+        const size = this.size;
+        const fx = from % size;
+        const fy = (from - fx) / size;
+        const tx = to % size;
+        const ty = (to - tx) / size;
+
+        const steps = Math.ceil(Math.max(Math.abs(tx - fx), Math.abs(ty - fy)) * 2);
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const gx = Math.round(fx + (tx - fx) * t);
+            const gy = Math.round(fy + (ty - fy) * t);
+            if (walls[gy * size + gx]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Direction to move from a position
+     * @param {number} x
+     * @param {number} y
+     * @param {number} goalX - Where to head once the target cell is in sight (the player's current position)
+     * @param {number} goalY
+     * @returns {Object|null} Unit vector {x, y}, or null outside the field or with no route
+     */
+    sample(x, y, goalX, goalY) {
+        if (!this.built) return null;
+
+        const index = this.indexAt(x, y);
+        if (index < 0) return null;
+
+        const waypoint = this.waypoint[index];
+        if (waypoint === NO_WAYPOINT) return null;
+
+        const target = this.halfSize * this.size + this.halfSize;
+        if (waypoint === target) {
+            return normalize(goalX - x, goalY - y);
+        }
+
+        const wx = waypoint % this.size;
+        const wy = (waypoint - wx) / this.size;
+        return normalize(
+            (wx + this.originX + 0.5) * this.cellSize - x,
+            (wy + this.originY + 0.5) * this.cellSize - y
+        );
+    }
+
+    /**
+     * Path length from a position to the target, in cells
+     * @returns {number} Infinity outside the field or with no route
+     */
+    costAt(x, y) {
+        const index = this.indexAt(x, y);
+        return index < 0 || !this.built ? Infinity : this.cost[index];
+    }
+}
+
+// Binary min-heap of cell indices keyed by cost; cells may be pushed again with a lower cost
+class MinHeap {
+    constructor(capacity) {
+        // A cell is pushed at most once per neighbour
+        this.items = new Int32Array(capacity * NEIGHBOURS.length);
+        this.keys = new Float32Array(capacity * NEIGHBOURS.length);
+        this.length = 0;
+    }
+
+    clear() {
+        this.length = 0;
+    }
+
+    push(item, key) {
+        let i = this.length++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] <= key) break;
+            this.items[i] = this.items[parent];
+            this.keys[i] = this.keys[parent];
+            i = parent;
+        }
+        this.items[i] = item;
+        this.keys[i] = key;
+    }
+
+    pop() {
+        const top = this.items[0];
+        const item = this.items[--this.length];
+        const key = this.keys[this.length];
+
+        let i = 0;
+        while (true) {
+            let child = i * 2 + 1;
+            if (child >= this.length) break;
+            if (child + 1 < this.length && this.keys[child + 1] < this.keys[child]) child++;
+            if (this.keys[child] >= key) break;
+            this.items[i] = this.items[child];
+            this.keys[i] = this.keys[child];
+            i = child;
+        }
+        this.items[i] = item;
+        this.keys[i] = key;
+        return top;
+    }
+}
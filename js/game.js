@@ -1,19 +1,24 @@
-// Main game file - ties everything together
-
-import { Player } from './player.js';
-import { Camera } from './camera.js';
-import { Enemy, EnemySpawner, Champion, CHAMPION_FUSION_THRESHOLD } from './enemy.js';
-import { Crystal, CrystalSpawner } from './crystal.js';
-import { Projectile, AreaEffect, RingEffect } from './projectile.js';
-import { PowerManager, POWERS } from './powers.js';
+// Main game file - browser shell that feeds input to the World and renders it
+
+import { World } from './world.js';
+import { ENEMY_TYPES } from './enemy.js';
+import { parseWaveTimeline } from './waves.js';
 import { UI } from './ui.js';
-import { circleCollision } from './collision.js';
-import { distance, angle, randomRange } from './utils.js';
-import { createSuperchargeEffect } from './statusEffects.js';
-import { generatePassiveUpgradeOptions } from './passiveUpgrades.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { deserializeWorld, saveToStorage, readSavedSnapshot, clearSavedGame } from './saveGame.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { FixedTimestep } from './timestep.js';
+import { lerp } from './utils.js';
+
+// The shipped spawn timeline (see waves.js)
+const WAVE_TIMELINE_URL = 'data/waves.json';
 
 class Game {
-    constructor() {
+    /**
+     * @param {Object} waveTimeline - Timeline new runs use (saves and replays bring their own)
+     */
+    constructor(waveTimeline) {
+        this.waveTimeline = waveTimeline;
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
         
@@ -23,29 +28,76 @@ class Game {
         this.ui = new UI();
         this.ui.onStart = () => this.startGame();
         this.ui.onRestart = () => this.restartGame();
+        this.ui.onDownloadReplay = () => this.downloadReplay();
+        this.ui.onLoadReplay = (replay) => this.startReplay(replay);
+        this.ui.onContinue = () => this.continueGame();
+        this.ui.onDeleteSave = () => this.deleteSave();
+        this.ui.onResume = () => this.closePauseMenu();
+        this.ui.onPauseRestart = () => this.restartFromPause();
+        this.ui.onQuitToTitle = () => this.quitToTitle();
+        this.ui.onSettingsChange = (settings) => this.updateSettings(settings);
         
         // Game state
         this.running = false;
-        this.paused = false;
-        this.gameTime = 0;
-        this.enemiesDefeated = 0;
+        this.pauseMenuOpen = false;
+        this.frameRequest = null;
+        this.timestep = new FixedTimestep(); // The World always steps at FIXED_DT
+        this.interpolated = [];              // [entity, x, y, ...] restored after each render
+        this.unbindUI = null; // Drops the UI's subscriptions to the current World's events
+        this.settings = loadSettings();
+        
+        // Replays - every live run is recorded; playback feeds a recording instead of the keyboard
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.lastReplay = null;
         
         // Input
         this.keys = {};
         this.setupInput();
         
+        // Autosave when the tab is hidden or closed so the run can be continued later
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.saveGame();
+                if (this.settings.pauseOnBlur) this.openPauseMenu();
+            }
+        });
+        window.addEventListener('beforeunload', () => this.saveGame());
+        
+        // Switching to another window pauses the run
+        window.addEventListener('blur', () => {
+            if (this.settings.pauseOnBlur) this.openPauseMenu();
+        });
+        
         // Show start screen
-        this.ui.showStartScreen();
+        this.showStartScreen();
+    }
+
+    showStartScreen() {
+        this.ui.showStartScreen(readSavedSnapshot());
     }
 
     resizeCanvas() {
+        // During playback the canvas keeps the recorded viewport size (CSS scales it to the window)
+        if (this.replayPlayer) return;
+        
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
+        
+        // Spawn distances depend on the viewport, so resizes are part of the recording
+        if (this.recorder) {
+            this.recorder.recordViewport(this.canvas.width, this.canvas.height);
+        }
     }
 
     setupInput() {
         window.addEventListener('keydown', (e) => {
-            this.keys[e.key.toLowerCase()] = true;
+            const key = e.key.toLowerCase();
+            if (key === 'escape' || key === 'p') {
+                if (!e.repeat) this.togglePauseMenu();
+                return;
+            }
+            this.keys[key] = true;
         });
         
         window.addEventListener('keyup', (e) => {
@@ -53,52 +105,45 @@ class Game {
         });
     }
 
-    init() {
-        // Player starts at origin
-        this.player = new Player(0, 0);
-        
-        // Camera
-        this.camera = new Camera(this.canvas);
-        this.camera.x = -this.canvas.width / 2;
-        this.camera.y = -this.canvas.height / 2;
-        
-        // Entity arrays
-        this.enemies = [];
-        this.champions = [];
-        this.crystals = [];
-        this.projectiles = [];
-        this.areaEffects = [];
-        this.ringEffects = [];
-        
-        // Enemy projectiles (from champions attacking the player)
-        this.enemyProjectiles = [];
-        
-        // Spawners
-        this.enemySpawner = new EnemySpawner();
-        this.crystalSpawner = new CrystalSpawner();
-        
-        // Power manager
-        this.powerManager = new PowerManager(
-            this.player,
-            this.projectiles,
-            this.areaEffects,
-            this.ringEffects
-        );
-        this.powerManager.setEnemies(this.enemies, this.champions);
-        
-        // Base attack
-        this.baseAttackCooldown = 0.8;
-        this.baseAttackTimer = 0;
+    init(replay = null, snapshot = null) {
+        if (replay) {
+            // Playback: the World gets the recorded seed, timeline and viewport, choices come from the replay
+            this.replayPlayer = new ReplayPlayer(replay, this.waveTimeline);
+            this.recorder = null;
+            this.world = this.replayPlayer.createWorld();
+            this.canvas.classList.add('playback');
+            this.syncPlaybackCanvas();
+        } else {
+            // Simulation state lives in the World; the canvas doubles as its viewport
+            this.replayPlayer = null;
+            this.recorder = null;
+            this.canvas.classList.remove('playback');
+            this.resizeCanvas();
+            // A continued run is rebuilt from its save snapshot (which the replay also carries)
+            this.world = snapshot
+                ? deserializeWorld(snapshot, this.canvas, this.waveTimeline)
+                : new World(this.canvas, { waveTimeline: this.waveTimeline });
+            this.recorder = new ReplayRecorder(this.world.seed, this.world.enemySpawner.timeline, this.canvas, snapshot);
+            this.world.onLevelUp = (options) => this.showLevelUp(options);
+            this.world.onPassiveUpgrade = (options) => this.showPassiveUpgrade(options);
+        }
+        this.world.onGameOver = () => this.gameOver();
+        
+        // HUD feedback follows the new World's events
+        if (this.unbindUI) this.unbindUI();
+        this.unbindUI = this.ui.bindEvents(this.world.events, this.world.player);
+        
+        // Render shortcuts
+        this.player = this.world.player;
+        this.camera = this.world.camera;
         
         // Ambient particles for background
         this.ambientParticles = [];
         this.initAmbientParticles();
         
-        // Game state reset
-        this.gameTime = 0;
-        this.enemiesDefeated = 0;
+        this.pauseMenuOpen = false;
+        this.timestep.reset();
         this.running = true;
-        this.paused = false;
     }
     
     initAmbientParticles() {
@@ -118,330 +163,196 @@ class Game {
         }
     }
 
-    startGame() {
-        this.ui.hideStartScreen();
-        this.init();
+    // Start the frame loop, replacing any loop that is still scheduled
+    startLoop() {
+        cancelAnimationFrame(this.frameRequest);
         this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.gameLoop(t));
+        this.frameRequest = requestAnimationFrame((t) => this.gameLoop(t));
     }
 
-    restartGame() {
-        this.ui.hideGameOver();
+    startGame() {
+        this.ui.hideStartScreen();
         this.init();
-        this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.gameLoop(t));
+        this.startLoop();
     }
 
-    gameLoop(currentTime) {
-        if (!this.running) return;
-        
-        const dt = Math.min((currentTime - this.lastTime) / 1000, 0.1);
-        this.lastTime = currentTime;
+    continueGame() {
+        const snapshot = readSavedSnapshot();
+        if (!snapshot) {
+            this.showStartScreen();
+            return;
+        }
         
-        if (!this.paused) {
-            this.update(dt);
+        try {
+            this.init(null, snapshot);
+        } catch (err) {
+            window.alert(`Could not continue saved run: ${err.message}`);
+            return;
         }
+        this.ui.hideStartScreen();
         
-        this.render();
+        // Re-open any level-up that was on screen when the game was saved
+        this.world.reopenPendingChoices();
         
-        requestAnimationFrame((t) => this.gameLoop(t));
+        this.startLoop();
     }
 
-    update(dt) {
-        this.gameTime += dt;
-        
-        // Handle input
-        this.handleInput();
-        
-        // Update ambient particles
-        this.updateAmbientParticles(dt);
-        
-        // Update player
-        this.player.update(dt);
-        
-        // Update camera
-        this.camera.follow(this.player);
-        this.camera.update();
-        
-        // Spawn enemies and crystals
-        this.enemySpawner.update(dt, this.player.x, this.player.y, this.enemies, this.crystals, this.camera);
-        this.crystalSpawner.update(dt, this.player.x, this.player.y, this.crystals, this.camera);
+    deleteSave() {
+        clearSavedGame();
+        this.showStartScreen();
+    }
+
+    // Save the live run (replays and finished runs are never saved)
+    saveGame() {
+        if (!this.running || this.replayPlayer || !this.world.running) return;
         
-        // Update crystals
-        for (const crystal of this.crystals) {
-            crystal.update(dt);
+        try {
+            saveToStorage(this.world);
+        } catch (err) {
+            console.warn('Could not save run:', err.message);
         }
-        
-        // Update enemies - orbit crystals or wander/chase player
-        // Get player's aggro modifier (from passive upgrades, if any)
-        const playerAggroModifier = this.player.aggroRadiusModifier || 1.0;
-        
-        for (const enemy of this.enemies) {
-            // Check if enemy should orbit a crystal
-            let foundCrystal = null;
-            
-            for (const crystal of this.crystals) {
-                const distToCrystal = distance(enemy.x, enemy.y, crystal.x, crystal.y);
-                if (distToCrystal < crystal.aggroRadius) {
-                    foundCrystal = crystal;
-                    break;
-                }
-            }
-            
-            if (foundCrystal) {
-                // Set enemy to orbit this crystal
-                enemy.setOrbitTarget(foundCrystal);
-            } else {
-                // No crystal nearby - enemy will wander or chase based on awareness
-                enemy.clearOrbitTarget();
-            }
-            
-            // Pass player position and aggro modifier for awareness checks
-            enemy.update(dt, this.player.x, this.player.y, playerAggroModifier);
+    }
+
+    restartGame() {
+        this.ui.hideGameOver();
+        this.init();
+        this.startLoop();
+    }
+
+    startReplay(replay) {
+        try {
+            this.init(replay);
+        } catch (err) {
+            window.alert(`Could not load replay: ${err.message}`);
+            return;
+        }
+        this.lastReplay = replay;
+        this.ui.hideStartScreen();
+        this.ui.hideGameOver();
+        this.startLoop();
+    }
+
+    togglePauseMenu() {
+        if (this.pauseMenuOpen) {
+            this.closePauseMenu();
+        } else {
+            this.openPauseMenu();
         }
-        
-        // Check for champion fusion (enemies orbiting crystals)
-        this.checkChampionFusion();
-        
-        // Update champions
-        this.updateChampions(dt);
-        
-        // Update enemy projectiles (from champions)
-        this.updateEnemyProjectiles(dt);
-        
-        // Base attack
-        this.updateBaseAttack(dt);
-        
-        // Update power manager
-        this.powerManager.update(dt);
-        
-        // Update projectiles
-        for (let i = this.projectiles.length - 1; i >= 0; i--) {
-            const proj = this.projectiles[i];
-            if (!proj.update(dt)) {
-                this.projectiles.splice(i, 1);
-                continue;
-            }
-            
-            // Check collisions with enemies
-            for (let j = this.enemies.length - 1; j >= 0; j--) {
-                const enemy = this.enemies[j];
-                if (proj.checkCollision(enemy)) {
-                    if (enemy.takeDamage(proj.damage)) {
-                        this.awardXp(enemy.xp);
-                        this.enemies.splice(j, 1);
-                        this.enemiesDefeated++;
-                    }
-                    if (!proj.piercing) {
-                        this.projectiles.splice(i, 1);
-                        break;
-                    }
-                }
-            }
-            
-            // Check collisions with champions
-            for (let j = this.champions.length - 1; j >= 0; j--) {
-                const champion = this.champions[j];
-                if (proj.checkCollision(champion)) {
-                    if (champion.takeDamage(proj.damage)) {
-                        this.awardXp(champion.xp);
-                        this.champions.splice(j, 1);
-                        this.enemiesDefeated += 5; // Champions count as 5 enemies
-                    }
-                    if (!proj.piercing) {
-                        this.projectiles.splice(i, 1);
-                        break;
-                    }
-                }
-            }
+    }
+
+    openPauseMenu() {
+        if (!this.running || this.pauseMenuOpen) return;
+        // A level-up choice already holds the run and has to be answered first
+        if (!this.replayPlayer && this.world.paused) return;
+        
+        this.pauseMenuOpen = true;
+        this.keys = {}; // Keys released while the menu is open would otherwise stick
+        this.ui.showPauseMenu(this.player, this.settings);
+    }
+
+    closePauseMenu() {
+        if (!this.pauseMenuOpen) return;
+        this.pauseMenuOpen = false;
+        this.ui.hidePauseMenu();
+    }
+
+    restartFromPause() {
+        this.closePauseMenu();
+        if (this.replayPlayer) {
+            this.startReplay(this.lastReplay);
+            return;
+        }
+        // Starting over abandons the current run, so its save goes too
+        clearSavedGame();
+        this.init();
+        this.startLoop();
+    }
+
+    quitToTitle() {
+        // Save first so the run can be picked up again with Continue
+        this.saveGame();
+        this.closePauseMenu();
+        this.running = false;
+        this.showStartScreen();
+    }
+
+    updateSettings(settings) {
+        this.settings = settings;
+        try {
+            saveSettings(settings);
+        } catch (err) {
+            console.warn('Could not save settings:', err.message);
         }
+    }
+
+    gameLoop(currentTime) {
+        if (!this.running) return;
         
-        // Update area effects
-        for (let i = this.areaEffects.length - 1; i >= 0; i--) {
-            const effect = this.areaEffects[i];
-            if (!effect.update(dt)) {
-                this.areaEffects.splice(i, 1);
-                continue;
-            }
-            
-            // Apply effects to enemies
-            if (effect.canDamage()) {
-                for (let j = this.enemies.length - 1; j >= 0; j--) {
-                    const enemy = this.enemies[j];
-                    if (effect.affectEnemy(enemy)) {
-                        if (enemy.takeDamage(effect.damage)) {
-                            this.awardXp(enemy.xp);
-                            this.enemies.splice(j, 1);
-                            this.enemiesDefeated++;
-                        }
-                    }
-                }
-                // Also affect champions
-                for (let j = this.champions.length - 1; j >= 0; j--) {
-                    const champion = this.champions[j];
-                    if (effect.affectEnemy(champion)) {
-                        if (champion.takeDamage(effect.damage)) {
-                            this.awardXp(champion.xp);
-                            this.champions.splice(j, 1);
-                            this.enemiesDefeated += 5;
-                        }
-                    }
-                }
-            } else {
-                // Still apply non-damage effects (slow, pull)
-                for (const enemy of this.enemies) {
-                    effect.affectEnemy(enemy);
-                }
-                for (const champion of this.champions) {
-                    effect.affectEnemy(champion);
-                }
-            }
-        }
+        const frameTime = (currentTime - this.lastTime) / 1000;
+        this.lastTime = currentTime;
         
-        // Update ring effects
-        for (let i = this.ringEffects.length - 1; i >= 0; i--) {
-            const ring = this.ringEffects[i];
-            if (!ring.update(dt)) {
-                this.ringEffects.splice(i, 1);
-                continue;
-            }
-            
-            // Check collisions with enemies
-            for (let j = this.enemies.length - 1; j >= 0; j--) {
-                const enemy = this.enemies[j];
-                if (ring.checkCollision(enemy)) {
-                    if (enemy.takeDamage(ring.damage)) {
-                        this.awardXp(enemy.xp);
-                        this.enemies.splice(j, 1);
-                        this.enemiesDefeated++;
-                    }
-                }
-            }
-            
-            // Check collisions with champions
-            for (let j = this.champions.length - 1; j >= 0; j--) {
-                const champion = this.champions[j];
-                if (ring.checkCollision(champion)) {
-                    if (champion.takeDamage(ring.damage)) {
-                        this.awardXp(champion.xp);
-                        this.champions.splice(j, 1);
-                        this.enemiesDefeated += 5;
-                    }
-                }
-            }
+        if (this.pauseMenuOpen) {
+            // Frozen: keep rendering the current frame under the menu
+        } else if (this.replayPlayer) {
+            this.updatePlayback(frameTime);
+        } else if (!this.world.paused) {
+            this.update(frameTime);
         }
         
-        // Check orbital shield collisions with enemies
-        const shieldHits = this.powerManager.checkOrbitalShieldCollisions(this.enemies);
-        for (const hit of shieldHits) {
-            if (hit.enemy.takeDamage(hit.damage)) {
-                this.awardXp(hit.enemy.xp);
-                const idx = this.enemies.indexOf(hit.enemy);
-                if (idx !== -1) {
-                    this.enemies.splice(idx, 1);
-                    this.enemiesDefeated++;
-                }
-            }
-        }
+        this.render();
         
-        // Check orbital shield collisions with champions
-        const championShieldHits = this.powerManager.checkOrbitalShieldCollisions(this.champions);
-        for (const hit of championShieldHits) {
-            if (hit.enemy.takeDamage(hit.damage)) {
-                this.awardXp(hit.enemy.xp);
-                const idx = this.champions.indexOf(hit.enemy);
-                if (idx !== -1) {
-                    this.champions.splice(idx, 1);
-                    this.enemiesDefeated += 5;
-                }
-            }
-        }
+        this.frameRequest = requestAnimationFrame((t) => this.gameLoop(t));
+    }
+
+    update(frameTime) {
+        // Update ambient particles (presentation only, so they use the real frame time)
+        this.updateAmbientParticles(Math.min(frameTime, 0.1));
+        
+        // Step the simulation in fixed steps; a level-up pause or death ends the frame's steps
+        this.timestep.advance(frameTime, (dt) => {
+            const input = this.handleInput();
+            this.recorder.recordFrame(dt, input.dx, input.dy);
+            this.world.update(dt);
+            return this.world.running && !this.world.paused;
+        });
         
-        // Check player-enemy collisions
-        for (const enemy of this.enemies) {
-            if (circleCollision(
-                this.player.x, this.player.y, this.player.radius,
-                enemy.x, enemy.y, enemy.radius
-            )) {
-                if (this.player.takeDamage(enemy.damage)) {
-                    // Apply frozen armor slow if player has it
-                    const frozenArmor = this.player.powers.find(p => p.id === 'frozenArmor');
-                    if (frozenArmor) {
-                        enemy.applySlow(0.3 + frozenArmor.level * 0.1, 1.0);
-                    }
-                }
-            }
-        }
+        this.updateUI();
+    }
+
+    updatePlayback(frameTime) {
+        this.updateAmbientParticles(Math.min(frameTime, 0.1));
+        
+        // Recorded frames are played back at the fixed step rate
+        let advanced = true;
+        this.timestep.advance(frameTime, () => {
+            advanced = this.replayPlayer.step(this.world);
+            return advanced;
+        });
+        this.syncPlaybackCanvas();
+        this.updateUI();
         
-        // Check player-champion collisions
-        for (const champion of this.champions) {
-            if (circleCollision(
-                this.player.x, this.player.y, this.player.radius,
-                champion.x, champion.y, champion.radius
-            )) {
-                if (this.player.takeDamage(champion.damage)) {
-                    const frozenArmor = this.player.powers.find(p => p.id === 'frozenArmor');
-                    if (frozenArmor) {
-                        champion.applySlow(0.3 + frozenArmor.level * 0.1, 1.0);
-                    }
-                }
-            }
+        // Recording ran out before the player died
+        if (!advanced && this.world.running) {
+            this.gameOver();
         }
-        
-        // Check crystal collection
-        for (let i = this.crystals.length - 1; i >= 0; i--) {
-            const crystal = this.crystals[i];
-            if (circleCollision(
-                this.player.x, this.player.y, this.player.radius,
-                crystal.x, crystal.y, crystal.collectRadius
-            )) {
-                this.player.collectCrystal(crystal.type);
-                
-                // Apply supercharge effect - temporarily boost powers of this crystal type
-                this.player.statusEffects.addEffect(
-                    createSuperchargeEffect(crystal.type)
-                );
-                
-                this.crystals.splice(i, 1);
-                
-                // Check for level up
-                if (this.player.totalCrystals >= 5) {
-                    this.triggerLevelUp();
-                }
-            }
+    }
+
+    // Keep the canvas at the viewport size the replay is currently using
+    syncPlaybackCanvas() {
+        const viewport = this.world.camera.canvas;
+        if (this.canvas.width !== viewport.width || this.canvas.height !== viewport.height) {
+            this.canvas.width = viewport.width;
+            this.canvas.height = viewport.height;
         }
-        
-        // Update UI
+    }
+
+    updateUI() {
         this.ui.updateCrystals(this.player.crystals);
         this.ui.updatePowers(this.player.powers);
         this.ui.updateXpBar(this.player.xp, this.player.getXpForNextLevel(), this.player.playerLevel);
         this.ui.updatePassiveUpgrades(this.player.passiveUpgrades);
-        
-        // Check game over
-        if (this.player.health <= 0) {
-            this.gameOver();
-        }
-        
-        // Despawn far enemies (based on visible area)
-        const bounds = this.camera.getVisibleBounds();
-        const visibleWidth = bounds.right - bounds.left;
-        const visibleHeight = bounds.bottom - bounds.top;
-        const despawnDistance = Math.sqrt(visibleWidth * visibleWidth + visibleHeight * visibleHeight) * 0.75;
-        
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
-            if (distance(this.player.x, this.player.y, enemy.x, enemy.y) > despawnDistance) {
-                this.enemies.splice(i, 1);
-            }
-        }
-        
-        // Despawn far champions (with larger threshold since they're important)
-        for (let i = this.champions.length - 1; i >= 0; i--) {
-            const champion = this.champions[i];
-            if (distance(this.player.x, this.player.y, champion.x, champion.y) > despawnDistance * 1.5) {
-                this.champions.splice(i, 1);
-            }
-        }
+        this.ui.updateDebuffs(this.player.statusEffects);
+        this.ui.updateBossBar(this.world.getActiveBoss());
     }
 
     handleInput() {
@@ -453,7 +364,8 @@ class Game {
         if (this.keys['a'] || this.keys['arrowleft']) dx -= 1;
         if (this.keys['d'] || this.keys['arrowright']) dx += 1;
         
-        this.player.setMovement(dx, dy);
+        this.world.setMovementInput(dx, dy);
+        return { dx, dy };
     }
     
     updateAmbientParticles(dt) {
@@ -483,238 +395,75 @@ class Game {
         }
     }
 
-    updateBaseAttack(dt) {
-        this.baseAttackTimer += dt;
-        
-        // Include both enemies and champions as targets
-        const allTargets = [...this.enemies, ...this.champions];
-        
-        if (this.baseAttackTimer >= this.baseAttackCooldown && allTargets.length > 0) {
-            this.baseAttackTimer = 0;
-            
-            // Find nearest enemy or champion
-            let nearest = allTargets[0];
-            let nearestDist = distance(this.player.x, this.player.y, nearest.x, nearest.y);
-            
-            for (let i = 1; i < allTargets.length; i++) {
-                const dist = distance(this.player.x, this.player.y, allTargets[i].x, allTargets[i].y);
-                if (dist < nearestDist) {
-                    nearest = allTargets[i];
-                    nearestDist = dist;
-                }
-            }
-            
-            // Fire at nearest enemy
-            const angle = Math.atan2(nearest.y - this.player.y, nearest.x - this.player.x);
-            this.projectiles.push(new Projectile(
-                this.player.x,
-                this.player.y,
-                angle,
-                450,
-                10,
-                {
-                    radius: 6,
-                    color: '#ffffff',
-                    trailLength: 4,
-                    lifetime: 3.5
-                }
-            ));
-        }
+    showLevelUp(options) {
+        this.ui.showLevelUp(options, this.player.powers, (selectedPower) => {
+            this.recorder.recordChoice('power', selectedPower.id);
+            this.world.selectPower(selectedPower.id);
+        });
     }
 
-    triggerLevelUp() {
-        this.paused = true;
-        
-        const options = PowerManager.generatePowerOptions(
-            this.player.crystals,
-            this.player.powers
-        );
-        
-        this.ui.showLevelUp(options, this.player.powers, (selectedPower) => {
-            this.player.addPower({ id: selectedPower.id, passive: selectedPower.passive });
-            this.player.resetCrystals();
-            this.paused = false;
+    showPassiveUpgrade(options) {
+        this.ui.showPassiveUpgrade(options, this.player, (selectedUpgrade) => {
+            this.recorder.recordChoice('passive', selectedUpgrade.id);
+            this.world.selectPassiveUpgrade(selectedUpgrade.id);
         });
     }
 
     gameOver() {
         this.running = false;
-        this.ui.showGameOver(this.gameTime, this.enemiesDefeated);
-    }
-
-    // Award XP for killing an enemy and check for passive upgrade level up
-    awardXp(xpAmount) {
-        const leveledUp = this.player.addXp(xpAmount);
-        if (leveledUp) {
-            this.triggerPassiveUpgrade();
+        if (this.recorder) {
+            this.lastReplay = this.recorder.toJSON();
+            // The run is over, so there is nothing left to continue
+            clearSavedGame();
         }
+        this.ui.showGameOver(this.world.gameTime, this.world.enemiesDefeated);
     }
 
-    triggerPassiveUpgrade() {
-        this.paused = true;
-        
-        const options = generatePassiveUpgradeOptions(3);
-        
-        this.ui.showPassiveUpgrade(options, this.player, (selectedUpgrade) => {
-            this.player.addPassiveUpgrade(selectedUpgrade.id);
-            this.paused = false;
-        });
-    }
-
-    checkChampionFusion() {
-        // Check each crystal for enough orbiting enemies
-        for (let i = this.crystals.length - 1; i >= 0; i--) {
-            const crystal = this.crystals[i];
-            
-            // Find all enemies orbiting this crystal
-            const orbiters = this.enemies.filter(e => e.orbitTarget === crystal);
-            
-            if (orbiters.length >= CHAMPION_FUSION_THRESHOLD) {
-                // Fusion triggered! Remove orbiting enemies and crystal
-                for (const orbiter of orbiters) {
-                    const idx = this.enemies.indexOf(orbiter);
-                    if (idx !== -1) {
-                        this.enemies.splice(idx, 1);
-                    }
-                }
-                
-                // Remove the crystal
-                this.crystals.splice(i, 1);
-                
-                // Spawn a champion at the crystal's position
-                const champion = new Champion(crystal.x, crystal.y, crystal.type);
-                champion.setTarget(this.player.x, this.player.y);
-                this.champions.push(champion);
-            }
-        }
+    // Save the last finished (or watched) run as a JSON file
+    downloadReplay() {
+        if (!this.lastReplay) return;
+        
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `horde-replay-${this.lastReplay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
-    updateChampions(dt) {
-        for (let i = this.champions.length - 1; i >= 0; i--) {
-            const champion = this.champions[i];
-            
-            // Set target to player
-            champion.setTarget(this.player.x, this.player.y);
-            
-            // Update champion and check for ability usage
-            const abilityResult = champion.update(dt);
-            
-            if (abilityResult) {
-                this.handleChampionAbility(champion, abilityResult);
-            }
+    // Draw the world between its last two simulation steps
+    render() {
+        this.interpolatePositions(this.timestep.alpha);
+        try {
+            this.renderScene();
+        } finally {
+            this.restorePositions();
         }
     }
 
-    handleChampionAbility(champion, ability) {
-        switch (ability.type) {
-            case 'flameBurst':
-                // Shoot fireballs toward the player
-                const baseAngle = angle(ability.x, ability.y, ability.targetX, ability.targetY);
-                const spreadAngle = Math.PI / 6; // 30 degree spread
-                
-                for (let i = 0; i < ability.count; i++) {
-                    const offsetAngle = baseAngle + (i - (ability.count - 1) / 2) * spreadAngle;
-                    this.enemyProjectiles.push(new Projectile(
-                        ability.x,
-                        ability.y,
-                        offsetAngle,
-                        ability.speed,
-                        ability.damage,
-                        {
-                            radius: 12,
-                            color: '#ff6b35',
-                            trailLength: 8,
-                            lifetime: 3,
-                            isEnemyProjectile: true
-                        }
-                    ));
-                }
-                break;
-                
-            case 'frostTrail':
-                // Create a frost zone at the champion's position
-                this.areaEffects.push(new AreaEffect(
-                    ability.x,
-                    ability.y,
-                    ability.radius,
-                    0, // No damage to enemies
-                    ability.duration,
-                    {
-                        color: '#4fc3f7',
-                        damageInterval: 0.5,
-                        slowAmount: ability.slowAmount,
-                        slowDuration: ability.slowDuration,
-                        type: 'frostTrail',
-                        damagePlayer: true,
-                        playerDamage: ability.damage
-                    }
-                ));
-                break;
-                
-            case 'forceBeam':
-                // Shoot a piercing beam toward the player
-                const beamAngle = angle(ability.x, ability.y, ability.targetX, ability.targetY);
-                this.enemyProjectiles.push(new Projectile(
-                    ability.x,
-                    ability.y,
-                    beamAngle,
-                    ability.speed,
-                    ability.damage,
-                    {
-                        radius: 10,
-                        color: '#ba68c8',
-                        trailLength: 15,
-                        lifetime: 2,
-                        piercing: ability.piercing,
-                        knockback: ability.knockback,
-                        isEnemyProjectile: true
-                    }
-                ));
-                break;
-        }
+    // Move moving entities to their interpolated positions for drawing (restorePositions() undoes it)
+    interpolatePositions(alpha) {
+        const saved = this.interpolated;
+        this.world.forEachMovingEntity((entity) => {
+            saved.push(entity, entity.x, entity.y);
+            entity.x = lerp(entity.prevX, entity.x, alpha);
+            entity.y = lerp(entity.prevY, entity.y, alpha);
+        });
     }
 
-    updateEnemyProjectiles(dt) {
-        for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
-            const proj = this.enemyProjectiles[i];
-            
-            if (!proj.update(dt)) {
-                this.enemyProjectiles.splice(i, 1);
-                continue;
-            }
-            
-            // Check collision with player
-            if (circleCollision(
-                proj.x, proj.y, proj.radius,
-                this.player.x, this.player.y, this.player.radius
-            )) {
-                this.player.takeDamage(proj.damage);
-                
-                // Apply knockback to player if applicable
-                if (proj.knockback > 0) {
-                    // Player doesn't have knockback, but we could add it
-                }
-                
-                if (!proj.piercing) {
-                    this.enemyProjectiles.splice(i, 1);
-                }
-            }
-        }
-        
-        // Check frost trail effects damaging the player
-        for (const effect of this.areaEffects) {
-            if (effect.damagePlayer && effect.canDamage()) {
-                const dist = distance(effect.x, effect.y, this.player.x, this.player.y);
-                if (dist < effect.radius + this.player.radius) {
-                    this.player.takeDamage(effect.playerDamage || effect.damage);
-                    // Apply slow to player (optional - player doesn't have slow system)
-                }
-            }
+    restorePositions() {
+        const saved = this.interpolated;
+        for (let i = 0; i < saved.length; i += 3) {
+            saved[i].x = saved[i + 1];
+            saved[i].y = saved[i + 2];
         }
+        saved.length = 0;
     }
 
-    render() {
+    renderScene() {
         const ctx = this.ctx;
+        const world = this.world;
         
         // Clear canvas with gradient background
         const bgGradient = ctx.createRadialGradient(
@@ -730,54 +479,56 @@ class Game {
         this.renderGrid();
         
         // Draw ambient particles
-        this.renderAmbientParticles();
+        if (this.settings.ambientParticles) {
+            this.renderAmbientParticles();
+        }
         
         // Draw area effects (under everything)
-        for (const effect of this.areaEffects) {
+        for (const effect of world.areaEffects) {
             effect.render(ctx, this.camera);
         }
         
         // Draw ring effects
-        for (const ring of this.ringEffects) {
+        for (const ring of world.ringEffects) {
             ring.render(ctx, this.camera);
         }
         
         // Draw crystals
-        for (const crystal of this.crystals) {
+        for (const crystal of world.crystals) {
             if (this.camera.isVisible(crystal.x, crystal.y, 50)) {
                 crystal.render(ctx, this.camera);
             }
         }
         
         // Draw enemies
-        for (const enemy of this.enemies) {
+        for (const enemy of world.enemies) {
             if (this.camera.isVisible(enemy.x, enemy.y, enemy.radius)) {
                 enemy.render(ctx, this.camera);
             }
         }
         
         // Draw champions (larger, render after regular enemies)
-        for (const champion of this.champions) {
+        for (const champion of world.champions) {
             if (this.camera.isVisible(champion.x, champion.y, champion.radius * 2)) {
                 champion.render(ctx, this.camera);
             }
         }
         
         // Draw orbital shields (behind player)
-        this.powerManager.renderOrbitalShields(ctx, this.camera);
+        world.powerManager.renderOrbitalShields(ctx, this.camera);
         
         // Draw player
         this.player.render(ctx, this.camera);
         
         // Draw projectiles
-        for (const proj of this.projectiles) {
+        for (const proj of world.projectiles) {
             if (this.camera.isVisible(proj.x, proj.y, 20)) {
                 proj.render(ctx, this.camera);
             }
         }
         
         // Draw enemy projectiles (from champions)
-        for (const proj of this.enemyProjectiles) {
+        for (const proj of world.enemyProjectiles) {
             if (this.camera.isVisible(proj.x, proj.y, 20)) {
                 proj.render(ctx, this.camera);
             }
@@ -851,8 +602,8 @@ class Game {
 
     renderGameTime() {
         const ctx = this.ctx;
-        const minutes = Math.floor(this.gameTime / 60);
-        const seconds = Math.floor(this.gameTime % 60);
+        const minutes = Math.floor(this.world.gameTime / 60);
+        const seconds = Math.floor(this.world.gameTime % 60);
         const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
         
         ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
@@ -862,9 +613,31 @@ class Game {
         ctx.font = '20px "Segoe UI", sans-serif';
         ctx.textAlign = 'center';
         ctx.fillText(timeStr, this.canvas.width / 2, 32);
+        
+        // Playback indicator
+        if (this.replayPlayer) {
+            ctx.fillStyle = '#ff5252';
+            ctx.font = 'bold 14px "Segoe UI", sans-serif';
+            ctx.fillText('● REPLAY', this.canvas.width / 2, 58);
+        }
+    }
+}
+
+/**
+ * Fetch the shipped wave timeline and validate it
+ * @returns {Promise<Object>}
+ */
+async function loadWaveTimeline() {
+    const response = await fetch(WAVE_TIMELINE_URL);
+    if (!response.ok) {
+        throw new Error(`${WAVE_TIMELINE_URL}: ${response.status} ${response.statusText}`);
     }
+    return parseWaveTimeline(await response.text(), Object.keys(ENEMY_TYPES));
 }
 
-// Start the game
-const game = new Game();
+// Start the game once its wave timeline has loaded
+loadWaveTimeline().then(
+    (waveTimeline) => new Game(waveTimeline),
+    (err) => window.alert(`Could not load the wave timeline: ${err.message}`)
+);
 
@@ -1,5 +1,7 @@
 // Passive Upgrades - permanent bonuses earned through XP leveling
 
+import { requireRng } from './random.js';
+
 export const PASSIVE_UPGRADES = {
     coldRateOfFire: {
         id: 'coldRateOfFire',
@@ -60,13 +62,14 @@ export const PASSIVE_UPGRADES = {
 };
 
 // Generate random passive upgrade options for level up
-export function generatePassiveUpgradeOptions(count = 3) {
+export function generatePassiveUpgradeOptions(count, rng) {
+    requireRng(rng, 'generatePassiveUpgradeOptions');
     const allUpgrades = Object.values(PASSIVE_UPGRADES);
     const options = [];
     const available = [...allUpgrades];
     
     while (options.length < count && available.length > 0) {
-        const index = Math.floor(Math.random() * available.length);
+        const index = Math.floor(rng.random() * available.length);
         options.push({ ...available[index] });
         available.splice(index, 1);
     }
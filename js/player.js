@@ -1,6 +1,7 @@
 // Player class
 
-import { StatusEffectManager } from './statusEffects.js';
+import { StatusEffectManager, createEnemyEffect } from './statusEffects.js';
+import { frameDecay } from './utils.js';
 import { 
     PASSIVE_UPGRADES, 
     getSpeedBonus, 
@@ -12,6 +13,8 @@ export class Player {
     constructor(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position before the last simulation step (for interpolated rendering)
+        this.prevY = y;
         this.radius = 20;
         this.baseSpeed = 250;
         this.speed = 250;
@@ -22,6 +25,10 @@ export class Player {
         this.vx = 0;
         this.vy = 0;
         
+        // Knockback (from champion force beams)
+        this.knockbackX = 0;
+        this.knockbackY = 0;
+        
         // Crystal inventory
         this.crystals = {
             heat: 0,
@@ -52,7 +59,7 @@ export class Player {
         this.flashTime = 0;
         this.rotationAngle = 0;
         
-        // Status effects (supercharge, etc.)
+        // Status effects (supercharge, and slow/burn debuffs from champions)
         this.statusEffects = new StatusEffectManager();
     }
 
@@ -73,9 +80,19 @@ export class Player {
     }
 
     update(dt) {
-        // Apply movement
-        this.x += this.vx * this.speed * dt;
-        this.y += this.vy * this.speed * dt;
+        // Apply movement (slows scale the player's own movement, not knockback)
+        const speed = this.speed * this.statusEffects.getSpeedMultiplier();
+        this.x += this.vx * speed * dt;
+        this.y += this.vy * speed * dt;
+        
+        // Apply knockback (same curve as enemies)
+        if (Math.abs(this.knockbackX) > 0.1 || Math.abs(this.knockbackY) > 0.1) {
+            this.x += this.knockbackX * dt * 10;
+            this.y += this.knockbackY * dt * 10;
+            const decay = frameDecay(0.9, dt);
+            this.knockbackX *= decay;
+            this.knockbackY *= decay;
+        }
         
         // Update invincibility
         if (this.invincibleTime > 0) {
@@ -94,17 +111,41 @@ export class Player {
         this.statusEffects.update(dt);
     }
 
-    takeDamage(amount) {
-        if (this.invincibleTime > 0) return false;
+    /**
+     * @param {number} amount - Damage before damage reduction
+     * @param {boolean} damageOverTime - Burn ticks ignore invincibility frames and don't grant them
+     * @returns {boolean} False if the hit was blocked by invincibility
+     */
+    takeDamage(amount, damageOverTime = false) {
+        if (this.invincibleTime > 0 && !damageOverTime) return false;
         
         const actualDamage = amount * (1 - this.damageReduction);
         this.health -= actualDamage;
-        this.invincibleTime = this.invincibleDuration;
+        if (!damageOverTime) {
+            this.invincibleTime = this.invincibleDuration;
+        }
         this.flashTime = 0.1;
         
         return true;
     }
 
+    applyKnockback(dirX, dirY, force) {
+        this.knockbackX += dirX * force;
+        this.knockbackY += dirY * force;
+    }
+
+    /**
+     * Apply a debuff from a champion attack (same effects and refresh rules as on enemies)
+     * @param {string} type - 'slow' or 'burn' (any of ENEMY_EFFECT_TYPES works)
+     * @param {number} amount - Slow fraction or burn damage per second
+     * @param {number} duration - Seconds
+     */
+    applyStatusEffect(type, amount, duration) {
+        // Like enemy slows, a weaker slow never replaces a stronger one
+        const strongest = type === 'slow' ? Math.max(this.statusEffects.getStrongest('slow'), amount) : amount;
+        this.statusEffects.addEffect(createEnemyEffect(type, strongest, duration));
+    }
+
     heal(amount) {
         this.health = Math.min(this.maxHealth, this.health + amount);
     }
@@ -123,11 +164,11 @@ export class Player {
         this.crystals.force = 0;
     }
 
-    addPower(power) {
+    addPower(power, maxLevel = Infinity) {
         // Check if we already have this power
         const existing = this.powers.find(p => p.id === power.id);
         if (existing) {
-            existing.level++;
+            existing.level = Math.min(maxLevel, existing.level + 1);
             return existing;
         }
         
@@ -136,6 +177,14 @@ export class Player {
         return power;
     }
 
+    // Remove a power (e.g. when it is consumed by an evolution)
+    removePower(powerId) {
+        const index = this.powers.findIndex(p => p.id === powerId);
+        if (index !== -1) {
+            this.powers.splice(index, 1);
+        }
+    }
+
     // XP System methods
     getXpForNextLevel() {
         // Diminishing returns formula: 50 * (1.5 ^ level)
@@ -284,6 +333,26 @@ export class Player {
         ctx.arc(screen.x - 5 * scale, screen.y - 5 * scale, r * 0.25, 0, Math.PI * 2);
         ctx.fill();
         
+        // Debuffs: frosty outline while slowed, flickering flame ring while burning
+        if (this.statusEffects.hasEffect('slow')) {
+            ctx.strokeStyle = 'rgba(174, 244, 255, 0.9)';
+            ctx.lineWidth = 3 * scale;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r + 4 * scale, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        const [burn] = this.statusEffects.getEffectsByType('burn');
+        if (burn) {
+            ctx.strokeStyle = `rgba(255, ${120 + Math.floor(Math.sin(burn.remaining * 20) * 60)}, 0, 0.8)`;
+            ctx.lineWidth = 3 * scale;
+            ctx.setLineDash([6 * scale, 4 * scale]);
+            ctx.lineDashOffset = burn.remaining * 30 * scale;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r + 8 * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
         ctx.restore();
         
         // Health bar
@@ -0,0 +1,59 @@
+// Object pooling - reuse short-lived entities instead of allocating new ones every frame
+
+export class ObjectPool {
+    /**
+     * @param {Function} Type - Class whose instances are pooled; it must have reset() taking
+     *                          the same arguments as its constructor
+     * @param {number} maxSize - Most released objects kept for reuse
+     */
+    constructor(Type, maxSize = 1000) {
+        this.Type = Type;
+        this.maxSize = maxSize;
+        this.free = [];
+
+        // Counters for tuning and the allocation stress test
+        this.created = 0;
+        this.reused = 0;
+    }
+
+    /**
+     * Get an object initialised with the given constructor arguments
+     * @returns {Object} A recycled instance when one is free, otherwise a new one
+     */
+    acquire(...args) {
+        const obj = this.free.pop();
+        if (obj) {
+            obj.reset(...args);
+            this.reused++;
+            return obj;
+        }
+        this.created++;
+        return new this.Type(...args);
+    }
+
+    /**
+     * Hand an object back once nothing references it any more
+     * @param {Object} obj
+     */
+    release(obj) {
+        if (this.free.length < this.maxSize) {
+            this.free.push(obj);
+        }
+    }
+}
+
+/**
+ * Remove an element in O(1) by moving the last element into its slot.
+ * Order is not preserved; when looping backwards the moved element has already been visited.
+ * @param {Array} array
+ * @param {number} index
+ * @returns {*} The removed element
+ */
+export function swapRemove(array, index) {
+    const removed = array[index];
+    const last = array.pop();
+    if (index < array.length) {
+        array[index] = last;
+    }
+    return removed;
+}
@@ -1,11 +1,62 @@
 // Power definitions and management system
 
-import { Projectile, AreaEffect, RingEffect, OrbitalShield } from './projectile.js';
-import { randomRange, angle, normalize, randomChoice } from './utils.js';
-import { findClosest } from './collision.js';
+import { OrbitalShield, createEffectPools } from './projectile.js';
+import { randomRange, angle, randomChoice } from './utils.js';
+import { requireRng } from './random.js';
 import { getCooldownReductionForCategory } from './passiveUpgrades.js';
+import { GAME_EVENTS } from './events.js';
+
+/**
+ * Resolve a stat spec at a power level.
+ * Specs are either a constant (number, string, boolean) or an object:
+ *   { base, scale }            -> base * scale^(level - 1)   (multiplicative per level)
+ *   { base, perLevel }         -> base + perLevel * level    (additive per level)
+ *   { ..., floor: true }       -> round the per-level part down (e.g. +1 every 2 levels)
+ *   { ..., max }               -> cap the result
+ * @param {*} spec - Stat spec from a power definition
+ * @param {number} level - Effective power level (1+)
+ * @returns {*} Resolved value
+ */
+export function scaleStat(spec, level) {
+    if (spec === null || typeof spec !== 'object') return spec;
+
+    let value;
+    if (spec.perLevel !== undefined) {
+        const growth = spec.perLevel * level;
+        value = spec.base + (spec.floor ? Math.floor(growth) : growth);
+    } else {
+        value = spec.base * Math.pow(spec.scale ?? 1, level - 1);
+    }
+    return spec.max !== undefined ? Math.min(spec.max, value) : value;
+}
+
+/**
+ * Resolve every stat of an emitter at a power level
+ * @param {Object} stats - Map of stat name to stat spec
+ * @param {number} level
+ * @returns {Object} Map of stat name to value
+ */
+export function resolveStats(stats, level) {
+    const resolved = {};
+    for (const key in stats) {
+        resolved[key] = scaleStat(stats[key], level);
+    }
+    return resolved;
+}
 
 // Power definitions
+// Each power is pure data: levels stop at maxLevel, cooldown is a stat spec (active powers only)
+// and every cast runs its emitters in order. Emitter types:
+//   projectile - count projectiles from the player; targeting 'random' or 'nearest'
+//                (nearest falls back to a random angle when there are too few targets)
+//   area       - count (default 1) persistent AreaEffects at the player, or each `offset` away
+//                in a random direction
+//   ring       - expanding RingEffect at the player
+//   orbital    - (passive) OrbitalShield with `count` shields
+//   armor      - (passive) damage reduction, plus a slow applied to enemies that hit the player
+// Stats that aren't positional arguments (speed, damage, radius, duration, count) are passed
+// straight through as the effect's options (color, trailLength, piercing, knockback, ...),
+// including hitEffect/hitEffectAmount/hitEffectDuration for an enemy status effect on hit.
 export const POWERS = {
     // HEAT POWERS
     fireballBarrage: {
@@ -13,39 +64,67 @@ export const POWERS = {
         name: 'Fireball Barrage',
         description: 'Rapidly fires fireballs in random directions',
         category: 'heat',
-        baseCooldown: 0.3,
         passive: false,
-        levelScale: {
-            cooldown: 0.9,    // 10% faster per level
-            damage: 1.2,      // 20% more damage per level
-            count: 1          // +1 projectile every 2 levels
-        }
+        maxLevel: 5,
+        cooldown: { base: 0.3, scale: 0.9 },    // 10% faster per level
+        emitters: [{
+            emitter: 'projectile',
+            targeting: 'random',
+            stats: {
+                count: { base: 1, perLevel: 0.5, floor: true },  // +1 projectile every 2 levels
+                damage: { base: 15, scale: 1.2 },                // 20% more damage per level
+                speed: 400,
+                radius: 10,
+                lifetime: 3.5,
+                hitEffect: 'burn',
+                hitEffectAmount: { base: 4, scale: 1.2 },   // burn damage per second
+                hitEffectDuration: 2.0,
+                color: '#ff6b35',
+                trailLength: 8
+            }
+        }]
     },
     magmaPool: {
         id: 'magmaPool',
         name: 'Magma Pool',
         description: 'Drops a persistent pool of lava that burns enemies',
         category: 'heat',
-        baseCooldown: 5.0,
         passive: false,
-        levelScale: {
-            cooldown: 0.85,
-            damage: 1.3,
-            radius: 1.15
-        }
+        maxLevel: 5,
+        cooldown: { base: 5.0, scale: 0.85 },
+        emitters: [{
+            emitter: 'area',
+            stats: {
+                damage: { base: 10, scale: 1.3 },
+                radius: { base: 80, scale: 1.15 },
+                duration: 4.0,
+                damageInterval: 0.5,
+                hitEffect: 'burn',
+                hitEffectAmount: { base: 6, scale: 1.25 },
+                hitEffectDuration: 1.5,
+                color: '#ff6b35',
+                type: 'magma'
+            }
+        }]
     },
     infernoRing: {
         id: 'infernoRing',
         name: 'Inferno Ring',
         description: 'Releases an expanding ring of fire around you',
         category: 'heat',
-        baseCooldown: 3.0,
         passive: false,
-        levelScale: {
-            cooldown: 0.9,
-            damage: 1.25,
-            radius: 1.2
-        }
+        maxLevel: 5,
+        cooldown: { base: 3.0, scale: 0.9 },
+        emitters: [{
+            emitter: 'ring',
+            stats: {
+                damage: { base: 25, scale: 1.25 },
+                radius: { base: 200, scale: 1.2 },
+                duration: 1.0,
+                knockback: 50,
+                color: '#ff6b35'
+            }
+        }]
     },
 
     // COLD POWERS
@@ -54,39 +133,76 @@ export const POWERS = {
         name: 'Ice Shards',
         description: 'Fires piercing icicles that auto-target the nearest enemy',
         category: 'cold',
-        baseCooldown: 0.5,
         passive: false,
-        levelScale: {
-            cooldown: 0.9,
-            damage: 1.15,
-            count: 0.5
-        }
+        maxLevel: 5,
+        cooldown: { base: 0.5, scale: 0.9 },
+        emitters: [{
+            emitter: 'projectile',
+            targeting: 'nearest',
+            stats: {
+                count: { base: 1, perLevel: 0.5, floor: true },
+                damage: { base: 12, scale: 1.15 },
+                speed: 500,
+                radius: 8,
+                lifetime: 3.5,
+                piercing: true,
+                slowAmount: 0.3,
+                slowDuration: 1.0,
+                color: '#4fc3f7',
+                trailLength: 6
+            }
+        }]
     },
     frostNova: {
         id: 'frostNova',
         name: 'Frost Nova',
         description: 'Releases a freezing pulse that slows and damages enemies',
         category: 'cold',
-        baseCooldown: 4.0,
         passive: false,
-        levelScale: {
-            cooldown: 0.85,
-            damage: 1.2,
-            radius: 1.15,
-            slow: 1.1
-        }
+        maxLevel: 5,
+        cooldown: { base: 4.0, scale: 0.85 },
+        emitters: [
+            {
+                emitter: 'area',
+                stats: {
+                    damage: { base: 20, scale: 1.2 },
+                    radius: { base: 150, scale: 1.15 },
+                    duration: 2.0,
+                    damageInterval: 0.5,
+                    slowAmount: { base: 0.4, scale: 1.1, max: 0.8 },
+                    slowDuration: 2.0,
+                    color: '#4fc3f7',
+                    type: 'frost'
+                }
+            },
+            {
+                // Visual burst
+                emitter: 'ring',
+                stats: {
+                    damage: 0,
+                    radius: { base: 150, scale: 1.15 },
+                    duration: 0.5,
+                    knockback: 0,
+                    color: '#4fc3f7'
+                }
+            }
+        ]
     },
     frozenArmor: {
         id: 'frozenArmor',
         name: 'Frozen Armor',
         description: 'Reduces damage taken and slows attackers',
         category: 'cold',
-        baseCooldown: 0,
         passive: true,
-        levelScale: {
-            damageReduction: 1.0,  // Flat +10% per level
-            slowAmount: 1.0
-        }
+        maxLevel: 5,
+        emitters: [{
+            emitter: 'armor',
+            stats: {
+                damageReduction: { base: 0, perLevel: 0.1, max: 0.5 },  // Flat +10% per level
+                attackerSlow: { base: 0.3, perLevel: 0.1 },
+                attackerSlowDuration: 1.0
+            }
+        }]
     },
 
     // FORCE POWERS
@@ -95,45 +211,178 @@ export const POWERS = {
         name: 'Force Bolt',
         description: 'Fires a powerful bolt that knocks enemies back',
         category: 'force',
-        baseCooldown: 0.4,
         passive: false,
-        levelScale: {
-            cooldown: 0.9,
-            damage: 1.2,
-            knockback: 1.15
-        }
+        maxLevel: 5,
+        cooldown: { base: 0.4, scale: 0.9 },
+        emitters: [{
+            emitter: 'projectile',
+            targeting: 'nearest',
+            stats: {
+                count: 1,
+                damage: { base: 18, scale: 1.2 },
+                knockback: { base: 150, scale: 1.15 },
+                speed: 600,
+                radius: 12,
+                lifetime: 3,
+                hitEffect: 'stun',
+                hitEffectDuration: 0.25,
+                color: '#ba68c8',
+                trailLength: 10
+            }
+        }]
     },
     gravityWell: {
         id: 'gravityWell',
         name: 'Gravity Well',
         description: 'Creates a black hole that pulls in and damages enemies',
         category: 'force',
-        baseCooldown: 6.0,
         passive: false,
-        levelScale: {
-            cooldown: 0.85,
-            damage: 1.3,
-            radius: 1.1,
-            pull: 1.2
-        }
+        maxLevel: 5,
+        cooldown: { base: 6.0, scale: 0.85 },
+        emitters: [{
+            emitter: 'area',
+            offset: 100,    // Spawns at a random position near the player
+            stats: {
+                damage: { base: 8, scale: 1.3 },
+                radius: { base: 120, scale: 1.1 },
+                pullForce: { base: 3, scale: 1.2 },
+                duration: 3.0,
+                damageInterval: 0.3,
+                hitEffect: 'weaken',                        // pulled-in enemies hit softer
+                hitEffectAmount: 0.3,
+                hitEffectDuration: 1.0,
+                color: '#ba68c8',
+                type: 'gravity'
+            }
+        }]
     },
     orbitalShields: {
         id: 'orbitalShields',
         name: 'Orbital Shields',
         description: 'Summon orbiting shields that block and damage enemies',
         category: 'force',
-        baseCooldown: 0,
         passive: true,
-        levelScale: {
-            damage: 1.2,
-            count: 1
-        }
+        maxLevel: 5,
+        emitters: [{
+            emitter: 'orbital',
+            stats: {
+                count: { base: 2, perLevel: 1 },
+                damage: { base: 15, scale: 1.2 },
+                radius: 130
+            }
+        }]
+    },
+
+    // EVOLUTIONS (see POWER_EVOLUTIONS)
+    steamVent: {
+        id: 'steamVent',
+        name: 'Steam Vent',
+        description: 'Vents of scalding steam erupt around you, burning and slowing enemies',
+        category: 'heat',
+        passive: false,
+        maxLevel: 5,
+        cooldown: { base: 3.0, scale: 0.9 },
+        emitters: [
+            {
+                emitter: 'area',
+                offset: 140,
+                stats: {
+                    count: { base: 3, perLevel: 0.5, floor: true },
+                    damage: { base: 45, scale: 1.2 },
+                    radius: { base: 110, scale: 1.1 },
+                    duration: 3.5,
+                    damageInterval: 0.4,
+                    slowAmount: { base: 0.5, scale: 1.05, max: 0.8 },
+                    slowDuration: 1.5,
+                    hitEffect: 'burn',
+                    hitEffectAmount: { base: 10, scale: 1.2 },
+                    hitEffectDuration: 1.5,
+                    color: '#b2ebf2',
+                    type: 'steam'
+                }
+            },
+            {
+                // Pressure burst
+                emitter: 'ring',
+                stats: {
+                    damage: 0,
+                    radius: { base: 250, scale: 1.1 },
+                    duration: 0.6,
+                    knockback: 0,
+                    color: '#e0f7fa'
+                }
+            }
+        ]
+    },
+    railgunShard: {
+        id: 'railgunShard',
+        name: 'Railgun Shard',
+        description: 'Launches a hypersonic ice slug that pierces everything in its path',
+        category: 'force',
+        passive: false,
+        maxLevel: 5,
+        cooldown: { base: 0.8, scale: 0.9 },
+        emitters: [{
+            emitter: 'projectile',
+            targeting: 'nearest',
+            stats: {
+                count: { base: 1, perLevel: 0.5, floor: true },
+                damage: { base: 70, scale: 1.25 },
+                knockback: { base: 220, scale: 1.1 },
+                speed: 1400,
+                radius: 9,
+                lifetime: 1.2,
+                piercing: true,
+                slowAmount: 0.5,
+                slowDuration: 1.5,
+                hitEffect: 'stun',
+                hitEffectDuration: 0.4,
+                color: '#e1bee7',
+                trailLength: 18
+            }
+        }]
     }
 };
 
+// Evolution table: evolved power id -> the powers that must all be at max level.
+// Evolutions are only offered once their requirements are met, and replace those powers.
+export const POWER_EVOLUTIONS = {
+    steamVent: ['magmaPool', 'frostNova'],
+    railgunShard: ['forceBolt', 'iceShards']
+};
+
+/**
+ * Evolutions the player qualifies for but doesn't have yet
+ * @param {Object[]} existingPowers - Player's powers ({ id, level })
+ * @returns {string[]} Evolved power ids
+ */
+export function getAvailableEvolutions(existingPowers) {
+    const levels = new Map(existingPowers.map(p => [p.id, p.level]));
+    return Object.keys(POWER_EVOLUTIONS).filter(id =>
+        !levels.has(id) &&
+        POWER_EVOLUTIONS[id].every(sourceId => levels.get(sourceId) >= POWERS[sourceId].maxLevel)
+    );
+}
+
+// Whether a power can show up as a regular (non-evolution) level-up option
+function isOfferable(powerId, levels) {
+    const level = levels.get(powerId) || 0;
+    if (level >= POWERS[powerId].maxLevel) return false;
+
+    // Evolutions arrive through getAvailableEvolutions, then level up like any other power
+    if (POWER_EVOLUTIONS[powerId]) return level > 0;
+
+    // Powers consumed by an owned evolution are gone for good
+    return !Object.keys(POWER_EVOLUTIONS).some(id =>
+        levels.has(id) && POWER_EVOLUTIONS[id].includes(powerId)
+    );
+}
+
 export class PowerManager {
-    constructor(player, projectiles, areaEffects, ringEffects) {
+    constructor(player, projectiles, areaEffects, ringEffects, rng, pools = createEffectPools()) {
         this.player = player;
+        this.rng = requireRng(rng, 'PowerManager');
+        this.pools = pools; // Casts acquire their projectiles and effects here; the World releases them
         this.projectiles = projectiles;
         this.areaEffects = areaEffects;
         this.ringEffects = ringEffects;
@@ -141,12 +390,40 @@ export class PowerManager {
         this.orbitalShield = null;
         this.enemies = []; // Reference to enemies array for targeting
         this.champions = []; // Reference to champions array for targeting
+        this.targetHash = null; // Optional SpatialHash of enemies + champions for nearest lookups
+        this.events = null; // Optional EventBus, told about every cast
     }
 
     setEnemies(enemies, champions = []) {
         this.enemies = enemies;
         this.champions = champions;
     }
+
+    // Publish powerCast events on the World's event bus
+    setEventBus(events) {
+        this.events = events;
+    }
+
+    // Use a spatial hash (kept current by the World) instead of scanning every target
+    setTargetHash(targetHash) {
+        this.targetHash = targetHash;
+    }
+
+    /**
+     * Get the targets closest to the player, nearest first
+     * @param {number} count - How many targets to return
+     * @returns {Object[]} Up to `count` enemies/champions
+     */
+    findNearestTargets(count) {
+        if (this.targetHash) {
+            return this.targetHash.findNearest(this.player.x, this.player.y, count);
+        }
+        return this.getAllTargets()
+            .map(e => ({ enemy: e, dist: Math.hypot(e.x - this.player.x, e.y - this.player.y) }))
+            .sort((a, b) => a.dist - b.dist)
+            .slice(0, count)
+            .map(t => t.enemy);
+    }
     
     // Get all targetable enemies (regular enemies + champions)
     getAllTargets() {
@@ -187,25 +464,12 @@ export class PowerManager {
     }
 
     updatePassivePower(power) {
-        const effectiveLevel = this.getEffectiveLevel(power);
-        
-        switch (power.id) {
-            case 'frozenArmor':
-                // Use setBaseDamageReduction so it combines with passive upgrades
-                this.player.setBaseDamageReduction(Math.min(0.5, 0.1 * effectiveLevel));
-                break;
-            case 'orbitalShields':
-                // Recalculate if shield count should change (including supercharge bonus)
-                const targetCount = 2 + effectiveLevel;
-                if (!this.orbitalShield || this.orbitalShield.count !== targetCount) {
-                    this.orbitalShield = new OrbitalShield(
-                        this.player,
-                        targetCount,
-                        130,
-                        15 * Math.pow(1.2, effectiveLevel - 1)
-                    );
-                }
-                break;
+        const def = POWERS[power.id];
+        const level = this.getEffectiveLevel(power);
+        const tags = { sourceId: def.id, damageType: def.category };
+
+        for (const emitter of def.emitters) {
+            this.runEmitter(emitter, resolveStats(emitter.stats, level), tags);
         }
     }
 
@@ -214,7 +478,7 @@ export class PowerManager {
         const effectiveLevel = this.getEffectiveLevel(power);
         
         // Calculate base cooldown from level
-        let cooldown = def.baseCooldown * Math.pow(def.levelScale.cooldown || 1, effectiveLevel - 1);
+        let cooldown = scaleStat(def.cooldown, effectiveLevel);
         
         // Apply passive cooldown reduction from passive upgrades
         const passiveCooldownReduction = getCooldownReductionForCategory(
@@ -233,213 +497,132 @@ export class PowerManager {
         const def = POWERS[power.id];
         // Use effective level for damage/effect calculations
         const level = this.getEffectiveLevel(power);
+        const tags = { sourceId: def.id, damageType: def.category };
 
-        switch (power.id) {
-            case 'fireballBarrage':
-                this.castFireballBarrage(level, def);
-                break;
-            case 'magmaPool':
-                this.castMagmaPool(level, def);
-                break;
-            case 'infernoRing':
-                this.castInfernoRing(level, def);
+        for (const emitter of def.emitters) {
+            this.runEmitter(emitter, resolveStats(emitter.stats, level), tags);
+        }
+
+        if (this.events) {
+            this.events.emit(GAME_EVENTS.POWER_CAST, { powerId: power.id, level, category: def.category });
+        }
+    }
+
+    /**
+     * Run one emitter of a power definition
+     * @param {Object} emitter - Emitter descriptor from POWERS
+     * @param {Object} stats - The emitter's stats resolved at the cast level
+     * @param {Object} tags - sourceId/damageType stamped on everything it creates
+     */
+    runEmitter(emitter, stats, tags) {
+        switch (emitter.emitter) {
+            case 'projectile':
+                this.emitProjectiles(emitter, stats, tags);
                 break;
-            case 'iceShards':
-                this.castIceShards(level, def);
+            case 'area':
+                this.emitArea(emitter, stats, tags);
                 break;
-            case 'frostNova':
-                this.castFrostNova(level, def);
+            case 'ring':
+                this.emitRing(stats, tags);
                 break;
-            case 'forceBolt':
-                this.castForceBolt(level, def);
+            case 'orbital':
+                this.maintainOrbitalShield(stats);
                 break;
-            case 'gravityWell':
-                this.castGravityWell(level, def);
+            case 'armor':
+                // Use setBaseDamageReduction so it combines with passive upgrades
+                this.player.setBaseDamageReduction(stats.damageReduction);
                 break;
+            default:
+                throw new Error(`Unknown power emitter: ${emitter.emitter}`);
         }
     }
 
-    castFireballBarrage(level, def) {
-        const damage = 15 * Math.pow(def.levelScale.damage, level - 1);
-        const count = 1 + Math.floor(level / 2);
+    emitProjectiles(emitter, stats, tags) {
+        const { count = 1, speed, damage, ...options } = stats;
+
+        // Find nearest enemies (including champions); missing targets get a random angle
+        const targets = emitter.targeting === 'nearest' ? this.findNearestTargets(count) : [];
 
         for (let i = 0; i < count; i++) {
-            const fireAngle = randomRange(0, Math.PI * 2);
-            this.projectiles.push(new Projectile(
+            let fireAngle;
+            if (targets[i]) {
+                fireAngle = angle(this.player.x, this.player.y, targets[i].x, targets[i].y);
+            } else {
+                fireAngle = randomRange(0, Math.PI * 2, this.rng);
+            }
+
+            this.projectiles.push(this.pools.projectile.acquire(
                 this.player.x,
                 this.player.y,
                 fireAngle,
-                400,
+                speed,
                 damage,
-                {
-                    radius: 10,
-                    color: '#ff6b35',
-                    trailLength: 8,
-                    lifetime: 3.5
-                }
+                { ...options, ...tags }
             ));
         }
     }
 
-    castMagmaPool(level, def) {
-        const damage = 10 * Math.pow(def.levelScale.damage, level - 1);
-        const radius = 80 * Math.pow(def.levelScale.radius || 1, level - 1);
-
-        this.areaEffects.push(new AreaEffect(
-            this.player.x,
-            this.player.y,
-            radius,
-            damage,
-            4.0,
-            {
-                color: '#ff6b35',
-                damageInterval: 0.5,
-                type: 'magma'
-            }
-        ));
-    }
-
-    castInfernoRing(level, def) {
-        const damage = 25 * Math.pow(def.levelScale.damage, level - 1);
-        const radius = 200 * Math.pow(def.levelScale.radius || 1, level - 1);
-
-        this.ringEffects.push(new RingEffect(
-            this.player.x,
-            this.player.y,
-            radius,
-            damage,
-            1.0,
-            {
-                color: '#ff6b35',
-                knockback: 50
-            }
-        ));
-    }
-
-    castIceShards(level, def) {
-        const damage = 12 * Math.pow(def.levelScale.damage, level - 1);
-        const count = 1 + Math.floor(level * (def.levelScale.count || 0.5));
-
-        // Find nearest enemies (including champions)
-        const allTargets = this.getAllTargets();
-        const targets = allTargets
-            .map(e => ({ enemy: e, dist: Math.hypot(e.x - this.player.x, e.y - this.player.y) }))
-            .sort((a, b) => a.dist - b.dist)
-            .slice(0, count);
+    emitArea(emitter, stats, tags) {
+        const { count = 1, radius, damage, duration, ...options } = stats;
 
         for (let i = 0; i < count; i++) {
-            let targetAngle;
-            if (targets[i]) {
-                targetAngle = angle(this.player.x, this.player.y, targets[i].enemy.x, targets[i].enemy.y);
-            } else {
-                targetAngle = randomRange(0, Math.PI * 2);
+            let x = this.player.x;
+            let y = this.player.y;
+            if (emitter.offset) {
+                const spawnAngle = randomRange(0, Math.PI * 2, this.rng);
+                x += Math.cos(spawnAngle) * emitter.offset;
+                y += Math.sin(spawnAngle) * emitter.offset;
             }
 
-            this.projectiles.push(new Projectile(
-                this.player.x,
-                this.player.y,
-                targetAngle,
-                500,
-                damage,
-                {
-                    radius: 8,
-                    color: '#4fc3f7',
-                    trailLength: 6,
-                    lifetime: 3.5,
-                    piercing: true,
-                    slowAmount: 0.3,
-                    slowDuration: 1.0
-                }
+            this.areaEffects.push(this.pools.areaEffect.acquire(
+                x, y, radius, damage, duration, { ...options, ...tags }
             ));
         }
     }
 
-    castFrostNova(level, def) {
-        const damage = 20 * Math.pow(def.levelScale.damage, level - 1);
-        const radius = 150 * Math.pow(def.levelScale.radius || 1, level - 1);
-        const slowAmount = 0.4 * Math.pow(def.levelScale.slow || 1, level - 1);
-
-        this.areaEffects.push(new AreaEffect(
-            this.player.x,
-            this.player.y,
-            radius,
-            damage,
-            2.0,
-            {
-                color: '#4fc3f7',
-                damageInterval: 0.5,
-                slowAmount: Math.min(0.8, slowAmount),
-                slowDuration: 2.0,
-                type: 'frost'
-            }
-        ));
+    emitRing(stats, tags) {
+        const { radius, damage, duration, ...options } = stats;
 
-        // Visual burst
-        this.ringEffects.push(new RingEffect(
-            this.player.x,
-            this.player.y,
-            radius,
-            0,
-            0.5,
-            {
-                color: '#4fc3f7',
-                knockback: 0
-            }
+        this.ringEffects.push(this.pools.ringEffect.acquire(
+            this.player.x, this.player.y, radius, damage, duration, { ...options, ...tags }
         ));
     }
 
-    castForceBolt(level, def) {
-        const damage = 18 * Math.pow(def.levelScale.damage, level - 1);
-        const knockback = 150 * Math.pow(def.levelScale.knockback || 1, level - 1);
-
-        // Find nearest enemy (including champions)
-        const allTargets = this.getAllTargets();
-        const nearest = findClosest(allTargets, this.player.x, this.player.y);
-        let targetAngle;
-        if (nearest) {
-            targetAngle = angle(this.player.x, this.player.y, nearest.x, nearest.y);
-        } else {
-            targetAngle = randomRange(0, Math.PI * 2);
+    maintainOrbitalShield(stats) {
+        // Recreate if shield count should change (including supercharge bonus)
+        if (!this.orbitalShield || this.orbitalShield.count !== stats.count) {
+            this.orbitalShield = new OrbitalShield(this.player, stats.count, stats.radius, stats.damage);
         }
+    }
 
-        this.projectiles.push(new Projectile(
-            this.player.x,
-            this.player.y,
-            targetAngle,
-            600,
-            damage,
-            {
-                radius: 12,
-                color: '#ba68c8',
-                trailLength: 10,
-                lifetime: 3,
-                knockback: knockback
-            }
-        ));
+    /**
+     * Drop the state kept for a power the player no longer has (e.g. after it evolved)
+     * @param {string} powerId
+     */
+    forgetPower(powerId) {
+        delete this.cooldowns[powerId];
+        for (const emitter of POWERS[powerId].emitters) {
+            if (emitter.emitter === 'orbital') this.orbitalShield = null;
+            if (emitter.emitter === 'armor') this.player.setBaseDamageReduction(0);
+        }
     }
 
-    castGravityWell(level, def) {
-        const damage = 8 * Math.pow(def.levelScale.damage, level - 1);
-        const radius = 120 * Math.pow(def.levelScale.radius || 1, level - 1);
-        const pullForce = 3 * Math.pow(def.levelScale.pull || 1, level - 1);
-
-        // Spawn slightly in front of player or at random nearby position
-        const spawnAngle = randomRange(0, Math.PI * 2);
-        const spawnDist = 100;
-
-        this.areaEffects.push(new AreaEffect(
-            this.player.x + Math.cos(spawnAngle) * spawnDist,
-            this.player.y + Math.sin(spawnAngle) * spawnDist,
-            radius,
-            damage,
-            3.0,
-            {
-                color: '#ba68c8',
-                damageInterval: 0.3,
-                pullForce: pullForce,
-                type: 'gravity'
+    /**
+     * Slow to apply to an enemy that just hit the player, from an owned armor power.
+     * Scales with the bought level only; supercharge bonus levels don't count.
+     * @returns {{amount: number, duration: number}|null} null when no armor power is owned
+     */
+    getAttackerSlow() {
+        for (const power of this.player.powers) {
+            const armor = POWERS[power.id].emitters.find(e => e.emitter === 'armor' && e.stats.attackerSlow);
+            if (armor) {
+                return {
+                    amount: scaleStat(armor.stats.attackerSlow, power.level),
+                    duration: scaleStat(armor.stats.attackerSlowDuration, power.level)
+                };
             }
-        ));
+        }
+        return null;
     }
 
     checkOrbitalShieldCollisions(enemies) {
@@ -460,8 +643,14 @@ export class PowerManager {
         }
     }
 
-    // Generate power options based on crystal weights
-    static generatePowerOptions(crystals, existingPowers) {
+    /**
+     * Generate level-up options based on crystal weights.
+     * Evolutions the player qualifies for always take the first slots; maxed powers and
+     * powers consumed by an evolution are never offered.
+     * @returns {Object[]} Up to 3 power definitions with currentLevel (may be empty when all are maxed)
+     */
+    static generatePowerOptions(crystals, existingPowers, rng) {
+        requireRng(rng, 'generatePowerOptions');
         const total = crystals.heat + crystals.cold + crystals.force;
         if (total === 0) return [];
 
@@ -471,18 +660,31 @@ export class PowerManager {
             force: crystals.force / total
         };
 
-        const powersByCategory = {
-            heat: ['fireballBarrage', 'magmaPool', 'infernoRing'],
-            cold: ['iceShards', 'frostNova', 'frozenArmor'],
-            force: ['forceBolt', 'gravityWell', 'orbitalShields']
-        };
+        const levels = new Map(existingPowers.map(p => [p.id, p.level]));
+        const powersByCategory = { heat: [], cold: [], force: [] };
+        for (const def of Object.values(POWERS)) {
+            if (isOfferable(def.id, levels)) {
+                powersByCategory[def.category].push(def.id);
+            }
+        }
 
         const options = [];
         const usedPowers = new Set();
+        const offer = (powerId) => {
+            usedPowers.add(powerId);
+            options.push({
+                ...POWERS[powerId],
+                currentLevel: levels.get(powerId) || 0
+            });
+        };
+
+        for (const powerId of getAvailableEvolutions(existingPowers).slice(0, 3)) {
+            offer(powerId);
+        }
 
-        for (let i = 0; i < 3; i++) {
+        for (let i = options.length; i < 3; i++) {
             // Weighted random category selection
-            const roll = Math.random();
+            const roll = rng.random();
             let category;
             if (roll < weights.heat) {
                 category = 'heat';
@@ -498,23 +700,9 @@ export class PowerManager {
                 // If all powers in category are used, pick from any category
                 const allAvailable = Object.values(powersByCategory).flat().filter(p => !usedPowers.has(p));
                 if (allAvailable.length === 0) break;
-                const powerId = randomChoice(allAvailable);
-                usedPowers.add(powerId);
-                
-                const existing = existingPowers.find(p => p.id === powerId);
-                options.push({
-                    ...POWERS[powerId],
-                    currentLevel: existing ? existing.level : 0
-                });
+                offer(randomChoice(allAvailable, rng));
             } else {
-                const powerId = randomChoice(availablePowers);
-                usedPowers.add(powerId);
-                
-                const existing = existingPowers.find(p => p.id === powerId);
-                options.push({
-                    ...POWERS[powerId],
-                    currentLevel: existing ? existing.level : 0
-                });
+                offer(randomChoice(availablePowers, rng));
             }
         }
 
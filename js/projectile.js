@@ -2,40 +2,65 @@
 
 import { distance, normalize, angle } from './utils.js';
 import { circleCollision } from './collision.js';
+import { ObjectPool } from './pool.js';
+import { applyElement } from './elements.js';
+
+// Apply the status effect a projectile or effect carries (hitEffect) to the enemy it hit
+function applyHitEffect(source, enemy) {
+    if (source.hitEffect && enemy.applyStatusEffect) {
+        enemy.applyStatusEffect(source.hitEffect, source.hitEffectAmount, source.hitEffectDuration);
+    }
+}
 
 // Base projectile class
 export class Projectile {
     constructor(x, y, angle, speed, damage, options = {}) {
+        this.hitEnemies = new Set();
+        this.trail = [];
+        this.reset(x, y, angle, speed, damage, options);
+    }
+
+    // Reinitialise for reuse from an ObjectPool (same arguments as the constructor)
+    reset(x, y, angle, speed, damage, options = {}) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position before the last simulation step (for interpolated rendering)
+        this.prevY = y;
         this.angle = angle;
         this.speed = speed;
         this.damage = damage;
         this.radius = options.radius || 8;
         this.color = options.color || '#ffffff';
         this.piercing = options.piercing || false;
-        this.hitEnemies = new Set();
+        this.hitEnemies.clear();
         this.lifetime = options.lifetime || 3;
         this.age = 0;
         this.knockback = options.knockback || 0;
         this.slowAmount = options.slowAmount || 0;
         this.slowDuration = options.slowDuration || 0;
+        this.hitEffect = options.hitEffect || null;              // Status effect type applied on hit ('burn', 'stun', ...)
+        this.hitEffectAmount = options.hitEffectAmount || 0;
+        this.hitEffectDuration = options.hitEffectDuration || 0;
+        
+        // Damage tags (see World.dealDamage)
+        this.sourceId = options.sourceId || null;   // Power id, 'baseAttack', ...
+        this.damageType = options.damageType || 'physical';
         
         // Movement
         this.vx = Math.cos(angle) * speed;
         this.vy = Math.sin(angle) * speed;
         
         // Trail effect
-        this.trail = [];
+        this.trail.length = 0;
         this.trailLength = options.trailLength || 5;
     }
 
     update(dt) {
-        // Store trail position
-        this.trail.push({ x: this.x, y: this.y });
-        if (this.trail.length > this.trailLength) {
-            this.trail.shift();
-        }
+        // Store trail position, recycling the oldest point once the trail is full
+        const point = this.trail.length >= this.trailLength ? this.trail.shift() : {};
+        point.x = this.x;
+        point.y = this.y;
+        this.trail.push(point);
         
         this.x += this.vx * dt;
         this.y += this.vy * dt;
@@ -60,7 +85,11 @@ export class Projectile {
                 enemy.applySlow(this.slowAmount, this.slowDuration);
             }
             
-            return !this.piercing;
+            applyHitEffect(this, enemy);
+            applyElement(enemy, this.damageType);
+            
+            // A hit; the World removes non-piercing projectiles after dealing damage
+            return true;
         }
         return false;
     }
@@ -109,6 +138,11 @@ export class Projectile {
 // Area of effect zone (magma pool, gravity well, etc.)
 export class AreaEffect {
     constructor(x, y, radius, damage, duration, options = {}) {
+        this.reset(x, y, radius, damage, duration, options);
+    }
+
+    // Reinitialise for reuse from an ObjectPool (same arguments as the constructor)
+    reset(x, y, radius, damage, duration, options = {}) {
         this.x = x;
         this.y = y;
         this.radius = radius;
@@ -120,8 +154,15 @@ export class AreaEffect {
         this.damageTimer = 0;
         this.slowAmount = options.slowAmount || 0;
         this.slowDuration = options.slowDuration || 0;
+        this.hitEffect = options.hitEffect || null;              // Status effect type applied on hit ('burn', 'stun', ...)
+        this.hitEffectAmount = options.hitEffectAmount || 0;
+        this.hitEffectDuration = options.hitEffectDuration || 0;
         this.pullForce = options.pullForce || 0;
+        this.damagePlayer = options.damagePlayer || false;      // Hostile area (frost trail, boss hazard): hurts the player, not enemies
+        this.playerDamage = options.playerDamage || 0;
         this.type = options.type || 'damage';
+        this.sourceId = options.sourceId || null;
+        this.damageType = options.damageType || 'physical';
     }
 
     update(dt) {
@@ -138,9 +179,21 @@ export class AreaEffect {
         return false;
     }
 
-    affectEnemy(enemy) {
+    /**
+     * Slow and pull an enemy inside the area
+     * @param {Object} enemy - Enemy or champion
+     * @param {number} dt - Step length; pullForce is the pull per 1/60 s
+     * @param {boolean} damageTick - This frame deals damage, so it also marks the enemy's element
+     * @returns {boolean} True if the enemy is inside the area
+     */
+    affectEnemy(enemy, dt = 1 / 60, damageTick = false) {
         const dist = distance(this.x, this.y, enemy.x, enemy.y);
         if (dist < this.radius + enemy.radius) {
+            if (damageTick) {
+                applyHitEffect(this, enemy);
+                applyElement(enemy, this.damageType);
+            }
+            
             // Apply slow
             if (this.slowAmount > 0) {
                 enemy.applySlow(this.slowAmount, this.slowDuration);
@@ -149,8 +202,9 @@ export class AreaEffect {
             // Apply pull (gravity well)
             if (this.pullForce > 0) {
                 const dir = normalize(this.x - enemy.x, this.y - enemy.y);
-                enemy.x += dir.x * this.pullForce;
-                enemy.y += dir.y * this.pullForce;
+                const pull = this.pullForce * dt * 60;
+                enemy.x += dir.x * pull;
+                enemy.y += dir.y * pull;
             }
             
             return true;
@@ -192,8 +246,21 @@ export class AreaEffect {
                 ctx.arc(screen.x, screen.y, spiralRadius, spiralAngle, spiralAngle + Math.PI);
                 ctx.stroke();
             }
+        } else if (this.type === 'hazard' && this.age < this.damageInterval) {
+            // Boss hazard still arming: outline, filling up until it goes live
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 2 * scale;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = this.color;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, r * this.age / this.damageInterval, 0, Math.PI * 2);
+            ctx.fill();
         } else {
-            // Standard AoE (magma, frost)
+            // Standard AoE (magma, frost, steam, armed boss hazards)
             const gradient = ctx.createRadialGradient(
                 screen.x, screen.y, 0,
                 screen.x, screen.y, r
@@ -217,6 +284,19 @@ export class AreaEffect {
                     ctx.fill();
                 }
             }
+
+            // Rising puffs for steam vents
+            if (this.type === 'steam') {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+                for (let i = 0; i < 6; i++) {
+                    const rise = (this.age * 0.8 + i / 6) % 1;
+                    const px = screen.x + Math.cos(i * 2.4) * r * 0.4;
+                    const py = screen.y - rise * r * 0.9;
+                    ctx.beginPath();
+                    ctx.arc(px, py, (4 + rise * 8) * scale, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
         }
         
         ctx.restore();
@@ -226,6 +306,12 @@ export class AreaEffect {
 // Expanding ring effect
 export class RingEffect {
     constructor(x, y, maxRadius, damage, duration, options = {}) {
+        this.hitEnemies = new Set();
+        this.reset(x, y, maxRadius, damage, duration, options);
+    }
+
+    // Reinitialise for reuse from an ObjectPool (same arguments as the constructor)
+    reset(x, y, maxRadius, damage, duration, options = {}) {
         this.x = x;
         this.y = y;
         this.maxRadius = maxRadius;
@@ -233,8 +319,13 @@ export class RingEffect {
         this.duration = duration;
         this.age = 0;
         this.color = options.color || '#ff6b35';
-        this.hitEnemies = new Set();
+        this.hitEnemies.clear();
         this.knockback = options.knockback || 0;
+        this.hitEffect = options.hitEffect || null;              // Status effect type applied on hit ('burn', 'stun', ...)
+        this.hitEffectAmount = options.hitEffectAmount || 0;
+        this.hitEffectDuration = options.hitEffectDuration || 0;
+        this.sourceId = options.sourceId || null;
+        this.damageType = options.damageType || 'physical';
     }
 
     get currentRadius() {
@@ -261,6 +352,12 @@ export class RingEffect {
                 enemy.applyKnockback(dir.x, dir.y, this.knockback);
             }
             
+            // Visual-only rings (no damage) leave no mark or effect
+            if (this.damage > 0) {
+                applyHitEffect(this, enemy);
+                applyElement(enemy, this.damageType);
+            }
+            
             return true;
         }
         return false;
@@ -303,6 +400,8 @@ export class OrbitalShield {
         this.rotationSpeed = 2;
         this.hitCooldowns = new Map();
         this.hitCooldownTime = 0.5;
+        this.sourceId = 'orbitalShields';
+        this.damageType = 'force';
     }
 
     update(dt) {
@@ -341,6 +440,8 @@ export class OrbitalShield {
                 const dir = normalize(enemy.x - this.owner.x, enemy.y - this.owner.y);
                 enemy.applyKnockback(dir.x, dir.y, 100);
                 
+                applyElement(enemy, this.damageType);
+                
                 return true;
             }
         }
@@ -379,3 +480,11 @@ export class OrbitalShield {
     }
 }
 
+// One pool per pooled effect class, shared by the World and its PowerManager
+export function createEffectPools() {
+    return {
+        projectile: new ObjectPool(Projectile),
+        areaEffect: new ObjectPool(AreaEffect),
+        ringEffect: new ObjectPool(RingEffect)
+    };
+}
@@ -0,0 +1,68 @@
+// Seedable pseudo-random number generator
+// Any object with a random() method returning [0, 1) can be passed as an rng.
+// Math itself satisfies that interface. Simulation code has to be handed one (see requireRng)
+// so a run never falls back to Math by accident; only presentation-only code defaults to Math.
+
+/**
+ * Create a fresh 32-bit seed for a new run
+ * @returns {number}
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Check that simulation code was handed a random source
+ * @param {Object} rng - Math or a SeededRandom
+ * @param {string} owner - What needs it (for the error message)
+ * @returns {Object} rng
+ */
+export function requireRng(rng, owner) {
+    if (!rng || typeof rng.random !== 'function') {
+        throw new Error(`${owner} needs an rng (Math or a SeededRandom)`);
+    }
+    return rng;
+}
+
+/**
+ * SeededRandom
+ * Small, fast PRNG (mulberry32). One seed always produces the same sequence,
+ * so a seed plus an input sequence reproduces a whole run.
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - Any number; it is truncated to an unsigned 32-bit integer
+     */
+    constructor(seed = createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next value in the sequence
+     * @returns {number} Float in [0, 1)
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get the internal state (for saving a run mid-sequence)
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a state previously returned by getState()
+     * @param {number} state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,217 @@
+// Replay system - records a run's inputs and plays them back through the World
+//
+// A run is fully determined by its seed, wave timeline, viewport size, per-frame dt and movement
+// input, and the level-up choices made between frames. That is all a replay stores.
+// Runs resumed from a save also carry the snapshot they started from.
+
+import { World } from './world.js';
+import { deserializeWorld } from './saveGame.js';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * ReplayRecorder
+ * Collects inputs frame by frame and encodes them run-length compressed
+ */
+export class ReplayRecorder {
+    /**
+     * @param {number} seed - The World seed of the run being recorded
+     * @param {Object} waveTimeline - The spawn timeline the run uses
+     * @param {Object} viewport - Viewport size at the start of the run
+     * @param {Object|null} snapshot - Save snapshot the run was resumed from, if any
+     */
+    constructor(seed, waveTimeline, viewport, snapshot = null) {
+        this.seed = seed;
+        this.waveTimeline = waveTimeline;
+        this.viewport = { width: viewport.width, height: viewport.height };
+        this.snapshot = snapshot;
+        this.frameCount = 0;
+        this.dtRuns = [];     // [dt, count]
+        this.inputRuns = [];  // [dx, dy, count]
+        this.events = [];     // Applied before frame `frame` is stepped
+    }
+
+    /**
+     * Record one simulation step
+     * @param {number} dt - Delta time passed to World.update
+     * @param {number} dx - Horizontal movement input (-1, 0, 1)
+     * @param {number} dy - Vertical movement input (-1, 0, 1)
+     */
+    recordFrame(dt, dx, dy) {
+        const lastDt = this.dtRuns[this.dtRuns.length - 1];
+        if (lastDt && lastDt[0] === dt) {
+            lastDt[1]++;
+        } else {
+            this.dtRuns.push([dt, 1]);
+        }
+
+        const lastInput = this.inputRuns[this.inputRuns.length - 1];
+        if (lastInput && lastInput[0] === dx && lastInput[1] === dy) {
+            lastInput[2]++;
+        } else {
+            this.inputRuns.push([dx, dy, 1]);
+        }
+
+        this.frameCount++;
+    }
+
+    /**
+     * Record a level-up choice made while the World was paused
+     * @param {string} type - 'power' or 'passive'
+     * @param {string} id - Power or passive upgrade id
+     */
+    recordChoice(type, id) {
+        this.events.push({ frame: this.frameCount, type, id });
+    }
+
+    /**
+     * Record a viewport resize (spawn distances depend on the visible area)
+     * @param {number} width
+     * @param {number} height
+     */
+    recordViewport(width, height) {
+        this.events.push({ frame: this.frameCount, type: 'viewport', width, height });
+    }
+
+    /**
+     * Get the replay as a plain, JSON-serializable object
+     * @returns {Object}
+     */
+    toJSON() {
+        const replay = {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            waveTimeline: this.waveTimeline,
+            viewport: { ...this.viewport },
+            frameCount: this.frameCount,
+            dt: this.dtRuns.map(run => [...run]),
+            input: this.inputRuns.map(run => [...run]),
+            events: this.events.map(event => ({ ...event }))
+        };
+        if (this.snapshot) {
+            replay.snapshot = this.snapshot;
+        }
+        return replay;
+    }
+}
+
+/**
+ * ReplayPlayer
+ * Feeds a recorded replay back into a World one frame at a time
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - Object produced by ReplayRecorder.toJSON()
+     * @param {Object} waveTimeline - For replays that did not store their timeline yet (they all ran data/waves.json)
+     */
+    constructor(replay, waveTimeline = null) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+        }
+
+        this.replay = replay;
+        this.waveTimeline = replay.waveTimeline || waveTimeline;
+        this.frame = 0;
+        this.dtIndex = 0;
+        this.dtUsed = 0;
+        this.inputIndex = 0;
+        this.inputUsed = 0;
+        this.eventIndex = 0;
+    }
+
+    get finished() {
+        return this.frame >= this.replay.frameCount;
+    }
+
+    /**
+     * Create a World matching the recorded run (seed, timeline and viewport, or the save it resumed from)
+     * @returns {World}
+     */
+    createWorld() {
+        const viewport = { ...this.replay.viewport };
+        if (this.replay.snapshot) {
+            return deserializeWorld(this.replay.snapshot, viewport, this.waveTimeline);
+        }
+        return new World(viewport, { seed: this.replay.seed, waveTimeline: this.waveTimeline });
+    }
+
+    // Next dt and movement input, advancing through the run-length encoded lists
+    nextFrame() {
+        const dtRun = this.replay.dt[this.dtIndex];
+        const inputRun = this.replay.input[this.inputIndex];
+
+        const frame = { dt: dtRun[0], dx: inputRun[0], dy: inputRun[1] };
+
+        if (++this.dtUsed >= dtRun[1]) {
+            this.dtIndex++;
+            this.dtUsed = 0;
+        }
+        if (++this.inputUsed >= inputRun[2]) {
+            this.inputIndex++;
+            this.inputUsed = 0;
+        }
+
+        this.frame++;
+        return frame;
+    }
+
+    // Apply every event scheduled before the current frame
+    applyEvents(world) {
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex].frame <= this.frame) {
+            const event = events[this.eventIndex++];
+            switch (event.type) {
+                case 'power':
+                    world.selectPower(event.id);
+                    break;
+                case 'passive':
+                    world.selectPassiveUpgrade(event.id);
+                    break;
+                case 'viewport':
+                    world.camera.canvas.width = event.width;
+                    world.camera.canvas.height = event.height;
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Advance the world by one recorded frame
+     * @param {World} world
+     * @returns {boolean} False once the replay is finished or the world cannot advance
+     */
+    step(world) {
+        this.applyEvents(world);
+
+        if (this.finished || !world.running || world.paused) {
+            return false;
+        }
+
+        const frame = this.nextFrame();
+        world.setMovementInput(frame.dx, frame.dy);
+        world.update(frame.dt);
+
+        // Choices made right after the last frame (e.g. the level-up that ended the recording)
+        if (this.finished) {
+            this.applyEvents(world);
+        }
+        return true;
+    }
+}
+
+/**
+ * Run a whole replay headlessly and return the final World
+ * @param {Object} replay - Object produced by ReplayRecorder.toJSON()
+ * @param {Object} waveTimeline - For replays that did not store their timeline yet
+ * @returns {World}
+ */
+export function runReplay(replay, waveTimeline = null) {
+    const player = new ReplayPlayer(replay, waveTimeline);
+    const world = player.createWorld();
+
+    while (player.step(world)) {
+        // Keep stepping until the recording runs out
+    }
+
+    return world;
+}
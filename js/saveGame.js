@@ -0,0 +1,349 @@
+// Save/resume - serializes a running World to a versioned JSON snapshot and restores it
+
+import { World } from './world.js';
+import { Enemy, Champion } from './enemy.js';
+import { Boss } from './bosses.js';
+import { Crystal } from './crystal.js';
+import { Projectile, AreaEffect, RingEffect, OrbitalShield } from './projectile.js';
+import { StatusEffect, DamageOverTimeEffect } from './statusEffects.js';
+import { POWERS } from './powers.js';
+import { PASSIVE_UPGRADES } from './passiveUpgrades.js';
+
+export const SAVE_VERSION = 3;
+export const SAVE_STORAGE_KEY = 'hordeSurvival.save';
+
+/**
+ * Snapshot migrations, keyed by the version they upgrade FROM.
+ * Each takes a snapshot of version N and returns one of version N + 1.
+ * When the snapshot format changes, bump SAVE_VERSION and add an entry here.
+ */
+export const SNAPSHOT_MIGRATIONS = {
+    // v2: enemy and champion slows moved from slowAmount/slowTime into their StatusEffectManager
+    1: (snapshot) => {
+        const migrateSlow = ({ slowAmount, slowTime, ...fields }) => ({
+            ...fields,
+            statusEffects: slowTime > 0
+                ? [{ type: 'slow', category: null, duration: slowTime, remaining: slowTime, config: { amount: slowAmount } }]
+                : []
+        });
+        return {
+            ...snapshot,
+            version: 2,
+            enemies: snapshot.enemies && snapshot.enemies.map(migrateSlow),
+            champions: snapshot.champions && snapshot.champions.map(migrateSlow)
+        };
+    },
+    // v3: snapshots store their wave timeline. Older runs all used data/waves.json, which the caller
+    // passes to deserializeWorld()
+    2: (snapshot) => ({ ...snapshot, version: 3, waveTimeline: null })
+};
+
+// Copy the primitive fields of an entity (numbers, strings, booleans, null).
+// Object fields (references, Sets, config objects) need explicit handling.
+function plainFields(entity, exclude = []) {
+    const data = {};
+    for (const [key, value] of Object.entries(entity)) {
+        if (exclude.includes(key)) continue;
+        if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+            data[key] = value;
+        }
+    }
+    return data;
+}
+
+// Enemies and champions are referenced by list and index (e.g. in projectile hit sets)
+function encodeRef(world, entity) {
+    const enemyIndex = world.enemies.indexOf(entity);
+    if (enemyIndex !== -1) return ['enemy', enemyIndex];
+    const championIndex = world.champions.indexOf(entity);
+    if (championIndex !== -1) return ['champion', championIndex];
+    return null; // Entity no longer exists
+}
+
+function decodeRef(world, ref) {
+    const [list, index] = ref;
+    return list === 'enemy' ? world.enemies[index] : world.champions[index];
+}
+
+function encodeRefs(world, entities) {
+    const refs = [];
+    for (const entity of entities) {
+        const ref = encodeRef(world, entity);
+        if (ref) refs.push(ref);
+    }
+    return refs;
+}
+
+// Active effects of a StatusEffectManager, with their timers (e.g. a burn's tickTimer)
+function serializeStatusEffects(statusEffects) {
+    return statusEffects.getActiveEffects().map(effect => ({
+        ...plainFields(effect, ['onApplyCallback', 'onExpireCallback']),
+        config: { ...effect.config }
+    }));
+}
+
+function restoreStatusEffects(statusEffects, effects) {
+    for (const { config, ...fields } of effects) {
+        const EffectType = fields.type === 'burn' ? DamageOverTimeEffect : StatusEffect;
+        const restored = new EffectType(fields.type, fields.category, fields.duration, { ...config });
+        statusEffects.addEffect(Object.assign(restored, fields));
+    }
+}
+
+function serializePlayer(player) {
+    return {
+        ...plainFields(player),
+        crystals: { ...player.crystals },
+        powers: player.powers.map(power => ({ ...power })),
+        passiveUpgrades: player.passiveUpgrades.map(upgrade => ({ ...upgrade })),
+        statusEffects: serializeStatusEffects(player.statusEffects)
+    };
+}
+
+function serializeOrbitalShield(world, shield) {
+    if (!shield) return null;
+    const hitCooldowns = [];
+    for (const [enemy, cooldown] of shield.hitCooldowns) {
+        const ref = encodeRef(world, enemy);
+        if (ref) hitCooldowns.push([ref, cooldown]);
+    }
+    return { ...plainFields(shield), hitCooldowns };
+}
+
+/**
+ * Serialize the full run state
+ * @param {World} world
+ * @returns {Object} JSON-serializable snapshot
+ */
+export function serializeWorld(world) {
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        seed: world.seed,
+        rngState: world.rng.getState(),
+        waveTimeline: world.enemySpawner.timeline,
+        world: plainFields(world, ['running', 'paused']),
+        pendingPowerOptions: world.pendingPowerOptions && world.pendingPowerOptions.map(o => o.id),
+        pendingPassiveOptions: world.pendingPassiveOptions && world.pendingPassiveOptions.map(o => o.id),
+        camera: plainFields(world.camera),
+        player: serializePlayer(world.player),
+        crystals: world.crystals.map(crystal => plainFields(crystal)),
+        enemies: world.enemies.map(enemy => ({
+            ...plainFields(enemy),
+            affixes: [...enemy.affixes],
+            elementMarks: { ...enemy.elementMarks },
+            statusEffects: serializeStatusEffects(enemy.statusEffects),
+            orbitTarget: enemy.orbitTarget ? world.crystals.indexOf(enemy.orbitTarget) : -1
+        })),
+        champions: world.champions.map(champion => ({
+            ...plainFields(champion),
+            elementMarks: { ...champion.elementMarks },
+            statusEffects: serializeStatusEffects(champion.statusEffects)
+        })),
+        projectiles: world.projectiles.map(proj => ({
+            ...plainFields(proj),
+            hitEnemies: encodeRefs(world, proj.hitEnemies)
+        })),
+        enemyProjectiles: world.enemyProjectiles.map(proj => plainFields(proj)),
+        areaEffects: world.areaEffects.map(effect => plainFields(effect)),
+        ringEffects: world.ringEffects.map(ring => ({
+            ...plainFields(ring),
+            hitEnemies: encodeRefs(world, ring.hitEnemies)
+        })),
+        enemySpawner: plainFields(world.enemySpawner),
+        crystalSpawner: plainFields(world.crystalSpawner),
+        director: plainFields(world.director),
+        flowField: world.flowField.built ? { targetX: world.flowField.targetX, targetY: world.flowField.targetY } : null,
+        powerManager: {
+            cooldowns: { ...world.powerManager.cooldowns },
+            orbitalShield: serializeOrbitalShield(world, world.powerManager.orbitalShield)
+        }
+    };
+}
+
+/**
+ * Bring an older snapshot up to SAVE_VERSION
+ * @param {Object} snapshot
+ * @returns {Object} Snapshot in the current format
+ */
+export function migrateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot.version !== 'number') {
+        throw new Error('Invalid save: missing version');
+    }
+    if (snapshot.version > SAVE_VERSION) {
+        throw new Error(`Save version ${snapshot.version} is newer than this game (${SAVE_VERSION})`);
+    }
+
+    let migrated = snapshot;
+    while (migrated.version < SAVE_VERSION) {
+        const migrate = SNAPSHOT_MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new Error(`No migration from save version ${migrated.version}`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
+
+function restorePlayer(player, data) {
+    const { crystals, powers, passiveUpgrades, statusEffects, ...fields } = data;
+    Object.assign(player, fields);
+    Object.assign(player.crystals, crystals);
+    player.powers = powers.filter(power => POWERS[power.id]).map(power => ({ ...power }));
+    player.passiveUpgrades = passiveUpgrades
+        .filter(upgrade => PASSIVE_UPGRADES[upgrade.id])
+        .map(upgrade => ({ ...upgrade }));
+    restoreStatusEffects(player.statusEffects, statusEffects);
+}
+
+// Rebuild the hit-tracking Set of a projectile or ring
+function restoreHitSet(world, refs) {
+    const hits = new Set();
+    for (const ref of refs) {
+        const entity = decodeRef(world, ref);
+        if (entity) hits.add(entity);
+    }
+    return hits;
+}
+
+/**
+ * Restore a World from a snapshot
+ * @param {Object} snapshot - Object produced by serializeWorld() (any supported version)
+ * @param {Object} viewport - Viewport for the restored World (the canvas in the browser)
+ * @param {Object} waveTimeline - For saves that did not store their timeline yet (they all ran data/waves.json)
+ * @returns {World}
+ */
+export function deserializeWorld(snapshot, viewport, waveTimeline = null) {
+    const data = migrateSnapshot(snapshot);
+    const world = new World(viewport, { seed: data.seed, waveTimeline: data.waveTimeline || waveTimeline });
+    const rng = world.rng;
+
+    Object.assign(world, data.world);
+    Object.assign(world.camera, data.camera);
+    restorePlayer(world.player, data.player);
+
+    // Entity arrays are shared with the PowerManager, so fill them in place
+    for (const fields of data.crystals) {
+        world.crystals.push(Object.assign(new Crystal(fields.x, fields.y, fields.type, rng), fields));
+    }
+
+    for (const { orbitTarget, statusEffects, ...fields } of data.enemies) {
+        const enemy = Object.assign(new Enemy(fields.x, fields.y, fields.type, rng), fields);
+        restoreStatusEffects(enemy.statusEffects, statusEffects);
+        enemy.orbitTarget = orbitTarget >= 0 ? world.crystals[orbitTarget] || null : null;
+        world.trackStatusEffects(enemy);
+        world.enemies.push(enemy);
+    }
+
+    for (const { statusEffects, ...fields } of data.champions) {
+        const champion = fields.isBoss
+            ? Object.assign(new Boss(fields.x, fields.y, fields.bossId), fields)
+            : Object.assign(new Champion(fields.x, fields.y, fields.crystalType), fields);
+        restoreStatusEffects(champion.statusEffects, statusEffects);
+        world.trackStatusEffects(champion);
+        world.champions.push(champion);
+    }
+
+    for (const { hitEnemies, ...fields } of data.projectiles) {
+        const proj = Object.assign(new Projectile(fields.x, fields.y, fields.angle, fields.speed, fields.damage), fields);
+        proj.hitEnemies = restoreHitSet(world, hitEnemies);
+        world.projectiles.push(proj);
+    }
+
+    for (const fields of data.enemyProjectiles) {
+        world.enemyProjectiles.push(
+            Object.assign(new Projectile(fields.x, fields.y, fields.angle, fields.speed, fields.damage), fields)
+        );
+    }
+
+    for (const fields of data.areaEffects) {
+        world.areaEffects.push(
+            Object.assign(new AreaEffect(fields.x, fields.y, fields.radius, fields.damage, fields.duration), fields)
+        );
+    }
+
+    for (const { hitEnemies, ...fields } of data.ringEffects) {
+        const ring = Object.assign(new RingEffect(fields.x, fields.y, fields.maxRadius, fields.damage, fields.duration), fields);
+        ring.hitEnemies = restoreHitSet(world, hitEnemies);
+        world.ringEffects.push(ring);
+    }
+
+    Object.assign(world.enemySpawner, data.enemySpawner);
+    Object.assign(world.crystalSpawner, data.crystalSpawner);
+    if (data.director) {
+        Object.assign(world.director, data.director);
+    }
+
+    // The field is derived from where it was last computed; older saves rebuild it on the first step
+    if (data.flowField) {
+        world.flowField.compute(data.flowField.targetX, data.flowField.targetY);
+    }
+
+    const powerManager = world.powerManager;
+    Object.assign(powerManager.cooldowns, data.powerManager.cooldowns);
+    const shieldData = data.powerManager.orbitalShield;
+    if (shieldData) {
+        const { hitCooldowns, ...fields } = shieldData;
+        const shield = new OrbitalShield(world.player, fields.count, fields.orbitRadius, fields.damage);
+        Object.assign(shield, fields);
+        for (const [ref, cooldown] of hitCooldowns) {
+            const enemy = decodeRef(world, ref);
+            if (enemy) shield.hitCooldowns.set(enemy, cooldown);
+        }
+        powerManager.orbitalShield = shield;
+    }
+
+    // Unanswered level-ups come back as pending choices
+    if (data.pendingPowerOptions) {
+        world.pendingPowerOptions = data.pendingPowerOptions
+            .filter(id => POWERS[id])
+            .map(id => {
+                const existing = world.player.powers.find(p => p.id === id);
+                return { ...POWERS[id], currentLevel: existing ? existing.level : 0 };
+            });
+    }
+    if (data.pendingPassiveOptions) {
+        world.pendingPassiveOptions = data.pendingPassiveOptions
+            .filter(id => PASSIVE_UPGRADES[id])
+            .map(id => ({ ...PASSIVE_UPGRADES[id] }));
+    }
+    world.paused = world.pendingPowerOptions !== null || world.pendingPassiveOptions !== null;
+
+    // Rebuilding entities consumed random numbers, so restore the generator last
+    rng.setState(data.rngState);
+
+    return world;
+}
+
+/**
+ * Save the run to storage (localStorage in the browser)
+ * @param {World} world
+ * @param {Storage} storage
+ */
+export function saveToStorage(world, storage = globalThis.localStorage) {
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(serializeWorld(world)));
+}
+
+/**
+ * Read the saved snapshot without restoring it (for the start screen)
+ * @param {Storage} storage
+ * @returns {Object|null} Migrated snapshot, or null if there is no usable save
+ */
+export function readSavedSnapshot(storage = globalThis.localStorage) {
+    try {
+        const raw = storage.getItem(SAVE_STORAGE_KEY);
+        if (!raw) return null;
+        return migrateSnapshot(JSON.parse(raw));
+    } catch (err) {
+        console.warn('Ignoring unreadable save:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Remove the saved run
+ * @param {Storage} storage
+ */
+export function clearSavedGame(storage = globalThis.localStorage) {
+    storage.removeItem(SAVE_STORAGE_KEY);
+}
@@ -0,0 +1,83 @@
+// Enemy stat scaling - keeps late-game enemies threatening
+//
+// EnemySpawner only raises spawn rate and count, so without this a small enemy at 20 minutes
+// would still have its 20 starting health. Each stat grows linearly with minutes survived and
+// with difficulty above 1, up to a cap:
+//   multiplier = min(max, 1 + perMinute * minutes + perDifficulty * (difficulty - 1))
+// Elite tiers unlock at game-time thresholds. Once unlocked, each spawn rolls for the highest
+// tier first; an elite's tier multipliers stack on top of the (capped) curve.
+// The multipliers are applied once, when an Enemy or Champion is constructed (or reset from the pool).
+
+import { requireRng } from './random.js';
+
+export const SCALING_CONFIG = {
+    stats: {
+        health: { perMinute: 0.15, perDifficulty: 0.05, max: 6.0 },
+        damage: { perMinute: 0.06, perDifficulty: 0.03, max: 3.0 },
+        speed: { perMinute: 0.01, perDifficulty: 0.01, max: 1.35 },
+        xp: { perMinute: 0.08, perDifficulty: 0.02, max: 4.0 }
+    },
+
+    // In unlock order; `chance` is per spawn once gameTime reaches minTime
+    eliteTiers: [
+        { name: 'Veteran', minTime: 240, chance: 0.08, health: 2.0, damage: 1.3, speed: 1.05, xp: 2.5, radius: 1.15, color: '#b0bec5' },
+        { name: 'Elite', minTime: 480, chance: 0.05, health: 3.5, damage: 1.6, speed: 1.1, xp: 5, radius: 1.3, color: '#ffd54f' },
+        { name: 'Nightmare', minTime: 900, chance: 0.03, health: 6.0, damage: 2.0, speed: 1.15, xp: 10, radius: 1.45, color: '#e040fb' }
+    ]
+};
+
+export const SCALED_STATS = Object.keys(SCALING_CONFIG.stats);
+
+// Multipliers at the very start of a run (also what unscaled enemies use)
+export const BASE_SCALING = Object.freeze({ health: 1, damage: 1, speed: 1, xp: 1, radius: 1, eliteTier: 0 });
+
+/**
+ * Stat multipliers for something spawned now
+ * @param {number} gameTime - Seconds survived
+ * @param {number} difficulty - EnemySpawner difficulty (1 at the start)
+ * @param {number} eliteTier - 0 for a normal enemy, otherwise 1 + index in SCALING_CONFIG.eliteTiers
+ * @returns {Object} { health, damage, speed, xp, radius, eliteTier }
+ */
+export function getStatScaling(gameTime, difficulty = 1, eliteTier = 0) {
+    const minutes = Math.max(0, gameTime) / 60;
+    const extraDifficulty = Math.max(0, difficulty - 1);
+    const tier = getEliteTier(eliteTier);
+    if (eliteTier > 0 && !tier) {
+        throw new Error(`Unknown elite tier: ${eliteTier}`);
+    }
+
+    const scaling = { radius: tier ? tier.radius : 1, eliteTier };
+    for (const stat of SCALED_STATS) {
+        const { perMinute, perDifficulty, max } = SCALING_CONFIG.stats[stat];
+        const curve = Math.min(max, 1 + perMinute * minutes + perDifficulty * extraDifficulty);
+        scaling[stat] = curve * (tier ? tier[stat] : 1);
+    }
+    return scaling;
+}
+
+/**
+ * Roll the elite tier of a new spawn, trying the highest unlocked tier first
+ * @param {number} gameTime - Seconds survived
+ * @param {Object} rng - Random source (Math or a SeededRandom); not used before the first tier unlocks
+ * @param {number} chanceMultiplier - Scales every tier's chance (the AI director's eliteChance)
+ * @returns {number} 0 for a normal enemy, otherwise 1 + index in SCALING_CONFIG.eliteTiers
+ */
+export function rollEliteTier(gameTime, rng, chanceMultiplier = 1) {
+    requireRng(rng, 'rollEliteTier');
+    const tiers = SCALING_CONFIG.eliteTiers;
+    for (let i = tiers.length - 1; i >= 0; i--) {
+        if (gameTime >= tiers[i].minTime && rng.random() < tiers[i].chance * chanceMultiplier) {
+            return i + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Elite tier settings
+ * @param {number} eliteTier - As returned by rollEliteTier
+ * @returns {Object|null} SCALING_CONFIG.eliteTiers entry, or null for a normal enemy
+ */
+export function getEliteTier(eliteTier) {
+    return eliteTier > 0 ? SCALING_CONFIG.eliteTiers[eliteTier - 1] : null;
+}
@@ -0,0 +1,40 @@
+// Player settings - presentation preferences persisted to localStorage
+// Settings never affect the simulation, so saves and replays stay valid when they change.
+
+export const SETTINGS_STORAGE_KEY = 'hordeSurvival.settings';
+
+export const DEFAULT_SETTINGS = {
+    pauseOnBlur: true,          // Open the pause menu when the window loses focus
+    ambientParticles: true      // Draw the floating background particles
+};
+
+/**
+ * Load settings, falling back to defaults for anything missing or unreadable
+ * @param {Storage} storage
+ * @returns {Object} Settings with every key of DEFAULT_SETTINGS
+ */
+export function loadSettings(storage = globalThis.localStorage) {
+    const settings = { ...DEFAULT_SETTINGS };
+
+    try {
+        const stored = JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (typeof stored[key] === typeof DEFAULT_SETTINGS[key]) {
+                settings[key] = stored[key];
+            }
+        }
+    } catch (err) {
+        console.warn('Ignoring unreadable settings:', err.message);
+    }
+
+    return settings;
+}
+
+/**
+ * Persist settings
+ * @param {Object} settings
+ * @param {Storage} storage
+ */
+export function saveSettings(settings, storage = globalThis.localStorage) {
+    storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
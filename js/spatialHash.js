@@ -0,0 +1,211 @@
+// Spatial hash - uniform grid for broad-phase proximity queries
+//
+// Each entity is bucketed by the cell its center falls in. Queries widen their box by the
+// largest extent (radius) inserted, so they return every entity whose bounding box overlaps
+// the query box; callers still run their exact collision checks, just against a short
+// candidate list instead of every entity. Results are always returned in insertion order,
+// which lets the World resolve collisions in exactly the same order as a plain array scan.
+
+import { distance } from './utils.js';
+
+export const DEFAULT_CELL_SIZE = 128;
+
+// Cell coordinates are packed into one number; exact for |cell index| < 2^20
+const CELL_OFFSET = 1 << 20;
+const CELL_STRIDE = 1 << 21;
+
+export class SpatialHash {
+    /**
+     * @param {number} cellSize - Cell width/height in world units
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // cell key -> entries whose entity center is in the cell
+        this.entries = new Map();   // entity -> { entity, order, extent, key }
+        this.nextOrder = 0;
+        this.maxExtent = 0;         // Largest extent inserted since the last clear
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    cellIndex(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    cellKey(cx, cy) {
+        return (cx + CELL_OFFSET) * CELL_STRIDE + (cy + CELL_OFFSET);
+    }
+
+    keyFor(x, y) {
+        return this.cellKey(this.cellIndex(x), this.cellIndex(y));
+    }
+
+    clear() {
+        // Keep last frame's cells for reuse; drop the ones that were already empty
+        for (const [key, cell] of this.cells) {
+            if (cell.length === 0) {
+                this.cells.delete(key);
+            } else {
+                cell.length = 0;
+            }
+        }
+        this.entries.clear();
+        this.nextOrder = 0;
+        this.maxExtent = 0;
+    }
+
+    /**
+     * Replace the contents with a list of entities (in that order)
+     * @param {Object[]} entities - Anything with x and y
+     * @param {Function} getExtent - entity => half-size of its bounding box (defaults to radius)
+     */
+    rebuild(entities, getExtent = defaultExtent) {
+        this.clear();
+        for (const entity of entities) {
+            this.insert(entity, getExtent(entity));
+        }
+    }
+
+    /**
+     * Add an entity at its current position
+     * @param {Object} entity - Anything with x and y
+     * @param {number} extent - Half-size of its bounding box (defaults to entity.radius)
+     */
+    insert(entity, extent = defaultExtent(entity)) {
+        if (this.entries.has(entity)) {
+            this.update(entity);
+            return;
+        }
+
+        const entry = { entity, order: this.nextOrder++, extent, key: this.keyFor(entity.x, entity.y) };
+        this.entries.set(entity, entry);
+        this.addToCell(entry);
+        if (extent > this.maxExtent) {
+            this.maxExtent = extent;
+        }
+    }
+
+    remove(entity) {
+        const entry = this.entries.get(entity);
+        if (!entry) return false;
+
+        this.removeFromCell(entry);
+        this.entries.delete(entity);
+        return true;
+    }
+
+    /**
+     * Re-bucket an entity after it moved, keeping its place in the result order
+     * @param {Object} entity
+     */
+    update(entity) {
+        const entry = this.entries.get(entity);
+        if (!entry) return;
+
+        const key = this.keyFor(entity.x, entity.y);
+        if (key !== entry.key) {
+            this.removeFromCell(entry);
+            entry.key = key;
+            this.addToCell(entry);
+        }
+    }
+
+    addToCell(entry) {
+        const cell = this.cells.get(entry.key);
+        if (cell) {
+            cell.push(entry);
+        } else {
+            this.cells.set(entry.key, [entry]);
+        }
+    }
+
+    removeFromCell(entry) {
+        const cell = this.cells.get(entry.key);
+        cell.splice(cell.indexOf(entry), 1);
+    }
+
+    /**
+     * Broad-phase query: every entity whose bounding box overlaps the square around (x, y)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} range - Half-size of the query square
+     * @returns {Object[]} Candidates in insertion order (a superset of the exact hits)
+     */
+    query(x, y, range) {
+        const reach = range + this.maxExtent;
+        const minCX = this.cellIndex(x - reach);
+        const maxCX = this.cellIndex(x + reach);
+        const minCY = this.cellIndex(y - reach);
+        const maxCY = this.cellIndex(y + reach);
+
+        const found = [];
+        const boxCells = (maxCX - minCX + 1) * (maxCY - minCY + 1);
+
+        if (boxCells > this.cells.size) {
+            // Huge query box - cheaper to walk the occupied cells
+            for (const cell of this.cells.values()) {
+                for (const entry of cell) {
+                    if (overlaps(entry, x, y, range)) found.push(entry);
+                }
+            }
+        } else {
+            for (let cx = minCX; cx <= maxCX; cx++) {
+                for (let cy = minCY; cy <= maxCY; cy++) {
+                    const cell = this.cells.get(this.cellKey(cx, cy));
+                    if (!cell) continue;
+                    for (const entry of cell) {
+                        if (overlaps(entry, x, y, range)) found.push(entry);
+                    }
+                }
+            }
+        }
+
+        if (found.length > 1) {
+            found.sort((a, b) => a.order - b.order);
+        }
+        for (let i = 0; i < found.length; i++) {
+            found[i] = found[i].entity;
+        }
+        return found;
+    }
+
+    /**
+     * Find the entities closest to a point (by center distance)
+     * Ties keep insertion order, like a stable sort over the original list.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} count - How many to return
+     * @returns {Object[]} Up to `count` entities, nearest first
+     */
+    findNearest(x, y, count = 1) {
+        if (count <= 0 || this.entries.size === 0) return [];
+
+        // Grow the search square until it holds enough entities within its inscribed circle
+        let range = this.cellSize;
+        for (;;) {
+            const candidates = this.query(x, y, range).map(entity => ({
+                entity,
+                dist: distance(x, y, entity.x, entity.y)
+            }));
+            const inside = candidates.filter(c => c.dist <= range).length;
+
+            if (inside >= count || candidates.length === this.entries.size) {
+                candidates.sort((a, b) => a.dist - b.dist);
+                return candidates.slice(0, count).map(c => c.entity);
+            }
+            range *= 2;
+        }
+    }
+}
+
+function defaultExtent(entity) {
+    return entity.radius || 0;
+}
+
+// Bounding box of an entry (at its entity's current position) against a query square
+function overlaps(entry, x, y, range) {
+    const reach = range + entry.extent;
+    return Math.abs(entry.entity.x - x) <= reach && Math.abs(entry.entity.y - y) <= reach;
+}
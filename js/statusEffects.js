@@ -1,14 +1,33 @@
 // Status Effect System
 // Provides a reusable framework for temporary effects that modify gameplay
 
+import { GAME_EVENTS } from './events.js';
+
 // Configuration for status effects - centralized for easy tuning
 export const STATUS_EFFECT_CONFIG = {
     supercharge: {
         defaultDuration: 7.0,       // seconds
         defaultBonusLevels: 3       // power level bonus
+    },
+
+    // Enemy-side effects
+    burn: {
+        tickInterval: 0.5           // seconds between damage ticks
+    },
+    vulnerable: {
+        maxAmount: 1.0              // at most double damage taken
+    },
+    weaken: {
+        maxAmount: 0.9              // contact damage never drops below 10%
     }
 };
 
+// Effect types that can be applied to enemies and champions
+export const ENEMY_EFFECT_TYPES = ['slow', 'haste', 'burn', 'freeze', 'stun', 'vulnerable', 'weaken'];
+
+// Strength fields a refresh never lowers (slow/haste/vulnerable/weaken amount, burn damage per second)
+const STRENGTH_FIELDS = ['amount', 'damagePerSecond'];
+
 /**
  * Base StatusEffect class
  * Represents a temporary effect that can modify player/game state
@@ -63,6 +82,41 @@ export class StatusEffect {
     getRemainingFormatted() {
         return this.remaining.toFixed(1) + 's';
     }
+
+    /**
+     * Take the damage this effect has dealt since the last call (damage-over-time effects)
+     * @returns {number}
+     */
+    takeDamageDue() {
+        return 0;
+    }
+}
+
+/**
+ * Damage over time, dealt in ticks of config.tickInterval seconds
+ * (config.damagePerSecond is read every tick, so a refresh with a stronger burn takes effect)
+ */
+export class DamageOverTimeEffect extends StatusEffect {
+    constructor(type, category, duration, config = {}) {
+        super(type, category, duration, config);
+        this.tickTimer = 0;
+        this.damageDue = 0;
+    }
+
+    update(dt) {
+        super.update(dt);
+        this.tickTimer += dt;
+        while (this.tickTimer >= this.config.tickInterval) {
+            this.tickTimer -= this.config.tickInterval;
+            this.damageDue += this.config.damagePerSecond * this.config.tickInterval;
+        }
+    }
+
+    takeDamageDue() {
+        const damage = this.damageDue;
+        this.damageDue = 0;
+        return damage;
+    }
 }
 
 /**
@@ -72,11 +126,24 @@ export class StatusEffect {
 export class StatusEffectManager {
     constructor() {
         this.effects = [];
+        this.damageDue = 0; // Damage-over-time ticks not yet taken by the World
+        this.events = null; // Optional EventBus for statusEffectApplied/statusEffectExpired
+        this.owner = null;  // Entity the effects belong to (sent with events)
+    }
+
+    /**
+     * Publish applied/expired effects on an event bus
+     * @param {EventBus} events
+     * @param {Object} owner - Entity these effects belong to
+     */
+    setEventBus(events, owner) {
+        this.events = events;
+        this.owner = owner;
     }
 
     /**
      * Add a new status effect
-     * If an effect of the same type and category exists, refresh its duration
+     * If an effect of the same type and category exists, refresh its duration and keep the stronger strength
      * @param {StatusEffect} effect - The effect to add
      */
     addEffect(effect) {
@@ -88,9 +155,16 @@ export class StatusEffectManager {
         if (existing) {
             // Refresh duration (take the longer of the two)
             existing.remaining = Math.max(existing.remaining, effect.duration);
-            // Update config if provided (allows stacking behavior changes)
+            // Update config if provided (allows stacking behavior changes), but a weaker
+            // reapplication never lowers a strength that is still running
             if (effect.config) {
-                existing.config = { ...existing.config, ...effect.config };
+                const config = { ...existing.config, ...effect.config };
+                for (const field of STRENGTH_FIELDS) {
+                    if (field in existing.config && field in effect.config) {
+                        config[field] = Math.max(existing.config[field], effect.config[field]);
+                    }
+                }
+                existing.config = config;
             }
         } else {
             // Add new effect
@@ -98,6 +172,9 @@ export class StatusEffectManager {
             if (effect.onApplyCallback) {
                 effect.onApplyCallback();
             }
+            if (this.events) {
+                this.events.emit(GAME_EVENTS.STATUS_EFFECT_APPLIED, { owner: this.owner, effect });
+            }
         }
     }
 
@@ -109,12 +186,17 @@ export class StatusEffectManager {
         for (let i = this.effects.length - 1; i >= 0; i--) {
             const effect = this.effects[i];
             effect.update(dt);
+            // Collected before expiry so an effect's final tick still lands
+            this.damageDue += effect.takeDamageDue();
             
             if (effect.isExpired()) {
                 if (effect.onExpireCallback) {
                     effect.onExpireCallback();
                 }
                 this.effects.splice(i, 1);
+                if (this.events) {
+                    this.events.emit(GAME_EVENTS.STATUS_EFFECT_EXPIRED, { owner: this.owner, effect });
+                }
             }
         }
     }
@@ -134,6 +216,56 @@ export class StatusEffectManager {
         return bonus;
     }
 
+    /**
+     * Take the damage-over-time ticks collected by update() since the last call
+     * @returns {number}
+     */
+    takeDamageDue() {
+        const damage = this.damageDue;
+        this.damageDue = 0;
+        return damage;
+    }
+
+    /**
+     * Get the largest config.amount among active effects of a type
+     * @param {string} type - Effect type (e.g. 'slow', 'vulnerable')
+     * @returns {number} 0 when no such effect is active
+     */
+    getStrongest(type) {
+        let strongest = 0;
+        for (const effect of this.effects) {
+            if (effect.type === type) {
+                strongest = Math.max(strongest, effect.config.amount || 0);
+            }
+        }
+        return strongest;
+    }
+
+    /**
+     * Movement speed multiplier from slow, haste, freeze and stun
+     * @returns {number} 0 when frozen or stunned, otherwise the strongest slow and haste combined
+     */
+    getSpeedMultiplier() {
+        if (this.hasEffect('freeze') || this.hasEffect('stun')) return 0;
+        return (1 - this.getStrongest('slow')) * (1 + this.getStrongest('haste'));
+    }
+
+    /**
+     * Multiplier for damage taken (vulnerable)
+     * @returns {number}
+     */
+    getDamageTakenMultiplier() {
+        return 1 + Math.min(STATUS_EFFECT_CONFIG.vulnerable.maxAmount, this.getStrongest('vulnerable'));
+    }
+
+    /**
+     * Multiplier for damage dealt (weaken)
+     * @returns {number}
+     */
+    getDamageDealtMultiplier() {
+        return 1 - Math.min(STATUS_EFFECT_CONFIG.weaken.maxAmount, this.getStrongest('weaken'));
+    }
+
     /**
      * Check if a specific effect type is active
      * @param {string} type - Effect type to check
@@ -176,6 +308,7 @@ export class StatusEffectManager {
      */
     clearAll() {
         this.effects = [];
+        this.damageDue = 0;
     }
 }
 
@@ -198,3 +331,29 @@ export function createSuperchargeEffect(category, duration = null, bonusLevels =
     );
 }
 
+/**
+ * Factory function to create an enemy-side effect (also used for the debuffs champions put on the player)
+ * @param {string} type - One of ENEMY_EFFECT_TYPES
+ * @param {number} amount - Strength: slow/haste/vulnerable/weaken fraction, burn damage per second (unused by freeze and stun)
+ * @param {number} duration - Effect duration in seconds
+ * @returns {StatusEffect}
+ */
+export function createEnemyEffect(type, amount, duration) {
+    switch (type) {
+        case 'burn':
+            return new DamageOverTimeEffect('burn', null, duration, {
+                damagePerSecond: amount,
+                tickInterval: STATUS_EFFECT_CONFIG.burn.tickInterval
+            });
+        case 'freeze':
+        case 'stun':
+            return new StatusEffect(type, null, duration);
+        case 'slow':
+        case 'haste':
+        case 'vulnerable':
+        case 'weaken':
+            return new StatusEffect(type, null, duration, { amount });
+        default:
+            throw new Error(`Unknown enemy effect: ${type}`);
+    }
+}
@@ -0,0 +1,90 @@
+// Crowd steering - keeps enemies and champions from piling onto the same spot
+//
+// Runs once per step after everything has moved. Each body is pushed away from neighbours that
+// come within separationRange of their combined radii (gently at the edge, harder the closer they
+// are), overlapping bodies are pushed apart (soft collision, where the heavier body moves less),
+// and nothing may sink deeper than playerContactDepth into the player's body. Moves are applied
+// body by body, so later bodies already see where earlier ones went.
+
+import { distance, frameDecay } from './utils.js';
+
+export const STEERING_CONFIG = {
+    separationRange: 1.4,       // Neighbours closer than this x combined radii repel
+    separationSpeed: 180,       // Push speed (units/s) as two neighbours come into contact
+    collisionStiffness: 0.9,    // Fraction of an overlap resolved per 1/60 s frame
+    playerContactDepth: 0.8     // Closest approach to the player, as a fraction of combined radii
+                                // (below 1, so bodies still touch the player for contact damage)
+};
+
+// Spread for bodies sitting exactly on top of each other: the golden angle per body index
+const COINCIDENT_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Push one body away from its neighbours
+ * @param {Object} body - Enemy or champion
+ * @param {Object[]} neighbours - Candidates near the body (may include the body itself)
+ * @param {number} index - Body's position in the steering pass (picks the escape direction from a coincident neighbour)
+ * @param {number} dt - Step length in seconds
+ */
+export function separate(body, neighbours, index, dt) {
+    const { separationRange, separationSpeed, collisionStiffness } = STEERING_CONFIG;
+    const resolve = 1 - frameDecay(1 - collisionStiffness, dt);
+    const mass = body.radius * body.radius;
+
+    let moveX = 0;
+    let moveY = 0;
+    for (const other of neighbours) {
+        if (other === body) continue;
+
+        const contact = body.radius + other.radius;
+        const dist = distance(body.x, body.y, other.x, other.y);
+        if (dist >= contact * separationRange) continue;
+
+        let dirX;
+        let dirY;
+        if (dist > 0) {
+            dirX = (body.x - other.x) / dist;
+            dirY = (body.y - other.y) / dist;
+        } else {
+            dirX = Math.cos(index * COINCIDENT_ANGLE);
+            dirY = Math.sin(index * COINCIDENT_ANGLE);
+        }
+
+        // Separation: grows from 0 at the edge of the range to separationSpeed at contact
+        const closeness = Math.min(1, (contact * separationRange - dist) / (contact * (separationRange - 1)));
+        let push = separationSpeed * closeness * dt;
+
+        // Soft collision: this body's share of the overlap, by mass
+        if (dist < contact) {
+            const otherMass = other.radius * other.radius;
+            push += (contact - dist) * resolve * otherMass / (mass + otherMass);
+        }
+
+        moveX += dirX * push;
+        moveY += dirY * push;
+    }
+
+    body.x += moveX;
+    body.y += moveY;
+}
+
+/**
+ * Keep a body from sinking into the player
+ * @param {Object} body - Enemy or champion
+ * @param {Object} player
+ */
+export function pushOutOfPlayer(body, player) {
+    const minDist = (body.radius + player.radius) * STEERING_CONFIG.playerContactDepth;
+    const dist = distance(player.x, player.y, body.x, body.y);
+    if (dist >= minDist) return;
+
+    if (dist > 0) {
+        body.x = player.x + (body.x - player.x) / dist * minDist;
+        body.y = player.y + (body.y - player.y) / dist * minDist;
+    } else {
+        // Dead centre: step out along the direction the body was heading
+        const facing = Math.atan2(body.targetY - body.y, body.targetX - body.x) + Math.PI;
+        body.x = player.x + Math.cos(facing) * minDist;
+        body.y = player.y + Math.sin(facing) * minDist;
+    }
+}
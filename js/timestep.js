@@ -0,0 +1,55 @@
+// Fixed timestep - the simulation always advances in equal steps, whatever the display rate
+//
+// Frame time accumulates and is spent in FIXED_DT steps; what is left over (less than one step)
+// becomes the interpolation factor for rendering between the last two simulated states.
+
+export const FIXED_DT = 1 / 60;
+
+// Longest frame time spent in one go (a stalled tab resumes without a burst of catch-up steps)
+export const MAX_FRAME_TIME = 0.1;
+
+export class FixedTimestep {
+    /**
+     * @param {number} step - Simulation step in seconds
+     * @param {number} maxFrameTime - Frame times are clamped to this
+     */
+    constructor(step = FIXED_DT, maxFrameTime = MAX_FRAME_TIME) {
+        this.step = step;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Spend a frame's worth of time on fixed steps
+     * @param {number} frameTime - Seconds since the last frame
+     * @param {Function} stepFn - (step) => boolean, called per step; return false to stop early
+     *                            (e.g. the world paused for a level-up), which drops the leftover time
+     * @returns {number} Steps taken
+     */
+    advance(frameTime, stepFn) {
+        this.accumulator += Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+
+        let steps = 0;
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            steps++;
+            if (stepFn(this.step) === false) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * How far the leftover time is into the next step
+     * @returns {number} 0..1, for interpolating between the previous and current state
+     */
+    get alpha() {
+        return this.accumulator / this.step;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
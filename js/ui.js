@@ -1,7 +1,23 @@
 // UI management
 
-import { POWERS, PowerManager } from './powers.js';
+import { POWERS, POWER_EVOLUTIONS, PowerManager } from './powers.js';
 import { PASSIVE_UPGRADES } from './passiveUpgrades.js';
+import { GAME_EVENTS } from './events.js';
+
+// Category class, plus 'evolved' for evolution powers
+function powerClassName(base, def) {
+    return `${base} ${def.category}${POWER_EVOLUTIONS[def.id] ? ' evolved' : ''}`;
+}
+
+function formatPowerLevel(level, def) {
+    return level >= def.maxLevel ? 'MAX' : `Lv.${level}`;
+}
+
+// HUD labels for the debuffs champions put on the player
+const DEBUFF_LABELS = {
+    slow: (effect) => `Slowed ${Math.round(effect.config.amount * 100)}%`,
+    burn: (effect) => `Burning ${effect.config.damagePerSecond}/s`
+};
 
 export class UI {
     constructor() {
@@ -11,15 +27,28 @@ export class UI {
             force: document.getElementById('force-count'),
             total: document.getElementById('total-crystals')
         };
+        this.crystalCounters = {
+            heat: document.querySelector('.crystal-count.heat'),
+            cold: document.querySelector('.crystal-count.cold'),
+            force: document.querySelector('.crystal-count.force')
+        };
         
         // XP display elements
         this.xpDisplay = {
+            container: document.getElementById('xp-level'),
             level: document.getElementById('player-level'),
             barFill: document.getElementById('xp-bar-fill'),
             text: document.getElementById('xp-text')
         };
         
         this.powersDisplay = document.getElementById('powers-display');
+        this.debuffsDisplay = document.getElementById('debuffs-display');
+        this.bossBar = {
+            container: document.getElementById('boss-bar'),
+            name: document.getElementById('boss-name'),
+            fill: document.getElementById('boss-health-fill')
+        };
+        this.bossBanner = document.getElementById('boss-banner');
         this.passiveUpgradesDisplay = document.getElementById('passive-upgrades-display');
         this.levelUpModal = document.getElementById('level-up-modal');
         this.powerOptions = document.getElementById('power-options');
@@ -27,12 +56,35 @@ export class UI {
         this.passiveOptions = document.getElementById('passive-options');
         this.gameOverModal = document.getElementById('game-over-modal');
         this.startScreen = document.getElementById('start-screen');
+        this.savedRun = document.getElementById('saved-run');
+        this.savedRunInfo = document.getElementById('saved-run-info');
+        
+        // Pause menu elements
+        this.pauseMenu = document.getElementById('pause-menu');
+        this.pauseBuild = document.getElementById('pause-build');
+        this.pausePowers = document.getElementById('pause-powers');
+        this.pausePassives = document.getElementById('pause-passives');
+        this.pauseEffects = document.getElementById('pause-effects');
+        this.pauseButtons = document.getElementById('pause-buttons');
+        this.pauseSettings = document.getElementById('pause-settings');
+        this.settingInputs = {
+            pauseOnBlur: document.getElementById('setting-pause-on-blur'),
+            ambientParticles: document.getElementById('setting-ambient-particles')
+        };
         this.survivalTime = document.getElementById('survival-time');
         this.enemiesDefeated = document.getElementById('enemies-defeated');
         
         this.onPowerSelected = null;
         this.onRestart = null;
         this.onStart = null;
+        this.onDownloadReplay = null;
+        this.onLoadReplay = null;
+        this.onContinue = null;
+        this.onDeleteSave = null;
+        this.onResume = null;
+        this.onPauseRestart = null;
+        this.onQuitToTitle = null;
+        this.onSettingsChange = null;
         
         this.setupEventListeners();
     }
@@ -45,6 +97,120 @@ export class UI {
         document.getElementById('start-btn').addEventListener('click', () => {
             if (this.onStart) this.onStart();
         });
+        
+        document.getElementById('continue-btn').addEventListener('click', () => {
+            if (this.onContinue) this.onContinue();
+        });
+        
+        document.getElementById('delete-save-btn').addEventListener('click', () => {
+            if (this.onDeleteSave) this.onDeleteSave();
+        });
+        
+        document.getElementById('resume-btn').addEventListener('click', () => {
+            if (this.onResume) this.onResume();
+        });
+        
+        document.getElementById('pause-restart-btn').addEventListener('click', () => {
+            if (this.onPauseRestart) this.onPauseRestart();
+        });
+        
+        document.getElementById('quit-to-title-btn').addEventListener('click', () => {
+            if (this.onQuitToTitle) this.onQuitToTitle();
+        });
+        
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            this.showPauseSettings(true);
+        });
+        
+        document.getElementById('settings-back-btn').addEventListener('click', () => {
+            this.showPauseSettings(false);
+        });
+        
+        for (const input of Object.values(this.settingInputs)) {
+            input.addEventListener('change', () => {
+                if (this.onSettingsChange) this.onSettingsChange(this.readSettings());
+            });
+        }
+        
+        document.getElementById('download-replay-btn').addEventListener('click', () => {
+            if (this.onDownloadReplay) this.onDownloadReplay();
+        });
+        
+        // Replay files are picked through a hidden file input
+        const replayInput = document.getElementById('replay-file-input');
+        document.getElementById('load-replay-btn').addEventListener('click', () => {
+            replayInput.click();
+        });
+        replayInput.addEventListener('change', () => {
+            const file = replayInput.files[0];
+            replayInput.value = '';
+            if (!file) return;
+            
+            file.text().then((text) => {
+                if (this.onLoadReplay) this.onLoadReplay(JSON.parse(text));
+            }).catch((err) => {
+                window.alert(`Could not read replay: ${err.message}`);
+            });
+        });
+    }
+
+    /**
+     * Follow a run's events for HUD feedback (supercharged categories, level-up pulse, boss banners)
+     * @param {EventBus} events - The World's event bus
+     * @param {Player} player - Whose effects to show (effects already active are shown right away)
+     * @returns {Function} Call to unsubscribe, e.g. before a new run replaces the World
+     */
+    bindEvents(events, player) {
+        for (const category of Object.keys(this.crystalCounters)) {
+            this.setSupercharged(category, player.statusEffects.hasEffect('supercharge', category));
+        }
+
+        const isSupercharge = ({ owner, effect }) => owner === player && effect.type === 'supercharge';
+        const unsubscribers = [
+            events.on(GAME_EVENTS.STATUS_EFFECT_APPLIED, (event) => {
+                if (isSupercharge(event)) this.setSupercharged(event.effect.category, true);
+            }),
+            events.on(GAME_EVENTS.STATUS_EFFECT_EXPIRED, (event) => {
+                if (isSupercharge(event)) this.setSupercharged(event.effect.category, false);
+            }),
+            events.on(GAME_EVENTS.LEVEL_UP, () => this.pulseLevel()),
+            events.on(GAME_EVENTS.BOSS_WARNING, ({ name }) => this.showBossBanner(`${name} approaches!`)),
+            events.on(GAME_EVENTS.BOSS_DEFEATED, ({ boss }) => this.showBossBanner(`${boss.name} defeated!`))
+        ];
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    setSupercharged(category, active) {
+        const counter = this.crystalCounters[category];
+        if (counter) counter.classList.toggle('supercharged', active);
+    }
+
+    pulseLevel() {
+        const container = this.xpDisplay.container;
+        container.classList.remove('pulse');
+        void container.offsetWidth; // Restart the animation
+        container.classList.add('pulse');
+    }
+
+    showBossBanner(text) {
+        this.bossBanner.textContent = text;
+        this.bossBanner.classList.remove('show');
+        void this.bossBanner.offsetWidth; // Restart the animation
+        this.bossBanner.classList.add('show');
+    }
+
+    /**
+     * Show the boss health bar at the top of the screen
+     * @param {Boss|null} boss - Hides the bar when null
+     */
+    updateBossBar(boss) {
+        this.bossBar.container.classList.toggle('hidden', !boss);
+        if (!boss) return;
+
+        this.bossBar.name.textContent = `${boss.name} - Phase ${boss.phaseIndex + 1}`;
+        this.bossBar.fill.style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+        this.bossBar.fill.style.background = boss.color;
     }
 
     updateCrystals(crystals) {
@@ -60,12 +226,26 @@ export class UI {
         for (const power of powers) {
             const def = POWERS[power.id];
             const div = document.createElement('div');
-            div.className = `power-item ${def.category}`;
-            div.textContent = `${def.name} Lv.${power.level}`;
+            div.className = powerClassName('power-item', def);
+            div.textContent = `${def.name} ${formatPowerLevel(power.level, def)}`;
             this.powersDisplay.appendChild(div);
         }
     }
 
+    updateDebuffs(statusEffects) {
+        this.debuffsDisplay.innerHTML = '';
+        
+        for (const effect of statusEffects.getActiveEffects()) {
+            const label = DEBUFF_LABELS[effect.type];
+            if (!label) continue;
+            
+            const div = document.createElement('div');
+            div.className = `debuff-item ${effect.type}`;
+            div.textContent = `${label(effect)} ${effect.getRemainingFormatted()}`;
+            this.debuffsDisplay.appendChild(div);
+        }
+    }
+
     updateXpBar(current, max, level) {
         this.xpDisplay.level.textContent = level;
         const percent = Math.min(100, (current / max) * 100);
@@ -126,11 +306,17 @@ export class UI {
         
         for (const option of options) {
             const div = document.createElement('div');
-            div.className = `power-option ${option.category}`;
+            div.className = powerClassName('power-option', option);
             
-            const levelText = option.currentLevel > 0 
-                ? `Level ${option.currentLevel} → ${option.currentLevel + 1}`
-                : 'New!';
+            let levelText;
+            if (POWER_EVOLUTIONS[option.id] && option.currentLevel === 0) {
+                const sources = POWER_EVOLUTIONS[option.id].map(id => POWERS[id].name);
+                levelText = `Evolution! Replaces ${sources.join(' + ')}`;
+            } else if (option.currentLevel > 0) {
+                levelText = `Level ${option.currentLevel} → ${option.currentLevel + 1}`;
+            } else {
+                levelText = 'New!';
+            }
             
             div.innerHTML = `
                 <h3>${option.name}</h3>
@@ -161,7 +347,87 @@ export class UI {
         this.gameOverModal.classList.add('hidden');
     }
 
-    showStartScreen() {
+    // Pause menu: the player's current build and the settings panel
+    showPauseMenu(player, settings) {
+        // Current build: powers, passive stacks and running status effects
+        this.pausePowers.innerHTML = '';
+        for (const power of player.powers) {
+            const def = POWERS[power.id];
+            const div = document.createElement('div');
+            div.className = powerClassName('power-item', def);
+            div.textContent = `${def.name} ${formatPowerLevel(power.level, def)}`;
+            div.title = def.description;
+            this.pausePowers.appendChild(div);
+        }
+        if (player.powers.length === 0) {
+            this.pausePowers.innerHTML = '<p class="pause-empty">None yet</p>';
+        }
+        
+        this.pausePassives.innerHTML = '';
+        for (const upgrade of player.passiveUpgrades) {
+            const def = PASSIVE_UPGRADES[upgrade.id];
+            if (!def) continue;
+            const div = document.createElement('div');
+            div.className = `passive-item ${def.category || 'neutral'}`;
+            div.textContent = `${def.name} x${upgrade.stacks || 1}`;
+            div.title = def.description;
+            this.pausePassives.appendChild(div);
+        }
+        if (player.passiveUpgrades.length === 0) {
+            this.pausePassives.innerHTML = '<p class="pause-empty">None yet</p>';
+        }
+        
+        this.pauseEffects.innerHTML = '';
+        const effects = player.statusEffects.getActiveEffects();
+        for (const effect of effects) {
+            const div = document.createElement('div');
+            div.className = `power-item ${effect.category || ''}`;
+            const name = effect.type.charAt(0).toUpperCase() + effect.type.slice(1);
+            const category = effect.category ? ` (${effect.category})` : '';
+            div.textContent = `${name}${category} ${effect.getRemainingFormatted()}`;
+            this.pauseEffects.appendChild(div);
+        }
+        if (effects.length === 0) {
+            this.pauseEffects.innerHTML = '<p class="pause-empty">None active</p>';
+        }
+        
+        for (const [key, input] of Object.entries(this.settingInputs)) {
+            input.checked = settings[key];
+        }
+        
+        this.showPauseSettings(false);
+        this.pauseMenu.classList.remove('hidden');
+    }
+
+    hidePauseMenu() {
+        this.pauseMenu.classList.add('hidden');
+    }
+
+    // Swap the build overview and buttons for the settings panel (or back)
+    showPauseSettings(visible) {
+        this.pauseSettings.classList.toggle('hidden', !visible);
+        this.pauseBuild.classList.toggle('hidden', visible);
+        this.pauseButtons.classList.toggle('hidden', visible);
+    }
+
+    readSettings() {
+        const settings = {};
+        for (const [key, input] of Object.entries(this.settingInputs)) {
+            settings[key] = input.checked;
+        }
+        return settings;
+    }
+
+    // snapshot: saved run to offer under "Continue", or null to hide it
+    showStartScreen(snapshot = null) {
+        if (snapshot) {
+            const minutes = Math.floor(snapshot.world.gameTime / 60);
+            const seconds = Math.floor(snapshot.world.gameTime % 60).toString().padStart(2, '0');
+            this.savedRunInfo.textContent = `Saved run: ${minutes}:${seconds} survived, level ${snapshot.player.playerLevel}`;
+            this.savedRun.classList.remove('hidden');
+        } else {
+            this.savedRun.classList.add('hidden');
+        }
         this.startScreen.classList.remove('hidden');
     }
 
@@ -1,11 +1,15 @@
 // Utility functions for the game
 
-export function randomRange(min, max) {
-    return Math.random() * (max - min) + min;
+import { requireRng } from './random.js';
+
+// Random helpers take a required rng (anything with random(), see random.js)
+
+export function randomRange(min, max, rng) {
+    return requireRng(rng, 'randomRange').random() * (max - min) + min;
 }
 
-export function randomInt(min, max) {
-    return Math.floor(randomRange(min, max + 1));
+export function randomInt(min, max, rng) {
+    return Math.floor(randomRange(min, max + 1, rng));
 }
 
 export function distance(x1, y1, x2, y2) {
@@ -28,17 +32,42 @@ export function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
+// Per-frame tuning constants (decays, smoothing) were balanced at this rate
+const REFERENCE_FPS = 60;
+
+/**
+ * Time-based version of a per-frame multiplier (e.g. knockback *= 0.9 every frame)
+ * @param {number} perFrame - Multiplier per 1/60 s frame
+ * @param {number} dt - Elapsed time in seconds
+ * @returns {number} Multiplier to apply for dt
+ */
+export function frameDecay(perFrame, dt) {
+    return Math.pow(perFrame, dt * REFERENCE_FPS);
+}
+
+/**
+ * Time-based version of a per-frame lerp amount (e.g. move 10% toward the target every frame)
+ * @param {number} perFrame - Fraction of the remaining distance covered per 1/60 s frame
+ * @param {number} dt - Elapsed time in seconds
+ * @returns {number} Fraction to cover for dt
+ */
+export function frameLerp(perFrame, dt) {
+    const frames = dt * REFERENCE_FPS;
+    // Exactly the tuned amount at the reference rate
+    return frames === 1 ? perFrame : 1 - Math.pow(1 - perFrame, frames);
+}
+
 export function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
 }
 
-export function randomChoice(array) {
-    return array[Math.floor(Math.random() * array.length)];
+export function randomChoice(array, rng) {
+    return array[Math.floor(requireRng(rng, 'randomChoice').random() * array.length)];
 }
 
-export function weightedRandomChoice(options, weights) {
+export function weightedRandomChoice(options, weights, rng) {
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
+    let random = requireRng(rng, 'weightedRandomChoice').random() * totalWeight;
     
     for (let i = 0; i < options.length; i++) {
         random -= weights[i];
@@ -50,9 +79,9 @@ export function weightedRandomChoice(options, weights) {
 }
 
 // Spawn position in a ring around a point
-export function randomPositionInRing(centerX, centerY, minRadius, maxRadius) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = randomRange(minRadius, maxRadius);
+export function randomPositionInRing(centerX, centerY, minRadius, maxRadius, rng) {
+    const angle = requireRng(rng, 'randomPositionInRing').random() * Math.PI * 2;
+    const radius = randomRange(minRadius, maxRadius, rng);
     return {
         x: centerX + Math.cos(angle) * radius,
         y: centerY + Math.sin(angle) * radius
@@ -0,0 +1,204 @@
+// Wave timeline - what EnemySpawner spawns, when, and how
+//
+// A timeline is plain JSON, so a run's pacing can be authored without touching the spawner.
+// The shipped one is data/waves.json (a 30-minute run: a gentle start, new enemy types every couple
+// of minutes, hordes as set pieces and a short lull before each boss). game.js loads it with
+// parseWaveTimeline and hands it to the World; saves and replays store the timeline they ran with.
+// Format:
+//   windows: back-to-back time ranges from 0, each with
+//     { start, end,                  seconds of game time; the last window carries on past its end
+//       spawnInterval,               seconds between groups
+//       groupSize: [min, max],       enemies per group
+//       crystalChance,               chance (0-1) a group spawns around a crystal instead of the player
+//       weights: { type: weight },   ENEMY_TYPES to pick from, weighted
+//       formations: { name: weight } FORMATIONS to arrange groups in, weighted }
+//   events: special moments in time order
+//     { time, type: 'horde', count, formation, weights }  - one big group around the player at once
+//     { time, type: 'lull', duration }                    - no regular groups for a while
+// validateWaveTimeline() rejects unknown enemy types, formations and event types, and malformed windows.
+
+import { randomRange, normalize, clamp } from './utils.js';
+
+// Group arrangements. Each returns `count` positions inside the spawn ring around a point.
+export const FORMATIONS = {
+    // Spread evenly all the way around
+    ring(count, centerX, centerY, distances, rng) {
+        const startAngle = rng.random() * Math.PI * 2;
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const a = startAngle + i * Math.PI * 2 / count;
+            const radius = randomRange(distances.min, distances.max, rng);
+            positions.push({ x: centerX + Math.cos(a) * radius, y: centerY + Math.sin(a) * radius });
+        }
+        return positions;
+    },
+
+    // Shoulder to shoulder across the way in, from one point on the ring
+    line(count, centerX, centerY, distances, rng) {
+        const a = rng.random() * Math.PI * 2;
+        const radius = (distances.min + distances.max) / 2;
+        const spacing = 45;
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const offset = (i - (count - 1) / 2) * spacing;
+            positions.push(clampToRing(
+                centerX + Math.cos(a) * radius - Math.sin(a) * offset,
+                centerY + Math.sin(a) * radius + Math.cos(a) * offset,
+                centerX, centerY, distances
+            ));
+        }
+        return positions;
+    },
+
+    // Bunched up around one point on the ring
+    cluster(count, centerX, centerY, distances, rng) {
+        const a = rng.random() * Math.PI * 2;
+        const radius = randomRange(distances.min, distances.max, rng);
+        const spread = 30 + 25 * Math.sqrt(count);
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const offsetAngle = rng.random() * Math.PI * 2;
+            const offset = rng.random() * spread;
+            positions.push(clampToRing(
+                centerX + Math.cos(a) * radius + Math.cos(offsetAngle) * offset,
+                centerY + Math.sin(a) * radius + Math.sin(offsetAngle) * offset,
+                centerX, centerY, distances
+            ));
+        }
+        return positions;
+    }
+};
+
+/**
+ * Check a timeline against the format above
+ * @param {Object} timeline
+ * @param {string[]} enemyTypes - Known enemy types (keys of ENEMY_TYPES)
+ * @returns {Object} The timeline, if valid
+ * @throws {Error} Listing every problem found
+ */
+export function validateWaveTimeline(timeline, enemyTypes) {
+    const errors = [];
+    const check = (ok, message) => {
+        if (!ok) errors.push(message);
+        return ok;
+    };
+
+    if (!check(isObject(timeline), 'timeline must be an object')) {
+        throw invalid(errors);
+    }
+
+    const { windows, events = [] } = timeline;
+    if (check(Array.isArray(windows) && windows.length > 0, 'windows must be a non-empty array')) {
+        let previousEnd = 0;
+        windows.forEach((wave, i) => {
+            const path = `windows[${i}]`;
+            if (!check(isObject(wave), `${path} must be an object`)) return;
+
+            check(wave.start === previousEnd,
+                i === 0 ? `${path}.start must be 0` : `${path}.start must equal the previous window's end (${previousEnd})`);
+            check(isNumber(wave.end) && wave.end > wave.start, `${path}.end must be after its start`);
+            check(isNumber(wave.spawnInterval) && wave.spawnInterval > 0, `${path}.spawnInterval must be a positive number`);
+
+            const size = wave.groupSize;
+            check(Array.isArray(size) && size.length === 2 && Number.isInteger(size[0]) && Number.isInteger(size[1]) &&
+                size[0] >= 1 && size[0] <= size[1], `${path}.groupSize must be [min, max] whole numbers with 1 <= min <= max`);
+            check(wave.crystalChance === undefined || (isNumber(wave.crystalChance) && wave.crystalChance >= 0 && wave.crystalChance <= 1),
+                `${path}.crystalChance must be between 0 and 1`);
+
+            checkWeights(errors, `${path}.weights`, wave.weights, enemyTypes, 'enemy type');
+            checkWeights(errors, `${path}.formations`, wave.formations, Object.keys(FORMATIONS), 'formation');
+            previousEnd = wave.end;
+        });
+    }
+
+    if (check(Array.isArray(events), 'events must be an array')) {
+        let previousTime = 0;
+        events.forEach((event, i) => {
+            const path = `events[${i}]`;
+            if (!check(isObject(event), `${path} must be an object`)) return;
+
+            check(isNumber(event.time) && event.time >= previousTime, `${path}.time must be a number, in time order`);
+            previousTime = event.time;
+
+            switch (event.type) {
+                case 'horde':
+                    check(Number.isInteger(event.count) && event.count >= 1, `${path}.count must be a whole number of at least 1`);
+                    check(Object.hasOwn(FORMATIONS, event.formation), `${path}.formation: unknown formation "${event.formation}"`);
+                    checkWeights(errors, `${path}.weights`, event.weights, enemyTypes, 'enemy type');
+                    break;
+                case 'lull':
+                    check(isNumber(event.duration) && event.duration > 0, `${path}.duration must be a positive number`);
+                    break;
+                default:
+                    errors.push(`${path}.type: unknown event type "${event.type}"`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw invalid(errors);
+    }
+    return timeline;
+}
+
+/**
+ * Read a timeline authored as JSON text
+ * @param {string} json
+ * @param {string[]} enemyTypes - Known enemy types (keys of ENEMY_TYPES)
+ * @returns {Object} Validated timeline
+ */
+export function parseWaveTimeline(json, enemyTypes) {
+    return validateWaveTimeline(JSON.parse(json), enemyTypes);
+}
+
+/**
+ * Window in effect at a point in time (the last one once the timeline runs out)
+ * @param {Object} timeline - Validated timeline
+ * @param {number} time - Seconds of game time
+ * @returns {Object} Entry of timeline.windows
+ */
+export function getWaveWindow(timeline, time) {
+    const { windows } = timeline;
+    for (const wave of windows) {
+        if (time < wave.end) return wave;
+    }
+    return windows[windows.length - 1];
+}
+
+function checkWeights(errors, path, weights, known, kind) {
+    if (!isObject(weights) || Object.keys(weights).length === 0) {
+        errors.push(`${path} must be a non-empty object of weights`);
+        return;
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+        if (!known.includes(key)) {
+            errors.push(`${path}: unknown ${kind} "${key}"`);
+        } else if (!isNumber(weight) || weight <= 0) {
+            errors.push(`${path}.${key} must be a positive weight`);
+        }
+    }
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function invalid(errors) {
+    return new Error(`Invalid wave timeline:\n  ${errors.join('\n  ')}`);
+}
+
+// Pull a point along its line from the centre into the spawn ring
+function clampToRing(x, y, centerX, centerY, distances) {
+    const dx = x - centerX;
+    const dy = y - centerY;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist >= distances.min && dist <= distances.max) return { x, y };
+
+    const dir = normalize(dx, dy);
+    const radius = clamp(dist, distances.min, distances.max);
+    return { x: centerX + dir.x * radius, y: centerY + dir.y * radius };
+}
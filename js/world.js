@@ -0,0 +1,1292 @@
+// World simulation - owns all game state and runs update(dt) without touching the DOM or canvas
+
+import { Player } from './player.js';
+import { Camera } from './camera.js';
+import { Enemy, EnemySpawner, Champion, CHAMPION_FUSION_THRESHOLD, CHAMPION_FUSION_CONFIG, getFusionStrength, ENEMY_TYPES } from './enemy.js';
+import { Crystal, CrystalSpawner } from './crystal.js';
+import { Boss, BOSS_DEFINITIONS, BOSS_SCHEDULE, BOSS_WARNING_TIME } from './bosses.js';
+import { createEffectPools } from './projectile.js';
+import { PowerManager, POWERS, POWER_EVOLUTIONS } from './powers.js';
+import { circleCollision } from './collision.js';
+import { distance, angle, randomPositionInRing } from './utils.js';
+import { createSuperchargeEffect } from './statusEffects.js';
+import { generatePassiveUpgradeOptions } from './passiveUpgrades.js';
+import { SeededRandom, createSeed } from './random.js';
+import { SpatialHash } from './spatialHash.js';
+import { STEERING_CONFIG, separate, pushOutOfPlayer } from './steering.js';
+import { FLOW_FIELD_CONFIG, FlowField } from './flowField.js';
+import { ENEMY_AFFIXES } from './affixes.js';
+import { Director } from './director.js';
+import { EventBus, GAME_EVENTS } from './events.js';
+import { ObjectPool, swapRemove } from './pool.js';
+import { takePendingReaction, markElement } from './elements.js';
+
+// Tags for damage from burn ticks
+const BURN_SOURCE = { sourceId: 'burn', damageType: 'heat' };
+
+export class World {
+    /**
+     * @param {Object} viewport - Anything with width/height (the canvas in the browser, a plain object in tests).
+     *                            Spawn and despawn distances are derived from it through the camera.
+     * @param {Object} options
+     * @param {number} options.seed - Run seed; the same seed and inputs always produce the same run
+     * @param {Object} options.waveTimeline - Spawn timeline (see waves.js), e.g. data/waves.json read with parseWaveTimeline
+     * @param {Object} options.director - Overrides for DIRECTOR_CONFIG; saves and replays assume the default
+     */
+    constructor(viewport, options = {}) {
+        // Every random decision in the run draws from this generator
+        this.seed = options.seed ?? createSeed();
+        this.rng = new SeededRandom(this.seed);
+
+        // Everything that happens in the run is published here (see events.js)
+        this.events = new EventBus();
+
+        // Player starts at origin
+        this.player = new Player(0, 0);
+        this.player.statusEffects.setEventBus(this.events, this.player);
+
+        // Camera - part of the simulation because spawning depends on the visible area
+        this.camera = new Camera(viewport);
+        this.camera.x = this.camera.prevX = -viewport.width / 2;
+        this.camera.y = this.camera.prevY = -viewport.height / 2;
+
+        // Entity arrays
+        this.enemies = [];
+        this.champions = [];
+        this.crystals = [];
+        this.projectiles = [];
+        this.areaEffects = [];
+        this.ringEffects = [];
+
+        // Enemy projectiles (from champions attacking the player)
+        this.enemyProjectiles = [];
+
+        // Recycled entities - removed projectiles, effects and enemies go back to their pool
+        this.pools = {
+            ...createEffectPools(),
+            enemy: new ObjectPool(Enemy)
+        };
+
+        // Broad-phase grids, rebuilt every frame once entities have moved
+        this.targetHash = new SpatialHash();         // enemies, then champions
+        this.crystalHash = new SpatialHash(512);      // crystals, sized for their aggro radius
+
+        // Route to the player shared by every chasing enemy, recomputed a few times a second
+        this.flowField = new FlowField();
+        this.flowFieldTimer = 0;
+
+        // Spawners, and the director tuning them to how the player is doing
+        this.enemySpawner = new EnemySpawner(this.rng, options.waveTimeline, this.pools.enemy);
+        this.crystalSpawner = new CrystalSpawner(this.rng);
+        this.director = new Director(options.director);
+
+        // Power manager
+        this.powerManager = new PowerManager(
+            this.player,
+            this.projectiles,
+            this.areaEffects,
+            this.ringEffects,
+            this.rng,
+            this.pools
+        );
+        this.powerManager.setEnemies(this.enemies, this.champions);
+        this.powerManager.setTargetHash(this.targetHash);
+        this.powerManager.setEventBus(this.events);
+
+        // Timed bosses: the next BOSS_SCHEDULE entry, and whether its warning has gone out
+        this.nextBossIndex = 0;
+        this.bossWarningShown = false;
+
+        // Base attack
+        this.baseAttackCooldown = 0.8;
+        this.baseAttackTimer = 0;
+
+        // Run state
+        this.gameTime = 0;
+        this.enemiesDefeated = 0;
+        this.running = true;
+        this.paused = false; // Set while waiting for a level-up choice
+
+        // Options offered by a level-up that has not been answered yet (kept so saves can restore them)
+        this.pendingPowerOptions = null;
+        this.pendingPassiveOptions = null;
+
+        // Hooks for the presentation layer (UI modals, game over screen)
+        this.onLevelUp = null;          // (options) => void, answer with selectPower()
+        this.onPassiveUpgrade = null;   // (options) => void, answer with selectPassiveUpgrade()
+        this.onGameOver = null;         // () => void
+        this.onDamage = null;           // (event) => void, every hit from dealDamage()
+        this.onKill = null;             // (event) => void, hits that killed their target
+
+        this.subscribeRules();
+    }
+
+    // Run rules that follow from events rather than from the code that publishes them
+    subscribeRules() {
+        // Kills award XP; an XP level up offers a passive upgrade
+        this.events.on(GAME_EVENTS.ENEMY_KILLED, ({ target }) => this.awardXp(target.xp));
+        this.events.on(GAME_EVENTS.LEVEL_UP, () => this.triggerPassiveUpgrade());
+
+        // The director watches damage taken and kills
+        this.events.on(GAME_EVENTS.PLAYER_DAMAGED, ({ amount }) => this.director.recordDamage(amount));
+        this.events.on(GAME_EVENTS.ENEMY_KILLED, () => this.director.recordKill());
+
+        // Vampiric enemies heal when their hits land
+        this.events.on(GAME_EVENTS.PLAYER_DAMAGED, ({ source }) => {
+            if (source instanceof Enemy && source.hasAffix('vampiric')) {
+                source.health = Math.min(source.maxHealth, source.health + source.maxHealth * ENEMY_AFFIXES.vampiric.heal);
+            }
+        });
+
+        // Killing an orbiter or collecting the crystal breaks a fusion ritual
+        this.events.on(GAME_EVENTS.ENEMY_KILLED, ({ target }) => {
+            if (target.orbitTarget && target.orbitTarget.ritualActive) {
+                this.cancelFusion(target.orbitTarget, 'orbiterKilled');
+            }
+        });
+        this.events.on(GAME_EVENTS.CRYSTAL_COLLECTED, ({ crystal }) => {
+            if (crystal.ritualActive) {
+                this.cancelFusion(crystal, 'crystalCollected');
+            }
+        });
+
+        // Bosses always pay out
+        this.events.on(GAME_EVENTS.ENEMY_KILLED, ({ target }) => {
+            if (target.isBoss) this.grantBossReward(target);
+        });
+
+        // A crystal supercharges its category; every fifth one offers a new power
+        this.events.on(GAME_EVENTS.CRYSTAL_COLLECTED, ({ type }) => {
+            this.player.statusEffects.addEffect(createSuperchargeEffect(type));
+        });
+        this.events.on(GAME_EVENTS.CRYSTAL_COLLECTED, ({ totalCrystals }) => {
+            if (totalCrystals >= 5) {
+                this.triggerLevelUp();
+            }
+        });
+    }
+
+    // Feed the current movement input (-1..1 per axis) to the player
+    setMovementInput(dx, dy) {
+        this.player.setMovement(dx, dy);
+    }
+
+    update(dt) {
+        if (!this.running || this.paused) return;
+
+        this.gameTime += dt;
+        this.storePreviousPositions();
+
+        // Update player
+        this.player.update(dt);
+
+        // Update camera
+        this.camera.follow(this.player);
+        this.camera.update(dt);
+
+        // Spawn enemies and crystals, at the rates the director last decided on
+        this.updateDirector(dt);
+        const spawnedFrom = this.enemies.length;
+        this.enemySpawner.update(dt, this.player.x, this.player.y, this.enemies, this.crystals, this.camera);
+        for (let i = spawnedFrom; i < this.enemies.length; i++) {
+            this.trackStatusEffects(this.enemies[i]);
+        }
+        this.crystalSpawner.update(dt, this.player.x, this.player.y, this.crystals, this.camera);
+        this.updateBossSchedule();
+
+        // Update crystals
+        for (const crystal of this.crystals) {
+            crystal.update(dt);
+        }
+
+        // Update enemies - orbit crystals or wander/chase player
+        this.updateEnemies(dt);
+
+        // Fusion rituals around crystals (enemies orbiting them)
+        this.checkChampionFusion(dt);
+
+        // Update champions
+        this.updateChampions(dt);
+
+        // Everything that can be hit has moved - index it for targeting and collisions
+        this.rebuildTargetHash();
+
+        // Hasted enemies speed up the enemies around them
+        this.updateHasteAuras(dt);
+
+        // Spread the crowd out (keeps targetHash in step)
+        this.steerCrowd(dt);
+
+        // Burn ticks collected while enemies and champions updated
+        this.applyDamageOverTime();
+
+        // Update enemy projectiles (from champions)
+        this.updateEnemyProjectiles(dt);
+
+        // Base attack
+        this.updateBaseAttack(dt);
+
+        // Update power manager
+        this.powerManager.update(dt);
+
+        // Player powers against enemies and champions
+        this.updateProjectiles(dt);
+        this.updateAreaEffects(dt);
+        this.updateRingEffects(dt);
+        this.updateOrbitalShields();
+
+        // Contact damage and pickups
+        this.checkPlayerCollisions();
+        this.checkCrystalCollection();
+
+        // Check game over
+        if (this.player.health <= 0) {
+            this.gameOver();
+        }
+
+        this.despawnFarEnemies();
+    }
+
+    // Remember where everything that moves was before this step, so rendering can interpolate
+    storePreviousPositions() {
+        this.forEachMovingEntity((entity) => {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        });
+    }
+
+    /**
+     * Visit everything whose position changes between steps (and has prevX/prevY)
+     * @param {Function} fn - (entity) => void
+     */
+    forEachMovingEntity(fn) {
+        fn(this.player);
+        fn(this.camera);
+        for (const enemy of this.enemies) fn(enemy);
+        for (const champion of this.champions) fn(champion);
+        for (const proj of this.projectiles) fn(proj);
+        for (const proj of this.enemyProjectiles) fn(proj);
+    }
+
+    updateEnemies(dt) {
+        // Get player's aggro modifier (from passive upgrades, if any)
+        const playerAggroModifier = this.player.aggroRadiusModifier || 1.0;
+
+        this.updateFlowField(dt);
+
+        // Crystals are bucketed by their whole aggro area, so a point query finds every candidate
+        this.crystalHash.rebuild(this.crystals, crystal => crystal.aggroRadius);
+
+        for (const enemy of this.enemies) {
+            // Check if enemy should orbit a crystal (the first one in range, in spawn order)
+            let foundCrystal = null;
+
+            for (const crystal of this.crystalHash.query(enemy.x, enemy.y, 0)) {
+                const distToCrystal = distance(enemy.x, enemy.y, crystal.x, crystal.y);
+                if (distToCrystal < crystal.aggroRadius) {
+                    foundCrystal = crystal;
+                    break;
+                }
+            }
+
+            if (foundCrystal) {
+                // Set enemy to orbit this crystal
+                enemy.setOrbitTarget(foundCrystal);
+            } else {
+                // No crystal nearby - enemy will wander or chase based on awareness
+                enemy.clearOrbitTarget();
+            }
+
+            // Pass player position and aggro modifier for awareness checks
+            const action = enemy.update(dt, this.player.x, this.player.y, playerAggroModifier, this.flowField);
+            if (action) {
+                this.handleEnemyAction(enemy, action);
+            }
+        }
+    }
+
+    // Recompute the flow field around the player every recomputeInterval
+    updateFlowField(dt) {
+        this.flowFieldTimer -= dt;
+        if (this.flowFieldTimer > 0 && this.flowField.built) return;
+
+        this.flowField.compute(this.player.x, this.player.y);
+        this.flowFieldTimer = FLOW_FIELD_CONFIG.recomputeInterval;
+    }
+
+    // Carry out an action returned by an enemy behaviour (see enemyBehaviors.js)
+    handleEnemyAction(enemy, action) {
+        switch (action.type) {
+            case 'spit':
+                this.enemyProjectiles.push(this.pools.projectile.acquire(
+                    action.x,
+                    action.y,
+                    angle(action.x, action.y, action.targetX, action.targetY),
+                    action.speed,
+                    action.damage,
+                    {
+                        radius: 8,
+                        color: '#9ccc65',
+                        trailLength: 6,
+                        lifetime: 2.5,
+                        isEnemyProjectile: true
+                    }
+                ));
+                break;
+
+            case 'shamanPulse':
+                // Heal and haste every other enemy in the aura
+                for (const other of this.enemies) {
+                    if (other === enemy || distance(action.x, action.y, other.x, other.y) > action.radius) continue;
+                    other.health = Math.min(other.maxHealth, other.health + action.heal);
+                    other.applyStatusEffect('haste', action.hasteAmount, action.hasteDuration);
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown enemy action: ${action.type}`);
+        }
+    }
+
+    /**
+     * Break a dead splitter into its splitInto enemies, scattered around where it died
+     * @param {Enemy} enemy - The splitter (before it is recycled)
+     * @param {number} x
+     * @param {number} y
+     */
+    splitEnemy(enemy, x, y) {
+        const { splitInto, splitCount } = ENEMY_TYPES[enemy.type];
+        if (!splitInto) return;
+
+        const startAngle = this.rng.random() * Math.PI * 2;
+        for (let i = 0; i < splitCount; i++) {
+            const a = startAngle + i * Math.PI * 2 / splitCount;
+            const child = this.pools.enemy.acquire(
+                x + Math.cos(a) * enemy.radius * 0.5,
+                y + Math.sin(a) * enemy.radius * 0.5,
+                splitInto,
+                this.rng,
+                this.enemySpawner.getScaling()
+            );
+            child.applyKnockback(Math.cos(a), Math.sin(a), 30);
+            this.trackStatusEffects(child);
+            this.enemies.push(child);
+        }
+    }
+
+    /**
+     * Leave an explosive enemy's blast where it died: a hazard that goes off once its fuse runs out
+     * @param {Enemy} enemy - The dead enemy (before it is recycled)
+     * @param {number} x
+     * @param {number} y
+     */
+    explodeEnemy(enemy, x, y) {
+        if (!enemy.hasAffix('explosive')) return;
+
+        const blast = ENEMY_AFFIXES.explosive;
+        this.areaEffects.push(this.pools.areaEffect.acquire(
+            x,
+            y,
+            blast.radius,
+            0,
+            blast.fuse + 0.15, // Long enough for the one tick at the end of the fuse
+            {
+                color: blast.color,
+                damageInterval: blast.fuse,
+                type: 'hazard',
+                damagePlayer: true,
+                playerDamage: enemy.damage * blast.damage
+            }
+        ));
+    }
+
+    // Each hasted enemy pulses haste onto every enemy in its aura (itself included)
+    updateHasteAuras(dt) {
+        const aura = ENEMY_AFFIXES.hasted;
+        for (const enemy of this.enemies) {
+            if (!enemy.hasAffix('hasted')) continue;
+
+            enemy.auraTimer -= dt;
+            if (enemy.auraTimer > 0) continue;
+            enemy.auraTimer = aura.pulseInterval;
+
+            for (const other of this.getNearbyTargets(enemy.x, enemy.y, aura.radius)) {
+                if (other.isChampion || distance(enemy.x, enemy.y, other.x, other.y) > aura.radius) continue;
+                other.applyStatusEffect('haste', aura.amount, aura.duration);
+            }
+        }
+    }
+
+    updateProjectiles(dt) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const proj = this.projectiles[i];
+            if (!proj.update(dt)) {
+                this.removeEntity(this.projectiles, i, this.pools.projectile);
+                continue;
+            }
+
+            // Check collisions with enemies and champions
+            for (const target of this.getNearbyTargets(proj.x, proj.y, proj.radius)) {
+                if (proj.checkCollision(target)) {
+                    this.dealDamage(proj, target, proj.damage);
+                    if (!proj.piercing) {
+                        this.removeEntity(this.projectiles, i, this.pools.projectile);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * The single path for damage dealt to enemies and champions.
+     * Fires onDamage for every hit and onKill for kills; kills count towards enemiesDefeated and
+     * publish enemyKilled (which awards their XP).
+     * @param {Object} source - Projectile, effect or shield dealing the damage
+     * @param {Enemy|Champion} target
+     * @param {number} amount
+     * @param {Object} tags - Overrides for the source's tags ({ sourceId, damageType })
+     * @returns {boolean} True if the target was killed
+     */
+    dealDamage(source, target, amount, tags = {}) {
+        // A target killed earlier in the frame may still be in a caller's hit list
+        if (target.health <= 0) return false;
+
+        // The hit's collision may have set off an elemental reaction (see elements.js)
+        const reaction = takePendingReaction(target);
+        if (reaction && reaction.damageMultiplier) {
+            amount *= reaction.damageMultiplier;
+        }
+        amount *= target.statusEffects.getDamageTakenMultiplier(); // Vulnerable
+        const { x, y } = target; // Where the reaction goes off, even if the target is recycled below
+
+        const killed = target.takeDamage(amount);
+
+        const event = {
+            source,
+            target,
+            amount,
+            sourceId: tags.sourceId ?? source.sourceId ?? null,
+            damageType: tags.damageType ?? source.damageType ?? 'physical',
+            killed,
+            overkill: killed ? -target.health : 0
+        };
+
+        if (this.onDamage) this.onDamage(event);
+
+        if (killed) {
+            const list = target.isChampion ? this.champions : this.enemies;
+            if (this.removeTarget(list, target)) {
+                this.enemiesDefeated += target.isChampion ? 5 : 1; // Champions count as 5 enemies
+            }
+            this.events.emit(GAME_EVENTS.ENEMY_KILLED, {
+                target,
+                source,
+                sourceId: event.sourceId,
+                damageType: event.damageType,
+                overkill: event.overkill,
+                isChampion: !!target.isChampion
+            });
+            if (this.onKill) this.onKill(event);
+
+            // Listeners have seen the target; now it can be recycled
+            if (!target.isChampion) {
+                this.splitEnemy(target, x, y);
+                this.explodeEnemy(target, x, y);
+                this.releaseEnemy(target);
+            }
+        }
+
+        if (reaction) {
+            this.resolveReaction(reaction, source, target, x, y, amount);
+        }
+
+        return killed;
+    }
+
+    /**
+     * Carry out a triggered elemental reaction around its target and publish elementReaction.
+     * Reaction damage goes through dealDamage but never triggers further reactions.
+     * @param {Object} reaction - Entry of ELEMENT_REACTIONS
+     * @param {Object} source - What dealt the triggering hit
+     * @param {Enemy|Champion} target - The reacting target (may have just died)
+     * @param {number} x - Reaction centre
+     * @param {number} y
+     * @param {number} hitDamage - Damage of the triggering hit
+     */
+    resolveReaction(reaction, source, target, x, y, hitDamage) {
+        const reactionSource = { sourceId: reaction.id, damageType: reaction.trigger };
+        let radius = 0;
+
+        if (reaction.effect && target.health > 0) {
+            const { effect } = reaction;
+            target.applyStatusEffect(effect.type, effect.amount, effect.duration);
+        }
+
+        if (reaction.burst) {
+            const { burst } = reaction;
+            radius = burst.radius;
+            const damage = Math.max(burst.minDamage, hitDamage * burst.damageRatio);
+            for (const other of this.getNearbyTargets(x, y, burst.radius)) {
+                if (other !== target && distance(x, y, other.x, other.y) < burst.radius + other.radius) {
+                    this.dealDamage(reactionSource, other, damage);
+                }
+            }
+        }
+
+        if (reaction.spread) {
+            const { spread } = reaction;
+            radius = spread.radius;
+            let spreadCount = 0;
+            for (const other of this.getNearbyTargets(x, y, spread.radius)) {
+                if (spreadCount >= spread.maxTargets) break;
+                if (other === target || other.health <= 0) continue;
+                if (distance(x, y, other.x, other.y) >= spread.radius + other.radius) continue;
+
+                markElement(other, spread.element);
+                if (spread.effect) {
+                    other.applyStatusEffect(spread.effect.type, spread.effect.amount, spread.effect.duration);
+                }
+                this.dealDamage(reactionSource, other, spread.damage);
+                spreadCount++;
+            }
+        }
+
+        // Flash (no damage, so it leaves no marks)
+        this.ringEffects.push(this.pools.ringEffect.acquire(
+            x, y, Math.max(radius, target.radius * 2), 0, 0.3,
+            { color: reaction.color, sourceId: reaction.id }
+        ));
+
+        this.events.emit(GAME_EVENTS.ELEMENT_REACTION, { reactionId: reaction.id, target, source, x, y });
+    }
+
+    // Deal the damage-over-time ticks (burn) the player, each enemy and each champion collected this step
+    applyDamageOverTime() {
+        const playerDamage = this.player.statusEffects.takeDamageDue();
+        if (playerDamage > 0) {
+            this.damagePlayer(playerDamage, BURN_SOURCE, true);
+        }
+
+        for (const list of [this.enemies, this.champions]) {
+            // Backwards: a kill swaps the last target into its slot
+            for (let i = list.length - 1; i >= 0; i--) {
+                const target = list[i];
+                const damage = target.statusEffects.takeDamageDue();
+                if (damage > 0) {
+                    this.dealDamage(BURN_SOURCE, target, damage);
+                }
+            }
+        }
+    }
+
+    /**
+     * Separate enemies and champions from their neighbours and the player (see steering.js).
+     * Neighbours come from targetHash, so each body only looks at the few around it.
+     * @param {number} dt
+     */
+    steerCrowd(dt) {
+        let index = 0;
+        for (const list of [this.enemies, this.champions]) {
+            for (const body of list) {
+                const range = (body.radius + this.targetHash.maxExtent) * STEERING_CONFIG.separationRange;
+                separate(body, this.targetHash.query(body.x, body.y, range), index++, dt);
+                pushOutOfPlayer(body, this.player);
+                this.targetHash.update(body);
+            }
+        }
+    }
+
+    // Index enemies and champions (in that order, like PowerManager.getAllTargets())
+    rebuildTargetHash() {
+        this.targetHash.clear();
+        for (const enemy of this.enemies) {
+            this.targetHash.insert(enemy);
+        }
+        for (const champion of this.champions) {
+            this.targetHash.insert(champion);
+        }
+    }
+
+    // Enemies and champions that may overlap a circle, in hit order: enemies then champions, newest first
+    getNearbyTargets(x, y, range) {
+        const enemies = [];
+        const champions = [];
+        for (const target of this.targetHash.query(x, y, range)) {
+            if (target.isChampion) {
+                champions.push(target);
+            } else {
+                enemies.push(target);
+            }
+        }
+        return enemies.reverse().concat(champions.reverse());
+    }
+
+    // Remove a killed enemy or champion from its array and the target hash
+    removeTarget(list, target) {
+        const idx = list.indexOf(target);
+        if (idx !== -1) {
+            swapRemove(list, idx);
+        }
+        this.targetHash.remove(target);
+        return idx !== -1;
+    }
+
+    // Swap-and-pop an entity out of its array and hand it back to its pool
+    removeEntity(list, index, pool) {
+        pool.release(swapRemove(list, index));
+    }
+
+    /**
+     * Publish an enemy's or champion's status effects on the event bus as they are applied and expire
+     * @param {Enemy|Champion} target
+     */
+    trackStatusEffects(target) {
+        target.statusEffects.setEventBus(this.events, target);
+    }
+
+    /**
+     * Recycle an enemy that has left the run (killed, despawned or fused).
+     * Its status effects stop publishing until it is spawned again.
+     * Hit tracking still holds it, so forget it there first - otherwise its next life would
+     * start out "already hit" by those projectiles, rings and shields.
+     * @param {Enemy} enemy
+     */
+    releaseEnemy(enemy) {
+        for (const proj of this.projectiles) {
+            proj.hitEnemies.delete(enemy);
+        }
+        for (const ring of this.ringEffects) {
+            ring.hitEnemies.delete(enemy);
+        }
+        if (this.powerManager.orbitalShield) {
+            this.powerManager.orbitalShield.hitCooldowns.delete(enemy);
+        }
+        enemy.statusEffects.setEventBus(null, null);
+        this.pools.enemy.release(enemy);
+    }
+
+    updateAreaEffects(dt) {
+        for (let i = this.areaEffects.length - 1; i >= 0; i--) {
+            const effect = this.areaEffects[i];
+            if (!effect.update(dt)) {
+                this.removeEntity(this.areaEffects, i, this.pools.areaEffect);
+                continue;
+            }
+
+            // Hostile areas only affect the player (see updateEnemyProjectiles)
+            if (effect.damagePlayer) continue;
+
+            // Slow and pull apply every frame, damage only on the effect's tick
+            const canDamage = effect.canDamage();
+            for (const target of this.getNearbyTargets(effect.x, effect.y, effect.radius)) {
+                if (this.applyAreaEffect(effect, target, dt, canDamage) && canDamage) {
+                    this.dealDamage(effect, target, effect.damage);
+                }
+            }
+        }
+    }
+
+    // Gravity wells move what they pull, so keep the target hash in step
+    applyAreaEffect(effect, target, dt, damageTick = false) {
+        const affected = effect.affectEnemy(target, dt, damageTick);
+        if (affected && effect.pullForce > 0) {
+            this.targetHash.update(target);
+        }
+        return affected;
+    }
+
+    updateRingEffects(dt) {
+        for (let i = this.ringEffects.length - 1; i >= 0; i--) {
+            const ring = this.ringEffects[i];
+            if (!ring.update(dt)) {
+                this.removeEntity(this.ringEffects, i, this.pools.ringEffect);
+                continue;
+            }
+
+            // The ring band reaches 20 units past its current radius
+            for (const target of this.getNearbyTargets(ring.x, ring.y, ring.currentRadius + 20)) {
+                if (ring.checkCollision(target)) {
+                    this.dealDamage(ring, target, ring.damage);
+                }
+            }
+        }
+    }
+
+    updateOrbitalShields() {
+        const shield = this.powerManager.orbitalShield;
+        if (!shield) return;
+
+        // Shields orbit the player, so only targets within reach of the orbit can be hit
+        const targets = this.getNearbyTargets(shield.owner.x, shield.owner.y, shield.orbitRadius + shield.shieldRadius);
+        for (const hit of this.powerManager.checkOrbitalShieldCollisions(targets)) {
+            this.dealDamage(shield, hit.enemy, hit.damage);
+        }
+    }
+
+    checkPlayerCollisions() {
+        // Check player-enemy collisions
+        for (const enemy of this.enemies) {
+            if (circleCollision(
+                this.player.x, this.player.y, this.player.radius,
+                enemy.x, enemy.y, enemy.radius
+            )) {
+                const contactDamage = enemy.getContactDamage();
+                if (contactDamage > 0 && this.damagePlayer(contactDamage, enemy)) {
+                    // Apply frozen armor's attacker slow if player has it
+                    const slow = this.powerManager.getAttackerSlow();
+                    if (slow) {
+                        enemy.applySlow(slow.amount, slow.duration);
+                    }
+                }
+            }
+        }
+
+        // Check player-champion collisions
+        for (const champion of this.champions) {
+            if (circleCollision(
+                this.player.x, this.player.y, this.player.radius,
+                champion.x, champion.y, champion.radius
+            )) {
+                const contactDamage = champion.getContactDamage();
+                if (contactDamage > 0 && this.damagePlayer(contactDamage, champion)) {
+                    const slow = this.powerManager.getAttackerSlow();
+                    if (slow) {
+                        champion.applySlow(slow.amount, slow.duration);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Damage the player, publishing playerDamaged when the hit lands
+     * @param {number} amount - Damage before the player's reduction
+     * @param {Object} source - Enemy, champion, projectile or effect dealing it
+     * @param {boolean} damageOverTime - Burn ticks, which ignore invincibility (see Player.takeDamage)
+     * @returns {boolean} False while the player is invincible
+     */
+    damagePlayer(amount, source, damageOverTime = false) {
+        const healthBefore = this.player.health;
+        if (!this.player.takeDamage(amount, damageOverTime)) return false;
+
+        this.events.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+            amount: healthBefore - this.player.health,
+            source,
+            health: this.player.health
+        });
+        return true;
+    }
+
+    checkCrystalCollection() {
+        for (let i = this.crystals.length - 1; i >= 0; i--) {
+            const crystal = this.crystals[i];
+            if (circleCollision(
+                this.player.x, this.player.y, this.player.radius,
+                crystal.x, crystal.y, crystal.collectRadius
+            )) {
+                this.player.collectCrystal(crystal.type);
+                this.crystals.splice(i, 1);
+
+                // Supercharge and the power level-up are subscribers (see subscribeRules)
+                this.events.emit(GAME_EVENTS.CRYSTAL_COLLECTED, {
+                    crystal,
+                    type: crystal.type,
+                    totalCrystals: this.player.totalCrystals
+                });
+            }
+        }
+    }
+
+    // Despawn distance scales with the visible area, like the spawners
+    getDespawnDistance() {
+        const bounds = this.camera.getVisibleBounds();
+        const visibleWidth = bounds.right - bounds.left;
+        const visibleHeight = bounds.bottom - bounds.top;
+        return Math.sqrt(visibleWidth * visibleWidth + visibleHeight * visibleHeight) * 0.75;
+    }
+
+    despawnFarEnemies() {
+        const despawnDistance = this.getDespawnDistance();
+
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            if (distance(this.player.x, this.player.y, enemy.x, enemy.y) > despawnDistance) {
+                swapRemove(this.enemies, i);
+                this.releaseEnemy(enemy);
+            }
+        }
+
+        // Despawn far champions (with larger threshold since they're important)
+        for (let i = this.champions.length - 1; i >= 0; i--) {
+            const champion = this.champions[i];
+            if (champion.isBoss) continue; // Bosses stay until they are beaten
+            if (distance(this.player.x, this.player.y, champion.x, champion.y) > despawnDistance * 1.5) {
+                swapRemove(this.champions, i);
+            }
+        }
+    }
+
+    updateBaseAttack(dt) {
+        this.baseAttackTimer += dt;
+
+        // Both enemies and champions are in the target hash
+        if (this.baseAttackTimer >= this.baseAttackCooldown && this.targetHash.size > 0) {
+            this.baseAttackTimer = 0;
+
+            // Find nearest enemy or champion
+            const [nearest] = this.targetHash.findNearest(this.player.x, this.player.y);
+
+            // Fire at nearest enemy
+            const angle = Math.atan2(nearest.y - this.player.y, nearest.x - this.player.x);
+            this.projectiles.push(this.pools.projectile.acquire(
+                this.player.x,
+                this.player.y,
+                angle,
+                450,
+                10,
+                {
+                    radius: 6,
+                    color: '#ffffff',
+                    trailLength: 4,
+                    lifetime: 3.5,
+                    sourceId: 'baseAttack'
+                }
+            ));
+        }
+    }
+
+    triggerLevelUp() {
+        const options = PowerManager.generatePowerOptions(
+            this.player.crystals,
+            this.player.powers,
+            this.rng
+        );
+        if (options.length === 0) {
+            // Every power is maxed out: nothing to choose, just spend the crystals
+            this.player.resetCrystals();
+            return;
+        }
+
+        this.paused = true;
+        this.pendingPowerOptions = options;
+
+        if (this.onLevelUp) this.onLevelUp(options);
+    }
+
+    // Resolve a pending crystal level-up with the chosen power
+    selectPower(powerId) {
+        // An evolution replaces the powers it evolved from
+        for (const sourceId of POWER_EVOLUTIONS[powerId] || []) {
+            this.player.removePower(sourceId);
+            this.powerManager.forgetPower(sourceId);
+        }
+
+        const def = POWERS[powerId];
+        this.player.addPower({ id: powerId, passive: def.passive }, def.maxLevel);
+        this.player.resetCrystals();
+        this.pendingPowerOptions = null;
+        this.paused = this.pendingPassiveOptions !== null;
+    }
+
+    // Offer any unanswered level-ups again (e.g. after restoring a save made while a modal was open)
+    reopenPendingChoices() {
+        if (this.pendingPowerOptions && this.onLevelUp) {
+            this.onLevelUp(this.pendingPowerOptions);
+        }
+        if (this.pendingPassiveOptions && this.onPassiveUpgrade) {
+            this.onPassiveUpgrade(this.pendingPassiveOptions);
+        }
+    }
+
+    gameOver() {
+        this.running = false;
+        if (this.onGameOver) this.onGameOver();
+    }
+
+    // Award XP for killing an enemy and publish any level up
+    awardXp(xpAmount) {
+        const leveledUp = this.player.addXp(xpAmount);
+        if (leveledUp) {
+            this.events.emit(GAME_EVENTS.LEVEL_UP, { level: this.player.playerLevel });
+        }
+    }
+
+    triggerPassiveUpgrade() {
+        this.paused = true;
+
+        const options = generatePassiveUpgradeOptions(3, this.rng);
+        this.pendingPassiveOptions = options;
+
+        if (this.onPassiveUpgrade) this.onPassiveUpgrade(options);
+    }
+
+    // Resolve a pending XP level-up with the chosen passive upgrade
+    selectPassiveUpgrade(upgradeId) {
+        this.player.addPassiveUpgrade(upgradeId);
+        this.pendingPassiveOptions = null;
+        this.paused = this.pendingPowerOptions !== null;
+    }
+
+    /**
+     * Run fusion rituals (see CHAMPION_FUSION_CONFIG): enough orbiters around a crystal start one,
+     * and if it runs its course they and the crystal fuse into a champion
+     * @param {number} dt
+     */
+    checkChampionFusion(dt) {
+        const config = CHAMPION_FUSION_CONFIG;
+        for (let i = this.crystals.length - 1; i >= 0; i--) {
+            const crystal = this.crystals[i];
+
+            // Find all enemies orbiting this crystal
+            const orbiters = this.enemies.filter(e => e.orbitTarget === crystal);
+
+            if (!crystal.ritualActive) {
+                // A broken ritual unwinds, and the crystal rests before hosting another
+                crystal.ritualProgress = Math.max(0, crystal.ritualProgress - dt / config.unwindTime);
+                crystal.ritualCooldown = Math.max(0, crystal.ritualCooldown - dt);
+
+                if (orbiters.length >= CHAMPION_FUSION_THRESHOLD && crystal.ritualCooldown <= 0) {
+                    crystal.ritualActive = true;
+                    this.events.emit(GAME_EVENTS.FUSION_STARTED, { crystal, participants: orbiters.length });
+                }
+                continue;
+            }
+
+            // Orbiters can also leave without being killed (despawned far from the player)
+            if (orbiters.length < CHAMPION_FUSION_THRESHOLD) {
+                this.cancelFusion(crystal, 'scattered');
+                continue;
+            }
+
+            crystal.ritualProgress = Math.min(1, crystal.ritualProgress + dt / config.ritualDuration);
+            if (crystal.ritualProgress >= 1) {
+                this.fuseChampion(crystal, orbiters);
+            }
+        }
+    }
+
+    /**
+     * Break a crystal's fusion ritual; its orbiters drift back out and carry on orbiting
+     * @param {Crystal} crystal
+     * @param {string} reason - 'orbiterKilled', 'crystalCollected' or 'scattered'
+     */
+    cancelFusion(crystal, reason) {
+        crystal.ritualActive = false;
+        crystal.ritualCooldown = CHAMPION_FUSION_CONFIG.cancelCooldown;
+        this.events.emit(GAME_EVENTS.FUSION_CANCELLED, { crystal, reason });
+    }
+
+    /**
+     * Finish a ritual: the orbiters and the crystal become a champion, stronger for every orbiter
+     * beyond the threshold (see getFusionStrength)
+     * @param {Crystal} crystal
+     * @param {Enemy[]} orbiters
+     */
+    fuseChampion(crystal, orbiters) {
+        for (const orbiter of orbiters) {
+            const idx = this.enemies.indexOf(orbiter);
+            if (idx !== -1) {
+                swapRemove(this.enemies, idx);
+                this.releaseEnemy(orbiter);
+            }
+        }
+        this.crystals.splice(this.crystals.indexOf(crystal), 1);
+
+        const strength = getFusionStrength(orbiters.length);
+        const scaling = this.enemySpawner.getScaling();
+        const champion = new Champion(crystal.x, crystal.y, crystal.type, {
+            ...scaling,
+            health: scaling.health * strength,
+            damage: scaling.damage * strength,
+            xp: scaling.xp * strength
+        });
+        champion.setTarget(this.player.x, this.player.y);
+        this.trackStatusEffects(champion);
+        this.champions.push(champion);
+
+        this.events.emit(GAME_EVENTS.CHAMPION_FUSED, { champion, crystal, participants: orbiters.length, strength });
+    }
+
+    updateChampions(dt) {
+        for (let i = this.champions.length - 1; i >= 0; i--) {
+            const champion = this.champions[i];
+
+            // Set target to player
+            champion.setTarget(this.player.x, this.player.y);
+
+            // Bosses change phase once damage has taken them past a threshold
+            if (champion.isBoss && champion.updatePhase()) {
+                this.events.emit(GAME_EVENTS.BOSS_PHASE_CHANGED, { boss: champion, phase: champion.phaseIndex });
+            }
+
+            // Update champion and check for ability usage
+            const abilityResult = champion.update(dt);
+
+            if (abilityResult) {
+                this.handleChampionAbility(champion, abilityResult);
+            }
+        }
+    }
+
+    handleChampionAbility(champion, ability) {
+        switch (ability.type) {
+            case 'flameBurst':
+                // Shoot fireballs toward the player
+                const baseAngle = angle(ability.x, ability.y, ability.targetX, ability.targetY);
+
+                for (let i = 0; i < ability.count; i++) {
+                    const offsetAngle = baseAngle + (i - (ability.count - 1) / 2) * ability.spreadAngle;
+                    this.enemyProjectiles.push(this.pools.projectile.acquire(
+                        ability.x,
+                        ability.y,
+                        offsetAngle,
+                        ability.speed,
+                        ability.damage,
+                        {
+                            radius: 12,
+                            color: '#ff6b35',
+                            trailLength: 8,
+                            lifetime: 3,
+                            hitEffect: 'burn',
+                            hitEffectAmount: ability.burnDamage,
+                            hitEffectDuration: ability.burnDuration,
+                            isEnemyProjectile: true
+                        }
+                    ));
+                }
+                break;
+
+            case 'frostTrail':
+                // Create a frost zone at the champion's position
+                this.areaEffects.push(this.pools.areaEffect.acquire(
+                    ability.x,
+                    ability.y,
+                    ability.radius,
+                    0,
+                    ability.duration,
+                    {
+                        color: '#4fc3f7',
+                        damageInterval: 0.5,
+                        slowAmount: ability.slowAmount,
+                        slowDuration: ability.slowDuration,
+                        type: 'frostTrail',
+                        damagePlayer: true,
+                        playerDamage: ability.damage
+                    }
+                ));
+                break;
+
+            case 'forceBeam':
+                // Shoot a piercing beam toward the player
+                const beamAngle = angle(ability.x, ability.y, ability.targetX, ability.targetY);
+                this.enemyProjectiles.push(this.pools.projectile.acquire(
+                    ability.x,
+                    ability.y,
+                    beamAngle,
+                    ability.speed,
+                    ability.damage,
+                    {
+                        radius: 10,
+                        color: '#ba68c8',
+                        trailLength: 15,
+                        lifetime: 2,
+                        piercing: ability.piercing,
+                        knockback: ability.knockback,
+                        isEnemyProjectile: true
+                    }
+                ));
+                break;
+
+            // Patterns used by bosses and enraged champions (see bosses.js)
+            case 'projectileRing':
+                for (let i = 0; i < ability.count; i++) {
+                    this.firePatternProjectile(ability, ability.rotation + i * Math.PI * 2 / ability.count);
+                }
+                break;
+
+            case 'projectileFan': {
+                const fanAngle = angle(ability.x, ability.y, ability.targetX, ability.targetY);
+                const step = ability.count > 1 ? ability.spread / (ability.count - 1) : 0;
+                for (let i = 0; i < ability.count; i++) {
+                    this.firePatternProjectile(ability, fanAngle + (i - (ability.count - 1) / 2) * step);
+                }
+                break;
+            }
+
+            case 'hazardZones':
+                // One zone on the player, the rest evenly around them
+                for (let i = 0; i < ability.count; i++) {
+                    let zoneX = ability.targetX;
+                    let zoneY = ability.targetY;
+                    if (i > 0) {
+                        const zoneAngle = ability.rotation + (i - 1) * Math.PI * 2 / (ability.count - 1);
+                        zoneX += Math.cos(zoneAngle) * ability.spread;
+                        zoneY += Math.sin(zoneAngle) * ability.spread;
+                    }
+                    this.areaEffects.push(this.pools.areaEffect.acquire(
+                        zoneX,
+                        zoneY,
+                        ability.radius,
+                        0,
+                        ability.duration,
+                        {
+                            color: ability.color,
+                            damageInterval: ability.armTime, // First tick once armed, then every armTime
+                            slowAmount: ability.slowAmount,
+                            slowDuration: ability.slowDuration,
+                            type: 'hazard',
+                            damagePlayer: true,
+                            playerDamage: ability.damage
+                        }
+                    ));
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown champion ability: ${ability.type}`);
+        }
+    }
+
+    firePatternProjectile(ability, direction) {
+        this.enemyProjectiles.push(this.pools.projectile.acquire(
+            ability.x,
+            ability.y,
+            direction,
+            ability.speed,
+            ability.damage,
+            {
+                radius: 14,
+                color: ability.color,
+                trailLength: 8,
+                lifetime: 4,
+                knockback: ability.knockback,
+                hitEffect: ability.hitEffect,
+                hitEffectAmount: ability.hitEffectAmount,
+                hitEffectDuration: ability.hitEffectDuration,
+                isEnemyProjectile: true
+            }
+        ));
+    }
+
+    // Let the director decide, and hand its multipliers to the spawners
+    updateDirector(dt) {
+        const decision = this.director.update(dt, this.gameTime, this.player);
+        if (!decision) return;
+
+        this.enemySpawner.intensity = decision.spawnIntensity;
+        this.enemySpawner.eliteChance = decision.eliteChance;
+        this.crystalSpawner.supply = decision.crystalSupply;
+        this.events.emit(GAME_EVENTS.DIRECTOR_DECISION, { decision });
+    }
+
+    // Warn about and then spawn the next scheduled boss
+    updateBossSchedule() {
+        const next = BOSS_SCHEDULE[this.nextBossIndex];
+        if (!next) return;
+
+        if (!this.bossWarningShown && this.gameTime >= next.time - BOSS_WARNING_TIME) {
+            this.bossWarningShown = true;
+            this.events.emit(GAME_EVENTS.BOSS_WARNING, {
+                bossId: next.boss,
+                name: BOSS_DEFINITIONS[next.boss].name,
+                arrivesIn: Math.max(0, next.time - this.gameTime)
+            });
+        }
+
+        if (this.gameTime >= next.time) {
+            this.nextBossIndex++;
+            this.bossWarningShown = false;
+            this.spawnBoss(next.boss);
+        }
+    }
+
+    /**
+     * Bring a boss in at the edge of the screen
+     * @param {string} bossId - Key in BOSS_DEFINITIONS
+     * @returns {Boss}
+     */
+    spawnBoss(bossId) {
+        const spawnDist = this.enemySpawner.getSpawnDistances(this.camera);
+        const pos = randomPositionInRing(this.player.x, this.player.y, spawnDist.min, spawnDist.max, this.rng);
+        const boss = new Boss(pos.x, pos.y, bossId);
+        boss.setTarget(this.player.x, this.player.y);
+        this.trackStatusEffects(boss);
+        this.champions.push(boss);
+
+        this.events.emit(GAME_EVENTS.BOSS_SPAWNED, { boss });
+        return boss;
+    }
+
+    // The boss still in the run, if any (the HUD shows its health bar)
+    getActiveBoss() {
+        return this.champions.find(champion => champion.isBoss) || null;
+    }
+
+    // Drop the boss's crystals in a ring where it died and heal the player
+    grantBossReward(boss) {
+        const reward = BOSS_DEFINITIONS[boss.bossId].reward;
+        const types = Object.entries(reward.crystals).flatMap(([type, count]) => Array(count).fill(type));
+
+        types.forEach((type, i) => {
+            const dropAngle = i * Math.PI * 2 / types.length;
+            this.crystals.push(new Crystal(
+                boss.x + Math.cos(dropAngle) * boss.radius,
+                boss.y + Math.sin(dropAngle) * boss.radius,
+                type,
+                this.rng
+            ));
+        });
+
+        this.player.health = Math.min(this.player.maxHealth, this.player.health + this.player.maxHealth * reward.heal);
+
+        this.events.emit(GAME_EVENTS.BOSS_DEFEATED, { boss, reward });
+    }
+
+    updateEnemyProjectiles(dt) {
+        for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+            const proj = this.enemyProjectiles[i];
+
+            if (!proj.update(dt)) {
+                this.removeEntity(this.enemyProjectiles, i, this.pools.projectile);
+                continue;
+            }
+
+            // Check collision with player
+            if (circleCollision(
+                proj.x, proj.y, proj.radius,
+                this.player.x, this.player.y, this.player.radius
+            )) {
+                // Debuffs only come with hits that land (not during invincibility)
+                if (this.damagePlayer(proj.damage, proj)) {
+                    if (proj.knockback > 0) {
+                        this.player.applyKnockback(proj.vx / proj.speed, proj.vy / proj.speed, proj.knockback);
+                    }
+                    if (proj.hitEffect) {
+                        this.player.applyStatusEffect(proj.hitEffect, proj.hitEffectAmount, proj.hitEffectDuration);
+                    }
+                }
+
+                if (!proj.piercing) {
+                    this.removeEntity(this.enemyProjectiles, i, this.pools.projectile);
+                }
+            }
+        }
+
+        // Frost trails slow the player standing in them and damage on their tick
+        for (const effect of this.areaEffects) {
+            if (!effect.damagePlayer) continue;
+
+            const canDamage = effect.canDamage();
+            const dist = distance(effect.x, effect.y, this.player.x, this.player.y);
+            if (dist < effect.radius + this.player.radius) {
+                if (effect.slowAmount > 0) {
+                    this.player.applyStatusEffect('slow', effect.slowAmount, effect.slowDuration);
+                }
+                if (canDamage) {
+                    this.damagePlayer(effect.playerDamage || effect.damage, effect);
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,158 @@
+// Elite affix tests - rolling, XP, shields, slow immunity, and the World's vampiric, explosive and haste rules
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AFFIX_CONFIG, AFFIX_IDS, ENEMY_AFFIXES, NO_AFFIXES, getAffixChance, rollAffixes, getAffixXpMultiplier } from '../js/affixes.js';
+import { Enemy, EnemySpawner, Champion, ENEMY_TYPES } from '../js/enemy.js';
+import { SeededRandom } from '../js/random.js';
+import { WAVE_TIMELINE, createWorld, fixedRng } from './helpers.js';
+
+describe('rollAffixes', () => {
+    it('should start at no chance (without using the random source) and grow with difficulty to a cap', () => {
+        const rng = fixedRng(0);
+        expect(rollAffixes(1, rng)).toBe(NO_AFFIXES);
+        expect(rng.calls).toBe(0);
+
+        expect(getAffixChance(6)).toBeCloseTo(AFFIX_CONFIG.chancePerDifficulty * 5);
+        expect(getAffixChance(11)).toBeGreaterThan(getAffixChance(6));
+        expect(getAffixChance(1000)).toBe(AFFIX_CONFIG.maxChance);
+    });
+
+    it('should scale the chance by the director\'s multiplier', () => {
+        const roll = getAffixChance(11) * 1.5;
+        expect(rollAffixes(11, fixedRng(roll))).toBe(NO_AFFIXES);
+        expect(rollAffixes(11, fixedRng(roll), 2)).not.toBe(NO_AFFIXES);
+    });
+
+    it('should hand out distinct affixes, at most maxAffixes of them', () => {
+        expect(rollAffixes(31, fixedRng(0))).toHaveLength(AFFIX_CONFIG.maxAffixes);
+
+        const rng = new SeededRandom(3);
+        const counts = new Set();
+        for (let i = 0; i < 2000; i++) {
+            const affixes = rollAffixes(31, rng);
+            counts.add(affixes.length);
+            expect(new Set(affixes).size).toBe(affixes.length);
+            expect(affixes.every(id => AFFIX_IDS.includes(id))).toBe(true);
+        }
+        expect([...counts].sort()).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should give spawns affixes once difficulty is up', () => {
+        const spawner = new EnemySpawner(fixedRng(0), WAVE_TIMELINE);
+        const camera = { getVisibleBounds: () => ({ left: 0, right: 1600, top: 0, bottom: 1200 }) };
+        spawner.gameTime = 600;
+        const enemies = [];
+        spawner.update(2, 0, 0, enemies, [], camera);
+
+        expect(enemies.length).toBeGreaterThan(0);
+        expect(enemies.every(enemy => enemy.affixes.length > 0)).toBe(true);
+    });
+});
+
+describe('Enemy affixes', () => {
+    it('should be worth more XP the more affixes it has', () => {
+        const plain = new Enemy(0, 0, 'medium', Math);
+        const elite = new Enemy(0, 0, 'medium', Math, undefined, ['vampiric', 'hasted']);
+        expect(getAffixXpMultiplier(['vampiric', 'hasted'])).toBeCloseTo(1 + ENEMY_AFFIXES.vampiric.xp + ENEMY_AFFIXES.hasted.xp);
+        expect(elite.xp).toBeCloseTo(plain.xp * getAffixXpMultiplier(['vampiric', 'hasted']));
+    });
+
+    it('should have its shield broken before losing health', () => {
+        const enemy = new Enemy(0, 0, 'large', Math, undefined, ['shielded']);
+        const shield = ENEMY_TYPES.large.health * ENEMY_AFFIXES.shielded.shield;
+        expect(enemy.shield).toBeCloseTo(shield);
+
+        enemy.takeDamage(shield - 10);
+        expect(enemy.health).toBe(enemy.maxHealth);
+
+        enemy.takeDamage(30);
+        expect(enemy.shield).toBe(0);
+        expect(enemy.health).toBeCloseTo(enemy.maxHealth - 20);
+    });
+
+    it('should shrug off slows when unstoppable, but not freezes', () => {
+        const enemy = new Enemy(0, 0, 'medium', Math, undefined, ['unstoppable']);
+        enemy.applyStatusEffect('slow', 0.5, 2);
+        expect(enemy.slowAmount).toBe(0);
+
+        enemy.applyStatusEffect('freeze', 0, 2);
+        enemy.update(0.016, 0, 0);
+        expect(enemy.speed).toBe(0);
+    });
+
+    it('should drop its affixes when reset from the pool', () => {
+        const enemy = new Enemy(0, 0, 'medium', Math, undefined, ['shielded', 'unstoppable']);
+        enemy.reset(0, 0, 'medium', Math);
+        expect(enemy).toMatchObject({ affixes: NO_AFFIXES, shield: 0, slowImmune: false, xp: ENEMY_TYPES.medium.xp });
+    });
+});
+
+describe('World affix rules', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 6 });
+    });
+
+    it('should heal a vampiric enemy when its contact damage lands', () => {
+        const vampire = new Enemy(world.player.x, world.player.y, 'medium', Math, undefined, ['vampiric']);
+        const plain = new Enemy(world.player.x, world.player.y, 'medium', Math);
+        vampire.health = plain.health = 10;
+        world.enemies.push(vampire);
+
+        world.checkPlayerCollisions();
+        expect(vampire.health).toBeCloseTo(10 + vampire.maxHealth * ENEMY_AFFIXES.vampiric.heal);
+
+        world.player.invincibleTime = 0;
+        world.enemies = [plain];
+        world.checkPlayerCollisions();
+        expect(plain.health).toBe(10);
+    });
+
+    it('should leave a blast behind an explosive enemy that hurts the player once its fuse runs out', () => {
+        const bomber = new Enemy(world.player.x + 40, world.player.y, 'medium', Math, undefined, ['explosive']);
+        const blastDamage = bomber.damage * ENEMY_AFFIXES.explosive.damage;
+        world.enemies.push(bomber);
+
+        world.dealDamage({}, bomber, 1000);
+        expect(world.areaEffects).toHaveLength(1);
+
+        const step = () => {
+            world.updateAreaEffects(1 / 60);
+            world.updateEnemyProjectiles(1 / 60);
+        };
+        for (let t = 0; t < ENEMY_AFFIXES.explosive.fuse - 0.05; t += 1 / 60) step();
+        expect(world.player.health).toBe(world.player.maxHealth);
+
+        for (let i = 0; i < 30; i++) step();
+        expect(world.player.health).toBeCloseTo(world.player.maxHealth - blastDamage);
+        expect(world.areaEffects).toHaveLength(0);
+    });
+
+    it('should not blow up enemies without the affix', () => {
+        const enemy = new Enemy(world.player.x + 40, world.player.y, 'medium', Math);
+        world.enemies.push(enemy);
+        world.dealDamage({}, enemy, 1000);
+        expect(world.areaEffects).toHaveLength(0);
+    });
+
+    it('should haste enemies inside a hasted enemy\'s aura, and pulse again later', () => {
+        const { radius, amount, pulseInterval } = ENEMY_AFFIXES.hasted;
+        const hasted = new Enemy(2000, 0, 'medium', Math, undefined, ['hasted']);
+        const near = new Enemy(2000 + radius - 20, 0, 'small', Math);
+        const far = new Enemy(2000 + radius + 50, 0, 'small', Math);
+        const champion = new Champion(2000, 50, 'heat');
+        world.enemies.push(hasted, near, far);
+        world.champions.push(champion);
+        world.rebuildTargetHash();
+
+        world.updateHasteAuras(1 / 60);
+        expect(hasted.statusEffects.hasEffect('haste')).toBe(true);
+        expect(near.statusEffects.hasEffect('haste')).toBe(true);
+        expect(far.statusEffects.hasEffect('haste')).toBe(false);
+        expect(champion.statusEffects.hasEffect('haste')).toBe(false);
+        expect(near.statusEffects.getStrongest('haste')).toBe(amount);
+
+        expect(hasted.auraTimer).toBe(pulseInterval);
+    });
+});
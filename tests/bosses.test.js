@@ -0,0 +1,218 @@
+// Boss tests - definitions, phases and attack rotation, the schedule, patterns and rewards in the World
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Boss, BOSS_DEFINITIONS, BOSS_SCHEDULE, BOSS_WARNING_TIME, phaseForHealth } from '../js/bosses.js';
+import { GAME_EVENTS } from '../js/events.js';
+import { POWERS } from '../js/powers.js';
+import { Projectile } from '../js/projectile.js';
+import { createWorld } from './helpers.js';
+
+const VIEWPORT = { width: 800, height: 600 };
+
+describe('BOSS_DEFINITIONS', () => {
+    it('should schedule only defined bosses, in time order', () => {
+        let lastTime = 0;
+        for (const { time, boss } of BOSS_SCHEDULE) {
+            expect(BOSS_DEFINITIONS[boss]).toBeDefined();
+            expect(time).toBeGreaterThan(lastTime);
+            lastTime = time;
+        }
+        expect(BOSS_SCHEDULE.map(entry => entry.time)).toEqual([300, 600, 900]);
+    });
+
+    it('should start every boss at full health and lower each phase threshold', () => {
+        for (const definition of Object.values(BOSS_DEFINITIONS)) {
+            expect(definition.phases[0].healthThreshold).toBe(1);
+            for (let i = 1; i < definition.phases.length; i++) {
+                expect(definition.phases[i].healthThreshold).toBeLessThan(definition.phases[i - 1].healthThreshold);
+            }
+        }
+    });
+
+    it('should only use patterns the World knows how to carry out', () => {
+        const world = createWorld(VIEWPORT, { seed: 1 });
+        for (const definition of Object.values(BOSS_DEFINITIONS)) {
+            for (const phase of definition.phases) {
+                for (const pattern of phase.patterns) {
+                    const action = { ...pattern, x: 0, y: 0, targetX: 100, targetY: 0, rotation: 0 };
+                    expect(() => world.handleChampionAbility(null, action)).not.toThrow();
+                }
+            }
+        }
+    });
+});
+
+describe('Boss', () => {
+    let boss;
+
+    beforeEach(() => {
+        boss = new Boss(0, 0, 'cinderColossus');
+    });
+
+    it('should take its stats from its definition', () => {
+        const definition = BOSS_DEFINITIONS.cinderColossus;
+        expect(boss).toMatchObject({
+            isChampion: true,
+            isBoss: true,
+            name: definition.name,
+            maxHealth: definition.health,
+            radius: definition.radius,
+            baseSpeed: definition.speed
+        });
+    });
+
+    it('should reject unknown bosses', () => {
+        expect(() => new Boss(0, 0, 'dragon')).toThrow('Unknown boss: dragon');
+    });
+
+    it('should move through its phases as it loses health, never back', () => {
+        const { phases, speed } = BOSS_DEFINITIONS.cinderColossus;
+        expect(phaseForHealth(BOSS_DEFINITIONS.cinderColossus, 0.61)).toBe(0);
+        expect(phaseForHealth(BOSS_DEFINITIONS.cinderColossus, 0.1)).toBe(2);
+
+        boss.health = boss.maxHealth * 0.5;
+        expect(boss.updatePhase()).toBe(true);
+        expect(boss.phaseIndex).toBe(1);
+        expect(boss.baseSpeed).toBeCloseTo(speed * phases[1].speedMultiplier);
+        expect(boss.abilityCooldown).toBe(phases[1].transitionTime);
+        expect(boss.updatePhase()).toBe(false);
+
+        boss.health = boss.maxHealth;
+        boss.updatePhase();
+        expect(boss.phaseIndex).toBe(1);
+    });
+
+    it('should use its phase\'s patterns in turn, each followed by its cooldown', () => {
+        const [first, second] = BOSS_DEFINITIONS.cinderColossus.phases[0].patterns;
+        boss.setTarget(100, 0);
+        boss.abilityCooldown = 0;
+
+        expect(boss.checkAbility()).toMatchObject({ type: first.type, count: first.count, targetX: 100 });
+        expect(boss.abilityCooldown).toBe(first.cooldown);
+        expect(boss.checkAbility()).toBeNull();
+
+        boss.abilityCooldown = 0;
+        expect(boss.checkAbility().type).toBe(second.type);
+        boss.abilityCooldown = 0;
+        expect(boss.checkAbility().type).toBe(first.type);
+    });
+});
+
+describe('World bosses', () => {
+    let world;
+    let events;
+
+    beforeEach(() => {
+        world = createWorld(VIEWPORT, { seed: 12 });
+        world.enemySpawner.maxEnemies = 0;
+        world.crystalSpawner.maxCrystals = 0;
+        world.baseAttackCooldown = Infinity;
+
+        events = [];
+        for (const type of [GAME_EVENTS.BOSS_WARNING, GAME_EVENTS.BOSS_SPAWNED, GAME_EVENTS.BOSS_DEFEATED]) {
+            world.events.on(type, (payload) => events.push([type, payload]));
+        }
+    });
+
+    it('should warn ahead of the first boss, then spawn it on time exactly once', () => {
+        const [first] = BOSS_SCHEDULE;
+        world.gameTime = first.time - BOSS_WARNING_TIME - 0.5;
+        for (let i = 0; i < 60; i++) world.update(1 / 60);
+
+        expect(events).toHaveLength(1);
+        expect(events[0][0]).toBe(GAME_EVENTS.BOSS_WARNING);
+        expect(events[0][1]).toMatchObject({ bossId: first.boss, name: BOSS_DEFINITIONS[first.boss].name });
+        expect(world.getActiveBoss()).toBeNull();
+
+        world.gameTime = first.time - 1 / 120;
+        for (let i = 0; i < 60; i++) world.update(1 / 60);
+
+        expect(events.map(([type]) => type)).toEqual([GAME_EVENTS.BOSS_WARNING, GAME_EVENTS.BOSS_SPAWNED]);
+        expect(world.getActiveBoss().bossId).toBe(first.boss);
+        expect(world.nextBossIndex).toBe(1);
+    });
+
+    it('should keep a boss around however far the player runs', () => {
+        const boss = world.spawnBoss('glacialWarden');
+        boss.x = 100000;
+        world.despawnFarEnemies();
+        expect(world.champions).toContain(boss);
+    });
+
+    it('should announce a phase change once damage crosses a threshold', () => {
+        const phases = [];
+        world.events.on(GAME_EVENTS.BOSS_PHASE_CHANGED, ({ phase }) => phases.push(phase));
+
+        const boss = world.spawnBoss('cinderColossus');
+        world.dealDamage({}, boss, boss.maxHealth * 0.45);
+        world.update(1 / 60);
+        world.update(1 / 60);
+        expect(phases).toEqual([1]);
+    });
+
+    it('should fire rings and fans of enemy projectiles', () => {
+        world.handleChampionAbility(null, { type: 'projectileRing', x: 0, y: 0, rotation: 0, count: 8, speed: 200, damage: 10, color: '#fff' });
+        expect(world.enemyProjectiles).toHaveLength(8);
+
+        world.handleChampionAbility(null, {
+            type: 'projectileFan', x: 500, y: 0, targetX: 0, targetY: 0, count: 3, spread: 0.4, speed: 200, damage: 10, color: '#fff'
+        });
+        const fan = world.enemyProjectiles.slice(8).map(proj => proj.angle);
+        expect(fan[1]).toBeCloseTo(Math.PI);
+        expect(fan[2] - fan[0]).toBeCloseTo(0.4);
+    });
+
+    it('should drop hazard zones that only hurt once armed', () => {
+        const health = world.player.health;
+        world.handleChampionAbility(null, {
+            type: 'hazardZones', x: 500, y: 0, targetX: 0, targetY: 0, rotation: 0,
+            count: 3, spread: 200, radius: 60, armTime: 0.5, duration: 2, damage: 15, color: '#f00'
+        });
+        expect(world.areaEffects).toHaveLength(3);
+        expect(world.areaEffects[0]).toMatchObject({ x: 0, y: 0, type: 'hazard', damagePlayer: true });
+
+        for (let i = 0; i < 20; i++) world.update(1 / 60);
+        expect(world.player.health).toBe(health);
+
+        for (let i = 0; i < 15; i++) world.update(1 / 60);
+        expect(world.player.health).toBe(health - 15);
+    });
+
+    it('should keep attacking through a stream of Force Bolt stuns', () => {
+        const { hitEffect, hitEffectDuration } = POWERS.forceBolt.emitters[0].stats;
+        const boss = world.spawnBoss('cinderColossus');
+        world.player.maxHealth = world.player.health = Infinity;
+        let attacks = 0;
+        const handleChampionAbility = world.handleChampionAbility.bind(world);
+        world.handleChampionAbility = (champion, action) => {
+            attacks++;
+            handleChampionAbility(champion, action);
+        };
+
+        // A bolt lands every 0.2s, faster than a fully upgraded Force Bolt fires
+        for (let i = 0; i < 6 * 60; i++) {
+            if (i % 12 === 0) {
+                world.projectiles.push(new Projectile(boss.x, boss.y, 0, 0, 1, { hitEffect, hitEffectDuration }));
+            }
+            world.update(1 / 60);
+        }
+
+        expect(boss.health).toBeLessThan(boss.maxHealth);
+        expect(attacks).toBeGreaterThan(0);
+    });
+
+    it('should always pay out crystals and a heal when a boss dies', () => {
+        const boss = world.spawnBoss('cinderColossus');
+        world.player.health = 10;
+
+        world.dealDamage({}, boss, boss.maxHealth);
+
+        const { reward } = BOSS_DEFINITIONS.cinderColossus;
+        const counts = {};
+        for (const crystal of world.crystals) counts[crystal.type] = (counts[crystal.type] || 0) + 1;
+        expect(counts).toEqual(reward.crystals);
+        expect(world.player.health).toBe(Math.min(world.player.maxHealth, 10 + world.player.maxHealth * reward.heal));
+        expect(world.getActiveBoss()).toBeNull();
+        expect(events.at(-1)).toEqual([GAME_EVENTS.BOSS_DEFEATED, { boss, reward }]);
+    });
+});
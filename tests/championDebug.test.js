@@ -19,7 +19,7 @@ describe('Champion Fusion Debug', () => {
         
         // Create enemies and set them to orbit
         for (let i = 0; i < CHAMPION_FUSION_THRESHOLD; i++) {
-            const enemy = new Enemy(100 + i * 20, 100 + i * 10, 'medium');
+            const enemy = new Enemy(100 + i * 20, 100 + i * 10, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             enemies.push(enemy);
             console.log(`   Created enemy ${i + 1} at (${enemy.x}, ${enemy.y})`);
@@ -71,7 +71,7 @@ describe('Champion Fusion Debug', () => {
         console.log('\n=== Orbit Assignment Test ===');
         
         const crystal = new Crystal(200, 200, 'cold');
-        const enemy = new Enemy(250, 250, 'medium');
+        const enemy = new Enemy(250, 250, 'medium', Math);
         
         console.log(`Crystal at (${crystal.x}, ${crystal.y}), radius: ${crystal.aggroRadius}`);
         console.log(`Enemy at (${enemy.x}, ${enemy.y})`);
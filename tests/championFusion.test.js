@@ -1,8 +1,10 @@
 // Champion fusion tests - verify that enemies orbiting crystals create champions
 
 import { describe, it, expect, beforeEach } from 'vitest';
-import { Enemy, Champion, CHAMPION_FUSION_THRESHOLD } from '../js/enemy.js';
+import { Enemy, Champion, CHAMPION_FUSION_THRESHOLD, CHAMPION_FUSION_CONFIG, CHAMPION_CONFIG, getFusionStrength } from '../js/enemy.js';
 import { Crystal } from '../js/crystal.js';
+import { GAME_EVENTS } from '../js/events.js';
+import { createWorld } from './helpers.js';
 
 describe('Champion Fusion', () => {
     let crystal;
@@ -16,14 +18,14 @@ describe('Champion Fusion', () => {
 
     describe('Enemy orbiting behavior', () => {
         it('should allow enemies to orbit a crystal', () => {
-            const enemy = new Enemy(100, 100, 'medium');
+            const enemy = new Enemy(100, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             
             expect(enemy.orbitTarget).toBe(crystal);
         });
 
         it('should clear orbit target when told', () => {
-            const enemy = new Enemy(100, 100, 'medium');
+            const enemy = new Enemy(100, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             enemy.clearOrbitTarget();
             
@@ -31,7 +33,7 @@ describe('Champion Fusion', () => {
         });
 
         it('should move toward orbit position when orbiting', () => {
-            const enemy = new Enemy(100, 100, 'medium');
+            const enemy = new Enemy(100, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             
             const initialX = enemy.x;
@@ -54,7 +56,7 @@ describe('Champion Fusion', () => {
         it('should identify enemies orbiting a crystal', () => {
             // Create 3 enemies orbiting the crystal
             for (let i = 0; i < 3; i++) {
-                const enemy = new Enemy(50 + i * 10, 50, 'medium');
+                const enemy = new Enemy(50 + i * 10, 50, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
@@ -67,7 +69,7 @@ describe('Champion Fusion', () => {
         it('should not trigger fusion with fewer than threshold enemies', () => {
             // Create 4 enemies (less than threshold of 5)
             for (let i = 0; i < 4; i++) {
-                const enemy = new Enemy(50 + i * 10, 50, 'medium');
+                const enemy = new Enemy(50 + i * 10, 50, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
@@ -79,7 +81,7 @@ describe('Champion Fusion', () => {
         it('should detect when threshold is reached', () => {
             // Create exactly 5 enemies (threshold)
             for (let i = 0; i < 5; i++) {
-                const enemy = new Enemy(50 + i * 10, 50, 'medium');
+                const enemy = new Enemy(50 + i * 10, 50, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
@@ -91,7 +93,7 @@ describe('Champion Fusion', () => {
         it('should work with more than threshold enemies', () => {
             // Create 7 enemies (more than threshold)
             for (let i = 0; i < 7; i++) {
-                const enemy = new Enemy(50 + i * 10, 50, 'medium');
+                const enemy = new Enemy(50 + i * 10, 50, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
@@ -103,12 +105,12 @@ describe('Champion Fusion', () => {
         it('should not count enemies without orbit target', () => {
             // Create 3 orbiting, 2 not orbiting
             for (let i = 0; i < 3; i++) {
-                const enemy = new Enemy(50 + i * 10, 50, 'medium');
+                const enemy = new Enemy(50 + i * 10, 50, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
             for (let i = 0; i < 2; i++) {
-                const enemy = new Enemy(200 + i * 10, 200, 'medium');
+                const enemy = new Enemy(200 + i * 10, 200, 'medium', Math);
                 enemies.push(enemy);
             }
 
@@ -122,14 +124,14 @@ describe('Champion Fusion', () => {
             
             // 3 enemies orbit first crystal
             for (let i = 0; i < 3; i++) {
-                const enemy = new Enemy(50 + i * 10, 50, 'medium');
+                const enemy = new Enemy(50 + i * 10, 50, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
             
             // 2 enemies orbit second crystal
             for (let i = 0; i < 2; i++) {
-                const enemy = new Enemy(450 + i * 10, 450, 'medium');
+                const enemy = new Enemy(450 + i * 10, 450, 'medium', Math);
                 enemy.setOrbitTarget(crystal2);
                 enemies.push(enemy);
             }
@@ -164,7 +166,7 @@ describe('Champion Fusion', () => {
         });
 
         it('should have higher stats than regular enemies', () => {
-            const enemy = new Enemy(0, 0, 'large'); // Largest regular enemy
+            const enemy = new Enemy(0, 0, 'large', Math); // Largest regular enemy
             const champion = new Champion(0, 0, 'heat');
 
             expect(champion.maxHealth).toBeGreaterThan(enemy.maxHealth);
@@ -176,7 +178,7 @@ describe('Champion Fusion', () => {
             const champion = new Champion(0, 0, 'cold');
             expect(champion.isChampion).toBe(true);
             
-            const enemy = new Enemy(0, 0, 'medium');
+            const enemy = new Enemy(0, 0, 'medium', Math);
             expect(enemy.isChampion).toBeUndefined();
         });
 
@@ -210,4 +212,128 @@ describe('Champion Fusion', () => {
     });
 });
 
+describe('Fusion ritual', () => {
+    const { ritualDuration, unwindTime, cancelCooldown } = CHAMPION_FUSION_CONFIG;
+    let world;
+    let published;
 
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 3 });
+        published = [];
+        for (const type of [GAME_EVENTS.FUSION_STARTED, GAME_EVENTS.FUSION_CANCELLED, GAME_EVENTS.CHAMPION_FUSED]) {
+            world.events.on(type, payload => published.push({ type, ...payload }));
+        }
+    });
+
+    // A crystal away from the player with `count` enemies orbiting it
+    function ritualSite(count, type = 'heat') {
+        const crystal = new Crystal(600, 0, type);
+        world.crystals.push(crystal);
+        for (let i = 0; i < count; i++) {
+            const enemy = new Enemy(600 + 60 * Math.cos(i), 60 * Math.sin(i), 'medium', Math);
+            enemy.setOrbitTarget(crystal);
+            world.enemies.push(enemy);
+        }
+        return crystal;
+    }
+
+    function runFusion(seconds) {
+        for (let t = 0; t < seconds; t += 1 / 60) {
+            world.checkChampionFusion(1 / 60);
+        }
+    }
+
+    it('should make champions stronger for every participant beyond the threshold, up to a cap', () => {
+        expect(getFusionStrength(CHAMPION_FUSION_THRESHOLD)).toBe(1);
+        expect(getFusionStrength(CHAMPION_FUSION_THRESHOLD + 2)).toBeCloseTo(1 + 2 * CHAMPION_FUSION_CONFIG.strengthPerExtra);
+        expect(getFusionStrength(100)).toBe(CHAMPION_FUSION_CONFIG.maxStrength);
+    });
+
+    it('should run a ritual for ritualDuration before the champion appears', () => {
+        const crystal = ritualSite(CHAMPION_FUSION_THRESHOLD);
+        world.checkChampionFusion(1 / 60);
+        expect(crystal.ritualActive).toBe(true);
+        expect(published).toEqual([{ type: GAME_EVENTS.FUSION_STARTED, crystal, participants: CHAMPION_FUSION_THRESHOLD }]);
+
+        runFusion(ritualDuration / 2);
+        expect(crystal.ritualProgress).toBeCloseTo(0.5, 1);
+        expect(world.champions).toHaveLength(0);
+        expect(world.enemies).toHaveLength(CHAMPION_FUSION_THRESHOLD);
+
+        runFusion(ritualDuration / 2 + 0.1);
+        expect(world.champions).toHaveLength(1);
+        expect(world.enemies).toHaveLength(0);
+        expect(world.crystals).toHaveLength(0);
+        expect(published.at(-1)).toMatchObject({ type: GAME_EVENTS.CHAMPION_FUSED, participants: CHAMPION_FUSION_THRESHOLD, strength: 1 });
+    });
+
+    it('should fuse a stronger champion from a bigger ritual', () => {
+        ritualSite(CHAMPION_FUSION_THRESHOLD + 3);
+        runFusion(ritualDuration + 0.1);
+
+        const strength = getFusionStrength(CHAMPION_FUSION_THRESHOLD + 3);
+        const [champion] = world.champions;
+        expect(champion.maxHealth).toBeCloseTo(CHAMPION_CONFIG.health * strength);
+        expect(champion.damage).toBeCloseTo(CHAMPION_CONFIG.damage * strength);
+        expect(champion.xp).toBeCloseTo(CHAMPION_CONFIG.xp * strength);
+    });
+
+    it('should break the ritual when an orbiter is killed, and let the crystal rest before another', () => {
+        const crystal = ritualSite(CHAMPION_FUSION_THRESHOLD + 1);
+        runFusion(ritualDuration / 2);
+
+        world.dealDamage({}, world.enemies[0], 1000);
+        expect(crystal.ritualActive).toBe(false);
+        expect(published.at(-1)).toEqual({ type: GAME_EVENTS.FUSION_CANCELLED, crystal, reason: 'orbiterKilled' });
+
+        // Still at the threshold, but resting: the orbiters drift back out instead
+        runFusion(unwindTime + 0.1);
+        expect(crystal.ritualProgress).toBe(0);
+        expect(crystal.ritualActive).toBe(false);
+
+        runFusion(cancelCooldown - unwindTime);
+        expect(crystal.ritualActive).toBe(true);
+        expect(world.champions).toHaveLength(0);
+    });
+
+    it('should break the ritual when the player collects the crystal', () => {
+        const crystal = ritualSite(CHAMPION_FUSION_THRESHOLD);
+        runFusion(1);
+
+        world.player.x = crystal.x;
+        world.player.y = crystal.y;
+        world.checkCrystalCollection();
+        runFusion(ritualDuration);
+
+        expect(published.at(-1)).toEqual({ type: GAME_EVENTS.FUSION_CANCELLED, crystal, reason: 'crystalCollected' });
+        expect(world.champions).toHaveLength(0);
+        expect(world.enemies).toHaveLength(CHAMPION_FUSION_THRESHOLD);
+    });
+
+    it('should break the ritual when orbiters leave without being killed', () => {
+        const crystal = ritualSite(CHAMPION_FUSION_THRESHOLD);
+        runFusion(1);
+        world.enemies.pop();
+        world.checkChampionFusion(1 / 60);
+
+        expect(published.at(-1)).toEqual({ type: GAME_EVENTS.FUSION_CANCELLED, crystal, reason: 'scattered' });
+    });
+
+    it('should draw orbiters inward and spin them faster as the ritual goes on', () => {
+        const crystal = new Crystal(0, 0, 'cold');
+        const orbitDistance = (progress) => {
+            crystal.ritualProgress = progress;
+            const enemy = new Enemy(0, 0, 'small', Math);
+            enemy.setOrbitTarget(crystal);
+            const startAngle = enemy.orbitAngle;
+            for (let i = 0; i < 240; i++) enemy.update(1 / 60, 5000, 5000);
+            return { dist: Math.hypot(enemy.x, enemy.y), turned: enemy.orbitAngle - startAngle, radius: enemy.orbitRadius };
+        };
+
+        const before = orbitDistance(0);
+        const after = orbitDistance(1);
+        expect(Math.abs(before.dist - before.radius)).toBeLessThan(10);
+        expect(Math.abs(after.dist - after.radius * CHAMPION_FUSION_CONFIG.innerOrbit)).toBeLessThan(10);
+        expect(after.turned / after.radius).toBeGreaterThan(before.turned / before.radius);
+    });
+});
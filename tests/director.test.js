@@ -0,0 +1,162 @@
+// AI director tests - performance signals, phase cycle, bounded outputs, logging and the World hook-up
+
+import { describe, it, expect } from 'vitest';
+import { DIRECTOR_CONFIG, Director, buildStrength, formatDecision } from '../js/director.js';
+import { rollEliteTier, SCALING_CONFIG } from '../js/scaling.js';
+import { CrystalSpawner } from '../js/crystal.js';
+import { GAME_EVENTS } from '../js/events.js';
+import { createWorld } from './helpers.js';
+
+const { decisionInterval, phases, bounds } = DIRECTOR_CONFIG;
+
+function player({ health = 100, levels = [1], stacks = [] } = {}) {
+    return {
+        health,
+        maxHealth: 100,
+        powers: levels.map((level, i) => ({ id: `power${i}`, level })),
+        passiveUpgrades: stacks.map((count, i) => ({ id: `upgrade${i}`, stacks: count }))
+    };
+}
+
+// Step the director for `seconds`, feeding damage and kills per second; returns the last decision
+function run(director, seconds, target, { startTime = 60, damagePerSecond = 0, killsPerSecond = 0 } = {}) {
+    let decision = null;
+    for (let t = 0; t < seconds; t += 1) {
+        director.recordDamage(damagePerSecond);
+        for (let k = 0; k < killsPerSecond; k++) director.recordKill();
+        decision = director.update(1, startTime + t, target) || decision;
+    }
+    return decision;
+}
+
+describe('Director', () => {
+    it('should start neutral and decide every decisionInterval', () => {
+        const director = new Director();
+        expect(director).toMatchObject({ spawnIntensity: 1, eliteChance: 1, crystalSupply: 1, phase: 'buildUp' });
+        expect(director.update(decisionInterval / 2, 0, player())).toBeNull();
+        expect(director.update(decisionInterval / 2, 0, player())).not.toBeNull();
+    });
+
+    it('should ease off a struggling player: fewer spawns and elites, more crystals', () => {
+        const director = new Director({ phases: { buildUp: { ...phases.buildUp, startPressure: 0, endPressure: 0 } } });
+        const decision = run(director, 30, player({ health: 15 }), { damagePerSecond: 5 });
+
+        expect(decision.performance).toBeLessThan(-0.3);
+        expect(decision.spawnIntensity).toBeLessThan(1);
+        expect(decision.eliteChance).toBeLessThan(1);
+        expect(decision.crystalSupply).toBeGreaterThan(1);
+    });
+
+    it('should push a cruising player harder', () => {
+        const director = new Director({ phases: { buildUp: { ...phases.buildUp, startPressure: 0, endPressure: 0 } } });
+        const decision = run(director, 30, player({ levels: [5, 5, 4], stacks: [3, 2] }), { killsPerSecond: 3 });
+
+        expect(decision.performance).toBeGreaterThan(0.5);
+        expect(decision.inputs.build).toBe(19);
+        expect(decision.spawnIntensity).toBeGreaterThan(1);
+        expect(decision.eliteChance).toBeGreaterThan(1);
+        expect(decision.crystalSupply).toBeLessThan(1);
+    });
+
+    it('should never leave the designer-set bounds', () => {
+        const director = new Director({ bounds: { spawnIntensity: { min: 0.8, max: 1.2 } } });
+        for (const options of [{ killsPerSecond: 10 }, { damagePerSecond: 50 }]) {
+            for (let i = 0; i < 60; i++) {
+                const decision = run(director, 10, player({ levels: [9, 9, 9], health: options.damagePerSecond ? 1 : 100 }), options);
+                expect(decision.spawnIntensity).toBeGreaterThanOrEqual(0.8);
+                expect(decision.spawnIntensity).toBeLessThanOrEqual(1.2);
+                expect(decision.eliteChance).toBeGreaterThanOrEqual(bounds.eliteChance.min);
+                expect(decision.eliteChance).toBeLessThanOrEqual(bounds.eliteChance.max);
+                expect(decision.crystalSupply).toBeGreaterThanOrEqual(bounds.crystalSupply.min);
+                expect(decision.crystalSupply).toBeLessThanOrEqual(bounds.crystalSupply.max);
+            }
+        }
+    });
+
+    it('should reject bounds that do not contain 1', () => {
+        expect(() => new Director({ bounds: { eliteChance: { min: 1.2, max: 2 } } }))
+            .toThrow('Director bounds for eliteChance must satisfy 0 < min <= 1 <= max');
+    });
+
+    it('should cycle build-up, peak and relief', () => {
+        const director = new Director();
+        const seen = [];
+        for (let t = 0; t < phases.buildUp.duration + phases.peak.duration + phases.relief.duration + 1; t++) {
+            director.update(1, t, player());
+            if (seen.at(-1) !== director.phase) seen.push(director.phase);
+        }
+        expect(seen).toEqual(['buildUp', 'peak', 'relief', 'buildUp']);
+    });
+
+    it('should cut a peak short when the player is nearly dead', () => {
+        const director = new Director();
+        director.phase = 'peak';
+        director.update(1, 100, player({ health: 100 }));
+        expect(director.phase).toBe('peak');
+        director.update(1, 101, player({ health: 10 }));
+        expect(director.phase).toBe('relief');
+    });
+
+    it('should ignore performance during the warm-up', () => {
+        const director = new Director();
+        const decision = run(director, 10, player({ health: 5 }), { startTime: 0, damagePerSecond: 20 });
+        expect(decision.performance).toBe(0);
+    });
+
+    it('should keep a bounded log and summarise decisions on one line', () => {
+        const director = new Director({ decisionInterval: 1 });
+        director.logLimit = 5;
+        run(director, 12, player());
+        expect(director.log).toHaveLength(5);
+
+        const line = formatDecision(director.log.at(-1));
+        expect(line).toMatch(/^\[director 1:11\] buildUp pressure [+-]\d\.\d\d/);
+        expect(line).toContain('spawns x');
+        expect(line).toContain('crystals x');
+    });
+});
+
+describe('buildStrength', () => {
+    it('should add power levels and passive stacks', () => {
+        expect(buildStrength(player({ levels: [3, 2], stacks: [2, 1] }))).toBe(8);
+    });
+});
+
+describe('spawner hooks', () => {
+    it('should scale elite chances', () => {
+        const rng = { random: () => SCALING_CONFIG.eliteTiers[0].chance * 1.5 };
+        const time = SCALING_CONFIG.eliteTiers[0].minTime;
+        expect(rollEliteTier(time, rng)).toBe(0);
+        expect(rollEliteTier(time, rng, 2)).toBe(1);
+    });
+
+    it('should spawn crystals sooner with a bigger supply', () => {
+        const camera = { getVisibleBounds: () => ({ left: 0, right: 800, top: 0, bottom: 600 }) };
+        const spawner = new CrystalSpawner(Math);
+        spawner.supply = 2;
+        const crystals = [];
+        spawner.update(spawner.spawnInterval / 2, 0, 0, crystals, camera);
+        expect(crystals).toHaveLength(1);
+    });
+});
+
+describe('World director', () => {
+    it('should feed damage and kills in, and hand its decisions to the spawners and the event bus', () => {
+        const world = createWorld({ width: 800, height: 600 }, { seed: 2 });
+        const decisions = [];
+        world.events.on(GAME_EVENTS.DIRECTOR_DECISION, ({ decision }) => decisions.push(decision));
+
+        world.damagePlayer(10, 'test');
+        world.events.emit(GAME_EVENTS.ENEMY_KILLED, { target: { xp: 0 } });
+        expect(world.director).toMatchObject({ damageTaken: 10, kills: 1 });
+
+        world.director.pressure = 0.9;
+        for (let i = 0; i < decisionInterval * 60 + 1; i++) world.update(1 / 60);
+
+        expect(decisions).toHaveLength(1);
+        expect(world.enemySpawner.intensity).toBe(decisions[0].spawnIntensity);
+        expect(world.enemySpawner.eliteChance).toBe(decisions[0].eliteChance);
+        expect(world.crystalSpawner.supply).toBe(decisions[0].crystalSupply);
+        expect(world.enemySpawner.intensity).toBeGreaterThan(1);
+    });
+});
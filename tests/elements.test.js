@@ -0,0 +1,180 @@
+// Elemental reaction tests - marks, the reaction table and reactions resolved by the World
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    ELEMENT_CONFIG, ELEMENT_REACTIONS, applyElement, markElement, takePendingReaction, updateElementMarks
+} from '../js/elements.js';
+import { Enemy, Champion } from '../js/enemy.js';
+import { Projectile, AreaEffect, RingEffect, OrbitalShield } from '../js/projectile.js';
+import { GAME_EVENTS } from '../js/events.js';
+import { createWorld } from './helpers.js';
+
+describe('element marks', () => {
+    let enemy;
+
+    beforeEach(() => {
+        enemy = new Enemy(0, 0, 'small', Math);
+    });
+
+    it('should mark a target with the element of the hit', () => {
+        expect(applyElement(enemy, 'cold')).toBeNull();
+        expect(enemy.elementMarks.cold).toBe(ELEMENT_CONFIG.markDuration);
+    });
+
+    it('should ignore non-elemental hits and targets without marks', () => {
+        expect(applyElement(enemy, 'physical')).toBeNull();
+        expect(enemy.elementMarks).toEqual({ heat: 0, cold: 0, force: 0 });
+        expect(applyElement({ x: 0, y: 0 }, 'heat')).toBeNull();
+    });
+
+    it('should trigger a reaction, consume the mark it needs and leave the new mark', () => {
+        markElement(enemy, 'cold');
+        expect(applyElement(enemy, 'heat')).toBe(ELEMENT_REACTIONS.shatter);
+        expect(enemy.elementMarks).toMatchObject({ cold: 0, heat: ELEMENT_CONFIG.markDuration });
+
+        expect(takePendingReaction(enemy)).toBe(ELEMENT_REACTIONS.shatter);
+        expect(takePendingReaction(enemy)).toBeNull();
+    });
+
+    it('should have every reaction pair two different elements', () => {
+        for (const reaction of Object.values(ELEMENT_REACTIONS)) {
+            expect(reaction.trigger).not.toBe(reaction.consumes);
+        }
+    });
+
+    it('should wear off over time', () => {
+        markElement(enemy, 'force');
+        updateElementMarks(enemy, ELEMENT_CONFIG.markDuration + 0.1);
+        expect(enemy.elementMarks.force).toBe(0);
+        expect(applyElement(enemy, 'cold')).toBeNull();
+    });
+
+    it('should start recycled enemies unmarked', () => {
+        markElement(enemy, 'heat');
+        enemy.pendingReaction = 'wildfire';
+        enemy.reset(0, 0, 'small', Math);
+        expect(enemy.elementMarks.heat).toBe(0);
+        expect(enemy.pendingReaction).toBeNull();
+    });
+});
+
+describe('collision marks', () => {
+    it('should mark through projectiles, rings and orbital shields', () => {
+        const a = new Enemy(0, 0, 'small', Math);
+        new Projectile(0, 0, 0, 0, 5, { damageType: 'heat' }).checkCollision(a);
+        expect(a.elementMarks.heat).toBeGreaterThan(0);
+
+        const b = new Enemy(100, 0, 'small', Math);
+        const ring = new RingEffect(0, 0, 200, 5, 1, { damageType: 'cold' });
+        ring.update(0.5);
+        expect(ring.checkCollision(b)).toBe(true);
+        expect(b.elementMarks.cold).toBeGreaterThan(0);
+
+        const owner = { x: 0, y: 0 };
+        const shield = new OrbitalShield(owner, 1, 50, 5);
+        const c = new Enemy(50, 0, 'small', Math);
+        expect(shield.checkCollision(c)).toBe(true);
+        expect(c.elementMarks.force).toBeGreaterThan(0);
+    });
+
+    it('should not mark from visual-only rings', () => {
+        const enemy = new Enemy(100, 0, 'small', Math);
+        const ring = new RingEffect(0, 0, 200, 0, 1, { damageType: 'cold' });
+        ring.update(0.5);
+        ring.checkCollision(enemy);
+        expect(enemy.elementMarks.cold).toBe(0);
+    });
+
+    it('should mark from areas only on damage ticks', () => {
+        const enemy = new Enemy(0, 0, 'small', Math);
+        const area = new AreaEffect(0, 0, 50, 5, 3, { damageType: 'heat' });
+        area.affectEnemy(enemy);
+        expect(enemy.elementMarks.heat).toBe(0);
+        area.affectEnemy(enemy, 1 / 60, true);
+        expect(enemy.elementMarks.heat).toBeGreaterThan(0);
+    });
+});
+
+describe('World reactions', () => {
+    let world;
+    let reactions;
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 8 });
+        reactions = [];
+        world.events.on(GAME_EVENTS.ELEMENT_REACTION, (e) => reactions.push(e));
+    });
+
+    function addEnemy(x, y, type = 'large') {
+        const enemy = new Enemy(x, y, type, Math);
+        world.enemies.push(enemy);
+        return enemy;
+    }
+
+    function fire(x, y, damage, damageType, options = {}) {
+        world.projectiles.push(new Projectile(x, y, 0, 0, damage, { damageType, ...options }));
+        world.rebuildTargetHash();
+        world.updateProjectiles(0.001);
+    }
+
+    it('should Shatter a chilled enemy hit by heat, bursting onto its neighbours', () => {
+        const chilled = addEnemy(300, 0);
+        const neighbour = addEnemy(360, 0);
+        markElement(chilled, 'cold');
+
+        fire(300, 0, 10, 'heat');
+
+        expect(chilled.maxHealth - chilled.health).toBe(15);
+        expect(neighbour.maxHealth - neighbour.health).toBe(ELEMENT_REACTIONS.shatter.burst.minDamage);
+        expect(reactions).toHaveLength(1);
+        expect(reactions[0]).toMatchObject({ reactionId: 'shatter', target: chilled, x: 300, y: 0 });
+    });
+
+    it('should spread a burn when force hits a burning enemy', () => {
+        const burning = addEnemy(300, 0);
+        const others = [addEnemy(350, 0), addEnemy(300, 60), addEnemy(900, 0)];
+        markElement(burning, 'heat');
+
+        fire(300, 0, 5, 'force');
+
+        expect(reactions.map(r => r.reactionId)).toEqual(['wildfire']);
+        expect(others[0].elementMarks.heat).toBeGreaterThan(0);
+        expect(others[1].elementMarks.heat).toBeGreaterThan(0);
+        expect(others[0].health).toBe(others[0].maxHealth - ELEMENT_REACTIONS.wildfire.spread.damage);
+        expect(others[2].elementMarks.heat).toBe(0); // Out of range
+    });
+
+    it('should Crush a force-marked enemy hit by cold', () => {
+        const champion = new Champion(300, 0, 'force');
+        world.champions.push(champion);
+        markElement(champion, 'force');
+
+        fire(300, 0, 10, 'cold');
+
+        expect(champion.maxHealth - champion.health).toBe(20);
+        expect(champion.statusEffects.hasEffect('freeze')).toBe(true);
+    });
+
+    it('should not chain reactions from reaction damage', () => {
+        const chilled = addEnemy(300, 0);
+        const neighbour = addEnemy(350, 0);
+        markElement(chilled, 'cold');
+        markElement(neighbour, 'cold');
+
+        fire(300, 0, 10, 'heat');
+
+        expect(reactions).toHaveLength(1);
+        expect(neighbour.elementMarks.cold).toBeGreaterThan(0);
+    });
+
+    it('should resolve a reaction around a target the hit killed', () => {
+        const chilled = addEnemy(300, 0, 'small');
+        const neighbour = addEnemy(350, 0);
+        markElement(chilled, 'cold');
+
+        fire(300, 0, 1000, 'heat');
+
+        expect(world.enemies).not.toContain(chilled);
+        expect(neighbour.health).toBeLessThan(neighbour.maxHealth);
+    });
+});
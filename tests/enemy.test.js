@@ -1,11 +1,12 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { Enemy, ENEMY_TYPES, EnemySpawner, Champion, CHAMPION_CONFIG, CHAMPION_FUSION_THRESHOLD } from '../js/enemy.js';
+import { WAVE_TIMELINE } from './helpers.js';
 
 describe('Enemy', () => {
     let enemy;
 
     beforeEach(() => {
-        enemy = new Enemy(100, 200, 'medium');
+        enemy = new Enemy(100, 200, 'medium', Math);
     });
 
     describe('constructor', () => {
@@ -71,6 +72,21 @@ describe('Enemy', () => {
         });
     });
 
+    describe('getContactDamage', () => {
+        it('should deal less while weakened and nothing while stunned', () => {
+            enemy.applyStatusEffect('weaken', 0.5, 1);
+            expect(enemy.getContactDamage()).toBe(enemy.damage * 0.5);
+            enemy.applyStatusEffect('stun', 0, 1);
+            expect(enemy.getContactDamage()).toBe(0);
+        });
+
+        it('should start recycled enemies without effects', () => {
+            enemy.applyStatusEffect('burn', 5, 3);
+            enemy.reset(0, 0, 'small', Math);
+            expect(enemy.statusEffects.getActiveEffects()).toEqual([]);
+        });
+    });
+
     describe('applyKnockback', () => {
         it('should add knockback force', () => {
             enemy.applyKnockback(1, 0, 100);
@@ -161,6 +177,17 @@ describe('Enemy', () => {
             expect(enemy.slowAmount).toBe(0);
         });
 
+        it('should not move while frozen or stunned', () => {
+            enemy.applyStatusEffect('freeze', 0, 0.5);
+            enemy.update(0.1, 100, 200, 1.0);
+            expect(enemy.speed).toBe(0);
+
+            enemy.statusEffects.clearAll();
+            enemy.applyStatusEffect('stun', 0, 0.5);
+            enemy.update(0.1, 100, 200, 1.0);
+            expect(enemy.speed).toBe(0);
+        });
+
         it('should decrease hurt time', () => {
             enemy.hurtTime = 0.1;
             enemy.update(0.05, 0, 0, 1.0);
@@ -239,7 +266,7 @@ describe('EnemySpawner', () => {
     let mockCamera;
 
     beforeEach(() => {
-        spawner = new EnemySpawner();
+        spawner = new EnemySpawner(Math, WAVE_TIMELINE);
         mockCamera = createMockCamera();
     });
 
@@ -281,7 +308,7 @@ describe('EnemySpawner', () => {
         });
 
         it('should not exceed max enemies', () => {
-            const enemies = new Array(150).fill(null).map(() => new Enemy(0, 0, 'small'));
+            const enemies = new Array(150).fill(null).map(() => new Enemy(0, 0, 'small', Math));
             const initialCount = enemies.length;
             
             spawner.update(3.0, 0, 0, enemies, [], mockCamera);
@@ -440,30 +467,144 @@ describe('Champion', () => {
             heatChampion.update(0.3);
             expect(heatChampion.abilityCooldown).toBeCloseTo(0.7);
         });
+
+        it('should not use abilities while stunned', () => {
+            heatChampion.abilityCooldown = 0;
+            heatChampion.applyStatusEffect('stun', 0, 1);
+            expect(heatChampion.update(0.1)).toBeNull();
+        });
     });
 
-    describe('checkAbility - Heat Champion', () => {
-        it('should return flameBurst ability when cooldown is ready', () => {
-            heatChampion.setTarget(200, 200);
-            const ability = heatChampion.update(0.1);
-            
-            expect(ability).not.toBeNull();
-            expect(ability.type).toBe('flameBurst');
+    describe('attack cycle', () => {
+        // Step in small increments until the state changes (or give up)
+        function stepUntilStateChanges(champion, limit = 5) {
+            const state = champion.aiState;
+            const abilities = [];
+            for (let t = 0; t < limit && champion.aiState === state; t += 1 / 60) {
+                const ability = champion.update(1 / 60);
+                if (ability) abilities.push(ability);
+            }
+            return abilities;
+        }
+
+        it('should approach until the target is in attack range', () => {
+            heatChampion.setTarget(100 + CHAMPION_CONFIG.attackRange + 200, 200);
+            expect(heatChampion.update(0.1)).toBeNull();
+            expect(heatChampion.aiState).toBe('approach');
+
+            heatChampion.setTarget(300, 200);
+            expect(heatChampion.update(0.1)).toBeNull();
+            expect(heatChampion.aiState).toBe('windup');
+            expect(heatChampion.currentAbility).toBe('primary');
         });
 
-        it('should set cooldown after using ability', () => {
-            heatChampion.update(0.1);
-            expect(heatChampion.abilityCooldown).toBeGreaterThan(0);
+        it('should hold still through the windup and fire where the target was when it started', () => {
+            heatChampion.setTarget(300, 200);
+            heatChampion.update(1 / 60);
+            const x = heatChampion.x;
+            heatChampion.setTarget(100, 600);
+
+            const abilities = stepUntilStateChanges(heatChampion);
+
+            expect(heatChampion.x).toBe(x);
+            expect(abilities).toHaveLength(1);
+            expect(abilities[0]).toMatchObject({ type: 'flameBurst', targetX: 300, targetY: 200 });
+            expect(heatChampion.aiState).toBe('attack');
+            expect(heatChampion.abilityCooldown).toBe(CHAMPION_CONFIG.types.heat.abilityCooldown);
         });
 
-        it('should return null when on cooldown', () => {
-            heatChampion.update(0.1); // Use ability
-            const ability = heatChampion.update(0.1); // Still on cooldown
-            expect(ability).toBeNull();
+        it('should take the windup time to fire, then recover before approaching again', () => {
+            forceChampion.setTarget(300, 200);
+            forceChampion.update(1 / 60);
+
+            let elapsed = 0;
+            while (forceChampion.aiState === 'windup') {
+                forceChampion.update(1 / 60);
+                elapsed += 1 / 60;
+            }
+            expect(elapsed).toBeCloseTo(CHAMPION_CONFIG.types.force.windupTime, 1);
+
+            expect(stepUntilStateChanges(forceChampion)).toEqual([]);
+            expect(forceChampion.aiState).toBe('recover');
+            stepUntilStateChanges(forceChampion);
+            expect(forceChampion.aiState).toBe('approach');
+            expect(forceChampion.currentAbility).toBeNull();
+        });
+
+        it('should call off the windup when stunned', () => {
+            forceChampion.setTarget(300, 200);
+            forceChampion.update(1 / 60);
+            forceChampion.applyStatusEffect('stun', 0, 0.5);
+
+            expect(forceChampion.update(1 / 60)).toBeNull();
+            expect(forceChampion.aiState).toBe('recover');
+        });
+
+        it('should shrug off stuns for a while after one', () => {
+            forceChampion.applyStatusEffect('stun', 0, 0.25);
+            forceChampion.update(0.2);
+            forceChampion.applyStatusEffect('stun', 0, 0.25);
+            forceChampion.update(0.1);
+            expect(forceChampion.isStunned()).toBe(false);
+
+            forceChampion.applyStatusEffect('stun', 0, 0.25);
+            expect(forceChampion.isStunned()).toBe(false);
+
+            forceChampion.update(CHAMPION_CONFIG.stunImmunityTime);
+            forceChampion.applyStatusEffect('stun', 0, 0.25);
+            expect(forceChampion.isStunned()).toBe(true);
+        });
+
+        it('should never wind up a cold champion before it is enraged', () => {
+            coldChampion.setTarget(300, 200);
+            coldChampion.update(0.1);
+            expect(coldChampion.aiState).toBe('approach');
+        });
+
+        it('should enrage below the threshold, faster and opening with its second ability', () => {
+            forceChampion.setTarget(300, 200);
+            forceChampion.health = forceChampion.maxHealth * CHAMPION_CONFIG.enrageThreshold;
+            forceChampion.update(1 / 60);
+
+            expect(forceChampion.enraged).toBe(true);
+            expect(forceChampion.baseSpeed).toBeCloseTo(CHAMPION_CONFIG.speed * CHAMPION_CONFIG.enragedSpeedMultiplier);
+            expect(forceChampion.currentAbility).toBe('enraged');
+
+            const [ability] = stepUntilStateChanges(forceChampion);
+            const enraged = CHAMPION_CONFIG.types.force.enraged;
+            expect(ability).toMatchObject({ type: enraged.type, count: enraged.count, targetX: 300 });
+            expect(forceChampion.abilityCooldown).toBe(enraged.abilityCooldown);
+        });
+
+        it('should alternate its two abilities once enraged', () => {
+            heatChampion.setTarget(300, 200);
+            heatChampion.health = 1;
+            const types = [];
+            for (let i = 0; i < 60 * 20 && types.length < 4; i++) {
+                const ability = heatChampion.update(1 / 60);
+                if (ability) types.push(ability.type);
+            }
+            expect(types).toEqual(['hazardZones', 'flameBurst', 'hazardZones', 'flameBurst']);
+        });
+
+        it('should give enraged cold champions a nova on top of their trail', () => {
+            coldChampion.setTarget(300, 200);
+            coldChampion.health = 1;
+            coldChampion.update(1 / 60);
+            expect(coldChampion.aiState).toBe('windup');
+
+            const [ability] = stepUntilStateChanges(coldChampion);
+            expect(ability).toMatchObject({ type: 'projectileRing', hitEffect: 'slow' });
+
+            // Still its turn: the passive ability never takes one
+            stepUntilStateChanges(coldChampion);
+            stepUntilStateChanges(coldChampion);
+            expect(coldChampion.aiState).toBe('approach');
+            expect(coldChampion.nextAbility()).toBe('enraged');
         });
     });
 
-    describe('checkAbility - Cold Champion', () => {
+    describe('Frost Trail - Cold Champion', () => {
         it('should return frostTrail ability when enough distance moved', () => {
             coldChampion.setTarget(200, 200);
             coldChampion.distanceMoved = 35; // More than threshold of 30
@@ -486,21 +627,6 @@ describe('Champion', () => {
             expect(ability).toBeNull();
         });
     });
-
-    describe('checkAbility - Force Champion', () => {
-        it('should return forceBeam ability when cooldown is ready', () => {
-            forceChampion.setTarget(200, 200);
-            const ability = forceChampion.update(0.1);
-            
-            expect(ability).not.toBeNull();
-            expect(ability.type).toBe('forceBeam');
-        });
-
-        it('should set cooldown after using ability', () => {
-            forceChampion.update(0.1);
-            expect(forceChampion.abilityCooldown).toBeGreaterThan(0);
-        });
-    });
 });
 
 
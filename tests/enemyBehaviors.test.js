@@ -0,0 +1,169 @@
+// Enemy behaviour tests - behaviour modules per type, spawn weights and the actions the World carries out
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ENEMY_BEHAVIORS } from '../js/enemyBehaviors.js';
+import { Enemy, EnemySpawner, ENEMY_TYPES } from '../js/enemy.js';
+import { SeededRandom } from '../js/random.js';
+import { WAVE_TIMELINE, createWorld } from './helpers.js';
+
+// Enemy that always sees the player, with its first ability ready
+function createEnemy(type, x = 0, y = 0) {
+    const enemy = new Enemy(x, y, type, new SeededRandom(1));
+    enemy.awarenessRadius = 10000;
+    enemy.abilityTimer = 0;
+    return enemy;
+}
+
+describe('ENEMY_TYPES', () => {
+    it('should give every type a registered behaviour', () => {
+        for (const type of Object.keys(ENEMY_TYPES)) {
+            const enemy = new Enemy(0, 0, type, Math);
+            expect(ENEMY_BEHAVIORS[enemy.behavior]).toBeDefined();
+        }
+    });
+
+    it('should only spawn the wave window\'s types, weighted', () => {
+        const spawner = new EnemySpawner(new SeededRandom(4), WAVE_TIMELINE);
+        const counts = {};
+        const tally = (gameTime) => {
+            spawner.gameTime = gameTime;
+            for (let i = 0; i < 2000; i++) {
+                const type = spawner.chooseType();
+                counts[type] = (counts[type] || 0) + 1;
+            }
+        };
+
+        tally(0);
+        expect(Object.keys(counts)).toEqual(['small']);
+
+        tally(1000);
+        for (const type of Object.keys(ENEMY_TYPES)) {
+            expect(counts[type]).toBeGreaterThan(0);
+        }
+        expect(counts.small).toBeGreaterThan(counts.shaman);
+    });
+});
+
+describe('ranged behaviour', () => {
+    it('should back away from a player inside its preferred range', () => {
+        const spitter = createEnemy('spitter', 100, 0);
+        spitter.abilityTimer = 5;
+        spitter.update(0.1, 0, 0);
+        expect(spitter.x).toBeGreaterThan(100);
+    });
+
+    it('should close in on a player beyond its preferred range', () => {
+        const spitter = createEnemy('spitter', 1000, 0);
+        spitter.update(0.1, 0, 0);
+        expect(spitter.x).toBeLessThan(1000);
+    });
+
+    it('should spit at the player when its cooldown is up', () => {
+        const spitter = createEnemy('spitter', 350, 0);
+        const action = spitter.update(0.016, 0, 0);
+
+        expect(action).toMatchObject({ type: 'spit', targetX: 0, targetY: 0, damage: ENEMY_TYPES.spitter.projectileDamage });
+        expect(spitter.update(0.016, 0, 0)).toBeNull();
+        expect(spitter.abilityTimer).toBeGreaterThan(0);
+    });
+
+    it('should not act while stunned', () => {
+        const spitter = createEnemy('spitter', 350, 0);
+        spitter.applyStatusEffect('stun', 0, 1);
+        expect(spitter.update(0.016, 0, 0)).toBeNull();
+    });
+});
+
+describe('charger behaviour', () => {
+    it('should telegraph, then dash along the locked direction, then cool down', () => {
+        const config = ENEMY_TYPES.charger;
+        const charger = createEnemy('charger', 300, 0);
+
+        charger.update(0.016, 0, 0);
+        expect(charger.behaviorState).toBe('windup');
+        expect(charger.dashX).toBeCloseTo(-1);
+
+        // Stands still while winding up, even if the player moves
+        const windupX = charger.x;
+        charger.update(config.windupTime / 2, 0, 500);
+        expect(charger.x).toBe(windupX);
+
+        charger.update(config.windupTime / 2 + 0.001, 0, 500);
+        expect(charger.behaviorState).toBe('dash');
+
+        charger.update(0.1, 0, 500);
+        expect(charger.x).toBeCloseTo(windupX - config.dashSpeed * 0.1);
+        expect(charger.y).toBe(0);
+
+        charger.update(config.dashDuration, 0, 500);
+        expect(charger.behaviorState).toBe('idle');
+        expect(charger.abilityTimer).toBe(config.abilityCooldown);
+    });
+
+    it('should not start a charge from out of range', () => {
+        const charger = createEnemy('charger', 2000, 0);
+        charger.update(0.016, 0, 0);
+        expect(charger.behaviorState).toBe('idle');
+    });
+});
+
+describe('World enemy actions', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 6 });
+    });
+
+    it('should fire spitter projectiles that hurt the player', () => {
+        const spitter = createEnemy('spitter', 100, 0);
+        world.handleEnemyAction(spitter, spitter.update(0.016, 0, 0));
+        expect(world.enemyProjectiles).toHaveLength(1);
+
+        for (let i = 0; i < 30; i++) world.updateEnemyProjectiles(1 / 60);
+        expect(world.player.health).toBe(world.player.maxHealth - ENEMY_TYPES.spitter.projectileDamage);
+    });
+
+    it('should heal and haste enemies in a shaman\'s aura', () => {
+        const shaman = createEnemy('shaman', 0, 500);
+        const near = new Enemy(100, 500, 'medium', Math);
+        const far = new Enemy(1000, 500, 'medium', Math);
+        near.health = far.health = 10;
+        world.enemies.push(shaman, near, far);
+
+        world.handleEnemyAction(shaman, shaman.update(0.016, 0, 0));
+
+        expect(near.health).toBe(10 + ENEMY_TYPES.shaman.healAmount);
+        expect(near.statusEffects.hasEffect('haste')).toBe(true);
+        expect(far.health).toBe(10);
+
+        near.update(0.016, 100, 500);
+        expect(near.speed).toBeCloseTo(near.baseSpeed * (1 + ENEMY_TYPES.shaman.hasteAmount));
+    });
+
+    it('should never heal past full health', () => {
+        const shaman = createEnemy('shaman', 0, 0);
+        const ally = new Enemy(50, 0, 'small', Math);
+        world.enemies.push(shaman, ally);
+        world.handleEnemyAction(shaman, shaman.update(0.016, 0, 0));
+        expect(ally.health).toBe(ally.maxHealth);
+    });
+
+    it('should break a dead splitter into smalls where it died', () => {
+        const splitter = new Enemy(400, 300, 'splitter', Math);
+        world.enemies.push(splitter);
+
+        world.dealDamage({}, splitter, 1000);
+
+        const { splitInto, splitCount } = ENEMY_TYPES.splitter;
+        expect(world.enemies).toHaveLength(splitCount);
+        for (const child of world.enemies) {
+            expect(child.type).toBe(splitInto);
+            expect(Math.hypot(child.x - 400, child.y - 300)).toBeLessThan(ENEMY_TYPES.splitter.radius);
+        }
+        expect(world.enemiesDefeated).toBe(1);
+    });
+
+    it('should reject unknown actions', () => {
+        expect(() => world.handleEnemyAction(createEnemy('small'), { type: 'explode' })).toThrow('Unknown enemy action: explode');
+    });
+});
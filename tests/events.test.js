@@ -0,0 +1,207 @@
+// Event bus tests - the bus itself and the events the World and its subsystems publish
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventBus, GAME_EVENTS } from '../js/events.js';
+import { Enemy, Champion, CHAMPION_FUSION_THRESHOLD, CHAMPION_FUSION_CONFIG } from '../js/enemy.js';
+import { Crystal } from '../js/crystal.js';
+import { StatusEffectManager, createSuperchargeEffect } from '../js/statusEffects.js';
+import { createWorld } from './helpers.js';
+
+describe('EventBus', () => {
+    let bus;
+
+    beforeEach(() => {
+        bus = new EventBus();
+    });
+
+    it('should call subscribers in subscription order with the payload', () => {
+        const calls = [];
+        bus.on(GAME_EVENTS.LEVEL_UP, (e) => calls.push(['a', e.level]));
+        bus.on(GAME_EVENTS.LEVEL_UP, (e) => calls.push(['b', e.level]));
+        bus.emit(GAME_EVENTS.LEVEL_UP, { level: 3 });
+        expect(calls).toEqual([['a', 3], ['b', 3]]);
+    });
+
+    it('should stop calling a handler once unsubscribed', () => {
+        const handler = vi.fn();
+        const unsubscribe = bus.on(GAME_EVENTS.POWER_CAST, handler);
+        unsubscribe();
+        bus.emit(GAME_EVENTS.POWER_CAST, {});
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should call once() handlers a single time', () => {
+        const handler = vi.fn();
+        bus.once(GAME_EVENTS.CHAMPION_FUSED, handler);
+        bus.emit(GAME_EVENTS.CHAMPION_FUSED, {});
+        bus.emit(GAME_EVENTS.CHAMPION_FUSED, {});
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let a handler unsubscribe another during dispatch', () => {
+        const second = vi.fn();
+        let unsubscribeSecond = null;
+        bus.on(GAME_EVENTS.LEVEL_UP, () => unsubscribeSecond());
+        unsubscribeSecond = bus.on(GAME_EVENTS.LEVEL_UP, second);
+
+        bus.emit(GAME_EVENTS.LEVEL_UP, {});
+        bus.emit(GAME_EVENTS.LEVEL_UP, {});
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown event types', () => {
+        expect(() => bus.on('enemyKiled', () => {})).toThrow('Unknown game event: enemyKiled');
+        expect(() => bus.emit('nope')).toThrow('Unknown game event');
+    });
+
+    it('should drop every subscription on clear', () => {
+        const handler = vi.fn();
+        bus.on(GAME_EVENTS.LEVEL_UP, handler);
+        bus.clear();
+        bus.emit(GAME_EVENTS.LEVEL_UP, {});
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
+
+describe('StatusEffectManager events', () => {
+    it('should publish applied and expired effects with their owner', () => {
+        const bus = new EventBus();
+        const owner = { id: 'player' };
+        const manager = new StatusEffectManager();
+        manager.setEventBus(bus, owner);
+
+        const applied = vi.fn();
+        const expired = vi.fn();
+        bus.on(GAME_EVENTS.STATUS_EFFECT_APPLIED, applied);
+        bus.on(GAME_EVENTS.STATUS_EFFECT_EXPIRED, expired);
+
+        const effect = createSuperchargeEffect('heat', 1);
+        manager.addEffect(effect);
+        manager.addEffect(createSuperchargeEffect('heat', 1)); // Refresh, not a new effect
+        manager.update(2);
+
+        expect(applied).toHaveBeenCalledTimes(1);
+        expect(applied).toHaveBeenCalledWith({ owner, effect });
+        expect(expired).toHaveBeenCalledWith({ owner, effect });
+    });
+});
+
+describe('World events', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 5 });
+    });
+
+    function record(type) {
+        const events = [];
+        world.events.on(type, (e) => events.push(e));
+        return events;
+    }
+
+    it('should publish enemyKilled with the damage tags', () => {
+        const kills = record(GAME_EVENTS.ENEMY_KILLED);
+        const enemy = new Enemy(50, 0, 'small', Math);
+        world.enemies.push(enemy);
+
+        world.dealDamage({ sourceId: 'forceBolt', damageType: 'force' }, enemy, 1000);
+
+        expect(kills).toHaveLength(1);
+        expect(kills[0]).toMatchObject({ target: enemy, sourceId: 'forceBolt', damageType: 'force', isChampion: false });
+    });
+
+    it('should award kill XP through the enemyKilled subscriber', () => {
+        const enemy = new Enemy(50, 0, 'small', Math);
+        world.enemies.push(enemy);
+        world.dealDamage({}, enemy, 1000);
+        expect(world.player.xp).toBe(enemy.xp);
+    });
+
+    it('should publish levelUp and offer a passive upgrade', () => {
+        const levelUps = record(GAME_EVENTS.LEVEL_UP);
+        let offered = null;
+        world.onPassiveUpgrade = (options) => { offered = options; };
+
+        world.awardXp(world.player.getXpForNextLevel());
+
+        expect(levelUps).toEqual([{ level: 2 }]);
+        expect(offered).toHaveLength(3);
+        expect(world.paused).toBe(true);
+    });
+
+    it('should publish crystalCollected and supercharge its category', () => {
+        const collected = record(GAME_EVENTS.CRYSTAL_COLLECTED);
+        const applied = record(GAME_EVENTS.STATUS_EFFECT_APPLIED);
+        const crystal = new Crystal(0, 0, 'cold');
+        world.crystals.push(crystal);
+
+        world.checkCrystalCollection();
+
+        expect(collected).toEqual([{ crystal, type: 'cold', totalCrystals: 1 }]);
+        expect(applied[0].owner).toBe(world.player);
+        expect(world.player.statusEffects.hasEffect('supercharge', 'cold')).toBe(true);
+    });
+
+    it('should publish championFused with the number of participants', () => {
+        const fused = record(GAME_EVENTS.CHAMPION_FUSED);
+        const crystal = new Crystal(500, 500, 'force');
+        world.crystals.push(crystal);
+        for (let i = 0; i < CHAMPION_FUSION_THRESHOLD + 1; i++) {
+            const enemy = new Enemy(500 + i, 500, 'small', Math);
+            enemy.setOrbitTarget(crystal);
+            world.enemies.push(enemy);
+        }
+
+        for (let t = 0; t <= CHAMPION_FUSION_CONFIG.ritualDuration + 0.1; t += 1 / 60) {
+            world.checkChampionFusion(1 / 60);
+        }
+
+        expect(fused).toHaveLength(1);
+        expect(fused[0].champion).toBeInstanceOf(Champion);
+        expect(fused[0].participants).toBe(CHAMPION_FUSION_THRESHOLD + 1);
+    });
+
+    it('should publish status effects of spawned enemies and bosses until an enemy is released', () => {
+        const applied = record(GAME_EVENTS.STATUS_EFFECT_APPLIED);
+        const expired = record(GAME_EVENTS.STATUS_EFFECT_EXPIRED);
+        world.baseAttackCooldown = Infinity;
+        world.enemySpawner.spawnTimer = world.enemySpawner.spawnInterval;
+        world.update(1 / 60);
+        const [enemy] = world.enemies;
+        const boss = world.spawnBoss('glacialWarden');
+
+        enemy.applyStatusEffect('burn', 5, 0.5);
+        boss.applyStatusEffect('stun', 0, 0.25);
+        expect(applied.map(({ owner, effect }) => [owner, effect.type])).toEqual([[enemy, 'burn'], [boss, 'stun']]);
+
+        boss.update(0.5);
+        expect(expired.map(({ owner, effect }) => [owner, effect.type])).toEqual([[boss, 'stun']]);
+
+        world.enemies.splice(world.enemies.indexOf(enemy), 1);
+        world.releaseEnemy(enemy);
+        enemy.update(1, 0, 0);
+        enemy.applyStatusEffect('freeze', 0, 1);
+        expect(applied).toHaveLength(2);
+        expect(expired).toHaveLength(1);
+    });
+
+    it('should publish powerCast from the PowerManager', () => {
+        const casts = record(GAME_EVENTS.POWER_CAST);
+        world.player.addPower({ id: 'frostNova', passive: false });
+
+        world.powerManager.update(0.016);
+
+        expect(casts).toEqual([{ powerId: 'frostNova', level: 1, category: 'cold' }]);
+    });
+
+    it('should publish playerDamaged only when the hit lands', () => {
+        const hits = record(GAME_EVENTS.PLAYER_DAMAGED);
+        const enemy = new Enemy(0, 0, 'small', Math);
+
+        expect(world.damagePlayer(10, enemy)).toBe(true);
+        expect(world.damagePlayer(10, enemy)).toBe(false); // Invincibility frames
+
+        expect(hits).toHaveLength(1);
+        expect(hits[0]).toMatchObject({ amount: 10, source: enemy, health: world.player.health });
+    });
+});
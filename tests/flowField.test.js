@@ -0,0 +1,116 @@
+// Flow field tests - routes on open ground and around walls, and the World's shared field
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FLOW_FIELD_CONFIG, FlowField } from '../js/flowField.js';
+import { Enemy } from '../js/enemy.js';
+import { createWorld } from './helpers.js';
+
+const CELL = FLOW_FIELD_CONFIG.cellSize;
+
+// A wall along world cell column 3, from cell row -5 to 5
+function wall(cx, cy) {
+    return cx === 3 && cy >= -5 && cy <= 5;
+}
+
+describe('FlowField', () => {
+    let field;
+
+    beforeEach(() => {
+        field = new FlowField({ halfSize: 12 });
+    });
+
+    it('should point straight at the goal on open ground', () => {
+        field.compute(40, 40);
+        const dir = field.sample(500, 300, 40, 40);
+        const length = Math.hypot(460, 260);
+        expect(dir.x).toBeCloseTo(-460 / length);
+        expect(dir.y).toBeCloseTo(-260 / length);
+    });
+
+    it('should measure path length in cells, diagonals included', () => {
+        field.compute(40, 40);
+        expect(field.costAt(40, 40)).toBe(0);
+        expect(field.costAt(40 + CELL * 3, 40)).toBe(3);
+        expect(field.costAt(40 + CELL * 2, 40 + CELL * 2)).toBeCloseTo(2 * Math.SQRT2);
+    });
+
+    it('should have nothing to say outside its window or before the first compute', () => {
+        expect(field.sample(0, 0, 0, 0)).toBeNull();
+        field.compute(0, 0);
+        expect(field.sample(CELL * 20, 0, 0, 0)).toBeNull();
+        expect(field.costAt(CELL * 20, 0)).toBe(Infinity);
+    });
+
+    it('should follow the player by recentring on each compute', () => {
+        field.compute(0, 0);
+        field.compute(CELL * 15, 0);
+        expect(field.sample(CELL * 20, 0, CELL * 15, 0)).toEqual({ x: -1, y: 0 });
+    });
+
+    it('should route around a wall instead of into it', () => {
+        field.isBlocked = wall;
+        field.compute(40, 40);
+
+        // Straight line from (6, 0) would cross the wall
+        expect(field.costAt(CELL * 6.5, CELL * 0.5)).toBeGreaterThan(6);
+
+        // Walk the field: never enter the wall, end up at the goal
+        let x = CELL * 6.5;
+        let y = CELL * 0.5;
+        for (let i = 0; i < 400 && Math.hypot(x - 40, y - 40) > 10; i++) {
+            const dir = field.sample(x, y, 40, 40);
+            x += dir.x * 5;
+            y += dir.y * 5;
+            expect(wall(Math.floor(x / CELL), Math.floor(y / CELL))).toBe(false);
+        }
+        expect(Math.hypot(x - 40, y - 40)).toBeLessThanOrEqual(10);
+    });
+
+    it('should leave sealed-off cells without a route', () => {
+        // A ring of wall around world cell (8, 0)
+        field.isBlocked = (cx, cy) => Math.max(Math.abs(cx - 8), Math.abs(cy)) === 1;
+        field.compute(40, 40);
+        expect(field.sample(CELL * 8.5, CELL * 0.5, 40, 40)).toBeNull();
+        expect(field.costAt(CELL * 8.5, CELL * 0.5)).toBe(Infinity);
+    });
+});
+
+describe('Enemy chasing along a flow field', () => {
+    it('should take the field\'s direction instead of the straight line', () => {
+        const field = new FlowField({ halfSize: 12 });
+        field.isBlocked = wall;
+        field.compute(40, 40);
+
+        const enemy = new Enemy(CELL * 6.5, CELL * 0.5, 'small', Math);
+        enemy.awarenessRadius = 10000;
+        const dir = field.sample(enemy.x, enemy.y, 40, 40);
+        const startX = enemy.x;
+        const startY = enemy.y;
+
+        enemy.update(0.1, 40, 40, 1.0, field);
+        expect((enemy.x - startX) / (enemy.speed * 0.1)).toBeCloseTo(dir.x);
+        expect((enemy.y - startY) / (enemy.speed * 0.1)).toBeCloseTo(dir.y);
+        expect(Math.abs(dir.y)).toBeGreaterThan(0.5);
+    });
+});
+
+describe('World flow field', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 8 });
+        world.enemySpawner.maxEnemies = 0;
+    });
+
+    it('should recompute around the player every recomputeInterval', () => {
+        world.update(1 / 60);
+        expect(world.flowField.targetX).toBe(0);
+
+        world.player.x = 500;
+        world.updateFlowField(FLOW_FIELD_CONFIG.recomputeInterval / 2);
+        expect(world.flowField.targetX).toBe(0);
+
+        world.updateFlowField(FLOW_FIELD_CONFIG.recomputeInterval / 2);
+        expect(world.flowField.targetX).toBe(500);
+    });
+});
@@ -1,45 +1,30 @@
 // Integration test for game mechanics including champion fusion
 
 import { describe, it, expect, beforeEach } from 'vitest';
-import { Enemy, Champion, CHAMPION_FUSION_THRESHOLD } from '../js/enemy.js';
+import { Enemy, CHAMPION_FUSION_THRESHOLD, CHAMPION_FUSION_CONFIG } from '../js/enemy.js';
 import { Crystal } from '../js/crystal.js';
+import { World } from '../js/world.js';
+import { createWorld } from './helpers.js';
 
 describe('Game Integration - Champion Fusion', () => {
+    let world;
     let enemies;
     let champions;
     let crystals;
 
     beforeEach(() => {
-        enemies = [];
-        champions = [];
-        crystals = [];
+        world = createWorld({ width: 800, height: 600 });
+        enemies = world.enemies;
+        champions = world.champions;
+        crystals = world.crystals;
     });
 
-    // Simulates the checkChampionFusion logic from game.js
+    // Runs the real fusion pass from the World simulation for long enough to finish a ritual
     function checkChampionFusion(playerX, playerY) {
-        for (let i = crystals.length - 1; i >= 0; i--) {
-            const crystal = crystals[i];
-            
-            // Find all enemies orbiting this crystal
-            const orbiters = enemies.filter(e => e.orbitTarget === crystal);
-            
-            if (orbiters.length >= CHAMPION_FUSION_THRESHOLD) {
-                // Fusion triggered! Remove orbiting enemies and crystal
-                for (const orbiter of orbiters) {
-                    const idx = enemies.indexOf(orbiter);
-                    if (idx !== -1) {
-                        enemies.splice(idx, 1);
-                    }
-                }
-                
-                // Remove the crystal
-                crystals.splice(i, 1);
-                
-                // Spawn a champion at the crystal's position
-                const champion = new Champion(crystal.x, crystal.y, crystal.type);
-                champion.setTarget(playerX, playerY);
-                champions.push(champion);
-            }
+        world.player.x = playerX;
+        world.player.y = playerY;
+        for (let t = 0; t <= CHAMPION_FUSION_CONFIG.ritualDuration + 0.1; t += 1 / 60) {
+            world.checkChampionFusion(1 / 60);
         }
     }
 
@@ -50,7 +35,7 @@ describe('Game Integration - Champion Fusion', () => {
 
         // Create 5 enemies orbiting the crystal (exactly the threshold)
         for (let i = 0; i < CHAMPION_FUSION_THRESHOLD; i++) {
-            const enemy = new Enemy(100 + i * 10, 100, 'medium');
+            const enemy = new Enemy(100 + i * 10, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             enemies.push(enemy);
         }
@@ -79,7 +64,7 @@ describe('Game Integration - Champion Fusion', () => {
 
         // Create only 4 enemies (below threshold)
         for (let i = 0; i < 4; i++) {
-            const enemy = new Enemy(100 + i * 10, 100, 'medium');
+            const enemy = new Enemy(100 + i * 10, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             enemies.push(enemy);
         }
@@ -98,7 +83,7 @@ describe('Game Integration - Champion Fusion', () => {
 
         // Create 7 enemies (above threshold)
         for (let i = 0; i < 7; i++) {
-            const enemy = new Enemy(200 + i * 10, 200, 'small');
+            const enemy = new Enemy(200 + i * 10, 200, 'small', Math);
             enemy.setOrbitTarget(crystal);
             enemies.push(enemy);
         }
@@ -116,7 +101,7 @@ describe('Game Integration - Champion Fusion', () => {
         const crystal1 = new Crystal(100, 100, 'heat');
         crystals.push(crystal1);
         for (let i = 0; i < 5; i++) {
-            const enemy = new Enemy(100 + i * 10, 100, 'medium');
+            const enemy = new Enemy(100 + i * 10, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal1);
             enemies.push(enemy);
         }
@@ -125,7 +110,7 @@ describe('Game Integration - Champion Fusion', () => {
         const crystal2 = new Crystal(300, 300, 'cold');
         crystals.push(crystal2);
         for (let i = 0; i < 3; i++) {
-            const enemy = new Enemy(300 + i * 10, 300, 'medium');
+            const enemy = new Enemy(300 + i * 10, 300, 'medium', Math);
             enemy.setOrbitTarget(crystal2);
             enemies.push(enemy);
         }
@@ -148,14 +133,14 @@ describe('Game Integration - Champion Fusion', () => {
 
         // 4 enemies orbiting
         for (let i = 0; i < 4; i++) {
-            const enemy = new Enemy(100 + i * 10, 100, 'medium');
+            const enemy = new Enemy(100 + i * 10, 100, 'medium', Math);
             enemy.setOrbitTarget(crystal);
             enemies.push(enemy);
         }
 
         // 3 enemies NOT orbiting
         for (let i = 0; i < 3; i++) {
-            const enemy = new Enemy(500 + i * 10, 500, 'medium');
+            const enemy = new Enemy(500 + i * 10, 500, 'medium', Math);
             enemies.push(enemy);
         }
 
@@ -174,15 +159,16 @@ describe('Game Integration - Champion Fusion', () => {
 
         testTypes.forEach(type => {
             // Reset
-            enemies = [];
-            champions = [];
-            crystals = [];
+            world = createWorld({ width: 800, height: 600 });
+            enemies = world.enemies;
+            champions = world.champions;
+            crystals = world.crystals;
 
             const crystal = new Crystal(100, 100, type);
             crystals.push(crystal);
 
             for (let i = 0; i < 5; i++) {
-                const enemy = new Enemy(100 + i * 10, 100, 'medium');
+                const enemy = new Enemy(100 + i * 10, 100, 'medium', Math);
                 enemy.setOrbitTarget(crystal);
                 enemies.push(enemy);
             }
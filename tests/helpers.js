@@ -0,0 +1,31 @@
+// Shared test helpers
+
+import { readFileSync } from 'node:fs';
+import { World } from '../js/world.js';
+import { ENEMY_TYPES } from '../js/enemy.js';
+import { parseWaveTimeline } from '../js/waves.js';
+
+// The shipped wave timeline, read through parseWaveTimeline like game.js does
+export const WAVE_TIMELINE = parseWaveTimeline(
+    readFileSync(new URL('../data/waves.json', import.meta.url), 'utf8'),
+    Object.keys(ENEMY_TYPES)
+);
+
+/**
+ * World running the shipped wave timeline
+ * @param {Object} viewport
+ * @param {Object} options - Other World options (seed, director, or a waveTimeline to use instead)
+ * @returns {World}
+ */
+export function createWorld(viewport, options = {}) {
+    return new World(viewport, { waveTimeline: WAVE_TIMELINE, ...options });
+}
+
+/**
+ * Random source that always rolls the same value (and counts its calls)
+ * @param {number} value - What every random() call returns
+ * @returns {{ calls: number, random: Function }}
+ */
+export function fixedRng(value) {
+    return { calls: 0, random() { this.calls++; return value; } };
+}
@@ -104,6 +104,34 @@ describe('Player', () => {
             player.update(1);
             expect(player.rotationAngle).toBe(initialAngle + 1.5);
         });
+
+        it('should move slower while slowed', () => {
+            player.applyStatusEffect('slow', 0.4, 2);
+            player.setMovement(1, 0);
+            player.update(1);
+            expect(player.x).toBeCloseTo(100 + 250 * 0.6);
+        });
+
+        it('should be pushed by knockback, which decays', () => {
+            player.applyKnockback(1, 0, 200);
+            player.update(1 / 60);
+            expect(player.x).toBeGreaterThan(100);
+            expect(player.knockbackX).toBeLessThan(200);
+        });
+    });
+
+    describe('applyStatusEffect', () => {
+        it('should keep the stronger of two slows', () => {
+            player.applyStatusEffect('slow', 0.5, 1);
+            player.applyStatusEffect('slow', 0.2, 2);
+            expect(player.statusEffects.getStrongest('slow')).toBe(0.5);
+        });
+
+        it('should collect burn ticks for the World to deal', () => {
+            player.applyStatusEffect('burn', 6, 2);
+            player.update(0.5);
+            expect(player.statusEffects.takeDamageDue()).toBe(3);
+        });
     });
 
     describe('takeDamage', () => {
@@ -138,6 +166,17 @@ describe('Player', () => {
             expect(player.health).toBe(100); // No damage taken
         });
 
+        it('should let damage over time through invincibility without granting it', () => {
+            player.invincibleTime = 1.0;
+            expect(player.takeDamage(10, true)).toBe(true);
+            expect(player.health).toBe(90);
+            expect(player.invincibleTime).toBe(1.0);
+
+            player.invincibleTime = 0;
+            player.takeDamage(10, true);
+            expect(player.invincibleTime).toBe(0);
+        });
+
         it('should allow health to go negative', () => {
             player.takeDamage(150);
             expect(player.health).toBe(-50);
@@ -244,6 +283,25 @@ describe('Player', () => {
             
             expect(player.powers).toHaveLength(3);
         });
+
+        it('should not level past maxLevel', () => {
+            for (let i = 0; i < 4; i++) {
+                player.addPower({ id: 'fire', passive: false }, 3);
+            }
+            expect(player.powers[0].level).toBe(3);
+        });
+    });
+
+    describe('removePower', () => {
+        it('should remove only the given power', () => {
+            player.addPower({ id: 'fire', passive: false });
+            player.addPower({ id: 'ice', passive: false });
+
+            player.removePower('fire');
+            player.removePower('missing');
+
+            expect(player.powers.map(p => p.id)).toEqual(['ice']);
+        });
     });
 });
 
@@ -0,0 +1,165 @@
+// Object pool tests - reuse, reset semantics and an allocation stress run
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ObjectPool, swapRemove } from '../js/pool.js';
+import { Projectile, AreaEffect, RingEffect } from '../js/projectile.js';
+import { Enemy } from '../js/enemy.js';
+import { SeededRandom } from '../js/random.js';
+import { createWorld } from './helpers.js';
+
+// Own enumerable state, ignoring the rng reference
+function stateOf(obj) {
+    const { rng, ...fields } = obj;
+    return fields;
+}
+
+describe('ObjectPool', () => {
+    let pool;
+
+    beforeEach(() => {
+        pool = new ObjectPool(Projectile);
+    });
+
+    it('should create new objects while none are free', () => {
+        const a = pool.acquire(0, 0, 0, 100, 5);
+        const b = pool.acquire(0, 0, 0, 100, 5);
+        expect(a).not.toBe(b);
+        expect(pool.created).toBe(2);
+        expect(pool.reused).toBe(0);
+    });
+
+    it('should hand back released objects', () => {
+        const a = pool.acquire(0, 0, 0, 100, 5);
+        pool.release(a);
+        expect(pool.acquire(10, 10, 1, 200, 7)).toBe(a);
+        expect(pool.reused).toBe(1);
+    });
+
+    it('should not keep more than maxSize free objects', () => {
+        const small = new ObjectPool(Projectile, 2);
+        for (let i = 0; i < 5; i++) {
+            small.release(new Projectile(0, 0, 0, 0, 0));
+        }
+        expect(small.free).toHaveLength(2);
+    });
+});
+
+describe('reset()', () => {
+    it('should make a used projectile identical to a fresh one', () => {
+        const used = new Projectile(0, 0, 0, 300, 10, { piercing: true, knockback: 50, sourceId: 'forceBolt' });
+        for (let i = 0; i < 10; i++) used.update(0.016);
+        used.hitEnemies.add(new Enemy(0, 0, 'small', Math));
+
+        const options = { radius: 6, trailLength: 4, sourceId: 'baseAttack' };
+        used.reset(5, 5, 1, 450, 10, options);
+
+        expect(used).toEqual(new Projectile(5, 5, 1, 450, 10, options));
+        expect(used.hitEnemies.size).toBe(0);
+        expect(used.trail).toHaveLength(0);
+    });
+
+    it('should make a used area effect identical to a fresh one', () => {
+        const used = new AreaEffect(0, 0, 100, 5, 3, { pullForce: 4, type: 'gravity' });
+        used.update(1);
+        used.reset(1, 2, 80, 6, 2, { type: 'magma' });
+        expect(used).toEqual(new AreaEffect(1, 2, 80, 6, 2, { type: 'magma' }));
+    });
+
+    it('should make a used ring identical to a fresh one', () => {
+        const used = new RingEffect(0, 0, 300, 5, 1, { knockback: 100 });
+        used.update(0.5);
+        used.hitEnemies.add(new Enemy(0, 0, 'small', Math));
+        used.reset(1, 2, 200, 6, 1);
+        expect(used).toEqual(new RingEffect(1, 2, 200, 6, 1));
+    });
+
+    it('should make a used enemy identical to a fresh one, drawing the same random numbers', () => {
+        const used = new Enemy(0, 0, 'large', new SeededRandom(1));
+        used.takeDamage(30);
+        used.applySlow(0.5, 2);
+        used.update(0.5, 100, 100);
+
+        used.reset(10, 20, 'small', new SeededRandom(9));
+        const fresh = new Enemy(10, 20, 'small', new SeededRandom(9));
+        expect(stateOf(used)).toEqual(stateOf(fresh));
+    });
+
+    it('should keep trail points bounded by trailLength', () => {
+        const proj = new Projectile(0, 0, 0, 100, 1, { trailLength: 3 });
+        for (let i = 0; i < 10; i++) proj.update(0.016);
+        expect(proj.trail).toHaveLength(3);
+        expect(proj.trail[2].x).toBeCloseTo(100 * 0.016 * 9);
+    });
+});
+
+describe('swapRemove', () => {
+    it('should move the last element into the removed slot', () => {
+        const list = ['a', 'b', 'c', 'd'];
+        expect(swapRemove(list, 1)).toBe('b');
+        expect(list).toEqual(['a', 'd', 'c']);
+    });
+
+    it('should remove the last element', () => {
+        const list = ['a', 'b'];
+        expect(swapRemove(list, 1)).toBe('b');
+        expect(list).toEqual(['a']);
+    });
+});
+
+describe('World pooling', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 11 });
+    });
+
+    it('should release a killed enemy and forget it in hit tracking', () => {
+        const enemy = new Enemy(50, 0, 'small', Math);
+        world.enemies.push(enemy);
+        const proj = world.pools.projectile.acquire(50, 0, 0, 0, 1, { piercing: true });
+        proj.hitEnemies.add(enemy);
+        world.projectiles.push(proj);
+
+        world.dealDamage(proj, enemy, 1000);
+
+        expect(proj.hitEnemies.has(enemy)).toBe(false);
+        expect(world.pools.enemy.acquire(0, 0, 'small', world.rng)).toBe(enemy);
+    });
+
+    it('should release expired projectiles', () => {
+        world.projectiles.push(world.pools.projectile.acquire(0, 0, 0, 0, 1, { lifetime: 0.01 }));
+        world.updateProjectiles(0.02);
+        expect(world.projectiles).toHaveLength(0);
+        expect(world.pools.projectile.free).toHaveLength(1);
+    });
+
+    it('should allocate far fewer objects than it uses over a long run (stress)', () => {
+        world.onLevelUp = (options) => world.selectPower(options[0].id);
+        world.onPassiveUpgrade = (options) => world.selectPassiveUpgrade(options[0].id);
+        world.player.health = world.player.maxHealth = 1e9; // Survive the whole stress run
+        for (const id of ['fireballBarrage', 'magmaPool', 'infernoRing', 'iceShards', 'forceBolt']) {
+            world.player.addPower({ id, passive: false });
+        }
+
+        // Three minutes, circling so enemies keep spawning and dying
+        for (let frame = 0; frame < 60 * 180; frame++) {
+            const t = frame / 60;
+            world.setMovementInput(Math.cos(t * 0.5), Math.sin(t * 0.5));
+            world.update(1 / 60);
+        }
+
+        const report = {};
+        for (const [name, pool] of Object.entries(world.pools)) {
+            const used = pool.created + pool.reused; // Allocations without pooling
+            report[name] = { used, created: pool.created };
+        }
+
+        // Without pooling every use would have been an allocation
+        expect(report.projectile.used).toBeGreaterThan(1000);
+        expect(report.projectile.created).toBeLessThan(report.projectile.used * 0.1);
+        expect(report.enemy.used).toBeGreaterThan(300);
+        expect(report.enemy.created).toBeLessThan(report.enemy.used * 0.6);
+        expect(report.areaEffect.created).toBeLessThan(report.areaEffect.used);
+        expect(report.ringEffect.created).toBeLessThan(report.ringEffect.used);
+    });
+});
@@ -0,0 +1,243 @@
+// Power tests - stat specs, the generic emitter executor and data-only power definitions
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { POWERS, POWER_EVOLUTIONS, PowerManager, scaleStat, resolveStats, getAvailableEvolutions } from '../js/powers.js';
+import { Player } from '../js/player.js';
+import { Enemy } from '../js/enemy.js';
+import { SeededRandom } from '../js/random.js';
+
+describe('scaleStat', () => {
+    it('should pass constants through unchanged', () => {
+        expect(scaleStat(400, 5)).toBe(400);
+        expect(scaleStat('#ff6b35', 5)).toBe('#ff6b35');
+        expect(scaleStat(true, 5)).toBe(true);
+    });
+
+    it('should scale multiplicatively from level 1', () => {
+        expect(scaleStat({ base: 15, scale: 1.2 }, 1)).toBe(15);
+        expect(scaleStat({ base: 15, scale: 1.2 }, 3)).toBeCloseTo(15 * 1.2 * 1.2);
+    });
+
+    it('should add per level, optionally rounding down', () => {
+        expect(scaleStat({ base: 2, perLevel: 1 }, 3)).toBe(5);
+        expect(scaleStat({ base: 1, perLevel: 0.5, floor: true }, 3)).toBe(2);
+        expect(scaleStat({ base: 1, perLevel: 0.5, floor: true }, 4)).toBe(3);
+    });
+
+    it('should cap at max', () => {
+        expect(scaleStat({ base: 0, perLevel: 0.1, max: 0.5 }, 9)).toBe(0.5);
+        expect(scaleStat({ base: 0.4, scale: 1.1, max: 0.8 }, 20)).toBe(0.8);
+    });
+
+    it('should resolve every stat of an emitter', () => {
+        expect(resolveStats({ damage: { base: 10, scale: 2 }, color: '#fff' }, 2)).toEqual({ damage: 20, color: '#fff' });
+    });
+});
+
+describe('PowerManager', () => {
+    let player;
+    let projectiles;
+    let areaEffects;
+    let ringEffects;
+    let manager;
+
+    beforeEach(() => {
+        player = new Player(0, 0);
+        projectiles = [];
+        areaEffects = [];
+        ringEffects = [];
+        manager = new PowerManager(player, projectiles, areaEffects, ringEffects, new SeededRandom(3));
+    });
+
+    function cast(id, level = 1) {
+        manager.castPower({ id, level, passive: false });
+    }
+
+    it('should cast every active power at every level with finite stats', () => {
+        for (const def of Object.values(POWERS)) {
+            if (def.passive) continue;
+            for (let level = 1; level <= 10; level++) {
+                cast(def.id, level);
+                expect(scaleStat(def.cooldown, level)).toBeGreaterThan(0);
+            }
+        }
+        for (const effect of [...projectiles, ...areaEffects, ...ringEffects]) {
+            expect(Number.isFinite(effect.damage)).toBe(true);
+        }
+        expect(projectiles.length).toBeGreaterThan(0);
+        expect(areaEffects.length).toBeGreaterThan(0);
+        expect(ringEffects.length).toBeGreaterThan(0);
+    });
+
+    it('should fire more, stronger fireballs at higher levels', () => {
+        cast('fireballBarrage', 1);
+        expect(projectiles).toHaveLength(1);
+        expect(projectiles[0].damage).toBe(15);
+
+        projectiles.length = 0;
+        cast('fireballBarrage', 3);
+        expect(projectiles).toHaveLength(2);
+        expect(projectiles[0].damage).toBeCloseTo(15 * 1.2 * 1.2);
+        expect(projectiles[0]).toMatchObject({ speed: 400, radius: 10, sourceId: 'fireballBarrage', damageType: 'heat' });
+    });
+
+    it('should aim nearest-targeting projectiles at the closest enemy', () => {
+        manager.setEnemies([new Enemy(0, 300, 'small', Math), new Enemy(100, 0, 'small', Math)]);
+        cast('forceBolt');
+        expect(projectiles).toHaveLength(1);
+        expect(projectiles[0].vx).toBeGreaterThan(0);
+        expect(projectiles[0].vy).toBeCloseTo(0);
+        expect(projectiles[0].knockback).toBe(150);
+    });
+
+    it('should run every emitter of a power in order', () => {
+        cast('frostNova');
+        expect(areaEffects).toHaveLength(1);
+        expect(areaEffects[0]).toMatchObject({ type: 'frost', slowAmount: 0.4, slowDuration: 2 });
+        expect(ringEffects).toHaveLength(1);
+        expect(ringEffects[0].damage).toBe(0);
+        expect(ringEffects[0].maxRadius).toBe(areaEffects[0].radius);
+    });
+
+    it('should place offset areas away from the player', () => {
+        cast('gravityWell');
+        expect(Math.hypot(areaEffects[0].x, areaEffects[0].y)).toBeCloseTo(100);
+    });
+
+    it('should apply passive armor and orbital emitters', () => {
+        player.addPower({ id: 'frozenArmor', passive: true });
+        player.addPower({ id: 'orbitalShields', passive: true });
+        manager.update(0.016);
+
+        expect(player.damageReduction).toBeCloseTo(0.1);
+        expect(manager.orbitalShield.count).toBe(3);
+        expect(manager.getAttackerSlow()).toEqual({ amount: 0.4, duration: 1 });
+    });
+
+    it('should report no attacker slow without an armor power', () => {
+        expect(manager.getAttackerSlow()).toBeNull();
+    });
+
+    it('should reject unknown emitter types', () => {
+        expect(() => manager.runEmitter({ emitter: 'laser', stats: {} }, {}, {})).toThrow('Unknown power emitter: laser');
+    });
+});
+
+describe('evolutions', () => {
+    const crystals = { heat: 2, cold: 2, force: 1 };
+
+    function offeredIds(powers, seeds = 30) {
+        const offered = new Set();
+        for (let seed = 1; seed <= seeds; seed++) {
+            for (const option of PowerManager.generatePowerOptions(crystals, powers, new SeededRandom(seed))) {
+                offered.add(option.id);
+            }
+        }
+        return offered;
+    }
+
+    it('should reference real powers that have a max level', () => {
+        for (const [id, sources] of Object.entries(POWER_EVOLUTIONS)) {
+            expect(POWERS[id].maxLevel).toBeGreaterThan(0);
+            for (const sourceId of sources) {
+                expect(POWERS[sourceId].maxLevel).toBeGreaterThan(0);
+            }
+        }
+    });
+
+    it('should only be available once every source power is maxed', () => {
+        const powers = [{ id: 'magmaPool', level: 5 }, { id: 'frostNova', level: 4 }];
+        expect(getAvailableEvolutions(powers)).toEqual([]);
+        expect(offeredIds(powers).has('steamVent')).toBe(false);
+
+        powers[1].level = 5;
+        expect(getAvailableEvolutions(powers)).toEqual(['steamVent']);
+    });
+
+    it('should take the first option slot when available', () => {
+        const powers = [{ id: 'forceBolt', level: 5 }, { id: 'iceShards', level: 5 }];
+        const options = PowerManager.generatePowerOptions(crystals, powers, new SeededRandom(4));
+        expect(options).toHaveLength(3);
+        expect(options[0]).toMatchObject({ id: 'railgunShard', currentLevel: 0 });
+    });
+
+    it('should never offer maxed powers', () => {
+        const offered = offeredIds([{ id: 'magmaPool', level: 5 }]);
+        expect(offered.has('magmaPool')).toBe(false);
+        expect(offered.has('fireballBarrage')).toBe(true);
+    });
+
+    it('should retire the source powers and level the evolution like a normal power', () => {
+        const offered = offeredIds([{ id: 'steamVent', level: 1 }]);
+        expect(offered.has('magmaPool')).toBe(false);
+        expect(offered.has('frostNova')).toBe(false);
+        expect(offered.has('steamVent')).toBe(true);
+        expect(offered.has('railgunShard')).toBe(false);
+    });
+
+    it('should cast Steam Vent as several vents plus a burst', () => {
+        const areaEffects = [];
+        const ringEffects = [];
+        const manager = new PowerManager(new Player(0, 0), [], areaEffects, ringEffects, new SeededRandom(2));
+        manager.castPower({ id: 'steamVent', level: 1, passive: false });
+
+        expect(areaEffects).toHaveLength(3);
+        for (const vent of areaEffects) {
+            expect(vent).toMatchObject({ type: 'steam', sourceId: 'steamVent', damageType: 'heat' });
+            expect(Math.hypot(vent.x, vent.y)).toBeCloseTo(140);
+        }
+        expect(ringEffects).toHaveLength(1);
+    });
+
+    it('should cast Railgun Shard as a fast piercing slug', () => {
+        const projectiles = [];
+        const manager = new PowerManager(new Player(0, 0), projectiles, [], [], new SeededRandom(2));
+        manager.castPower({ id: 'railgunShard', level: 1, passive: false });
+
+        expect(projectiles).toHaveLength(1);
+        expect(projectiles[0]).toMatchObject({ piercing: true, speed: 1400, damage: 70, sourceId: 'railgunShard' });
+    });
+});
+
+describe('data-only powers', () => {
+    afterEach(() => {
+        delete POWERS.testStorm;
+    });
+
+    it('should cast and be offered without any code changes', () => {
+        POWERS.testStorm = {
+            id: 'testStorm',
+            name: 'Test Storm',
+            description: 'Rings and bolts',
+            category: 'force',
+            passive: false,
+            cooldown: { base: 2, scale: 0.9 },
+            emitters: [
+                { emitter: 'ring', stats: { damage: { base: 5, scale: 2 }, radius: 100, duration: 1 } },
+                { emitter: 'projectile', targeting: 'random', stats: { count: { base: 2, perLevel: 1 }, damage: 7, speed: 300 } }
+            ]
+        };
+
+        const player = new Player(0, 0);
+        player.addPower({ id: 'testStorm', passive: false });
+        player.addPower({ id: 'testStorm', passive: false });
+        const projectiles = [];
+        const ringEffects = [];
+        const manager = new PowerManager(player, projectiles, [], ringEffects, new SeededRandom(1));
+        manager.update(0.016);
+
+        expect(ringEffects).toHaveLength(1);
+        expect(ringEffects[0]).toMatchObject({ damage: 10, sourceId: 'testStorm', damageType: 'force' });
+        expect(projectiles).toHaveLength(4);
+        expect(manager.cooldowns.testStorm).toBeCloseTo(1.8);
+
+        const offered = new Set();
+        const rng = new SeededRandom(2);
+        for (let i = 0; i < 50; i++) {
+            for (const option of PowerManager.generatePowerOptions({ heat: 0, cold: 0, force: 5 }, [], rng)) {
+                offered.add(option.id);
+            }
+        }
+        expect(offered.has('testStorm')).toBe(true);
+    });
+});
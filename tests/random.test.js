@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { SeededRandom, createSeed, requireRng } from '../js/random.js';
+
+describe('createSeed', () => {
+    it('should return an unsigned 32-bit integer', () => {
+        for (let i = 0; i < 20; i++) {
+            const seed = createSeed();
+            expect(Number.isInteger(seed)).toBe(true);
+            expect(seed).toBeGreaterThanOrEqual(0);
+            expect(seed).toBeLessThan(0x100000000);
+        }
+    });
+});
+
+describe('SeededRandom', () => {
+    it('should return values in [0, 1)', () => {
+        const rng = new SeededRandom(42);
+        for (let i = 0; i < 1000; i++) {
+            const value = rng.random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    it('should produce the same sequence for the same seed', () => {
+        const a = new SeededRandom(1234);
+        const b = new SeededRandom(1234);
+        for (let i = 0; i < 100; i++) {
+            expect(a.random()).toBe(b.random());
+        }
+    });
+
+    it('should produce different sequences for different seeds', () => {
+        const a = new SeededRandom(1);
+        const b = new SeededRandom(2);
+        const seqA = Array.from({ length: 10 }, () => a.random());
+        const seqB = Array.from({ length: 10 }, () => b.random());
+        expect(seqA).not.toEqual(seqB);
+    });
+
+    it('should truncate the seed to an unsigned 32-bit integer', () => {
+        expect(new SeededRandom(-1).seed).toBe(0xFFFFFFFF);
+        expect(new SeededRandom(3.7).seed).toBe(3);
+    });
+
+    it('should be roughly uniform', () => {
+        const rng = new SeededRandom(7);
+        let sum = 0;
+        for (let i = 0; i < 10000; i++) {
+            sum += rng.random();
+        }
+        expect(sum / 10000).toBeGreaterThan(0.48);
+        expect(sum / 10000).toBeLessThan(0.52);
+    });
+
+    describe('getState/setState', () => {
+        it('should resume the sequence from a saved state', () => {
+            const rng = new SeededRandom(99);
+            rng.random();
+            rng.random();
+            const state = rng.getState();
+            const expected = [rng.random(), rng.random(), rng.random()];
+
+            const restored = new SeededRandom(0);
+            restored.setState(state);
+            expect([restored.random(), restored.random(), restored.random()]).toEqual(expected);
+        });
+    });
+});
+
+describe('requireRng', () => {
+    it('should pass an rng through and reject anything without random()', () => {
+        const rng = new SeededRandom(1);
+        expect(requireRng(rng, 'test')).toBe(rng);
+        expect(requireRng(Math, 'test')).toBe(Math);
+        expect(() => requireRng(undefined, 'Enemy')).toThrow('Enemy needs an rng (Math or a SeededRandom)');
+        expect(() => requireRng({}, 'Enemy')).toThrow('Enemy needs an rng');
+    });
+});
@@ -0,0 +1,222 @@
+// Replay tests - record scripted runs and verify playback reproduces them exactly
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ReplayRecorder, ReplayPlayer, runReplay, REPLAY_VERSION } from '../js/replay.js';
+import { serializeWorld, deserializeWorld } from '../js/saveGame.js';
+import { WAVE_TIMELINE, createWorld } from './helpers.js';
+
+const VIEWPORT = { width: 800, height: 600 };
+
+// Sturdier player so runs last long enough to level up (applied identically on playback)
+function makeSturdy(world) {
+    world.player.maxHealth = 5000;
+    world.player.health = 5000;
+}
+
+// Play a run the way the Game shell does, recording every frame and choice
+function recordRun(seed, frames, { dtFor = () => 1 / 60, sturdy = false, waveTimeline = WAVE_TIMELINE } = {}) {
+    const world = createWorld({ ...VIEWPORT }, { seed, waveTimeline });
+    const recorder = new ReplayRecorder(seed, waveTimeline, VIEWPORT);
+    if (sturdy) makeSturdy(world);
+
+    // Pick the last option so choices differ from a naive "first option" default
+    world.onLevelUp = (options) => {
+        const id = options[options.length - 1].id;
+        recorder.recordChoice('power', id);
+        world.selectPower(id);
+    };
+    world.onPassiveUpgrade = (options) => {
+        const id = options[options.length - 1].id;
+        recorder.recordChoice('passive', id);
+        world.selectPassiveUpgrade(id);
+    };
+
+    for (let i = 0; i < frames && world.running; i++) {
+        const phase = Math.floor(i / 90) % 4;
+        const dx = [1, 0, -1, 0][phase];
+        const dy = [0, 1, 0, -1][phase];
+        const dt = dtFor(i);
+        recorder.recordFrame(dt, dx, dy);
+        world.setMovementInput(dx, dy);
+        world.update(dt);
+    }
+
+    return { world, replay: recorder.toJSON() };
+}
+
+// Comparable snapshot of the interesting parts of a run
+function fingerprint(world) {
+    return {
+        gameTime: world.gameTime,
+        player: [world.player.x, world.player.y, world.player.health, world.player.xp],
+        enemies: world.enemies.map(e => [e.type, e.x, e.y, e.health]),
+        champions: world.champions.map(c => [c.crystalType, c.x, c.y, c.health]),
+        powers: world.player.powers.map(p => [p.id, p.level]),
+        passives: world.player.passiveUpgrades.map(u => [u.id, u.stacks]),
+        enemiesDefeated: world.enemiesDefeated
+    };
+}
+
+describe('ReplayRecorder', () => {
+    let recorder;
+
+    beforeEach(() => {
+        recorder = new ReplayRecorder(42, WAVE_TIMELINE, VIEWPORT);
+    });
+
+    it('should store seed, wave timeline, viewport and version', () => {
+        const replay = recorder.toJSON();
+        expect(replay.version).toBe(REPLAY_VERSION);
+        expect(replay.seed).toBe(42);
+        expect(replay.waveTimeline).toBe(WAVE_TIMELINE);
+        expect(replay.viewport).toEqual({ width: 800, height: 600 });
+    });
+
+    it('should run-length encode repeated dt and input', () => {
+        for (let i = 0; i < 10; i++) recorder.recordFrame(0.016, 1, 0);
+        for (let i = 0; i < 5; i++) recorder.recordFrame(0.016, 0, -1);
+
+        const replay = recorder.toJSON();
+        expect(replay.frameCount).toBe(15);
+        expect(replay.dt).toEqual([[0.016, 15]]);
+        expect(replay.input).toEqual([[1, 0, 10], [0, -1, 5]]);
+    });
+
+    it('should attach choices to the next frame to be stepped', () => {
+        recorder.recordFrame(0.016, 0, 0);
+        recorder.recordFrame(0.016, 0, 0);
+        recorder.recordChoice('power', 'forceBolt');
+
+        expect(recorder.toJSON().events).toEqual([{ frame: 2, type: 'power', id: 'forceBolt' }]);
+    });
+
+    it('should record viewport changes', () => {
+        recorder.recordViewport(1024, 768);
+        expect(recorder.toJSON().events).toEqual([{ frame: 0, type: 'viewport', width: 1024, height: 768 }]);
+    });
+
+    it('should produce a JSON round-trippable object', () => {
+        recorder.recordFrame(1 / 60, 1, 1);
+        const replay = recorder.toJSON();
+        expect(JSON.parse(JSON.stringify(replay))).toEqual(replay);
+    });
+});
+
+describe('ReplayPlayer', () => {
+    it('should reject unknown replay versions', () => {
+        expect(() => new ReplayPlayer({ version: 999 })).toThrow(/Unsupported replay version/);
+    });
+
+    it('should decode frames in order', () => {
+        const recorder = new ReplayRecorder(1, WAVE_TIMELINE, VIEWPORT);
+        recorder.recordFrame(0.02, 1, 0);
+        recorder.recordFrame(0.02, 0, 1);
+        recorder.recordFrame(0.03, 0, 1);
+
+        const player = new ReplayPlayer(recorder.toJSON());
+        expect(player.nextFrame()).toEqual({ dt: 0.02, dx: 1, dy: 0 });
+        expect(player.nextFrame()).toEqual({ dt: 0.02, dx: 0, dy: 1 });
+        expect(player.nextFrame()).toEqual({ dt: 0.03, dx: 0, dy: 1 });
+        expect(player.finished).toBe(true);
+    });
+
+    it('should create a world with the recorded seed and viewport', () => {
+        const player = new ReplayPlayer(new ReplayRecorder(77, WAVE_TIMELINE, { width: 1024, height: 768 }).toJSON());
+        const world = player.createWorld();
+        expect(world.seed).toBe(77);
+        expect(world.camera.canvas.width).toBe(1024);
+        expect(world.camera.canvas.height).toBe(768);
+    });
+
+    it('should apply viewport events to the world', () => {
+        const recorder = new ReplayRecorder(1, WAVE_TIMELINE, VIEWPORT);
+        recorder.recordFrame(0.016, 0, 0);
+        recorder.recordViewport(400, 300);
+        recorder.recordFrame(0.016, 0, 0);
+
+        const player = new ReplayPlayer(recorder.toJSON());
+        const world = player.createWorld();
+        player.step(world);
+        expect(world.camera.canvas.width).toBe(800);
+        player.step(world);
+        expect(world.camera.canvas.width).toBe(400);
+    });
+
+    it('should stop when the world is waiting for a choice the replay does not have', () => {
+        const recorder = new ReplayRecorder(1, WAVE_TIMELINE, VIEWPORT);
+        recorder.recordFrame(0.016, 0, 0);
+
+        const player = new ReplayPlayer(recorder.toJSON());
+        const world = player.createWorld();
+        world.paused = true;
+        expect(player.step(world)).toBe(false);
+    });
+});
+
+describe('runReplay', () => {
+    it('should reproduce a recorded run exactly', () => {
+        const { world, replay } = recordRun(2024, 60 * 60);
+        expect(fingerprint(runReplay(replay))).toEqual(fingerprint(world));
+    });
+
+    it('should reproduce level-up choices', () => {
+        const { world, replay } = recordRun(8, 120 * 60, { sturdy: true });
+        const choices = replay.events.filter(e => e.type === 'power' || e.type === 'passive');
+        expect(choices.length).toBeGreaterThan(0);
+
+        // Step through ReplayPlayer directly so the same sturdy setup can be applied
+        const player = new ReplayPlayer(replay);
+        const replayed = player.createWorld();
+        makeSturdy(replayed);
+        while (player.step(replayed)) {
+            // Play to the end
+        }
+
+        expect(fingerprint(replayed)).toEqual(fingerprint(world));
+    });
+
+    it('should reproduce runs with variable frame dt', () => {
+        const { world, replay } = recordRun(99, 1800, { dtFor: (i) => (i % 3 === 0 ? 0.033 : 0.0167) });
+        expect(fingerprint(runReplay(replay))).toEqual(fingerprint(world));
+    });
+
+    it('should survive a JSON round trip', () => {
+        const { world, replay } = recordRun(5, 1200);
+        const loaded = JSON.parse(JSON.stringify(replay));
+        expect(fingerprint(runReplay(loaded))).toEqual(fingerprint(world));
+    });
+
+    it('should reproduce a run resumed from a save', () => {
+        const { world: saved } = recordRun(31, 900);
+        const snapshot = JSON.parse(JSON.stringify(serializeWorld(saved)));
+
+        // Continue the saved run, recording from the snapshot onwards
+        const world = deserializeWorld(snapshot, { ...VIEWPORT });
+        const recorder = new ReplayRecorder(world.seed, WAVE_TIMELINE, VIEWPORT, snapshot);
+        for (let i = 0; i < 600 && world.running; i++) {
+            recorder.recordFrame(1 / 60, -1, 1);
+            world.setMovementInput(-1, 1);
+            world.update(1 / 60);
+        }
+
+        const replay = recorder.toJSON();
+        expect(replay.snapshot).toEqual(snapshot);
+        expect(fingerprint(runReplay(replay))).toEqual(fingerprint(world));
+    });
+
+    it('should play a run back on the timeline it was recorded with', () => {
+        const waveTimeline = { windows: [{ ...WAVE_TIMELINE.windows[0], weights: { charger: 1 } }], events: [] };
+        const { world, replay } = recordRun(12, 600, { waveTimeline });
+        expect(replay.waveTimeline).toEqual(waveTimeline);
+        expect(world.enemies.length).toBeGreaterThan(0);
+        expect(world.enemies.every(enemy => enemy.type === 'charger')).toBe(true);
+
+        expect(fingerprint(runReplay(JSON.parse(JSON.stringify(replay)), WAVE_TIMELINE))).toEqual(fingerprint(world));
+    });
+
+    it('should play replays that did not store a timeline on the one given', () => {
+        const { world, replay } = recordRun(3, 600);
+        delete replay.waveTimeline;
+        expect(fingerprint(runReplay(replay, WAVE_TIMELINE))).toEqual(fingerprint(world));
+    });
+});
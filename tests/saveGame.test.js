@@ -0,0 +1,393 @@
+// Save/resume tests - snapshot a running World, restore it, and check the run continues identically
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Enemy, CHAMPION_FUSION_THRESHOLD, CHAMPION_FUSION_CONFIG } from '../js/enemy.js';
+import { Crystal } from '../js/crystal.js';
+import { Projectile, OrbitalShield } from '../js/projectile.js';
+import { createSuperchargeEffect, DamageOverTimeEffect } from '../js/statusEffects.js';
+import { POWERS } from '../js/powers.js';
+import { Boss } from '../js/bosses.js';
+import { GAME_EVENTS } from '../js/events.js';
+import { getStatScaling } from '../js/scaling.js';
+import {
+    SAVE_VERSION,
+    SAVE_STORAGE_KEY,
+    SNAPSHOT_MIGRATIONS,
+    serializeWorld,
+    deserializeWorld,
+    migrateSnapshot,
+    saveToStorage,
+    readSavedSnapshot,
+    clearSavedGame
+} from '../js/saveGame.js';
+import { WAVE_TIMELINE, createWorld } from './helpers.js';
+
+const VIEWPORT = { width: 800, height: 600 };
+
+// Sturdier player so runs last long enough to build up state
+function makeSturdy(world) {
+    world.player.maxHealth = 5000;
+    world.player.health = 5000;
+}
+
+function autoPilot(world) {
+    world.onLevelUp = (options) => world.selectPower(options[0].id);
+    world.onPassiveUpgrade = (options) => world.selectPassiveUpgrade(options[0].id);
+}
+
+// Step a world with a fixed movement pattern
+function play(world, frames, startFrame = 0) {
+    for (let i = startFrame; i < startFrame + frames && world.running; i++) {
+        const phase = Math.floor(i / 90) % 4;
+        world.setMovementInput([1, 0, -1, 0][phase], [0, 1, 0, -1][phase]);
+        world.update(1 / 60);
+    }
+}
+
+function fingerprint(world) {
+    return {
+        gameTime: world.gameTime,
+        player: [world.player.x, world.player.y, world.player.health, world.player.xp],
+        enemies: world.enemies.map(e => [e.type, e.x, e.y, e.health]),
+        champions: world.champions.map(c => [c.crystalType, c.x, c.y, c.health]),
+        crystals: world.crystals.map(c => [c.type, c.x, c.y]),
+        projectiles: world.projectiles.map(p => [p.x, p.y, p.age]),
+        powers: world.player.powers.map(p => [p.id, p.level]),
+        passives: world.player.passiveUpgrades.map(u => [u.id, u.stacks]),
+        enemiesDefeated: world.enemiesDefeated
+    };
+}
+
+// Minimal in-memory stand-in for localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// Save a world through JSON, as saveToStorage does, and restore it
+function roundTrip(world) {
+    return deserializeWorld(JSON.parse(JSON.stringify(serializeWorld(world))), { ...VIEWPORT });
+}
+
+describe('serializeWorld', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld({ ...VIEWPORT }, { seed: 7 });
+    });
+
+    it('should produce a versioned, JSON-serializable snapshot', () => {
+        const snapshot = serializeWorld(world);
+        expect(snapshot.version).toBe(SAVE_VERSION);
+        expect(snapshot.seed).toBe(7);
+        expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    });
+
+    it('should capture player progress', () => {
+        world.player.crystals.heat = 3;
+        world.player.addPower({ id: 'fireballBarrage', passive: false });
+        world.player.addPassiveUpgrade('moveSpeed');
+        world.player.statusEffects.addEffect(createSuperchargeEffect('heat'));
+
+        const { player } = serializeWorld(world);
+        expect(player.crystals.heat).toBe(3);
+        expect(player.powers).toEqual([{ id: 'fireballBarrage', level: 1, passive: false }]);
+        expect(player.passiveUpgrades[0].id).toBe('moveSpeed');
+        expect(player.statusEffects[0].type).toBe('supercharge');
+    });
+
+    it('should encode hit tracking as entity indices', () => {
+        const enemy = new Enemy(100, 0, 'small', Math);
+        world.enemies.push(new Enemy(500, 0, 'small', Math), enemy);
+        const proj = new Projectile(0, 0, 0, 100, 10, { piercing: true });
+        proj.hitEnemies.add(enemy);
+        world.projectiles.push(proj);
+
+        const snapshot = serializeWorld(world);
+        expect(snapshot.projectiles[0].hitEnemies).toEqual([['enemy', 1]]);
+    });
+});
+
+describe('deserializeWorld', () => {
+    it('should restore entities and references', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 11 });
+        const crystal = new Crystal(200, 200, 'cold');
+        const enemy = new Enemy(150, 150, 'large', Math);
+        enemy.orbitTarget = crystal;
+        enemy.health = 12;
+        world.crystals.push(crystal);
+        world.enemies.push(enemy);
+        world.powerManager.orbitalShield = new OrbitalShield(world.player, 3, 90, 15);
+        world.powerManager.orbitalShield.hitCooldowns.set(enemy, 0.3);
+
+        const restored = deserializeWorld(serializeWorld(world), { ...VIEWPORT });
+
+        expect(restored.enemies).toHaveLength(1);
+        expect(restored.enemies[0]).toBeInstanceOf(Enemy);
+        expect(restored.enemies[0].health).toBe(12);
+        expect(restored.enemies[0].orbitTarget).toBe(restored.crystals[0]);
+        const shield = restored.powerManager.orbitalShield;
+        expect(shield.count).toBe(3);
+        expect(shield.owner).toBe(restored.player);
+        expect(shield.hitCooldowns.get(restored.enemies[0])).toBe(0.3);
+    });
+
+    it('should restore enemy status effects with their timers', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 4 });
+        const enemy = new Enemy(150, 150, 'large', Math);
+        enemy.applyStatusEffect('burn', 10, 3);
+        enemy.applyStatusEffect('vulnerable', 0.25, 2);
+        enemy.statusEffects.update(0.3);
+        world.enemies.push(enemy);
+
+        const restored = roundTrip(world).enemies[0];
+
+        const [burn] = restored.statusEffects.getEffectsByType('burn');
+        expect(burn).toBeInstanceOf(DamageOverTimeEffect);
+        expect(burn.tickTimer).toBeCloseTo(0.3);
+        expect(burn.remaining).toBeCloseTo(2.7);
+        expect(restored.statusEffects.getDamageTakenMultiplier()).toBe(1.25);
+    });
+
+    it('should keep entity arrays shared with the power manager', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 3 });
+        const restored = deserializeWorld(serializeWorld(world), { ...VIEWPORT });
+        expect(restored.powerManager.projectiles).toBe(restored.projectiles);
+        expect(restored.powerManager.enemies).toBe(restored.enemies);
+    });
+
+    it('should continue a run exactly as if it had never been saved', () => {
+        const original = createWorld({ ...VIEWPORT }, { seed: 1234 });
+        makeSturdy(original);
+        autoPilot(original);
+        // Start with a spread of powers so projectiles, areas, rings and shields are in flight
+        for (const id of ['fireballBarrage', 'magmaPool', 'infernoRing', 'orbitalShields']) {
+            original.player.addPower({ id, passive: POWERS[id].passive });
+        }
+        play(original, 1800);
+
+        const restored = roundTrip(original);
+        autoPilot(restored);
+
+        play(original, 1200, 1800);
+        play(restored, 1200, 1800);
+
+        expect(restored.enemiesDefeated).toBeGreaterThan(0);
+        expect(fingerprint(restored)).toEqual(fingerprint(original));
+    });
+
+    it('should restore an unanswered level-up as a pending choice', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 5 });
+        world.player.crystals.force = 4;
+        world.triggerLevelUp();
+        const offered = world.pendingPowerOptions.map(o => o.id);
+
+        const restored = deserializeWorld(serializeWorld(world), { ...VIEWPORT });
+        expect(restored.paused).toBe(true);
+        expect(restored.pendingPowerOptions.map(o => o.id)).toEqual(offered);
+
+        const onLevelUp = vi.fn();
+        restored.onLevelUp = onLevelUp;
+        restored.reopenPendingChoices();
+        expect(onLevelUp).toHaveBeenCalledWith(restored.pendingPowerOptions);
+
+        restored.selectPower(offered[0]);
+        expect(restored.paused).toBe(false);
+    });
+});
+
+describe('feature state round trips', () => {
+    it('should keep the wave timeline the run was started with', () => {
+        const waveTimeline = { windows: [{ ...WAVE_TIMELINE.windows[0], weights: { charger: 1 } }], events: [] };
+        const restored = roundTrip(createWorld({ ...VIEWPORT }, { seed: 9, waveTimeline }));
+        expect(restored.enemySpawner.timeline).toEqual(waveTimeline);
+    });
+
+    it('should publish restored enemies\' and champions\' status effects on the new event bus', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 9 });
+        world.enemies.push(new Enemy(300, 0, 'medium', Math));
+        world.spawnBoss('cinderColossus');
+        const restored = roundTrip(world);
+
+        const applied = [];
+        restored.events.on(GAME_EVENTS.STATUS_EFFECT_APPLIED, ({ owner }) => applied.push(owner));
+        restored.enemies[0].applyStatusEffect('burn', 5, 1);
+        restored.champions[0].applyStatusEffect('burn', 5, 1);
+        expect(applied).toEqual([restored.enemies[0], restored.champions[0]]);
+    });
+
+    it('should run saves that did not store a timeline on the one given', () => {
+        const { waveTimeline, ...snapshot } = JSON.parse(JSON.stringify(serializeWorld(createWorld({ ...VIEWPORT }, { seed: 9 }))));
+        snapshot.version = 2;
+        expect(migrateSnapshot(snapshot).waveTimeline).toBeNull();
+        expect(() => deserializeWorld(snapshot, { ...VIEWPORT })).toThrow('timeline must be an object');
+        expect(deserializeWorld(snapshot, { ...VIEWPORT }, WAVE_TIMELINE).enemySpawner.timeline).toBe(WAVE_TIMELINE);
+    });
+
+    it('should bring the flow field back computed around the same spot', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 8 });
+        world.enemySpawner.maxEnemies = 0;
+        world.player.x = 300;
+        world.update(1 / 60);
+        world.player.x = 900;
+
+        const restored = roundTrip(world);
+        expect(restored.flowField.targetX).toBe(world.flowField.targetX);
+        expect(restored.flowFieldTimer).toBe(world.flowFieldTimer);
+        expect(restored.flowField.costAt(0, 0)).toBe(world.flowField.costAt(0, 0));
+    });
+
+    it('should restore a boss mid-fight', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 12 });
+        world.enemySpawner.maxEnemies = 0;
+        const boss = world.spawnBoss('voidTyrant');
+        boss.health = boss.maxHealth * 0.5;
+        boss.updatePhase();
+        boss.patternIndex = 2;
+        world.bossWarningShown = true;
+
+        const restored = roundTrip(world);
+        const restoredBoss = restored.getActiveBoss();
+        expect(restoredBoss).toBeInstanceOf(Boss);
+        expect(restoredBoss).toMatchObject({ bossId: 'voidTyrant', phaseIndex: 1, patternIndex: 2, health: boss.health });
+        expect(restored.bossWarningShown).toBe(true);
+    });
+
+    it('should keep scaled stats and elite tiers', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 4 });
+        const enemy = new Enemy(300, 0, 'large', world.rng, getStatScaling(700, 4, 2));
+        world.enemies.push(enemy);
+
+        const [copy] = roundTrip(world).enemies.slice(-1);
+        expect(copy).toMatchObject({ maxHealth: enemy.maxHealth, radius: enemy.radius, damageScale: enemy.damageScale, eliteTier: 2 });
+    });
+
+    it('should bring the director back in the same phase and pressure', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 2 });
+        for (let i = 0; i < 60 * 50; i++) world.update(1 / 60);
+
+        const restored = roundTrip(world);
+        expect(restored.director).toMatchObject({
+            phase: world.director.phase,
+            phaseTimer: world.director.phaseTimer,
+            pressure: world.director.pressure,
+            damageRate: world.director.damageRate,
+            killRate: world.director.killRate,
+            decisionTimer: world.director.decisionTimer
+        });
+        expect(restored.enemySpawner.intensity).toBe(world.enemySpawner.intensity);
+    });
+
+    it('should keep affixes and what is left of a shield', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 6 });
+        const enemy = new Enemy(300, 0, 'large', world.rng, undefined, ['shielded', 'explosive']);
+        enemy.takeDamage(20);
+        world.enemies.push(enemy);
+
+        const [copy] = roundTrip(world).enemies.slice(-1);
+        expect(copy).toMatchObject({ affixes: ['shielded', 'explosive'], shield: enemy.shield, maxShield: enemy.maxShield, xp: enemy.xp });
+        expect(copy.shield).toBeLessThan(copy.maxShield);
+    });
+
+    it('should carry a fusion ritual in progress through to its champion', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 3 });
+        const crystal = new Crystal(600, 0, 'heat');
+        world.crystals.push(crystal);
+        for (let i = 0; i < CHAMPION_FUSION_THRESHOLD; i++) {
+            const enemy = new Enemy(600 + 60 * Math.cos(i), 60 * Math.sin(i), 'medium', Math);
+            enemy.setOrbitTarget(crystal);
+            world.enemies.push(enemy);
+        }
+        for (let t = 0; t < 1.5; t += 1 / 60) world.checkChampionFusion(1 / 60);
+
+        const restored = roundTrip(world);
+        const [copy] = restored.crystals.slice(-1);
+        expect(copy).toMatchObject({ ritualActive: true, ritualProgress: crystal.ritualProgress, ritualCooldown: crystal.ritualCooldown });
+        expect(restored.enemies.filter(enemy => enemy.orbitTarget === copy)).toHaveLength(CHAMPION_FUSION_THRESHOLD);
+
+        for (let t = 0; t < CHAMPION_FUSION_CONFIG.ritualDuration; t += 1 / 60) restored.checkChampionFusion(1 / 60);
+        expect(restored.champions).toHaveLength(1);
+    });
+});
+
+describe('migrateSnapshot', () => {
+    it('should pass current snapshots through unchanged', () => {
+        const snapshot = { version: SAVE_VERSION, seed: 1 };
+        expect(migrateSnapshot(snapshot)).toBe(snapshot);
+    });
+
+    it('should reject snapshots without a version', () => {
+        expect(() => migrateSnapshot({ seed: 1 })).toThrow('missing version');
+    });
+
+    it('should reject snapshots from a newer game', () => {
+        expect(() => migrateSnapshot({ version: SAVE_VERSION + 1 })).toThrow('newer');
+    });
+
+    it('should reject versions with no migration path', () => {
+        expect(() => migrateSnapshot({ version: 0 })).toThrow('No migration');
+    });
+
+    it('should move version 1 enemy slows into status effects', () => {
+        const migrated = migrateSnapshot({
+            version: 1,
+            enemies: [{ x: 0, slowAmount: 0.4, slowTime: 1.5 }, { x: 1, slowAmount: 0, slowTime: 0 }],
+            champions: []
+        });
+        expect(migrated.version).toBe(SAVE_VERSION);
+        expect(migrated.enemies[0]).toEqual({
+            x: 0,
+            statusEffects: [{ type: 'slow', category: null, duration: 1.5, remaining: 1.5, config: { amount: 0.4 } }]
+        });
+        expect(migrated.enemies[1]).toEqual({ x: 1, statusEffects: [] });
+    });
+
+    it('should chain registered migrations up to the current version', () => {
+        SNAPSHOT_MIGRATIONS[0] = (snapshot) => ({ ...snapshot, version: 1, migrated: true });
+        try {
+            const migrated = migrateSnapshot({ version: 0 });
+            expect(migrated.version).toBe(SAVE_VERSION);
+            expect(migrated.migrated).toBe(true);
+        } finally {
+            delete SNAPSHOT_MIGRATIONS[0];
+        }
+    });
+});
+
+describe('storage helpers', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage();
+    });
+
+    it('should save and read back a snapshot', () => {
+        const world = createWorld({ ...VIEWPORT }, { seed: 99 });
+        saveToStorage(world, storage);
+
+        const snapshot = readSavedSnapshot(storage);
+        expect(snapshot.seed).toBe(99);
+        expect(deserializeWorld(snapshot, { ...VIEWPORT }).seed).toBe(99);
+    });
+
+    it('should return null when nothing is saved', () => {
+        expect(readSavedSnapshot(storage)).toBeNull();
+    });
+
+    it('should ignore corrupt saves', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        storage.setItem(SAVE_STORAGE_KEY, '{not json');
+        expect(readSavedSnapshot(storage)).toBeNull();
+        warn.mockRestore();
+    });
+
+    it('should clear the save', () => {
+        saveToStorage(createWorld({ ...VIEWPORT }), storage);
+        clearSavedGame(storage);
+        expect(readSavedSnapshot(storage)).toBeNull();
+    });
+});
@@ -0,0 +1,114 @@
+// Stat scaling tests - the curve and its caps, elite tiers, and scaled enemies and champions
+
+import { describe, it, expect } from 'vitest';
+import { SCALING_CONFIG, SCALED_STATS, getStatScaling, rollEliteTier, getEliteTier } from '../js/scaling.js';
+import { Enemy, EnemySpawner, Champion, ENEMY_TYPES, CHAMPION_CONFIG } from '../js/enemy.js';
+import { WAVE_TIMELINE, fixedRng } from './helpers.js';
+
+const { stats, eliteTiers } = SCALING_CONFIG;
+
+describe('getStatScaling', () => {
+    it('should leave stats untouched at the start of a run', () => {
+        expect(getStatScaling(0, 1)).toEqual({ health: 1, damage: 1, speed: 1, xp: 1, radius: 1, eliteTier: 0 });
+    });
+
+    it('should grow each stat linearly with minutes survived and with difficulty', () => {
+        const scaling = getStatScaling(120, 3);
+        for (const stat of SCALED_STATS) {
+            expect(scaling[stat]).toBeCloseTo(1 + stats[stat].perMinute * 2 + stats[stat].perDifficulty * 2);
+        }
+        expect(getStatScaling(300, 1).health).toBeGreaterThan(getStatScaling(120, 1).health);
+        expect(getStatScaling(120, 4).health).toBeGreaterThan(getStatScaling(120, 1).health);
+    });
+
+    it('should cap every stat however long the run goes', () => {
+        const late = getStatScaling(60 * 60 * 10, 500);
+        for (const stat of SCALED_STATS) {
+            expect(late[stat]).toBe(stats[stat].max);
+        }
+    });
+
+    it('should stack an elite tier on top of the capped curve', () => {
+        const late = getStatScaling(60 * 60 * 10, 500, 3);
+        const tier = getEliteTier(3);
+        for (const stat of SCALED_STATS) {
+            expect(late[stat]).toBeCloseTo(stats[stat].max * tier[stat]);
+        }
+        expect(late).toMatchObject({ radius: tier.radius, eliteTier: 3 });
+    });
+
+    it('should reject unknown elite tiers', () => {
+        expect(() => getStatScaling(0, 1, eliteTiers.length + 1)).toThrow(`Unknown elite tier: ${eliteTiers.length + 1}`);
+    });
+});
+
+describe('rollEliteTier', () => {
+    it('should never roll (or use the random source) before the first tier unlocks', () => {
+        const rng = fixedRng(0);
+        expect(rollEliteTier(eliteTiers[0].minTime - 1, rng)).toBe(0);
+        expect(rng.calls).toBe(0);
+    });
+
+    it('should only offer tiers whose threshold has passed, highest first', () => {
+        expect(rollEliteTier(eliteTiers[0].minTime, fixedRng(0))).toBe(1);
+        expect(rollEliteTier(eliteTiers[1].minTime, fixedRng(0))).toBe(2);
+        expect(rollEliteTier(eliteTiers[2].minTime, fixedRng(0))).toBe(3);
+        expect(rollEliteTier(eliteTiers[2].minTime, fixedRng(0.99))).toBe(0);
+    });
+
+    it('should keep tiers in unlock order', () => {
+        for (let i = 1; i < eliteTiers.length; i++) {
+            expect(eliteTiers[i].minTime).toBeGreaterThan(eliteTiers[i - 1].minTime);
+            expect(eliteTiers[i].health).toBeGreaterThan(eliteTiers[i - 1].health);
+        }
+    });
+});
+
+describe('scaled enemies and champions', () => {
+    it('should build an enemy with scaled stats, including its ability numbers', () => {
+        const scaling = getStatScaling(600, 5, 2);
+        const base = ENEMY_TYPES.spitter;
+        const enemy = new Enemy(0, 0, 'spitter', Math, scaling);
+
+        expect(enemy.maxHealth).toBeCloseTo(base.health * scaling.health);
+        expect(enemy.health).toBe(enemy.maxHealth);
+        expect(enemy.damage).toBeCloseTo(base.damage * scaling.damage);
+        expect(enemy.baseSpeed).toBeCloseTo(base.speed * scaling.speed);
+        expect(enemy.xp).toBeCloseTo(base.xp * scaling.xp);
+        expect(enemy.radius).toBeCloseTo(base.radius * scaling.radius);
+        expect(enemy.eliteTier).toBe(2);
+
+        enemy.abilityTimer = 0;
+        enemy.awarenessRadius = 10000;
+        const action = enemy.update(0.016, 300, 0);
+        expect(action.damage).toBeCloseTo(base.projectileDamage * scaling.damage);
+    });
+
+    it('should drop scaling when a pooled enemy is reset without it', () => {
+        const enemy = new Enemy(0, 0, 'small', Math, getStatScaling(600, 5, 1));
+        enemy.reset(0, 0, 'small', Math);
+        expect(enemy).toMatchObject({ maxHealth: ENEMY_TYPES.small.health, radius: ENEMY_TYPES.small.radius, eliteTier: 0 });
+    });
+
+    it('should scale a champion and the damage of its abilities', () => {
+        const scaling = getStatScaling(900, 5);
+        const champion = new Champion(0, 0, 'force', scaling);
+        expect(champion.maxHealth).toBeCloseTo(CHAMPION_CONFIG.health * scaling.health);
+        expect(champion.createAbility('primary').damage).toBeCloseTo(CHAMPION_CONFIG.types.force.abilityDamage * scaling.damage);
+        expect(champion.createAbility('enraged').damage).toBeCloseTo(CHAMPION_CONFIG.types.force.enraged.damage * scaling.damage);
+    });
+
+    it('should spawn late-game enemies with the spawner\'s current scaling', () => {
+        const spawner = new EnemySpawner(fixedRng(0.99), WAVE_TIMELINE);
+        const camera = { zoom: 0.25, getVisibleBounds: () => ({ left: 0, right: 3200, top: 0, bottom: 2400 }) };
+        spawner.gameTime = 1200;
+        const enemies = [];
+        spawner.update(2, 0, 0, enemies, [], camera);
+
+        const scaling = spawner.getScaling();
+        expect(enemies.length).toBeGreaterThan(0);
+        for (const enemy of enemies) {
+            expect(enemy.maxHealth).toBeCloseTo(ENEMY_TYPES[enemy.type].health * scaling.health);
+        }
+    });
+});
@@ -0,0 +1,49 @@
+// Settings tests - defaults, persistence and tolerance of bad stored data
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DEFAULT_SETTINGS, SETTINGS_STORAGE_KEY, loadSettings, saveSettings } from '../js/settings.js';
+
+// Minimal in-memory stand-in for localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+describe('settings', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage();
+    });
+
+    it('should return defaults when nothing is stored', () => {
+        expect(loadSettings(storage)).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('should not hand out the defaults object itself', () => {
+        const settings = loadSettings(storage);
+        settings.pauseOnBlur = false;
+        expect(DEFAULT_SETTINGS.pauseOnBlur).toBe(true);
+    });
+
+    it('should round trip saved settings', () => {
+        saveSettings({ ...DEFAULT_SETTINGS, ambientParticles: false }, storage);
+        expect(loadSettings(storage).ambientParticles).toBe(false);
+    });
+
+    it('should ignore unknown keys and wrongly typed values', () => {
+        storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ pauseOnBlur: 'no', volume: 3 }));
+        expect(loadSettings(storage)).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('should fall back to defaults for corrupt data', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        storage.setItem(SETTINGS_STORAGE_KEY, '{oops');
+        expect(loadSettings(storage)).toEqual(DEFAULT_SETTINGS);
+        warn.mockRestore();
+    });
+});
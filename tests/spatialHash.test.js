@@ -0,0 +1,251 @@
+// Spatial hash tests - every query must agree with the brute-force scan it replaces
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SpatialHash } from '../js/spatialHash.js';
+import { getEntitiesInRange, findClosest, circleCollision } from '../js/collision.js';
+import { distance } from '../js/utils.js';
+import { SeededRandom } from '../js/random.js';
+import { Enemy, Champion } from '../js/enemy.js';
+import { Projectile, RingEffect, AreaEffect } from '../js/projectile.js';
+import { createWorld } from './helpers.js';
+
+// Scatter entities (including negative coordinates and a few far outliers)
+function scatter(rng, count, spread = 2000) {
+    const entities = [];
+    for (let i = 0; i < count; i++) {
+        const far = rng.random() < 0.05 ? 10 : 1;
+        entities.push({
+            id: i,
+            x: (rng.random() - 0.5) * spread * far,
+            y: (rng.random() - 0.5) * spread * far,
+            radius: 5 + rng.random() * 40
+        });
+    }
+    return entities;
+}
+
+// Exact range filter applied to hash candidates
+function hashInRange(hash, x, y, range) {
+    return hash.query(x, y, range).filter(e => distance(x, y, e.x, e.y) < range + e.radius);
+}
+
+describe('SpatialHash', () => {
+    let hash;
+
+    beforeEach(() => {
+        hash = new SpatialHash(100);
+    });
+
+    describe('basic operations', () => {
+        it('should track size across insert and remove', () => {
+            const a = { x: 0, y: 0, radius: 5 };
+            const b = { x: 500, y: 500, radius: 5 };
+            hash.insert(a);
+            hash.insert(b);
+            expect(hash.size).toBe(2);
+            expect(hash.remove(a)).toBe(true);
+            expect(hash.remove(a)).toBe(false);
+            expect(hash.size).toBe(1);
+        });
+
+        it('should not return removed entities', () => {
+            const a = { x: 10, y: 10, radius: 5 };
+            hash.insert(a);
+            hash.remove(a);
+            expect(hash.query(10, 10, 50)).toEqual([]);
+        });
+
+        it('should find entities again after update() moves them to another cell', () => {
+            const a = { x: 0, y: 0, radius: 5 };
+            hash.insert(a);
+            a.x = 1000;
+            hash.update(a);
+            expect(hash.query(0, 0, 50)).toEqual([]);
+            expect(hash.query(1000, 0, 50)).toEqual([a]);
+        });
+
+        it('should find entities whose radius reaches into the query box', () => {
+            const big = { x: 250, y: 0, radius: 200 };
+            hash.insert(big);
+            expect(hash.query(0, 0, 60)).toEqual([big]);
+        });
+
+        it('should return results in insertion order', () => {
+            const entities = [
+                { x: 90, y: 0, radius: 1 },
+                { x: -90, y: 0, radius: 1 },
+                { x: 0, y: 90, radius: 1 },
+                { x: 0, y: -90, radius: 1 }
+            ];
+            for (const e of entities) hash.insert(e);
+            expect(hash.query(0, 0, 100)).toEqual(entities);
+        });
+
+        it('should keep insertion order for moved entities', () => {
+            const a = { x: 0, y: 0, radius: 1 };
+            const b = { x: 300, y: 0, radius: 1 };
+            hash.insert(a);
+            hash.insert(b);
+            a.x = 310;
+            hash.update(a);
+            expect(hash.query(305, 0, 20)).toEqual([a, b]);
+        });
+
+        it('should restart ordering after clear', () => {
+            const a = { x: 0, y: 0, radius: 1 };
+            const b = { x: 5, y: 0, radius: 1 };
+            hash.insert(a);
+            hash.clear();
+            hash.insert(b);
+            hash.insert(a);
+            expect(hash.size).toBe(2);
+            expect(hash.query(0, 0, 10)).toEqual([b, a]);
+        });
+
+        it('should use a custom extent when rebuilding', () => {
+            const crystal = { x: 0, y: 0, aggroRadius: 350 };
+            hash.rebuild([crystal], c => c.aggroRadius);
+            expect(hash.query(300, 0, 0)).toEqual([crystal]);
+        });
+    });
+
+    describe('matches brute force', () => {
+        const rng = new SeededRandom(42);
+        const entities = scatter(rng, 400);
+
+        beforeEach(() => {
+            hash.rebuild(entities);
+        });
+
+        it('should return the same entities in range as getEntitiesInRange', () => {
+            for (let i = 0; i < 200; i++) {
+                const x = (rng.random() - 0.5) * 2400;
+                const y = (rng.random() - 0.5) * 2400;
+                const range = rng.random() * 400;
+                expect(hashInRange(hash, x, y, range)).toEqual(getEntitiesInRange(entities, x, y, range));
+            }
+        });
+
+        it('should return the same nearest entity as findClosest', () => {
+            for (let i = 0; i < 200; i++) {
+                const x = (rng.random() - 0.5) * 6000;
+                const y = (rng.random() - 0.5) * 6000;
+                expect(hash.findNearest(x, y)[0]).toBe(findClosest(entities, x, y));
+            }
+        });
+
+        it('should return the same k nearest as a full sort', () => {
+            for (let i = 0; i < 100; i++) {
+                const x = (rng.random() - 0.5) * 3000;
+                const y = (rng.random() - 0.5) * 3000;
+                const count = 1 + Math.floor(rng.random() * 6);
+                const expected = entities
+                    .map(e => ({ e, dist: distance(x, y, e.x, e.y) }))
+                    .sort((a, b) => a.dist - b.dist)
+                    .slice(0, count)
+                    .map(t => t.e);
+                expect(hash.findNearest(x, y, count)).toEqual(expected);
+            }
+        });
+
+        it('should return every entity when asking for more than it holds', () => {
+            expect(hash.findNearest(0, 0, 1000)).toHaveLength(entities.length);
+        });
+
+        it('should break distance ties by insertion order', () => {
+            const tied = new SpatialHash(100);
+            const a = { x: 50, y: 0, radius: 1 };
+            const b = { x: -50, y: 0, radius: 1 };
+            tied.insert(a);
+            tied.insert(b);
+            expect(tied.findNearest(0, 0)).toEqual([a]);
+            expect(findClosest([a, b], 0, 0)).toBe(a);
+        });
+
+        it('should return nothing when empty', () => {
+            expect(new SpatialHash().findNearest(0, 0)).toEqual([]);
+        });
+    });
+});
+
+describe('World collision queries', () => {
+    let world;
+    const rng = new SeededRandom(7);
+
+    beforeEach(() => {
+        world = createWorld({ width: 800, height: 600 }, { seed: 7 });
+        for (let i = 0; i < 150; i++) {
+            const types = ['small', 'medium', 'large'];
+            world.enemies.push(new Enemy(
+                (rng.random() - 0.5) * 1600,
+                (rng.random() - 0.5) * 1600,
+                types[i % 3],
+                rng
+            ));
+        }
+        world.champions.push(new Champion(100, 100, 'heat'), new Champion(-300, 200, 'cold'));
+        world.rebuildTargetHash();
+    });
+
+    // Run a collision check against nearby candidates and against every target (in hit order)
+    function compareHits(check, x, y, range) {
+        const hashHits = world.getNearbyTargets(x, y, range).filter(check);
+        const bruteHits = [...world.enemies].reverse().concat([...world.champions].reverse()).filter(check);
+        expect(hashHits).toEqual(bruteHits);
+        return bruteHits.length;
+    }
+
+    it('should find the same projectile hits', () => {
+        let hits = 0;
+        for (let i = 0; i < 300; i++) {
+            const proj = new Projectile((rng.random() - 0.5) * 1600, (rng.random() - 0.5) * 1600, 0, 0, 1, { radius: 12 });
+            hits += compareHits(
+                e => circleCollision(proj.x, proj.y, proj.radius, e.x, e.y, e.radius),
+                proj.x, proj.y, proj.radius
+            );
+        }
+        expect(hits).toBeGreaterThan(0);
+    });
+
+    it('should find the same area effect targets', () => {
+        for (let i = 0; i < 50; i++) {
+            const effect = new AreaEffect((rng.random() - 0.5) * 1600, (rng.random() - 0.5) * 1600, 120, 1, 1);
+            compareHits(
+                e => distance(effect.x, effect.y, e.x, e.y) < effect.radius + e.radius,
+                effect.x, effect.y, effect.radius
+            );
+        }
+    });
+
+    it('should find the same ring band targets', () => {
+        for (let i = 0; i < 50; i++) {
+            const ring = new RingEffect((rng.random() - 0.5) * 800, (rng.random() - 0.5) * 800, 300, 1, 1);
+            ring.age = rng.random();
+            compareHits(
+                e => {
+                    const dist = distance(ring.x, ring.y, e.x, e.y);
+                    return dist > ring.currentRadius - 20 && dist < ring.currentRadius + 20;
+                },
+                ring.x, ring.y, ring.currentRadius + 20
+            );
+        }
+    });
+
+    it('should target the same nearest enemy as a full scan', () => {
+        const allTargets = [...world.enemies, ...world.champions];
+        const [nearest] = world.targetHash.findNearest(world.player.x, world.player.y);
+        expect(nearest).toBe(findClosest(allTargets, world.player.x, world.player.y));
+    });
+
+    it('should drop killed targets from the hash', () => {
+        const enemy = world.enemies[10];
+        world.removeTarget(world.enemies, enemy);
+        expect(world.enemies).not.toContain(enemy);
+        expect(world.targetHash.query(enemy.x, enemy.y, 0)).not.toContain(enemy);
+    });
+
+    it('should keep the hash current while stepping', () => {
+        world.update(1 / 60);
+        expect(world.targetHash.size).toBe(world.enemies.length + world.champions.length);
+    });
+});
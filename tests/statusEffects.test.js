@@ -0,0 +1,102 @@
+// Status effect tests - the effect manager, damage over time and enemy-side effects
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    STATUS_EFFECT_CONFIG, StatusEffectManager, DamageOverTimeEffect, createEnemyEffect, createSuperchargeEffect
+} from '../js/statusEffects.js';
+
+describe('StatusEffectManager', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new StatusEffectManager();
+    });
+
+    it('should refresh an existing effect instead of stacking it', () => {
+        manager.addEffect(createEnemyEffect('slow', 0.3, 1));
+        manager.addEffect(createEnemyEffect('slow', 0.5, 2));
+        expect(manager.getEffectsByType('slow')).toHaveLength(1);
+        expect(manager.getStrongest('slow')).toBe(0.5);
+        expect(manager.getEffectsByType('slow')[0].remaining).toBe(2);
+    });
+
+    it('should not let a weaker reapplication lower the active strength', () => {
+        manager.addEffect(createEnemyEffect('burn', 10, 1));
+        manager.addEffect(createEnemyEffect('burn', 4, 2));
+        expect(manager.getEffectsByType('burn')[0].config.damagePerSecond).toBe(10);
+        expect(manager.getEffectsByType('burn')[0].remaining).toBe(2);
+
+        for (const type of ['vulnerable', 'weaken', 'haste']) {
+            manager.addEffect(createEnemyEffect(type, 0.5, 1));
+            manager.addEffect(createEnemyEffect(type, 0.2, 1));
+            expect(manager.getStrongest(type)).toBe(0.5);
+        }
+    });
+
+    it('should sum supercharge bonus levels for a category', () => {
+        manager.addEffect(createSuperchargeEffect('heat', 5, 2));
+        expect(manager.getBonusLevels('heat')).toBe(2);
+        expect(manager.getBonusLevels('cold')).toBe(0);
+    });
+
+    it('should stop movement while frozen or stunned', () => {
+        manager.addEffect(createEnemyEffect('slow', 0.4, 1));
+        expect(manager.getSpeedMultiplier()).toBeCloseTo(0.6);
+        manager.addEffect(createEnemyEffect('stun', 0, 0.5));
+        expect(manager.getSpeedMultiplier()).toBe(0);
+        manager.update(0.6);
+        expect(manager.getSpeedMultiplier()).toBeCloseTo(0.6);
+    });
+
+    it('should scale damage taken and dealt within their caps', () => {
+        expect(manager.getDamageTakenMultiplier()).toBe(1);
+        expect(manager.getDamageDealtMultiplier()).toBe(1);
+
+        manager.addEffect(createEnemyEffect('vulnerable', 0.25, 1));
+        manager.addEffect(createEnemyEffect('weaken', 0.3, 1));
+        expect(manager.getDamageTakenMultiplier()).toBe(1.25);
+        expect(manager.getDamageDealtMultiplier()).toBeCloseTo(0.7);
+
+        manager.addEffect(createEnemyEffect('vulnerable', 5, 1));
+        manager.addEffect(createEnemyEffect('weaken', 5, 1));
+        expect(manager.getDamageTakenMultiplier()).toBe(1 + STATUS_EFFECT_CONFIG.vulnerable.maxAmount);
+        expect(manager.getDamageDealtMultiplier()).toBeCloseTo(1 - STATUS_EFFECT_CONFIG.weaken.maxAmount);
+    });
+
+    it('should collect burn ticks, including the one on the final frame', () => {
+        manager.addEffect(createEnemyEffect('burn', 10, 1));
+        manager.update(0.25);
+        expect(manager.takeDamageDue()).toBe(0);
+        manager.update(0.25);
+        expect(manager.takeDamageDue()).toBe(5);
+        expect(manager.takeDamageDue()).toBe(0);
+
+        manager.update(0.5); // Expires on its second tick
+        expect(manager.hasEffect('burn')).toBe(false);
+        expect(manager.takeDamageDue()).toBe(5);
+    });
+
+    it('should forget uncollected damage when cleared', () => {
+        manager.addEffect(createEnemyEffect('burn', 10, 3));
+        manager.update(1);
+        manager.clearAll();
+        expect(manager.takeDamageDue()).toBe(0);
+    });
+});
+
+describe('createEnemyEffect', () => {
+    it('should build burns as damage-over-time effects', () => {
+        const burn = createEnemyEffect('burn', 8, 3);
+        expect(burn).toBeInstanceOf(DamageOverTimeEffect);
+        expect(burn.config).toEqual({ damagePerSecond: 8, tickInterval: STATUS_EFFECT_CONFIG.burn.tickInterval });
+    });
+
+    it('should carry the amount for scaling effects only', () => {
+        expect(createEnemyEffect('weaken', 0.3, 1).config).toEqual({ amount: 0.3 });
+        expect(createEnemyEffect('freeze', 0.3, 1).config).toEqual({});
+    });
+
+    it('should reject unknown effect types', () => {
+        expect(() => createEnemyEffect('poison', 1, 1)).toThrow('Unknown enemy effect: poison');
+    });
+});
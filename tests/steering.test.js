@@ -0,0 +1,104 @@
+// Crowd steering tests - separation, soft collisions, player pushback and a stacked horde in the World
+
+import { describe, it, expect } from 'vitest';
+import { STEERING_CONFIG, separate, pushOutOfPlayer } from '../js/steering.js';
+import { Enemy } from '../js/enemy.js';
+import { createWorld } from './helpers.js';
+
+function body(x, y, radius) {
+    return { x, y, radius, targetX: x, targetY: y };
+}
+
+// Smallest centre distance over combined radii across every pair
+function minSpacing(bodies) {
+    let worst = Infinity;
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const a = bodies[i];
+            const b = bodies[j];
+            worst = Math.min(worst, Math.hypot(a.x - b.x, a.y - b.y) / (a.radius + b.radius));
+        }
+    }
+    return worst;
+}
+
+describe('separate', () => {
+    it('should push overlapping bodies apart', () => {
+        const a = body(0, 0, 10);
+        const b = body(5, 0, 10);
+        separate(a, [a, b], 0, 1 / 60);
+        expect(a.x).toBeLessThan(0);
+        expect(a.y).toBe(0);
+    });
+
+    it('should split bodies sitting exactly on top of each other in different directions', () => {
+        const a = body(0, 0, 10);
+        const b = body(0, 0, 10);
+        separate(a, [a, b], 0, 1 / 60);
+        separate(b, [a, b], 1, 1 / 60);
+        expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeGreaterThan(0);
+    });
+
+    it('should move the lighter body further out of an overlap', () => {
+        const small = body(0, 0, 10);
+        const large = body(15, 0, 20);
+        const smallStart = { ...small };
+        const largeStart = { ...large };
+        separate(small, [large], 0, 1 / 60);
+        separate(large, [smallStart], 1, 1 / 60);
+        expect(smallStart.x - small.x).toBeGreaterThan(large.x - largeStart.x);
+    });
+
+    it('should leave bodies beyond the separation range alone', () => {
+        const a = body(0, 0, 10);
+        const b = body(20 * STEERING_CONFIG.separationRange + 1, 0, 10);
+        separate(a, [b], 0, 1 / 60);
+        expect(a).toMatchObject({ x: 0, y: 0 });
+    });
+});
+
+describe('pushOutOfPlayer', () => {
+    const player = { x: 0, y: 0, radius: 20 };
+
+    it('should stop a body partway into the player so contact still registers', () => {
+        const enemy = body(5, 0, 10);
+        pushOutOfPlayer(enemy, player);
+        expect(enemy.x).toBeCloseTo(30 * STEERING_CONFIG.playerContactDepth);
+        expect(enemy.x).toBeLessThan(enemy.radius + player.radius);
+    });
+
+    it('should step a body on the player\'s centre back the way it came', () => {
+        const enemy = { x: 0, y: 0, radius: 10, targetX: 100, targetY: 0 };
+        pushOutOfPlayer(enemy, player);
+        expect(enemy.x).toBeCloseTo(-30 * STEERING_CONFIG.playerContactDepth);
+    });
+
+    it('should ignore bodies that are not touching', () => {
+        const enemy = body(100, 0, 10);
+        pushOutOfPlayer(enemy, player);
+        expect(enemy.x).toBe(100);
+    });
+});
+
+describe('World crowd steering', () => {
+    it('should spread a stacked horde out while it keeps pressing on the player', () => {
+        const world = createWorld({ width: 800, height: 600 }, { seed: 3 });
+        world.enemySpawner.maxEnemies = 0;
+        world.crystalSpawner.maxCrystals = 0;
+        world.baseAttackCooldown = Infinity;
+        world.player.health = world.player.maxHealth = 1e9;
+
+        for (let i = 0; i < 40; i++) {
+            const enemy = new Enemy(300, 0, i % 3 ? 'small' : 'medium', Math);
+            enemy.awarenessRadius = 10000;
+            enemy.health = enemy.maxHealth = 1e9;
+            world.enemies.push(enemy);
+        }
+
+        for (let i = 0; i < 300; i++) world.update(1 / 60);
+
+        expect(world.enemies).toHaveLength(40);
+        expect(minSpacing(world.enemies)).toBeGreaterThan(0.75);
+        expect(world.player.health).toBeLessThan(1e9);
+    });
+});
@@ -0,0 +1,134 @@
+// Fixed timestep tests - the accumulator, and simulation results that must not depend on frame rate
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FixedTimestep, FIXED_DT, MAX_FRAME_TIME } from '../js/timestep.js';
+import { Enemy } from '../js/enemy.js';
+import { Crystal } from '../js/crystal.js';
+import { AreaEffect } from '../js/projectile.js';
+import { Camera } from '../js/camera.js';
+import { createWorld } from './helpers.js';
+
+// Advance `update(dt)` for `seconds` at a given frame rate
+function runAt(hz, seconds, update) {
+    const dt = 1 / hz;
+    for (let i = 0; i < Math.round(seconds * hz); i++) {
+        update(dt);
+    }
+}
+
+describe('FixedTimestep', () => {
+    let timestep;
+
+    beforeEach(() => {
+        timestep = new FixedTimestep();
+    });
+
+    it('should take whole steps and carry the remainder', () => {
+        const steps = [];
+        expect(timestep.advance(FIXED_DT * 2.5, (dt) => steps.push(dt))).toBe(2);
+        expect(steps).toEqual([FIXED_DT, FIXED_DT]);
+        expect(timestep.alpha).toBeCloseTo(0.5);
+
+        expect(timestep.advance(FIXED_DT * 0.6, () => {})).toBe(1);
+        expect(timestep.alpha).toBeCloseTo(0.1);
+    });
+
+    it('should take the same number of steps per second at any frame rate', () => {
+        for (const hz of [30, 60, 144]) {
+            const ts = new FixedTimestep();
+            let steps = 0;
+            runAt(hz, 2, (frameTime) => { steps += ts.advance(frameTime, () => {}); });
+            expect(Math.abs(steps - 120)).toBeLessThanOrEqual(1);
+        }
+    });
+
+    it('should clamp long frames', () => {
+        expect(timestep.advance(5, () => {})).toBe(Math.floor(MAX_FRAME_TIME / FIXED_DT));
+    });
+
+    it('should stop and drop leftover time when a step returns false', () => {
+        let calls = 0;
+        timestep.advance(FIXED_DT * 4.5, () => ++calls < 2);
+        expect(calls).toBe(2);
+        expect(timestep.alpha).toBe(0);
+    });
+});
+
+describe('frame-rate independence', () => {
+    // Allowed spread between 30 Hz and 144 Hz results
+    const TOLERANCE = 0.15;
+
+    function expectClose(values) {
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+        expect((max - min) / max).toBeLessThan(TOLERANCE);
+    }
+
+    it('should knock enemies back the same distance', () => {
+        const distances = [30, 60, 144].map((hz) => {
+            const enemy = new Enemy(0, 0, 'large', Math);
+            enemy.baseSpeed = 0;
+            enemy.wanderChangeInterval = Infinity;
+            enemy.applyKnockback(1, 0, 200);
+            runAt(hz, 1, (dt) => enemy.update(dt, 10000, 10000));
+            return enemy.x;
+        });
+        expectClose(distances);
+    });
+
+    it('should pull enemies into a gravity well at the same rate', () => {
+        const distances = [30, 60, 144].map((hz) => {
+            const well = new AreaEffect(0, 0, 1000, 0, 10, { pullForce: 3 });
+            const enemy = { x: 500, y: 0, radius: 10, applySlow() {} };
+            runAt(hz, 1, (dt) => well.affectEnemy(enemy, dt));
+            return 500 - enemy.x;
+        });
+        expectClose(distances);
+        expect(distances[1]).toBeCloseTo(180);
+    });
+
+    it('should bring the camera to the same place', () => {
+        const positions = [30, 60, 144].map((hz) => {
+            const camera = new Camera({ width: 800, height: 600 });
+            camera.targetX = 1000;
+            runAt(hz, 0.25, (dt) => camera.update(dt));
+            return camera.x;
+        });
+        expectClose(positions);
+    });
+
+    it('should not overshoot the orbit position on long steps', () => {
+        const crystal = new Crystal(0, 0, 'heat');
+        const enemy = new Enemy(0, 0, 'small', Math);
+        enemy.setOrbitTarget(crystal);
+        enemy.orbitSpeed = 0;
+        enemy.x = Math.cos(enemy.orbitAngle) * enemy.orbitRadius + 8;
+        enemy.y = Math.sin(enemy.orbitAngle) * enemy.orbitRadius;
+
+        enemy.update(0.1, 10000, 10000);
+
+        expect(enemy.x).toBeCloseTo(Math.cos(enemy.orbitAngle) * enemy.orbitRadius);
+    });
+});
+
+describe('interpolation state', () => {
+    it('should remember positions from before each step', () => {
+        const world = createWorld({ width: 800, height: 600 }, { seed: 3 });
+        world.setMovementInput(1, 0);
+        world.update(FIXED_DT);
+        const { x } = world.player;
+        world.update(FIXED_DT);
+
+        expect(world.player.prevX).toBe(x);
+        expect(world.player.x).toBeGreaterThan(x);
+        expect(world.camera.prevX).not.toBe(world.camera.x);
+    });
+
+    it('should start recycled entities with no motion to interpolate', () => {
+        const enemy = new Enemy(0, 0, 'small', Math);
+        enemy.prevX = -500;
+        enemy.reset(100, 50, 'small', Math);
+        expect(enemy.prevX).toBe(100);
+        expect(enemy.prevY).toBe(50);
+    });
+});
@@ -6,16 +6,19 @@ import {
     normalize,
     angle,
     lerp,
+    frameDecay,
+    frameLerp,
     clamp,
     randomChoice,
     weightedRandomChoice,
     randomPositionInRing
 } from '../js/utils.js';
+import { fixedRng } from './helpers.js';
 
 describe('randomRange', () => {
     it('should return a value within the specified range', () => {
         for (let i = 0; i < 100; i++) {
-            const result = randomRange(5, 10);
+            const result = randomRange(5, 10, Math);
             expect(result).toBeGreaterThanOrEqual(5);
             expect(result).toBeLessThan(10);
         }
@@ -23,14 +26,14 @@ describe('randomRange', () => {
 
     it('should handle negative ranges', () => {
         for (let i = 0; i < 100; i++) {
-            const result = randomRange(-10, -5);
+            const result = randomRange(-10, -5, Math);
             expect(result).toBeGreaterThanOrEqual(-10);
             expect(result).toBeLessThan(-5);
         }
     });
 
     it('should handle zero-width range', () => {
-        const result = randomRange(5, 5);
+        const result = randomRange(5, 5, Math);
         expect(result).toBe(5);
     });
 });
@@ -38,7 +41,7 @@ describe('randomRange', () => {
 describe('randomInt', () => {
     it('should return an integer within the specified range (inclusive)', () => {
         for (let i = 0; i < 100; i++) {
-            const result = randomInt(1, 5);
+            const result = randomInt(1, 5, Math);
             expect(Number.isInteger(result)).toBe(true);
             expect(result).toBeGreaterThanOrEqual(1);
             expect(result).toBeLessThanOrEqual(5);
@@ -46,7 +49,7 @@ describe('randomInt', () => {
     });
 
     it('should return the same value when min equals max', () => {
-        const result = randomInt(3, 3);
+        const result = randomInt(3, 3, Math);
         expect(result).toBe(3);
     });
 });
@@ -125,6 +128,32 @@ describe('lerp', () => {
     });
 });
 
+describe('frameDecay', () => {
+    it('should apply the per-frame factor once per 1/60 s', () => {
+        expect(frameDecay(0.9, 1 / 60)).toBe(0.9);
+        expect(frameDecay(0.9, 2 / 60)).toBeCloseTo(0.81);
+    });
+
+    it('should compound to the same total over the same time', () => {
+        const at30 = frameDecay(0.9, 1 / 30) ** 30;
+        const at144 = frameDecay(0.9, 1 / 144) ** 144;
+        expect(at30).toBeCloseTo(at144, 10);
+    });
+});
+
+describe('frameLerp', () => {
+    it('should be exactly the tuned amount at 60 Hz', () => {
+        expect(frameLerp(0.1, 1 / 60)).toBe(0.1);
+    });
+
+    it('should cover the same remaining distance over the same time', () => {
+        const remainingAt30 = (1 - frameLerp(0.1, 1 / 30)) ** 30;
+        const remainingAt144 = (1 - frameLerp(0.1, 1 / 144)) ** 144;
+        expect(remainingAt30).toBeCloseTo(0.9 ** 60, 10);
+        expect(remainingAt144).toBeCloseTo(0.9 ** 60, 10);
+    });
+});
+
 describe('clamp', () => {
     it('should clamp value within range', () => {
         expect(clamp(5, 0, 10)).toBe(5);
@@ -147,13 +176,13 @@ describe('randomChoice', () => {
     it('should return an element from the array', () => {
         const arr = ['a', 'b', 'c'];
         for (let i = 0; i < 100; i++) {
-            const result = randomChoice(arr);
+            const result = randomChoice(arr, Math);
             expect(arr).toContain(result);
         }
     });
 
     it('should return the only element from single-element array', () => {
-        expect(randomChoice(['only'])).toBe('only');
+        expect(randomChoice(['only'], Math)).toBe('only');
     });
 });
 
@@ -162,7 +191,7 @@ describe('weightedRandomChoice', () => {
         const options = ['a', 'b', 'c'];
         const weights = [1, 1, 1];
         for (let i = 0; i < 100; i++) {
-            const result = weightedRandomChoice(options, weights);
+            const result = weightedRandomChoice(options, weights, Math);
             expect(options).toContain(result);
         }
     });
@@ -172,7 +201,7 @@ describe('weightedRandomChoice', () => {
         const weights = [1, 99];
         let commonCount = 0;
         for (let i = 0; i < 1000; i++) {
-            if (weightedRandomChoice(options, weights) === 'common') {
+            if (weightedRandomChoice(options, weights, Math) === 'common') {
                 commonCount++;
             }
         }
@@ -184,7 +213,7 @@ describe('weightedRandomChoice', () => {
         const options = ['zero', 'nonzero'];
         const weights = [0, 10];
         for (let i = 0; i < 100; i++) {
-            expect(weightedRandomChoice(options, weights)).toBe('nonzero');
+            expect(weightedRandomChoice(options, weights, Math)).toBe('nonzero');
         }
     });
 });
@@ -192,7 +221,7 @@ describe('weightedRandomChoice', () => {
 describe('randomPositionInRing', () => {
     it('should return a position within the ring', () => {
         for (let i = 0; i < 100; i++) {
-            const pos = randomPositionInRing(0, 0, 50, 100);
+            const pos = randomPositionInRing(0, 0, 50, 100, Math);
             const dist = Math.sqrt(pos.x ** 2 + pos.y ** 2);
             expect(dist).toBeGreaterThanOrEqual(50);
             expect(dist).toBeLessThanOrEqual(100);
@@ -201,7 +230,7 @@ describe('randomPositionInRing', () => {
 
     it('should offset from center coordinates', () => {
         for (let i = 0; i < 100; i++) {
-            const pos = randomPositionInRing(100, 200, 10, 20);
+            const pos = randomPositionInRing(100, 200, 10, 20, Math);
             const dist = Math.sqrt((pos.x - 100) ** 2 + (pos.y - 200) ** 2);
             expect(dist).toBeGreaterThanOrEqual(10);
             expect(dist).toBeLessThanOrEqual(20);
@@ -209,9 +238,41 @@ describe('randomPositionInRing', () => {
     });
 
     it('should return exact radius when min equals max', () => {
-        const pos = randomPositionInRing(0, 0, 50, 50);
+        const pos = randomPositionInRing(0, 0, 50, 50, Math);
         const dist = Math.sqrt(pos.x ** 2 + pos.y ** 2);
         expect(dist).toBeCloseTo(50);
     });
 });
 
+describe('injected rng', () => {
+    it('should drive randomRange from the given rng', () => {
+        expect(randomRange(0, 10, fixedRng(0.25))).toBe(2.5);
+    });
+
+    it('should drive randomInt from the given rng', () => {
+        expect(randomInt(1, 4, fixedRng(0.5))).toBe(3);
+    });
+
+    it('should drive randomChoice from the given rng', () => {
+        expect(randomChoice(['a', 'b', 'c', 'd'], fixedRng(0.6))).toBe('c');
+    });
+
+    it('should drive weightedRandomChoice from the given rng', () => {
+        expect(weightedRandomChoice(['a', 'b'], [1, 3], fixedRng(0.2))).toBe('a');
+        expect(weightedRandomChoice(['a', 'b'], [1, 3], fixedRng(0.3))).toBe('b');
+    });
+
+    it('should drive randomPositionInRing from the given rng', () => {
+        const pos = randomPositionInRing(0, 0, 10, 20, fixedRng(0));
+        expect(pos.x).toBe(10);
+        expect(pos.y).toBe(0);
+    });
+
+    it('should refuse to roll without an rng', () => {
+        expect(() => randomRange(0, 10)).toThrow('randomRange needs an rng');
+        expect(() => randomInt(1, 4)).toThrow('randomRange needs an rng');
+        expect(() => randomChoice(['a'])).toThrow('randomChoice needs an rng');
+        expect(() => weightedRandomChoice(['a'], [1])).toThrow('weightedRandomChoice needs an rng');
+        expect(() => randomPositionInRing(0, 0, 10, 20)).toThrow('randomPositionInRing needs an rng');
+    });
+});
@@ -0,0 +1,163 @@
+// Wave timeline tests - validation, windows, formations and the spawner following a timeline
+
+import { describe, it, expect } from 'vitest';
+import { FORMATIONS, validateWaveTimeline, parseWaveTimeline, getWaveWindow } from '../js/waves.js';
+import { Enemy, EnemySpawner, ENEMY_TYPES } from '../js/enemy.js';
+import { SeededRandom } from '../js/random.js';
+import { WAVE_TIMELINE, createWorld } from './helpers.js';
+
+const ENEMY_TYPE_NAMES = Object.keys(ENEMY_TYPES);
+const DISTANCES = { min: 900, max: 1300 };
+
+// Visible area giving the DISTANCES spawn ring (half diagonal 1000)
+const camera = { getVisibleBounds: () => ({ left: 0, right: 1600, top: 0, bottom: 1200 }) };
+
+// One-window timeline, overridable per test
+function timeline({ wave = {}, events = [] } = {}) {
+    return {
+        windows: [{
+            start: 0, end: 60, spawnInterval: 1, groupSize: [3, 3], crystalChance: 0,
+            weights: { medium: 1 }, formations: { cluster: 1 }, ...wave
+        }],
+        events
+    };
+}
+
+function problems(value) {
+    try {
+        validateWaveTimeline(value, ENEMY_TYPE_NAMES);
+    } catch (err) {
+        return err.message;
+    }
+    return null;
+}
+
+describe('validateWaveTimeline', () => {
+    it('should accept the shipped 30-minute timeline, which spawns every enemy type', () => {
+        expect(validateWaveTimeline(WAVE_TIMELINE, ENEMY_TYPE_NAMES)).toBe(WAVE_TIMELINE);
+        expect(WAVE_TIMELINE.windows.at(-1).end).toBe(1800);
+
+        const spawned = new Set(WAVE_TIMELINE.windows.flatMap(wave => Object.keys(wave.weights)));
+        expect([...spawned].sort()).toEqual([...ENEMY_TYPE_NAMES].sort());
+    });
+
+    it('should reject unknown enemy types in windows and hordes', () => {
+        const message = problems(timeline({
+            wave: { weights: { small: 1, goblin: 2 } },
+            events: [{ time: 10, type: 'horde', count: 5, formation: 'ring', weights: { dragon: 1 } }]
+        }));
+        expect(message).toContain('windows[0].weights: unknown enemy type "goblin"');
+        expect(message).toContain('events[0].weights: unknown enemy type "dragon"');
+    });
+
+    it('should reject unknown formations and event types', () => {
+        expect(problems(timeline({ wave: { formations: { wedge: 1 } } }))).toContain('unknown formation "wedge"');
+        expect(problems(timeline({ events: [{ time: 5, type: 'meteor' }] }))).toContain('unknown event type "meteor"');
+    });
+
+    it('should reject gaps, bad group sizes and out-of-order events, listing every problem', () => {
+        const bad = timeline({
+            wave: { groupSize: [4, 2] },
+            events: [{ time: 20, type: 'lull', duration: 5 }, { time: 10, type: 'lull', duration: 0 }]
+        });
+        bad.windows.push({ ...bad.windows[0], start: 70, end: 90, groupSize: [2, 3] });
+
+        const message = problems(bad);
+        expect(message).toContain('windows[0].groupSize');
+        expect(message).toContain('windows[1].start must equal the previous window\'s end (60)');
+        expect(message).toContain('events[1].time must be a number, in time order');
+        expect(message).toContain('events[1].duration must be a positive number');
+    });
+
+    it('should read a timeline authored as JSON', () => {
+        const json = JSON.stringify(WAVE_TIMELINE);
+        expect(parseWaveTimeline(json, ENEMY_TYPE_NAMES)).toEqual(WAVE_TIMELINE);
+        expect(() => parseWaveTimeline('{"windows": []}', ENEMY_TYPE_NAMES)).toThrow('windows must be a non-empty array');
+    });
+});
+
+describe('getWaveWindow', () => {
+    it('should find the window for a time, and keep the last one after the timeline ends', () => {
+        const { windows } = WAVE_TIMELINE;
+        expect(getWaveWindow(WAVE_TIMELINE, 0)).toBe(windows[0]);
+        expect(getWaveWindow(WAVE_TIMELINE, windows[1].start)).toBe(windows[1]);
+        expect(getWaveWindow(WAVE_TIMELINE, 100000)).toBe(windows.at(-1));
+    });
+});
+
+describe('FORMATIONS', () => {
+    it('should keep every formation inside the spawn ring', () => {
+        for (const formation of Object.values(FORMATIONS)) {
+            for (const pos of formation(12, 100, 100, DISTANCES, new SeededRandom(2))) {
+                const dist = Math.hypot(pos.x - 100, pos.y - 100);
+                expect(dist).toBeGreaterThanOrEqual(DISTANCES.min - 1e-6);
+                expect(dist).toBeLessThanOrEqual(DISTANCES.max + 1e-6);
+            }
+        }
+    });
+
+    it('should surround the point with a ring, but bunch clusters and lines up on one side', () => {
+        const spanOf = (positions) => Math.max(...positions.flatMap(a => positions.map(b => Math.hypot(a.x - b.x, a.y - b.y))));
+
+        expect(spanOf(FORMATIONS.ring(8, 0, 0, DISTANCES, new SeededRandom(3)))).toBeGreaterThan(DISTANCES.min * 1.5);
+        expect(spanOf(FORMATIONS.cluster(8, 0, 0, DISTANCES, new SeededRandom(3)))).toBeLessThan(250);
+        expect(spanOf(FORMATIONS.line(5, 0, 0, DISTANCES, new SeededRandom(3)))).toBeCloseTo(45 * 4, -1);
+    });
+});
+
+describe('EnemySpawner following a timeline', () => {
+    it('should refuse an invalid timeline', () => {
+        expect(() => new EnemySpawner(Math, timeline({ wave: { weights: { goblin: 1 } } })))
+            .toThrow('unknown enemy type "goblin"');
+    });
+
+    it('should spawn groups of the window\'s size and types', () => {
+        const spawner = new EnemySpawner(new SeededRandom(5), timeline());
+        const enemies = [];
+        spawner.update(1, 0, 0, enemies, [], camera);
+        expect(enemies.map(enemy => enemy.type)).toEqual(['medium', 'medium', 'medium']);
+    });
+
+    it('should cut a group short at maxEnemies', () => {
+        const spawner = new EnemySpawner(new SeededRandom(5), timeline({ wave: { groupSize: [6, 6] } }));
+        spawner.maxEnemies = 4;
+        const enemies = [new Enemy(0, 0, 'small', Math)];
+        spawner.update(1, 0, 0, enemies, [], camera);
+        expect(enemies).toHaveLength(4);
+    });
+
+    it('should spawn a horde all at once when its time comes, and only once', () => {
+        const spawner = new EnemySpawner(new SeededRandom(5), timeline({
+            wave: { spawnInterval: 100 },
+            events: [{ time: 2, type: 'horde', count: 12, formation: 'ring', weights: { charger: 1 } }]
+        }));
+        const enemies = [];
+        spawner.update(1.5, 0, 0, enemies, [], camera);
+        expect(enemies).toHaveLength(0);
+
+        spawner.update(1, 0, 0, enemies, [], camera);
+        spawner.update(1, 0, 0, enemies, [], camera);
+        expect(enemies).toHaveLength(12);
+        expect(enemies.every(enemy => enemy.type === 'charger')).toBe(true);
+    });
+
+    it('should hold back regular groups during a lull', () => {
+        const spawner = new EnemySpawner(new SeededRandom(5), timeline({
+            events: [{ time: 0, type: 'lull', duration: 5 }]
+        }));
+        const enemies = [];
+        for (let i = 0; i < 4; i++) spawner.update(1, 0, 0, enemies, [], camera);
+        expect(enemies).toHaveLength(0);
+
+        for (let i = 0; i < 3; i++) spawner.update(1, 0, 0, enemies, [], camera);
+        expect(enemies.length).toBeGreaterThan(0);
+    });
+
+    it('should let a World run on a custom timeline', () => {
+        const world = createWorld({ width: 800, height: 600 }, { seed: 6, waveTimeline: timeline({ wave: { weights: { large: 1 } } }) });
+        world.crystalSpawner.maxCrystals = 0;
+        for (let i = 0; i < 120; i++) world.update(1 / 60);
+        expect(world.enemies.length).toBeGreaterThan(0);
+        expect(world.enemies.every(enemy => enemy.type === 'large')).toBe(true);
+    });
+});
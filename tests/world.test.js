@@ -0,0 +1,459 @@
+// World simulation tests - step whole runs headlessly, without a DOM or canvas
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Enemy, EnemySpawner, Champion, CHAMPION_CONFIG } from '../js/enemy.js';
+import { Crystal, CrystalSpawner } from '../js/crystal.js';
+import { Projectile } from '../js/projectile.js';
+import { POWERS, PowerManager } from '../js/powers.js';
+import { createWorld } from './helpers.js';
+
+// Plain viewport object standing in for the canvas
+function createViewport(width = 800, height = 600) {
+    return { width, height };
+}
+
+// Auto-answer level-up prompts so a run never stalls waiting for the UI
+function autoPilot(world) {
+    world.onLevelUp = (options) => world.selectPower(options[0].id);
+    world.onPassiveUpgrade = (options) => world.selectPassiveUpgrade(options[0].id);
+}
+
+describe('World', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld(createViewport());
+    });
+
+    describe('constructor', () => {
+        it('should start a fresh run', () => {
+            expect(world.running).toBe(true);
+            expect(world.paused).toBe(false);
+            expect(world.gameTime).toBe(0);
+            expect(world.enemiesDefeated).toBe(0);
+        });
+
+        it('should start the player at the origin', () => {
+            expect(world.player.x).toBe(0);
+            expect(world.player.y).toBe(0);
+        });
+
+        it('should center the camera on the origin', () => {
+            expect(world.camera.x).toBe(-400);
+            expect(world.camera.y).toBe(-300);
+        });
+
+        it('should share entity arrays with the power manager', () => {
+            expect(world.powerManager.projectiles).toBe(world.projectiles);
+            expect(world.powerManager.enemies).toBe(world.enemies);
+            expect(world.powerManager.champions).toBe(world.champions);
+        });
+    });
+
+    describe('update', () => {
+        it('should advance game time', () => {
+            world.update(0.5);
+            world.update(0.5);
+            expect(world.gameTime).toBeCloseTo(1.0);
+        });
+
+        it('should not advance while paused', () => {
+            world.paused = true;
+            world.update(1.0);
+            expect(world.gameTime).toBe(0);
+        });
+
+        it('should not advance after game over', () => {
+            world.running = false;
+            world.update(1.0);
+            expect(world.gameTime).toBe(0);
+        });
+
+        it('should move the player from movement input', () => {
+            world.setMovementInput(1, 0);
+            world.update(0.1);
+            expect(world.player.x).toBeCloseTo(25); // 250 speed * 0.1s
+        });
+
+        it('should spawn enemies and crystals over time', () => {
+            for (let i = 0; i < 60; i++) {
+                world.update(0.1);
+            }
+            expect(world.enemies.length).toBeGreaterThan(0);
+            expect(world.crystals.length).toBeGreaterThan(0);
+        });
+
+        it('should fire the base attack at the nearest enemy', () => {
+            world.enemies.push(new Enemy(300, 0, 'large', Math));
+            world.baseAttackTimer = world.baseAttackCooldown;
+            world.update(0.016);
+            expect(world.projectiles.length).toBe(1);
+            expect(world.projectiles[0].vx).toBeGreaterThan(0);
+        });
+    });
+
+    describe('projectile kills', () => {
+        it('should award XP and count the kill', () => {
+            const enemy = new Enemy(50, 0, 'small', Math);
+            world.enemies.push(enemy);
+            world.projectiles.push(new Projectile(45, 0, 0, 0, 100));
+
+            // update() indexes targets before the collision passes
+            world.rebuildTargetHash();
+            world.updateProjectiles(0.016);
+
+            expect(world.enemies).not.toContain(enemy);
+            expect(world.enemiesDefeated).toBe(1);
+            expect(world.player.xp).toBe(enemy.xp);
+        });
+
+        it('should count a champion kill as 5 enemies', () => {
+            const champion = new Champion(60, 0, 'heat');
+            world.champions.push(champion);
+            world.projectiles.push(new Projectile(60, 0, 0, 0, 1000));
+
+            world.rebuildTargetHash();
+            world.updateProjectiles(0.016);
+
+            expect(world.champions.length).toBe(0);
+            expect(world.enemiesDefeated).toBe(5);
+        });
+
+        it('should damage every target a piercing projectile passes through, once each', () => {
+            const first = new Enemy(50, 0, 'large', Math);
+            const second = new Enemy(55, 0, 'large', Math);
+            world.enemies.push(first, second);
+            world.projectiles.push(new Projectile(50, 0, 0, 0, 10, { piercing: true }));
+
+            world.rebuildTargetHash();
+            world.updateProjectiles(0.016);
+            world.updateProjectiles(0.016);
+
+            expect(first.maxHealth - first.health).toBe(10);
+            expect(second.maxHealth - second.health).toBe(10);
+            expect(world.projectiles).toHaveLength(1);
+        });
+    });
+
+    describe('dealDamage', () => {
+        it('should report the source power and damage type of each hit', () => {
+            const enemy = new Enemy(50, 0, 'large', Math);
+            world.enemies.push(enemy);
+            const events = [];
+            world.onDamage = (event) => events.push(event);
+
+            const proj = new Projectile(50, 0, 0, 0, 1, { sourceId: 'iceShards', damageType: 'cold' });
+            world.dealDamage(proj, enemy, 1);
+
+            expect(events).toHaveLength(1);
+            expect(events[0]).toMatchObject({ source: proj, target: enemy, amount: 1, sourceId: 'iceShards', damageType: 'cold', killed: false, overkill: 0 });
+        });
+
+        it('should let tags override the source', () => {
+            const enemy = new Enemy(50, 0, 'large', Math);
+            let event = null;
+            world.onDamage = (e) => { event = e; };
+
+            world.dealDamage(new Projectile(50, 0, 0, 0, 1), enemy, 1, { sourceId: 'test', damageType: 'heat' });
+
+            expect(event.sourceId).toBe('test');
+            expect(event.damageType).toBe('heat');
+        });
+
+        it('should fire onKill with the overkill amount', () => {
+            const enemy = new Enemy(50, 0, 'small', Math);
+            world.enemies.push(enemy);
+            const kills = [];
+            world.onKill = (event) => kills.push(event);
+
+            const health = enemy.health;
+            expect(world.dealDamage({ sourceId: 'magmaPool', damageType: 'heat' }, enemy, health + 7)).toBe(true);
+
+            expect(kills).toHaveLength(1);
+            expect(kills[0].overkill).toBe(7);
+            expect(kills[0].sourceId).toBe('magmaPool');
+            expect(world.enemies).not.toContain(enemy);
+        });
+
+        it('should not count a target twice when it is hit again after dying', () => {
+            const enemy = new Enemy(50, 0, 'small', Math);
+            world.enemies.push(enemy);
+            expect(world.dealDamage({}, enemy, 1000)).toBe(true);
+            expect(world.dealDamage({}, enemy, 1000)).toBe(false);
+            expect(world.enemiesDefeated).toBe(1);
+            expect(world.player.xp).toBe(enemy.xp);
+        });
+
+        it('should deal more damage to vulnerable targets', () => {
+            const enemy = new Enemy(50, 0, 'large', Math);
+            world.enemies.push(enemy);
+            enemy.applyStatusEffect('vulnerable', 0.5, 2);
+
+            world.dealDamage({}, enemy, 10);
+
+            expect(enemy.maxHealth - enemy.health).toBe(15);
+        });
+
+        it('should deal burn ticks as heat damage from the burn source', () => {
+            const enemy = new Enemy(300, 0, 'large', Math);
+            world.enemies.push(enemy);
+            const events = [];
+            world.onDamage = (event) => events.push(event);
+            enemy.applyStatusEffect('burn', 10, 2);
+
+            enemy.update(0.5, 0, 0);
+            world.applyDamageOverTime();
+
+            expect(enemy.maxHealth - enemy.health).toBe(5);
+            expect(events[0]).toMatchObject({ sourceId: 'burn', damageType: 'heat' });
+        });
+
+        it('should apply a power\'s hit effect along with its damage', () => {
+            const enemy = new Enemy(60, 0, 'large', Math);
+            world.enemies.push(enemy);
+            world.projectiles.push(new Projectile(60, 0, 0, 0, 1, {
+                hitEffect: 'stun', hitEffectAmount: 0, hitEffectDuration: 0.5
+            }));
+
+            world.rebuildTargetHash();
+            world.updateProjectiles(0.016);
+
+            expect(enemy.isStunned()).toBe(true);
+        });
+
+        it('should stop a non-piercing projectile at its first target', () => {
+            const enemy = new Enemy(60, 0, 'small', Math);
+            const champion = new Champion(60, 0, 'heat');
+            world.enemies.push(enemy);
+            world.champions.push(champion);
+            world.projectiles.push(new Projectile(60, 0, 0, 0, 1));
+
+            world.rebuildTargetHash();
+            world.updateProjectiles(0.016);
+
+            expect(champion.health).toBe(champion.maxHealth);
+            expect(world.projectiles).toHaveLength(0);
+        });
+    });
+
+    describe('champion attacks on the player', () => {
+        function ability(champion, kind = 'primary') {
+            champion.aimX = champion.targetX;
+            champion.aimY = champion.targetY;
+            world.handleChampionAbility(champion, champion.createAbility(kind));
+        }
+
+        it('should burn the player hit by a Flame Burst', () => {
+            const champion = new Champion(100, 0, 'heat');
+            champion.setTarget(0, 0);
+            ability(champion);
+            for (let i = 0; i < 30 && !world.player.statusEffects.hasEffect('burn'); i++) {
+                world.updateEnemyProjectiles(1 / 60);
+            }
+
+            const [burn] = world.player.statusEffects.getEffectsByType('burn');
+            expect(burn.config.damagePerSecond).toBe(CHAMPION_CONFIG.types.heat.burnDamage);
+
+            // Ticks land through the invincibility the fireball granted
+            const health = world.player.health;
+            world.player.update(0.5);
+            world.applyDamageOverTime();
+            expect(world.player.health).toBeLessThan(health);
+        });
+
+        it('should knock the player back along a Force Beam', () => {
+            const champion = new Champion(-100, 0, 'force');
+            champion.setTarget(0, 0);
+            ability(champion);
+            for (let i = 0; i < 30 && world.player.knockbackX === 0; i++) {
+                world.updateEnemyProjectiles(1 / 60);
+            }
+
+            expect(world.player.knockbackX).toBe(CHAMPION_CONFIG.types.force.knockback);
+            expect(world.player.knockbackY).toBeCloseTo(0);
+        });
+
+        it('should slow and damage the player in a Frost Trail, but not enemies', () => {
+            const champion = new Champion(0, 0, 'cold');
+            champion.distanceMoved = 30;
+            ability(champion);
+            const enemy = new Enemy(10, 0, 'large', Math);
+            world.enemies.push(enemy);
+            world.rebuildTargetHash();
+
+            world.updateAreaEffects(0.5);
+            world.updateEnemyProjectiles(0.5);
+
+            expect(world.player.statusEffects.getStrongest('slow')).toBe(CHAMPION_CONFIG.types.cold.slowAmount);
+            expect(world.player.health).toBe(world.player.maxHealth - CHAMPION_CONFIG.types.cold.abilityDamage);
+            expect(enemy.slowAmount).toBe(0);
+        });
+
+        it('should slow the player caught in an enraged cold champion\'s Ice Nova', () => {
+            const champion = new Champion(200, 0, 'cold');
+            ability(champion, 'enraged');
+            expect(world.enemyProjectiles).toHaveLength(CHAMPION_CONFIG.types.cold.enraged.count);
+
+            for (let i = 0; i < 60 && !world.player.statusEffects.hasEffect('slow'); i++) {
+                world.updateEnemyProjectiles(1 / 60);
+            }
+            expect(world.player.statusEffects.getStrongest('slow')).toBe(CHAMPION_CONFIG.types.cold.enraged.hitEffectAmount);
+        });
+    });
+
+    describe('crystal collection', () => {
+        it('should collect a touching crystal and supercharge its category', () => {
+            world.crystals.push(new Crystal(10, 0, 'cold'));
+            world.checkCrystalCollection();
+
+            expect(world.crystals.length).toBe(0);
+            expect(world.player.crystals.cold).toBe(1);
+            expect(world.player.statusEffects.hasEffect('supercharge', 'cold')).toBe(true);
+        });
+
+        it('should pause and offer powers on the fifth crystal', () => {
+            let offered = null;
+            world.onLevelUp = (options) => { offered = options; };
+            world.player.crystals.heat = 4;
+            world.crystals.push(new Crystal(0, 0, 'heat'));
+
+            world.checkCrystalCollection();
+
+            expect(world.paused).toBe(true);
+            expect(offered.length).toBe(3);
+        });
+
+        it('should spend the crystals without pausing when every power is maxed', () => {
+            world.onLevelUp = () => { throw new Error('nothing to offer'); };
+            for (const def of Object.values(POWERS)) {
+                world.player.powers.push({ id: def.id, level: def.maxLevel, passive: def.passive });
+            }
+            world.player.crystals.heat = 5;
+
+            world.triggerLevelUp();
+
+            expect(world.paused).toBe(false);
+            expect(world.player.totalCrystals).toBe(0);
+        });
+    });
+
+    describe('selectPower', () => {
+        it('should grant the power, reset crystals and resume', () => {
+            world.paused = true;
+            world.player.crystals.force = 5;
+
+            world.selectPower('orbitalShields');
+
+            expect(world.player.powers[0].id).toBe('orbitalShields');
+            expect(world.player.powers[0].passive).toBe(true);
+            expect(world.player.totalCrystals).toBe(0);
+            expect(world.paused).toBe(false);
+        });
+
+        it('should replace both source powers with their evolution', () => {
+            world.player.powers.push(
+                { id: 'magmaPool', level: 5, passive: false },
+                { id: 'frostNova', level: 5, passive: false },
+                { id: 'fireballBarrage', level: 2, passive: false }
+            );
+            world.powerManager.cooldowns.magmaPool = 3;
+
+            world.selectPower('steamVent');
+
+            expect(world.player.powers.map(p => [p.id, p.level])).toEqual([['fireballBarrage', 2], ['steamVent', 1]]);
+            expect(world.powerManager.cooldowns.magmaPool).toBeUndefined();
+        });
+    });
+
+    describe('awardXp', () => {
+        it('should pause and offer passive upgrades on XP level up', () => {
+            let offered = null;
+            world.onPassiveUpgrade = (options) => { offered = options; };
+
+            world.awardXp(world.player.getXpForNextLevel());
+
+            expect(world.paused).toBe(true);
+            expect(offered.length).toBe(3);
+
+            world.selectPassiveUpgrade('moveSpeed');
+            expect(world.paused).toBe(false);
+            expect(world.player.passiveUpgrades[0].id).toBe('moveSpeed');
+        });
+    });
+
+    describe('game over', () => {
+        it('should stop the run and notify when the player dies', () => {
+            let notified = false;
+            world.onGameOver = () => { notified = true; };
+            world.player.health = 0;
+
+            world.update(0.016);
+
+            expect(world.running).toBe(false);
+            expect(notified).toBe(true);
+        });
+    });
+
+    describe('seeded runs', () => {
+        // Runs a fixed input script and returns a fingerprint of the final state
+        function runScripted(seed) {
+            const run = createWorld(createViewport(), { seed });
+            autoPilot(run);
+            for (let i = 0; i < 30 * 60 && run.running; i++) {
+                // Change direction every two seconds
+                const phase = Math.floor(i / 120) % 4;
+                run.setMovementInput([1, 0, -1, 0][phase], [0, 1, 0, -1][phase]);
+                run.update(1 / 60);
+            }
+            return {
+                playerX: run.player.x,
+                playerY: run.player.y,
+                health: run.player.health,
+                enemies: run.enemies.map(e => [e.type, e.x, e.y, e.health]),
+                crystals: run.crystals.map(c => [c.type, c.x, c.y]),
+                powers: run.player.powers.map(p => [p.id, p.level]),
+                passives: run.player.passiveUpgrades.map(u => [u.id, u.stacks]),
+                enemiesDefeated: run.enemiesDefeated
+            };
+        }
+
+        it('should expose the seed it was created with', () => {
+            expect(createWorld(createViewport(), { seed: 123 }).seed).toBe(123);
+        });
+
+        it('should pick a seed when none is given', () => {
+            expect(typeof world.seed).toBe('number');
+        });
+
+        it('should reproduce a run exactly from the same seed and inputs', () => {
+            expect(runScripted(2024)).toEqual(runScripted(2024));
+        });
+
+        it('should diverge for a different seed', () => {
+            expect(runScripted(2024)).not.toEqual(runScripted(2025));
+        });
+
+        it('should refuse to build simulation objects without an rng', () => {
+            expect(() => new Enemy(0, 0, 'small')).toThrow('Enemy needs an rng');
+            expect(() => new EnemySpawner()).toThrow('EnemySpawner needs an rng');
+            expect(() => new CrystalSpawner()).toThrow('CrystalSpawner needs an rng');
+            expect(() => new PowerManager(world.player, [], [], [])).toThrow('PowerManager needs an rng');
+        });
+    });
+
+    describe('full run', () => {
+        it('should step a whole run under Node', () => {
+            world = createWorld(createViewport(), { seed: 1 });
+            autoPilot(world);
+            world.setMovementInput(1, 1);
+
+            // Two simulated minutes at 60fps, or until the player dies
+            for (let i = 0; i < 120 * 60 && world.running; i++) {
+                world.update(1 / 60);
+            }
+
+            expect(world.gameTime).toBeGreaterThan(10);
+            expect(world.enemiesDefeated).toBeGreaterThan(0);
+        });
+    });
+});